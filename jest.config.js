@@ -4,8 +4,9 @@ module.exports = {
   coverageDirectory: 'coverage',
   collectCoverageFrom: [
     'src/**/*.js',
-    '!src/app.js',              // Server setup file
     '!src/config/database.js',  // Database connection (no logic)
+    '!src/db/migrate.js',       // Migration CLI entry point
+    '!src/db/migrations/**',    // Schema SQL (needs a live database)
     '!src/models/Note.js',      // Database queries (mocked in tests)
     '!src/middleware/errorHandler.js'  // Express middleware (needs integration tests)
   ],
@@ -17,6 +18,7 @@ module.exports = {
       statements: 70
     }
   },
+  setupFiles: ['<rootDir>/tests/setup.js'],
   testMatch: [
     '**/tests/**/*.test.js'
   ],
@@ -1,44 +1,80 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const healthRoutes = require('./routes/healthRoutes');
+const docsRoutes = require('./routes/docsRoutes');
+const authRoutes = require('./routes/authRoutes');
+const sharedRoutes = require('./routes/sharedRoutes');
 const noteRoutes = require('./routes/noteRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const notebookRoutes = require('./routes/notebookRoutes');
+const reminderRoutes = require('./routes/reminderRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const authenticate = require('./middleware/authenticate');
 const errorHandler = require('./middleware/errorHandler');
-const Note = require('./models/Note');
+const httpMetrics = require('./middleware/httpMetrics');
+const rateLimit = require('./middleware/rateLimit');
+const requireNoteDatabase = require('./middleware/requireNoteDatabase');
+const requestLogger = require('./middleware/requestLogger');
+const { NotFoundError } = require('./errors');
 
 const app = express();
-const PORT = process.env.PORT || 3001;
+
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client's address
+// rather than the proxy's, which the per-IP rate limits depend on
+// (a hop count, `true`, or addresses and subnets as Express takes them)
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY) {
+  const hops = Number(TRUST_PROXY);
+  app.set('trust proxy', TRUST_PROXY === 'true' || (Number.isInteger(hops) ? hops : TRUST_PROXY));
+}
 
 // Middleware
+app.use(requestLogger);
+app.use(httpMetrics);
 app.use(cors());
-app.use(express.json());
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', message: 'QuickNote API is running' });
-});
+// Rate limits run before the bodies are parsed, so rejected requests cost
+// as little as possible. The per-user limit follows authentication below.
+app.use('/api', rateLimit('global'));
+app.use('/api/auth', rateLimit('auth'));
+app.use('/api/shared', rateLimit('shared'));
+
+// Imports carry whole backups, so they get a larger body limit than the
+// rest of the API. Registered first so the default JSON parser skips them.
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '10mb';
+app.use(
+  '/api/notes/import',
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }),
+  express.raw({ type: 'application/zip', limit: IMPORT_BODY_LIMIT })
+);
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '100kb' }));
+
+// Health checks and metrics
+app.use(healthRoutes);
+
+// API description and docs
+app.use(docsRoutes);
 
 // API Routes
+app.use('/api', requireNoteDatabase);
+app.use('/api', authRoutes);
+app.use('/api', sharedRoutes);
+
+// Everything below requires a signed-in user
+app.use('/api', authenticate);
+app.use('/api', rateLimit('api'));
 app.use('/api', noteRoutes);
+app.use('/api', tagRoutes);
+app.use('/api', notebookRoutes);
+app.use('/api', reminderRoutes);
+app.use('/api', webhookRoutes);
+app.use('/api', trashRoutes);
 
 // Error handling
+app.use((req, res, next) => next(new NotFoundError(`Cannot ${req.method} ${req.path}`)));
 app.use(errorHandler);
 
-// Initialize database and start server
-const startServer = async () => {
-  try {
-    await Note.createTable();
-    
-    app.listen(PORT, () => {
-      console.log(`✓ Server running on port ${PORT}`);
-      console.log(`✓ Environment: ${process.env.NODE_ENV}`);
-      console.log(`✓ Health check: http://localhost:${PORT}/health`);
-    });
-  } catch (error) {
-    console.error('Failed to start server:', error);
-    process.exit(1);
-  }
-};
-
-startServer();
-
-module.exports = app;
\ No newline at end of file
+module.exports = app;
@@ -1,18 +1,24 @@
 const { Pool } = require('pg');
+const { instrumentClient } = require('../db/queryLogging');
+const { logger } = require('../utils/logger');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-// Test connection
-pool.on('connect', () => {
-  console.log('✓ Database connected');
+// Every pooled connection logs its queries, including those run through
+// pool.query and in transactions
+pool.on('connect', (client) => {
+  instrumentClient(client);
+  logger.debug('Database connection opened');
 });
 
-pool.on('error', (err) => {
-  console.error('Unexpected database error:', err);
-  process.exit(-1);
+// An idle connection failed, e.g. because the database restarted. The pool
+// has already dropped it and opens a new one when needed, so this is only
+// worth logging.
+pool.on('error', (error) => {
+  logger.error('Idle database connection failed', { error });
 });
 
-module.exports = pool;
\ No newline at end of file
+module.exports = pool;
@@ -0,0 +1,53 @@
+// Token buckets per route group. Each allows `requests` in a burst and
+// refills at `requests` per `perSeconds`, and is kept per client IP or,
+// for `user`, per signed-in user. Override one with an env var such as
+// RATE_LIMIT_AUTH=20/60, or turn it off with RATE_LIMIT_AUTH=off.
+const DEFAULT_RATE_LIMITS = {
+  // Every /api request, before anything else runs
+  global: { requests: 600, perSeconds: 60, per: 'ip' },
+  // Signup and login, to slow down password guessing
+  auth: { requests: 10, perSeconds: 60, per: 'ip' },
+  // Public share links, to slow down token and password guessing
+  shared: { requests: 60, perSeconds: 60, per: 'ip' },
+  // Everything that needs a signed-in user
+  api: { requests: 300, perSeconds: 60, per: 'user' }
+};
+
+// Buckets idle for longer than this are full again and can be dropped
+const MAX_WINDOW_SECONDS = 60 * 60;
+
+/**
+ * Parses a limit written as `<requests>/<seconds>`, or `off`. Throws for
+ * anything else, so a typo stops the server rather than lifting a limit.
+ */
+const parseRateLimit = (name, value) => {
+  if (value === 'off') {
+    return null;
+  }
+
+  const match = /^(\d+)\/(\d+)$/.exec(value);
+  const requests = match && Number(match[1]);
+  const perSeconds = match && Number(match[2]);
+
+  if (!match || requests < 1 || perSeconds < 1 || perSeconds > MAX_WINDOW_SECONDS) {
+    throw new Error(
+      `${name} must be "<requests>/<seconds>" with a window of at most ${MAX_WINDOW_SECONDS} seconds, or "off"`
+    );
+  }
+
+  return { requests, perSeconds };
+};
+
+/**
+ * Reads the limit of every route group, applying overrides from `env`.
+ * Groups that are turned off map to null.
+ */
+const loadRateLimits = (env = process.env) => Object.fromEntries(
+  Object.entries(DEFAULT_RATE_LIMITS).map(([group, limit]) => {
+    const name = `RATE_LIMIT_${group.toUpperCase()}`;
+    const override = env[name] === undefined ? {} : parseRateLimit(name, env[name]);
+    return [group, override && { ...limit, ...override }];
+  })
+);
+
+module.exports = { DEFAULT_RATE_LIMITS, MAX_WINDOW_SECONDS, loadRateLimits, parseRateLimit };
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const Attachment = require('../models/Attachment');
+const { noteRepository } = require('../repositories');
+const { storage, deleteFiles } = require('../storage');
+const { AppError, NotFoundError } = require('../errors');
+
+// Returns the single byte range asked for in the Range header, null to
+// send the whole file, or -1 if the range can't be satisfied. Malformed
+// headers and requests for several ranges get the whole file, which the
+// HTTP spec allows.
+const requestedRange = (req, size) => {
+  const ranges = req.range(size, { combine: true });
+
+  if (ranges === -1) {
+    return -1;
+  }
+
+  if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) {
+    return null;
+  }
+
+  return ranges[0];
+};
+
+const attachmentController = {
+  /**
+   * Stores an uploaded file (see middleware/upload) and attaches it to a
+   * note. The bytes are written before the metadata so a row never points
+   * at a missing file; if the note turns out not to exist they are removed.
+   */
+  async uploadAttachment(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { originalname: filename, mimetype: mimeType, size, buffer } = req.file;
+      const storageKey = `${id}/${crypto.randomUUID()}`;
+
+      await storage.save(storageKey, buffer);
+
+      let attachment;
+      try {
+        attachment = await Attachment.create(req.user.id, id, { filename, mimeType, size, storageKey });
+      } finally {
+        if (!attachment) {
+          await deleteFiles([storageKey]);
+        }
+      }
+
+      if (!attachment) {
+        throw new NotFoundError('Note not found');
+      }
+
+      res.status(201).json(attachment);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async listAttachments(req, res, next) {
+    try {
+      const { id } = req.params;
+      const note = await noteRepository.findById(req.user.id, id);
+
+      if (!note) {
+        throw new NotFoundError('Note not found');
+      }
+
+      const attachments = await Attachment.findAllForNote(req.user.id, id);
+      res.json({ data: attachments });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Sends an attachment's bytes with its detected content type. Supports
+   * single byte ranges, so large PDFs can be read a piece at a time and
+   * interrupted downloads resumed.
+   */
+  async downloadAttachment(req, res, next) {
+    try {
+      const { id, attachmentId } = req.params;
+      const attachment = await Attachment.findOne(req.user.id, id, attachmentId);
+
+      if (!attachment) {
+        throw new NotFoundError('Attachment not found');
+      }
+
+      const { size } = attachment;
+      const range = requestedRange(req, size);
+
+      res.set('Accept-Ranges', 'bytes');
+
+      if (range === -1) {
+        res.set('Content-Range', `bytes */${size}`);
+        throw new AppError('Requested range not satisfiable', { statusCode: 416, code: 'RANGE_NOT_SATISFIABLE' });
+      }
+
+      res.attachment(attachment.filename);
+      res.set({
+        'Content-Type': attachment.mime_type,
+        'X-Content-Type-Options': 'nosniff'
+      });
+
+      if (range) {
+        res.status(206);
+        res.set({
+          'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+          'Content-Length': range.end - range.start + 1
+        });
+      } else {
+        res.set('Content-Length', size);
+      }
+
+      const stream = storage.createReadStream(attachment.storage_key, range || {});
+
+      stream.on('error', (error) => {
+        if (res.headersSent) {
+          res.destroy(error);
+        } else {
+          next(error);
+        }
+      });
+      stream.pipe(res);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async deleteAttachment(req, res, next) {
+    try {
+      const { id, attachmentId } = req.params;
+      const deleted = await Attachment.delete(req.user.id, id, attachmentId);
+
+      if (!deleted) {
+        throw new NotFoundError('Attachment not found');
+      }
+
+      const { storage_key: storageKey, ...attachment } = deleted;
+      await deleteFiles([storageKey]);
+
+      res.json({ message: 'Attachment deleted successfully', attachment });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = attachmentController;
@@ -0,0 +1,112 @@
+const bcrypt = require('bcryptjs');
+const { userRepository } = require('../repositories');
+const { signToken } = require('../utils/token');
+const { AuthenticationError, ConflictError, ValidationError } = require('../errors');
+
+const MAX_EMAIL_LENGTH = 255;
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt only uses the first 72 bytes of a password
+const MAX_PASSWORD_LENGTH = 72;
+const BCRYPT_ROUNDS = 10;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+// Compared against when the email is unknown so that login takes the same
+// time whether or not an account exists.
+const DUMMY_HASH = bcrypt.hashSync('quicknote-dummy-password', BCRYPT_ROUNDS);
+
+const detail = (field, rule, message) => ({ field, location: 'body', rule, message });
+
+/**
+ * Checks that both credentials were sent as strings. Returns a list of
+ * validation details, empty if they were.
+ */
+const checkCredentialsPresent = (email, password) => [
+  ...(typeof email === 'string' && email ? [] : [detail('email', 'required', 'Email is required')]),
+  ...(typeof password === 'string' && password ? [] : [detail('password', 'required', 'Password is required')])
+];
+
+/**
+ * Validates signup credentials. Returns a list of validation details,
+ * empty if they are valid.
+ */
+const validateCredentials = (email, password) => {
+  const details = checkCredentialsPresent(email, password);
+  if (details.length > 0) {
+    return details;
+  }
+
+  if (email.trim().length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(email.trim())) {
+    details.push(detail('email', 'email', 'Email must be a valid email address'));
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH || Buffer.byteLength(password) > MAX_PASSWORD_LENGTH) {
+    details.push(detail(
+      'password',
+      'length',
+      `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`
+    ));
+  }
+
+  return details;
+};
+
+const EMAIL_TAKEN = 'An account with that email already exists';
+
+const toPublicUser = ({ id, email, created_at }) => ({ id, email, created_at });
+
+const authController = {
+  async signup(req, res, next) {
+    try {
+      const { email, password } = req.body;
+
+      const details = validateCredentials(email, password);
+      if (details.length > 0) {
+        throw new ValidationError(details);
+      }
+
+      const normalizedEmail = email.trim().toLowerCase();
+      const existing = await userRepository.findByEmail(normalizedEmail);
+
+      if (existing) {
+        throw new ConflictError(EMAIL_TAKEN);
+      }
+
+      const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+      // A concurrent signup with the same email can get in after the check
+      // above; the unique index on email catches it
+      const user = await userRepository.create(normalizedEmail, passwordHash).catch((error) => {
+        throw error.code === UNIQUE_VIOLATION ? new ConflictError(EMAIL_TAKEN) : error;
+      });
+
+      res.status(201).json({ user: toPublicUser(user), token: signToken(user.id) });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async login(req, res, next) {
+    try {
+      const { email, password } = req.body;
+
+      const details = checkCredentialsPresent(email, password);
+      if (details.length > 0) {
+        throw new ValidationError(details);
+      }
+
+      const user = await userRepository.findByEmail(email.trim().toLowerCase());
+      const passwordMatches = await bcrypt.compare(password, user ? user.password_hash : DUMMY_HASH);
+
+      if (!user || !passwordMatches) {
+        throw new AuthenticationError('Invalid email or password');
+      }
+
+      res.json({ user: toPublicUser(user), token: signToken(user.id) });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = authController;
@@ -0,0 +1,375 @@
+const { once } = require('events');
+const path = require('path');
+const zlib = require('zlib');
+const archiver = require('archiver');
+const AdmZip = require('adm-zip');
+const { noteRepository } = require('../repositories');
+const { formatRow, parseCsv } = require('../utils/csv');
+const { toMarkdown, fromMarkdown } = require('../utils/frontMatter');
+const { AppError, BadRequestError, ValidationError } = require('../errors');
+const { checkSchema } = require('../utils/validation');
+const { importedNote } = require('../schemas/noteSchemas');
+const { logger } = require('../utils/logger');
+
+const EXPORT_PAGE_SIZE = 100;
+const EXPORT_FIELDS = ['id', 'title', 'content', 'format', 'tags', 'created_at', 'updated_at'];
+const MAX_IMPORT_NOTES = 1000;
+const MAX_ARCHIVE_ENTRY_BYTES = 1024 * 1024;
+const MAX_ARCHIVE_BYTES = 20 * 1024 * 1024;
+// Zip compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+const exportFilename = (extension) => `quicknote-export-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+const slugify = (title) => title
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 50) || 'note';
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : '');
+
+const pickExportFields = (note) => Object.fromEntries(EXPORT_FIELDS.map((field) => [field, note[field]]));
+
+/**
+ * Yields every note the user has outside the trash, archived ones
+ * included, oldest first, fetching a page at a time so large exports don't
+ * sit in memory.
+ */
+async function* allNotes(userId) {
+  let cursor;
+
+  do {
+    const page = await noteRepository.findAll(userId, {
+      sort: 'created_at',
+      order: 'asc',
+      cursor,
+      limit: EXPORT_PAGE_SIZE,
+      archived: true,
+      pinnedFirst: false
+    });
+    yield* page;
+
+    const last = page[page.length - 1];
+    cursor = page.length === EXPORT_PAGE_SIZE ? { value: last.created_at, id: last.id } : null;
+  } while (cursor);
+}
+
+// Thrown to stop an export whose client has gone away
+class ClientGoneError extends Error {}
+
+/**
+ * Waits for `promise`, or throws ClientGoneError as soon as the response
+ * closes first, so an abandoned export stops paging through the notes
+ * instead of waiting forever for a `drain` that will never come.
+ */
+const whileConnected = async (res, promise) => {
+  if (res.destroyed) {
+    throw new ClientGoneError();
+  }
+
+  const closed = new AbortController();
+  try {
+    const done = await Promise.race([
+      promise.then(() => true),
+      once(res, 'close', { signal: closed.signal }).then(() => false)
+    ]);
+    if (!done) {
+      throw new ClientGoneError();
+    }
+  } finally {
+    closed.abort();
+  }
+};
+
+// Respects backpressure so a slow client doesn't buffer the whole export
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await whileConnected(res, once(res, 'drain'));
+  }
+};
+
+const exporters = {
+  async json(res, notes) {
+    res.attachment(exportFilename('json'));
+    await write(res, `{"exportedAt":${JSON.stringify(new Date())},"notes":[`);
+
+    let separator = '';
+    for await (const note of notes) {
+      await write(res, separator + JSON.stringify(pickExportFields(note)));
+      separator = ',';
+    }
+
+    res.end(']}');
+  },
+
+  async csv(res, notes) {
+    res.attachment(exportFilename('csv'));
+    await write(res, `${formatRow(EXPORT_FIELDS)}\r\n`);
+
+    for await (const note of notes) {
+      const row = formatRow([
+        note.id,
+        note.title,
+        note.content,
+        note.format,
+        // The tags are a CSV row of their own, so a comma in a tag name is quoted
+        formatRow(note.tags),
+        toIsoString(note.created_at),
+        toIsoString(note.updated_at)
+      ]);
+      await write(res, `${row}\r\n`);
+    }
+
+    res.end();
+  },
+
+  async markdown(res, notes) {
+    const archive = archiver('zip');
+    archive.on('error', (error) => res.destroy(error));
+
+    res.attachment(exportFilename('zip'));
+    archive.pipe(res);
+
+    for await (const note of notes) {
+      if (res.destroyed) {
+        throw new ClientGoneError();
+      }
+      archive.append(toMarkdown(note), { name: `${note.id}-${slugify(note.title)}.md`, date: note.updated_at });
+    }
+
+    await whileConnected(res, archive.finalize());
+  }
+};
+
+const readCsvEntries = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((name) => name.trim());
+
+  if (!columns.includes('title') || !columns.includes('content')) {
+    throw new BadRequestError('CSV must have title and content columns');
+  }
+
+  return rows
+    .filter((row) => row.some((value) => value.length > 0))
+    .map((row) => {
+      const entry = Object.fromEntries(columns.map((column, i) => [column, row[i]]));
+
+      const [tags = []] = entry.tags ? parseCsv(entry.tags) : [];
+      entry.tags = entry.tags ? tags.map((tag) => tag.trim()).filter(Boolean) : undefined;
+      // Empty cells mean the value wasn't given
+      for (const column of ['format', 'created_at', 'updated_at']) {
+        entry[column] = entry[column] || undefined;
+      }
+
+      return entry;
+    });
+};
+
+/**
+ * Decompresses one archive entry, giving up once the output passes
+ * `maxBytes`. The sizes an archive declares for its entries aren't trusted;
+ * only what actually comes out of the decompressor counts. Returns null if
+ * the entry is too large.
+ */
+const inflateEntry = (file, maxBytes) => {
+  const { method, encrypted } = file.header;
+
+  if (encrypted) {
+    throw new BadRequestError('Archive contains an encrypted file');
+  }
+
+  if (method !== STORED && method !== DEFLATED) {
+    throw new BadRequestError('Archive contains a file with an unsupported compression method');
+  }
+
+  let data;
+  try {
+    data = file.getCompressedData();
+    if (method === DEFLATED) {
+      data = zlib.inflateRawSync(data, { maxOutputLength: maxBytes + 1 });
+    }
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      return null;
+    }
+    throw new BadRequestError('Invalid zip archive');
+  }
+
+  return data.length > maxBytes ? null : data;
+};
+
+const readArchiveEntries = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new BadRequestError('Invalid zip archive');
+  }
+
+  const files = zip.getEntries()
+    .filter((file) => !file.isDirectory && file.entryName.endsWith('.md') && !file.entryName.startsWith('__MACOSX/'))
+    .sort((a, b) => a.entryName.localeCompare(b.entryName));
+
+  // Checked before anything is decompressed
+  if (files.length > MAX_IMPORT_NOTES) {
+    throw new BadRequestError(`An import can hold at most ${MAX_IMPORT_NOTES} notes`);
+  }
+
+  let totalBytes = 0;
+
+  return files.map((file) => {
+    const data = inflateEntry(file, MAX_ARCHIVE_ENTRY_BYTES);
+    if (!data) {
+      throw new BadRequestError('Archive contains a file larger than 1 MB');
+    }
+
+    totalBytes += data.length;
+    if (totalBytes > MAX_ARCHIVE_BYTES) {
+      throw new BadRequestError('Archive is larger than 20 MB uncompressed');
+    }
+
+    const entry = fromMarkdown(data.toString('utf8'));
+
+    // Hand-written files without front matter are titled after the file
+    if (entry.title === undefined) {
+      entry.title = path.basename(file.entryName, '.md');
+    }
+
+    if (entry.format === undefined) {
+      entry.format = 'markdown';
+    }
+
+    return entry;
+  });
+};
+
+/**
+ * Reads the notes out of an import body: a JSON export (or a bare array of
+ * notes), a CSV export, or a zip of Markdown files. Throws if the body
+ * can't be read.
+ */
+const readImport = (req) => {
+  if (req.is('application/zip')) {
+    if (!Buffer.isBuffer(req.body)) {
+      throw new BadRequestError('Import body is empty');
+    }
+    return readArchiveEntries(req.body);
+  }
+
+  if (req.is('text/csv')) {
+    try {
+      return readCsvEntries(typeof req.body === 'string' ? req.body : '');
+    } catch (error) {
+      throw error instanceof AppError ? error : new BadRequestError(`Invalid CSV: ${error.message}`);
+    }
+  }
+
+  if (req.is('application/json')) {
+    const entries = Array.isArray(req.body) ? req.body : req.body.notes;
+
+    if (!Array.isArray(entries)) {
+      throw new BadRequestError('JSON import must be an array of notes or an export file');
+    }
+    return entries;
+  }
+
+  throw new AppError('Import must be JSON, CSV or a zip archive of Markdown files', {
+    statusCode: 415,
+    code: 'UNSUPPORTED_MEDIA_TYPE'
+  });
+};
+
+const duplicateKey = ({ title, content }) => `${title}\u0000${content}`;
+
+const backupController = {
+  async exportNotes(req, res, next) {
+    try {
+      await exporters[req.query.format](res, allNotes(req.user.id));
+    } catch (error) {
+      if (error instanceof ClientGoneError) {
+        logger.info('Export abandoned by the client');
+        return;
+      }
+
+      // Once streaming has started the status is already sent
+      if (res.headersSent) {
+        logger.error('Error exporting notes', { error });
+        return res.destroy(error);
+      }
+
+      next(error);
+    }
+  },
+
+  async importNotes(req, res, next) {
+    try {
+      const entries = readImport(req);
+
+      if (entries.length === 0) {
+        throw new BadRequestError('Import contains no notes');
+      }
+
+      if (entries.length > MAX_IMPORT_NOTES) {
+        throw new BadRequestError(`An import can hold at most ${MAX_IMPORT_NOTES} notes`);
+      }
+
+      // Each note is checked with the same rules as POST /notes
+      const items = [];
+      const candidates = [];
+      entries.forEach((entry, index) => {
+        const { values: fields, details } = checkSchema(importedNote, entry, { prefix: `notes[${index}].` });
+
+        if (details.length > 0) {
+          items[index] = { index, status: 'failed', error: new ValidationError(details).toJSON() };
+        } else {
+          candidates.push({ index, fields });
+        }
+      });
+
+      // A note counts as a duplicate if the user already has one with the
+      // same title and content, or it appeared earlier in this import
+      const existing = candidates.length > 0
+        ? await noteRepository.findExisting(req.user.id, candidates.map(({ fields }) => fields))
+        : [];
+      const existingKeys = new Set(existing.map(duplicateKey));
+      const importedKeys = new Map();
+
+      for (const { index, fields } of candidates) {
+        const key = duplicateKey(fields);
+
+        if (existingKeys.has(key)) {
+          items[index] = { index, status: 'skipped', reason: 'A note with the same title and content already exists' };
+          continue;
+        }
+
+        if (importedKeys.has(key)) {
+          items[index] = { index, status: 'skipped', reason: `Duplicate of note ${importedKeys.get(key)} in this import` };
+          continue;
+        }
+
+        importedKeys.set(key, index);
+
+        try {
+          const note = await noteRepository.create(req.user.id, fields.title, fields.content, fields.tags || [], {
+            format: fields.format,
+            createdAt: fields.created_at,
+            updatedAt: fields.updated_at
+          });
+          items[index] = { index, status: 'created', id: note.id };
+        } catch (createError) {
+          logger.error('Error importing note', { index, error: createError });
+          items[index] = { index, status: 'failed', error: new AppError('Failed to import note').toJSON() };
+        }
+      }
+
+      const count = (outcome) => items.filter((item) => item.status === outcome).length;
+      res.json({ created: count('created'), skipped: count('skipped'), failed: count('failed'), items });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = backupController;
@@ -0,0 +1,124 @@
+const { noteRepository } = require('../repositories');
+const { AppError, ConflictError, NotFoundError, ValidationError } = require('../errors');
+const { checkSchema } = require('../utils/validation');
+const { batchOperations, batchOperation } = require('../schemas/noteSchemas');
+const { logger } = require('../utils/logger');
+
+/**
+ * Validates one batch item against the schema for its `op` (see
+ * schemas/noteSchemas). Returns `{ operation }` or `{ details }`, with
+ * field names prefixed by the item's position in the batch.
+ */
+const parseOperation = (item, index) => {
+  const op = item && Object.hasOwn(batchOperations, item.op) ? item.op : null;
+  const { values, details } = checkSchema(op ? batchOperations[op] : batchOperation, item, {
+    prefix: `operations[${index}].`
+  });
+
+  if (details.length > 0) {
+    return { details };
+  }
+
+  const { id, version, ...fields } = values;
+  delete fields.op;
+
+  const expectedVersions = version === undefined ? null : [version];
+  return { operation: { op, id, fields, expectedVersions } };
+};
+
+/**
+ * Runs one validated operation, on `client` when it belongs to a shared
+ * transaction. Throws a NotFoundError or VersionConflictError for items
+ * that can't be applied.
+ */
+const execute = async (userId, { op, id, fields, expectedVersions }, client) => {
+  if (op === 'create') {
+    const note = await noteRepository.create(userId, fields.title, fields.content, fields.tags || [], {
+      format: fields.format,
+      notebookId: fields.notebook_id,
+      color: fields.color,
+      client
+    });
+    return { status: 201, note };
+  }
+
+  const note = op === 'update'
+    ? await noteRepository.update(userId, id, fields, { expectedVersions, client })
+    : await noteRepository.delete(userId, id, { client });
+
+  if (!note) {
+    throw new NotFoundError('Note not found');
+  }
+
+  return { status: 200, note };
+};
+
+const failedResult = (index, error) => ({ index, status: error.statusCode, error: error.toJSON() });
+
+const batchController = {
+  async batchNotes(req, res, next) {
+    try {
+      const { operations, mode } = req.body;
+      const parsed = operations.map(parseOperation);
+      const userId = req.user.id;
+
+      if (mode === 'atomic') {
+        const details = parsed.flatMap((item) => item.details || []);
+
+        if (details.length > 0) {
+          throw new ValidationError(details, 'Batch contains invalid operations; no changes were made');
+        }
+
+        // Run everything on one client so a failing item rolls back the rest
+        const results = [];
+        let index = 0;
+        try {
+          await noteRepository.transaction(async (client) => {
+            for (const { operation } of parsed) {
+              results.push({ index, ...(await execute(userId, operation, client)) });
+              index += 1;
+            }
+          });
+        } catch (error) {
+          if (!(error instanceof AppError)) {
+            throw error;
+          }
+
+          throw new ConflictError(`Operation ${index} failed; no changes were made`, {
+            failure: failedResult(index, error)
+          });
+        }
+
+        return res.json({ mode, results });
+      }
+
+      // Best effort: every item stands alone and reports its own outcome
+      const results = [];
+      for (const [index, { operation, details }] of parsed.entries()) {
+        if (details) {
+          results.push(failedResult(index, new ValidationError(details)));
+          continue;
+        }
+
+        try {
+          results.push({ index, ...(await execute(userId, operation)) });
+        } catch (error) {
+          if (error instanceof AppError) {
+            results.push(failedResult(index, error));
+            continue;
+          }
+
+          logger.error('Error running batch operation', { index, error });
+          results.push(failedResult(index, new AppError(`Failed to ${operation.op} note`)));
+        }
+      }
+
+      const succeeded = results.filter(({ status }) => status < 400).length;
+      res.json({ mode, succeeded, failed: results.length - succeeded, results });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = batchController;
@@ -0,0 +1,9 @@
+const { openApiDocument } = require('../openapi');
+
+const docsController = {
+  getOpenApiDocument(req, res) {
+    res.json(openApiDocument);
+  }
+};
+
+module.exports = docsController;
@@ -0,0 +1,155 @@
+const NoteEvent = require('../models/NoteEvent');
+const { noteEventHub } = require('../events/noteEventHub');
+const { ValidationError } = require('../errors');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_HEARTBEAT_SECONDS = 15;
+// How long EventSource clients wait before reconnecting
+const RETRY_MS = 3000;
+// Missed events replayed per query
+const REPLAY_BATCH_SIZE = 100;
+
+const HEARTBEAT_MS = (Number(process.env.SSE_HEARTBEAT_SECONDS) || DEFAULT_HEARTBEAT_SECONDS) * 1000;
+
+/**
+ * Reads the id of the last event a reconnecting client saw. Returns null
+ * for a new client.
+ */
+const lastEventId = (req) => {
+  const value = req.get('Last-Event-ID');
+
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  if (!/^\d{1,10}$/.test(value)) {
+    throw new ValidationError([
+      { field: 'Last-Event-ID', location: 'headers', rule: 'type', message: 'Last-Event-ID must be an event id' }
+    ]);
+  }
+
+  return Number(value);
+};
+
+const formatEvent = ({ id, type, note_id, version }) =>
+  `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ note_id, version })}\n\n`;
+
+const eventController = {
+  /**
+   * Streams the user's note changes as Server-Sent Events. A client that
+   * reconnects with Last-Event-ID first gets every event it missed, in
+   * order, then live ones. If some of the events it missed have already
+   * been pruned, it gets a `reset` event instead, telling it to reload
+   * its notes.
+   */
+  async streamEvents(req, res, next) {
+    const userId = req.user.id;
+    let lastId;
+    let missedPruned;
+    let unsubscribe;
+    let heartbeat;
+    let closed = false;
+
+    res.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    });
+
+    // Live events wait here while missed ones are replayed, so they are
+    // sent in order and only once
+    let replaying = true;
+    let waiting = [];
+    let replays = Promise.resolve();
+
+    const send = (event) => {
+      if (event.id <= lastId) {
+        return;
+      }
+
+      res.write(formatEvent(event));
+      lastId = event.id;
+    };
+
+    const onEvent = (event) => {
+      if (replaying) {
+        waiting.push(event);
+      } else {
+        send(event);
+      }
+    };
+
+    const replayMissed = async () => {
+      replaying = true;
+
+      try {
+        let batch;
+        do {
+          batch = await NoteEvent.findAfter(userId, lastId, REPLAY_BATCH_SIZE);
+          batch.forEach(send);
+        } while (batch.length === REPLAY_BATCH_SIZE);
+      } finally {
+        replaying = false;
+        waiting.forEach(send);
+        waiting = [];
+      }
+    };
+
+    // On failure the stream is closed, and the client reconnects with its
+    // Last-Event-ID to pick up where it left off
+    const catchUp = () => {
+      replays = replays.then(replayMissed).catch((error) => {
+        logger.error('Error streaming note events', { error });
+        res.end();
+      });
+    };
+
+    try {
+      const requestedId = lastEventId(req);
+      const resumable = requestedId !== null && await NoteEvent.exists(userId, requestedId);
+      missedPruned = requestedId !== null && !resumable;
+
+      // Other clients start from the latest event. It is read before
+      // subscribing, and anything committed in between is replayed.
+      lastId = resumable ? requestedId : await NoteEvent.latestId(userId);
+      // When the server shuts down the stream ends, and the client
+      // reconnects to another instance with its Last-Event-ID
+      unsubscribe = await noteEventHub.subscribe(userId, {
+        onEvent,
+        onReconnect: catchUp,
+        onClose: () => res.end()
+      });
+    } catch (error) {
+      return next(error);
+    }
+
+    // The client may have gone away while the feed was being set up
+    if (closed) {
+      unsubscribe();
+      return;
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Keeps reverse proxies like nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    if (missedPruned) {
+      res.write('event: reset\ndata: {}\n\n');
+    }
+
+    // Comments keep idle connections from being closed by proxies
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    catchUp();
+  }
+};
+
+module.exports = eventController;
@@ -0,0 +1,83 @@
+const pool = require('../config/database');
+const { pendingMigrations } = require('../db/migrator');
+const { noteRepositoryType } = require('../repositories');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Runs one readiness check under the timeout. A check resolves with the
+ * details to report, or throws when it fails; failures are logged, and
+ * reported with just their message.
+ */
+const runCheck = async (name, check, timeoutMs) => {
+  const started = Date.now();
+
+  try {
+    const details = await withTimeout(check(), timeoutMs);
+    return { status: 'ok', duration_ms: Date.now() - started, ...details };
+  } catch (error) {
+    logger.warn('Readiness check failed', { check: name, error });
+    return { status: 'error', duration_ms: Date.now() - started, message: error.message };
+  }
+};
+
+const checkDatabase = async () => {
+  await pool.query('SELECT 1');
+  return {};
+};
+
+const checkMigrations = async () => {
+  const pending = await pendingMigrations();
+
+  if (pending.length > 0) {
+    throw new Error(`Pending migrations: ${pending.join(', ')}`);
+  }
+
+  return {};
+};
+
+// Without Postgres behind the repositories there is nothing to check
+const READINESS_CHECKS = noteRepositoryType === 'postgres'
+  ? { database: checkDatabase, migrations: checkMigrations }
+  : {};
+
+const healthController = {
+  /**
+   * The process is up and serving requests. Says nothing about the
+   * database, so a database outage doesn't get every instance restarted.
+   */
+  live(req, res) {
+    res.json({ status: 'ok', message: 'QuickNote API is running' });
+  },
+
+  /**
+   * The instance can serve traffic: the database answers within
+   * HEALTH_CHECK_TIMEOUT_MS and its schema is up to date. Responds 503
+   * otherwise, with the result of each check.
+   */
+  async ready(req, res) {
+    const timeoutMs = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+    const results = await Promise.all(Object.entries(READINESS_CHECKS)
+      .map(async ([name, check]) => [name, await runCheck(name, check, timeoutMs)]));
+    const checks = Object.fromEntries(results);
+
+    const ready = Object.values(checks).every(({ status }) => status === 'ok');
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ok' : 'unavailable',
+      checks
+    });
+  }
+};
+
+module.exports = healthController;
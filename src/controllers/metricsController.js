@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const { registry } = require('../metrics');
+const { AuthenticationError } = require('../errors');
+
+const sameSecret = (given, expected) => {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const metricsController = {
+  /**
+   * Serves every metric in the Prometheus text format. With METRICS_TOKEN
+   * set, scrapers have to send it as `Authorization: Bearer <token>`.
+   */
+  async getMetrics(req, res, next) {
+    try {
+      const expected = process.env.METRICS_TOKEN;
+
+      if (expected) {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+        if (scheme !== 'Bearer' || !token || !sameSecret(token, expected)) {
+          throw new AuthenticationError('A valid metrics token is required');
+        }
+      }
+
+      res.set('Content-Type', registry.contentType);
+      res.send(await registry.metrics());
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = metricsController;
@@ -1,131 +1,277 @@
-const Note = require('../models/Note');
+const { noteRepository } = require('../repositories');
+const { NotFoundError, ValidationError, VersionConflictError } = require('../errors');
+const { buildTsQuery } = require('../utils/searchQuery');
+const { renderNote } = require('../utils/render');
+const { formatETag, parseIfMatch, matchesIfNoneMatch } = require('../utils/etag');
+const { parseDate } = require('../utils/validation');
 
-const MAX_TITLE_LENGTH = 255;
-const MAX_CONTENT_LENGTH = 500;
+const DATE_FILTERS = ['createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore'];
+const TIMESTAMP_SORT_FIELDS = ['created_at', 'updated_at'];
 
 /**
- * Strips HTML tags from user input to prevent stored XSS attacks.
+ * Cursors are opaque to clients: base64url-encoded JSON holding the sort
+ * value, pinned flag and id of the last note on the page, plus the sort
+ * they belong to.
  */
-const sanitize = (str) => str.replace(/<[^>]*>/g, '');
+const encodeCursor = (note, sort, order) => {
+  const payload = { s: sort, o: order, v: note[sort], p: note.pinned, id: note.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Returns the `{ value, id, pinned }` keyset for a cursor, or null if the
+ * cursor is malformed or was issued for a different sort.
+ */
+const decodeCursor = (cursor, sort, order) => {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload || payload.s !== sort || payload.o !== order) {
+    return null;
+  }
+
+  if (!Number.isInteger(payload.id) || typeof payload.v !== 'string' || typeof payload.p !== 'boolean') {
+    return null;
+  }
+
+  const keyset = { value: payload.v, id: payload.id, pinned: payload.p };
+
+  if (TIMESTAMP_SORT_FIELDS.includes(sort)) {
+    keyset.value = parseDate(payload.v);
+    return keyset.value ? keyset : null;
+  }
+
+  return keyset;
+};
+
+/**
+ * Applies an update for PUT or PATCH, honoring an If-Match header. A stale
+ * ETag gets a 412 carrying the note as it is now, so the client can merge
+ * and retry.
+ */
+const applyUpdate = async (req, res, fields) => {
+  const { id } = req.params;
+  const expectedVersions = parseIfMatch(req.get('If-Match'), id);
+
+  let note;
+  try {
+    note = await noteRepository.update(req.user.id, id, fields, { expectedVersions });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      res.set('ETag', formatETag(error.current));
+    }
+    throw error;
+  }
+
+  if (!note) {
+    throw new NotFoundError('Note not found');
+  }
+
+  res.set('ETag', formatETag(note));
+  res.json(note);
+};
+
+/**
+ * Applies a pin or archive action. These don't touch the note's content,
+ * so they don't take If-Match.
+ */
+const applyFlags = async (req, res, flags) => {
+  const note = await noteRepository.setFlags(req.user.id, req.params.id, flags);
+
+  if (!note) {
+    throw new NotFoundError('Note not found');
+  }
+
+  res.set('ETag', formatETag(note));
+  res.json(note);
+};
 
 const noteController = {
-  async createNote(req, res) {
+  async createNote(req, res, next) {
     try {
-      const { title, content } = req.body;
+      const { title, content, format, tags = [], notebook_id: notebookId, color } = req.body;
+      const note = await noteRepository.create(req.user.id, title, content, tags, { format, notebookId, color });
 
-      if (!title || !content) {
-        return res.status(400).json({ error: 'Title and content are required' });
-      }
+      res.set('ETag', formatETag(note));
+      res.status(201).json(note);
+    } catch (error) {
+      next(error);
+    }
+  },
 
-      if (title.trim().length === 0) {
-        return res.status(400).json({ error: 'Title cannot be empty' });
+  async getAllNotes(req, res, next) {
+    try {
+      const { sort, order, limit, includeDeleted, archived, tag, tagMatch, notebook, recursive } = req.query;
+
+      const filters = { includeDeleted, archived };
+      for (const name of DATE_FILTERS) {
+        if (req.query[name]) {
+          filters[name] = req.query[name];
+        }
       }
 
-      if (content.trim().length === 0) {
-        return res.status(400).json({ error: 'Content cannot be empty' });
+      if (tag) {
+        filters.tags = tag;
+        filters.tagMatch = tagMatch;
       }
 
-      if (title.trim().length > MAX_TITLE_LENGTH) {
-        return res.status(400).json({ error: `Title must be ${MAX_TITLE_LENGTH} characters or less` });
+      if (notebook) {
+        filters.notebookId = notebook;
+        filters.recursive = recursive;
       }
 
-      if (content.trim().length > MAX_CONTENT_LENGTH) {
-        return res.status(400).json({ error: `Content must be ${MAX_CONTENT_LENGTH} characters or less` });
+      let cursor;
+      if (req.query.cursor !== undefined) {
+        cursor = decodeCursor(req.query.cursor, sort, order);
+
+        if (!cursor) {
+          throw new ValidationError([
+            { field: 'cursor', location: 'query', rule: 'cursor', message: 'Invalid cursor' }
+          ]);
+        }
       }
 
-      const sanitizedTitle = sanitize(title.trim());
-      const sanitizedContent = sanitize(content.trim());
+      // Fetch one extra row to find out whether another page exists
+      const notes = await noteRepository.findAll(req.user.id, { ...filters, sort, order, cursor, limit: limit + 1 });
+      const hasMore = notes.length > limit;
+      const data = hasMore ? notes.slice(0, limit) : notes;
+      const nextCursor = hasMore ? encodeCursor(data[data.length - 1], sort, order) : null;
 
-      const note = await Note.create(sanitizedTitle, sanitizedContent);
-      res.status(201).json(note);
+      res.json({ data, nextCursor, hasMore });
     } catch (error) {
-      console.error('Error creating note:', error);
-      res.status(500).json({ error: 'Failed to create note' });
+      next(error);
     }
   },
 
-  async getAllNotes(req, res) {
+  async searchNotes(req, res, next) {
     try {
-      const notes = await Note.findAll();
-      res.json(notes);
+      const { q, limit } = req.query;
+      const tsQuery = buildTsQuery(q);
+
+      if (!tsQuery) {
+        throw new ValidationError([{
+          field: 'q',
+          location: 'query',
+          rule: 'searchTerm',
+          message: 'Search query must include at least one search term'
+        }]);
+      }
+
+      const notes = await noteRepository.search(req.user.id, tsQuery, { limit });
+      res.json({ data: notes });
     } catch (error) {
-      console.error('Error fetching notes:', error);
-      res.status(500).json({ error: 'Failed to fetch notes' });
+      next(error);
     }
   },
 
-  async getNoteById(req, res) {
+  async getNoteById(req, res, next) {
     try {
       const { id } = req.params;
-      const note = await Note.findById(id);
+      const note = await noteRepository.findById(req.user.id, id, { includeDeleted: req.query.includeDeleted });
 
       if (!note) {
-        return res.status(404).json({ error: 'Note not found' });
+        throw new NotFoundError('Note not found');
+      }
+
+      const etag = formatETag(note);
+      res.set('ETag', etag);
+
+      if (matchesIfNoneMatch(req.get('If-None-Match'), etag)) {
+        return res.status(304).end();
       }
 
       res.json(note);
     } catch (error) {
-      console.error('Error fetching note:', error);
-      res.status(500).json({ error: 'Failed to fetch note' });
+      next(error);
     }
   },
 
-  async updateNote(req, res) {
+  async getRenderedNote(req, res, next) {
     try {
       const { id } = req.params;
-      const { title, content } = req.body;
+      const note = await noteRepository.findById(req.user.id, id);
 
-      if (!title || !content) {
-        return res.status(400).json({ error: 'Title and content are required' });
-      }
-
-      if (title.trim().length === 0) {
-        return res.status(400).json({ error: 'Title cannot be empty' });
-      }
-
-      if (content.trim().length === 0) {
-        return res.status(400).json({ error: 'Content cannot be empty' });
+      if (!note) {
+        throw new NotFoundError('Note not found');
       }
 
-      if (title.trim().length > MAX_TITLE_LENGTH) {
-        return res.status(400).json({ error: `Title must be ${MAX_TITLE_LENGTH} characters or less` });
-      }
+      res.json({ id: note.id, format: note.format, html: renderNote(note) });
+    } catch (error) {
+      next(error);
+    }
+  },
 
-      if (content.trim().length > MAX_CONTENT_LENGTH) {
-        return res.status(400).json({ error: `Content must be ${MAX_CONTENT_LENGTH} characters or less` });
-      }
+  async updateNote(req, res, next) {
+    try {
+      // Tags and format are only replaced when the client sends them
+      await applyUpdate(req, res, req.body);
+    } catch (error) {
+      next(error);
+    }
+  },
 
-      const sanitizedTitle = sanitize(title.trim());
-      const sanitizedContent = sanitize(content.trim());
+  async patchNote(req, res, next) {
+    try {
+      await applyUpdate(req, res, req.body);
+    } catch (error) {
+      next(error);
+    }
+  },
 
-      const note = await Note.update(id, sanitizedTitle, sanitizedContent);
+  async deleteNote(req, res, next) {
+    try {
+      const { id } = req.params;
+      const note = await noteRepository.delete(req.user.id, id);
 
       if (!note) {
-        return res.status(404).json({ error: 'Note not found' });
+        throw new NotFoundError('Note not found');
       }
 
-      res.json(note);
+      res.json({ message: 'Note moved to trash', note });
     } catch (error) {
-      console.error('Error updating note:', error);
-      res.status(500).json({ error: 'Failed to update note' });
+      next(error);
     }
   },
 
-  async deleteNote(req, res) {
+  async pinNote(req, res, next) {
     try {
-      const { id } = req.params;
-      const note = await Note.delete(id);
+      await applyFlags(req, res, { pinned: true });
+    } catch (error) {
+      next(error);
+    }
+  },
 
-      if (!note) {
-        return res.status(404).json({ error: 'Note not found' });
-      }
+  async unpinNote(req, res, next) {
+    try {
+      await applyFlags(req, res, { pinned: false });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async archiveNote(req, res, next) {
+    try {
+      await applyFlags(req, res, { archived: true });
+    } catch (error) {
+      next(error);
+    }
+  },
 
-      res.json({ message: 'Note deleted successfully', note });
+  async unarchiveNote(req, res, next) {
+    try {
+      await applyFlags(req, res, { archived: false });
     } catch (error) {
-      console.error('Error deleting note:', error);
-      res.status(500).json({ error: 'Failed to delete note' });
+      next(error);
     }
   }
 };
 
-module.exports = noteController;
\ No newline at end of file
+module.exports = noteController;
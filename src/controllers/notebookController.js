@@ -0,0 +1,88 @@
+const Notebook = require('../models/Notebook');
+const { NotFoundError, ValidationError } = require('../errors');
+
+const notebookController = {
+  async getAllNotebooks(req, res, next) {
+    try {
+      const notebooks = await Notebook.findAll(req.user.id);
+      res.json(notebooks);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async getNotebookById(req, res, next) {
+    try {
+      const notebook = await Notebook.findById(req.user.id, req.params.id);
+
+      if (!notebook) {
+        throw new NotFoundError('Notebook not found');
+      }
+
+      res.json(notebook);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async createNotebook(req, res, next) {
+    try {
+      const { name, parent_id: parentId = null } = req.body;
+      const notebook = await Notebook.create(req.user.id, name, parentId);
+
+      if (!notebook) {
+        throw new NotFoundError('Parent notebook not found');
+      }
+
+      res.status(201).json(notebook);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async updateNotebook(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { name, parent_id: parentId } = req.body;
+
+      if (parentId === id) {
+        throw new ValidationError([
+          { field: 'parent_id', location: 'body', rule: 'notSelf', message: 'A notebook cannot be its own parent' }
+        ]);
+      }
+
+      const notebook = await Notebook.update(req.user.id, id, { name, parentId });
+
+      if (!notebook) {
+        throw new NotFoundError('Notebook not found');
+      }
+
+      res.json(notebook);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async deleteNotebook(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { mode } = req.query;
+      const deleted = await Notebook.delete(req.user.id, id, { mode });
+
+      if (!deleted) {
+        throw new NotFoundError('Notebook not found');
+      }
+
+      res.json({
+        message: 'Notebook deleted successfully',
+        notebook: deleted.notebook,
+        mode,
+        [mode === 'cascade' ? 'trashed_notes' : 'moved_notes']: deleted.noteCount
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = notebookController;
@@ -0,0 +1,99 @@
+const Reminder = require('../models/Reminder');
+const { noteRepository } = require('../repositories');
+const { NotFoundError, ValidationError } = require('../errors');
+
+const reminderController = {
+  async createReminder(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { remind_at: remindAt, recurrence } = req.body;
+
+      if (remindAt <= new Date()) {
+        throw new ValidationError([
+          { field: 'remind_at', location: 'body', rule: 'future', message: 'remind_at must be in the future' }
+        ]);
+      }
+
+      const reminder = await Reminder.create(req.user.id, id, { remindAt, recurrence });
+
+      if (!reminder) {
+        throw new NotFoundError('Note not found');
+      }
+
+      res.status(201).json(reminder);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async listReminders(req, res, next) {
+    try {
+      const { id } = req.params;
+      const note = await noteRepository.findById(req.user.id, id);
+
+      if (!note) {
+        throw new NotFoundError('Note not found');
+      }
+
+      const reminders = await Reminder.findAllForNote(req.user.id, id);
+      res.json({ data: reminders });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async getDueReminders(req, res, next) {
+    try {
+      const reminders = await Reminder.findDue(req.user.id);
+      res.json({ data: reminders });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async snoozeReminder(req, res, next) {
+    try {
+      const { id } = req.params;
+      const until = new Date(Date.now() + req.body.minutes * 60 * 1000);
+      const reminder = await Reminder.snooze(req.user.id, id, until);
+
+      if (!reminder) {
+        throw new NotFoundError('Due reminder not found');
+      }
+
+      res.json(reminder);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async dismissReminder(req, res, next) {
+    try {
+      const reminder = await Reminder.dismiss(req.user.id, req.params.id);
+
+      if (!reminder) {
+        throw new NotFoundError('Due reminder not found');
+      }
+
+      res.json(reminder);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async deleteReminder(req, res, next) {
+    try {
+      const reminder = await Reminder.delete(req.user.id, req.params.id);
+
+      if (!reminder) {
+        throw new NotFoundError('Reminder not found');
+      }
+
+      res.json({ message: 'Reminder deleted successfully', reminder });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = reminderController;
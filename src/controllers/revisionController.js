@@ -0,0 +1,101 @@
+const { diffLines } = require('diff');
+const { noteRepository } = require('../repositories');
+const NoteRevision = require('../models/NoteRevision');
+const { NotFoundError } = require('../errors');
+
+const CURRENT = 'current';
+
+const changeType = (part) => {
+  if (part.added) return 'added';
+  if (part.removed) return 'removed';
+  return 'unchanged';
+};
+
+/**
+ * Line-by-line diff of the content plus a before/after of the title.
+ */
+const buildDiff = (from, to) => ({
+  title: { from: from.title, to: to.title, changed: from.title !== to.title },
+  changes: diffLines(from.content, to.content).map((part) => ({
+    type: changeType(part),
+    value: part.value
+  }))
+});
+
+const revisionController = {
+  async listRevisions(req, res, next) {
+    try {
+      const { id } = req.params;
+      const note = await noteRepository.findById(req.user.id, id);
+
+      if (!note) {
+        throw new NotFoundError('Note not found');
+      }
+
+      const revisions = await NoteRevision.findAllForNote(req.user.id, id);
+      res.json(revisions);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async getRevision(req, res, next) {
+    try {
+      const { id, rev } = req.params;
+      const revision = await NoteRevision.findOne(req.user.id, id, rev);
+
+      if (!revision) {
+        throw new NotFoundError('Revision not found');
+      }
+
+      res.json(revision);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async diffRevision(req, res, next) {
+    try {
+      const { id, rev } = req.params;
+      const to = req.query.to === CURRENT ? CURRENT : Number(req.query.to);
+
+      const from = await NoteRevision.findOne(req.user.id, id, rev);
+      const target = to === CURRENT
+        ? await noteRepository.findById(req.user.id, id)
+        : await NoteRevision.findOne(req.user.id, id, to);
+
+      if (!from || !target) {
+        throw new NotFoundError('Revision not found');
+      }
+
+      res.json({ from: rev, to, ...buildDiff(from, target) });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async restoreRevision(req, res, next) {
+    try {
+      const { id, rev } = req.params;
+      const revision = await NoteRevision.findOne(req.user.id, id, rev);
+
+      if (!revision) {
+        throw new NotFoundError('Revision not found');
+      }
+
+      // Goes through the normal update, so the current state becomes a
+      // revision itself and the restore can be undone
+      const note = await noteRepository.update(req.user.id, id, { title: revision.title, content: revision.content });
+
+      if (!note) {
+        throw new NotFoundError('Note not found');
+      }
+
+      res.json(note);
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = revisionController;
@@ -0,0 +1,105 @@
+const bcrypt = require('bcryptjs');
+const NoteShare = require('../models/NoteShare');
+const { noteRepository } = require('../repositories');
+const { AuthenticationError, NotFoundError, ValidationError } = require('../errors');
+const { generateShareToken, hashShareToken } = require('../utils/shareToken');
+
+const BCRYPT_ROUNDS = 10;
+
+// Password-protected shares take the password in a header rather than the
+// URL, so it doesn't end up in logs or browser history
+const PASSWORD_HEADER = 'X-Share-Password';
+
+const shareController = {
+  async createShare(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { password, expires_at: expiresAt } = req.body;
+
+      if (expiresAt && expiresAt <= new Date()) {
+        throw new ValidationError([
+          { field: 'expires_at', location: 'body', rule: 'future', message: 'expires_at must be in the future' }
+        ]);
+      }
+
+      const { token, tokenHash } = generateShareToken();
+      const passwordHash = password === undefined ? null : await bcrypt.hash(password, BCRYPT_ROUNDS);
+      const share = await NoteShare.create(req.user.id, id, { tokenHash, passwordHash, expiresAt });
+
+      if (!share) {
+        throw new NotFoundError('Note not found');
+      }
+
+      // The token is only ever returned here; just its hash is stored
+      res.status(201).json({ ...share, token, url: `/api/shared/${token}` });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async listShares(req, res, next) {
+    try {
+      const { id } = req.params;
+      const note = await noteRepository.findById(req.user.id, id);
+
+      if (!note) {
+        throw new NotFoundError('Note not found');
+      }
+
+      const shares = await NoteShare.findAllForNote(req.user.id, id);
+      res.json({ data: shares });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async revokeShare(req, res, next) {
+    try {
+      const { id, shareId } = req.params;
+      const share = await NoteShare.revoke(req.user.id, id, shareId);
+
+      if (!share) {
+        throw new NotFoundError('Share not found');
+      }
+
+      res.json({ message: 'Share revoked successfully', share });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Serves a shared note to anyone holding the token. Unknown, revoked and
+   * expired tokens all look the same to the caller.
+   */
+  async getSharedNote(req, res, next) {
+    try {
+      const share = await NoteShare.findActiveByTokenHash(hashShareToken(req.params.token));
+
+      if (!share) {
+        throw new NotFoundError('Shared note not found');
+      }
+
+      if (share.password_hash) {
+        const password = req.get(PASSWORD_HEADER);
+
+        if (!password) {
+          throw new AuthenticationError(`This share requires a password in the ${PASSWORD_HEADER} header`);
+        }
+
+        if (!(await bcrypt.compare(password, share.password_hash))) {
+          throw new AuthenticationError('Invalid share password');
+        }
+      }
+
+      await NoteShare.recordAccess(share.id);
+
+      const { title, content, updated_at } = share;
+      res.json({ title, content, updated_at });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = shareController;
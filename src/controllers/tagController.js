@@ -0,0 +1,83 @@
+const Tag = require('../models/Tag');
+const { ConflictError, NotFoundError, ValidationError } = require('../errors');
+
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+const NAME_TAKEN = 'A tag with that name already exists; merge the tags instead';
+
+const tagController = {
+  async getAllTags(req, res, next) {
+    try {
+      const tags = await Tag.findAll(req.user.id);
+      res.json(tags);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async renameTag(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { name } = req.body;
+
+      const existing = await Tag.findByName(req.user.id, name);
+      if (existing && existing.id !== id) {
+        throw new ConflictError(NAME_TAKEN);
+      }
+
+      // A concurrent rename to the same name can get in after the check
+      // above; the unique index on name catches it
+      const tag = await Tag.rename(req.user.id, id, name).catch((error) => {
+        throw error.code === UNIQUE_VIOLATION ? new ConflictError(NAME_TAKEN) : error;
+      });
+
+      if (!tag) {
+        throw new NotFoundError('Tag not found');
+      }
+
+      res.json(tag);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async mergeTag(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { targetId } = req.body;
+
+      if (targetId === id) {
+        throw new ValidationError([
+          { field: 'targetId', location: 'body', rule: 'notSelf', message: 'Cannot merge a tag into itself' }
+        ]);
+      }
+
+      const tag = await Tag.merge(req.user.id, id, targetId);
+
+      if (!tag) {
+        throw new NotFoundError('Tag not found');
+      }
+
+      res.json(tag);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async deleteTag(req, res, next) {
+    try {
+      const { id } = req.params;
+      const tag = await Tag.delete(req.user.id, id);
+
+      if (!tag) {
+        throw new NotFoundError('Tag not found');
+      }
+
+      res.json({ message: 'Tag deleted successfully', tag });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = tagController;
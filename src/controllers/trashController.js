@@ -0,0 +1,45 @@
+const { noteRepository } = require('../repositories');
+const { NotFoundError } = require('../errors');
+
+const trashController = {
+  async getTrash(req, res, next) {
+    try {
+      const notes = await noteRepository.findDeleted(req.user.id);
+      res.json(notes);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async restoreNote(req, res, next) {
+    try {
+      const { id } = req.params;
+      const note = await noteRepository.restore(req.user.id, id);
+
+      if (!note) {
+        throw new NotFoundError('Note not found in trash');
+      }
+
+      res.json(note);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async purgeNote(req, res, next) {
+    try {
+      const { id } = req.params;
+      const note = await noteRepository.purge(req.user.id, id);
+
+      if (!note) {
+        throw new NotFoundError('Note not found in trash');
+      }
+
+      res.json({ message: 'Note permanently deleted', note });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = trashController;
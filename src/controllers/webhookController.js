@@ -0,0 +1,109 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { NotFoundError } = require('../errors');
+const { generateWebhookSecret } = require('../utils/webhookSignature');
+
+const webhookController = {
+  async getAllWebhooks(req, res, next) {
+    try {
+      const webhooks = await Webhook.findAll(req.user.id);
+      res.json({ data: webhooks });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async getWebhookById(req, res, next) {
+    try {
+      const webhook = await Webhook.findById(req.user.id, req.params.id);
+
+      if (!webhook) {
+        throw new NotFoundError('Webhook not found');
+      }
+
+      res.json(webhook);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async createWebhook(req, res, next) {
+    try {
+      const { url, events, active } = req.body;
+
+      // The secret is only ever returned here, for the receiver to verify
+      // signatures with
+      const webhook = await Webhook.create(req.user.id, { url, events, active, secret: generateWebhookSecret() });
+
+      res.status(201).json(webhook);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async updateWebhook(req, res, next) {
+    try {
+      const { url, events, active } = req.body;
+      const webhook = await Webhook.update(req.user.id, req.params.id, { url, events, active });
+
+      if (!webhook) {
+        throw new NotFoundError('Webhook not found');
+      }
+
+      res.json(webhook);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async deleteWebhook(req, res, next) {
+    try {
+      const webhook = await Webhook.delete(req.user.id, req.params.id);
+
+      if (!webhook) {
+        throw new NotFoundError('Webhook not found');
+      }
+
+      res.json({ message: 'Webhook deleted successfully', webhook });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Lists a webhook's deliveries; `?status=dead` is its dead-letter list.
+   */
+  async listDeliveries(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { status, limit } = req.query;
+      const webhook = await Webhook.findById(req.user.id, id);
+
+      if (!webhook) {
+        throw new NotFoundError('Webhook not found');
+      }
+
+      const deliveries = await WebhookDelivery.findAllForWebhook(req.user.id, id, { status, limit });
+      res.json({ data: deliveries });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async replayDelivery(req, res, next) {
+    try {
+      const { id, deliveryId } = req.params;
+      const delivery = await WebhookDelivery.replay(req.user.id, id, deliveryId);
+
+      if (!delivery) {
+        throw new NotFoundError('Dead delivery not found');
+      }
+
+      res.json(delivery);
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = webhookController;
@@ -0,0 +1,40 @@
+require('dotenv').config();
+const pool = require('../config/database');
+const { migrate, rollback, status } = require('./migrator');
+
+const USAGE = 'Usage: node src/db/migrate.js <up|down [steps]|status>';
+
+const run = async (command, arg) => {
+  switch (command) {
+    case 'up': {
+      const applied = await migrate();
+      console.log(applied.length > 0 ? `✓ ${applied.length} migration(s) applied` : '✓ Database is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = arg === undefined ? 1 : Number(arg);
+
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Steps must be a positive integer');
+      }
+
+      const reverted = await rollback({ steps });
+      console.log(reverted.length > 0 ? `✓ ${reverted.length} migration(s) rolled back` : 'Nothing to roll back');
+      break;
+    }
+    case 'status':
+      for (const { name, appliedAt } of await status()) {
+        console.log(`${appliedAt ? `applied ${appliedAt.toISOString()}` : 'pending'.padEnd(32)}  ${name}`);
+      }
+      break;
+    default:
+      throw new Error(USAGE);
+  }
+};
+
+run(process.argv[2], process.argv[3])
+  .catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
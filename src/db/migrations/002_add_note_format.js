@@ -0,0 +1,12 @@
+// How a note's content is meant to be read: as plain text or as Markdown
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE notes ADD COLUMN format VARCHAR(16) NOT NULL DEFAULT 'plain'
+      CONSTRAINT notes_format_check CHECK (format IN ('plain', 'markdown'));
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query('ALTER TABLE notes DROP COLUMN format');
+};
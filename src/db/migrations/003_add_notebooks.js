@@ -0,0 +1,32 @@
+// Notebooks are nested folders for notes. Deleting a notebook deletes its
+// sub-notebooks with it; what happens to their notes is decided by the
+// Notebook model before the row goes, so the foreign key only has to
+// clear any reference that is left.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE notebooks (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      parent_id INTEGER REFERENCES notebooks(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT notebooks_not_own_parent CHECK (parent_id <> id)
+    );
+
+    CREATE INDEX notebooks_user_id_idx ON notebooks (user_id);
+    CREATE INDEX notebooks_parent_id_idx ON notebooks (parent_id);
+
+    ALTER TABLE notes ADD COLUMN notebook_id INTEGER REFERENCES notebooks(id) ON DELETE SET NULL;
+
+    CREATE INDEX notes_notebook_id_idx ON notes (notebook_id);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    ALTER TABLE notes DROP COLUMN notebook_id;
+    DROP TABLE notebooks;
+  `);
+};
@@ -0,0 +1,24 @@
+// Read-only public links to single notes. Only a hash of each share token
+// is stored, so the tokens can't be recovered from the database.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE note_shares (
+      id SERIAL PRIMARY KEY,
+      note_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      password_hash VARCHAR(255),
+      expires_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      access_count INTEGER NOT NULL DEFAULT 0,
+      last_accessed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX note_shares_note_id_idx ON note_shares (note_id);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query('DROP TABLE note_shares');
+};
@@ -0,0 +1,25 @@
+// Organizing attributes that live outside a note's content: pinned notes
+// list first, archived notes are hidden from the default list, and a color
+// label from a fixed palette.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE notes
+      ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN archived BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN color VARCHAR(16)
+        CONSTRAINT notes_color_check
+        CHECK (color IN ('red', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'gray'));
+
+    CREATE INDEX notes_user_id_archived_idx ON notes (user_id, archived);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    ALTER TABLE notes
+      DROP COLUMN pinned,
+      DROP COLUMN archived,
+      DROP COLUMN color;
+  `);
+};
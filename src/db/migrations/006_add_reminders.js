@@ -0,0 +1,27 @@
+// Reminders on notes. A reminder is `pending` until its time comes, when
+// the scheduler marks it `fired` and it shows up in the due feed until it
+// is snoozed or dismissed. Recording the state change in the row is what
+// keeps a reminder from firing twice across restarts and instances.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE reminders (
+      id SERIAL PRIMARY KEY,
+      note_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+      remind_at TIMESTAMP NOT NULL,
+      recurrence VARCHAR(16) CONSTRAINT reminders_recurrence_check CHECK (recurrence IN ('daily', 'weekly', 'monthly')),
+      snoozed_until TIMESTAMP,
+      status VARCHAR(16) NOT NULL DEFAULT 'pending'
+        CONSTRAINT reminders_status_check CHECK (status IN ('pending', 'fired', 'dismissed')),
+      fired_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX reminders_note_id_idx ON reminders (note_id);
+    CREATE INDEX reminders_pending_idx ON reminders ((COALESCE(snoozed_until, remind_at))) WHERE status = 'pending';
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query('DROP TABLE reminders');
+};
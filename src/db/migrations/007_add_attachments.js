@@ -0,0 +1,22 @@
+// Files attached to notes. Only the metadata lives here; the bytes are kept
+// by the storage driver (see src/storage) under `storage_key`.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE attachments (
+      id SERIAL PRIMARY KEY,
+      note_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+      filename VARCHAR(255) NOT NULL,
+      mime_type VARCHAR(100) NOT NULL,
+      size INTEGER NOT NULL CONSTRAINT attachments_size_check CHECK (size >= 0),
+      storage_key VARCHAR(255) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX attachments_note_id_idx ON attachments (note_id);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query('DROP TABLE attachments');
+};
@@ -0,0 +1,46 @@
+// A log of note changes for the real-time feed. Each new row is announced
+// on the note_events channel with NOTIFY, which Postgres only delivers once
+// the transaction that made the change commits, so every API instance's
+// listeners see exactly the committed changes. The rows themselves let
+// clients that reconnect catch up on what they missed.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE note_events (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      -- No foreign key: events outlive notes that are purged
+      note_id INTEGER NOT NULL,
+      type VARCHAR(16) NOT NULL CONSTRAINT note_events_type_check CHECK (type IN ('created', 'updated', 'deleted')),
+      version INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX note_events_user_id_idx ON note_events (user_id, id);
+    CREATE INDEX note_events_created_at_idx ON note_events (created_at);
+
+    CREATE FUNCTION notify_note_event() RETURNS trigger AS $$
+    BEGIN
+      PERFORM pg_notify('note_events', json_build_object(
+        'id', NEW.id,
+        'user_id', NEW.user_id,
+        'note_id', NEW.note_id,
+        'type', NEW.type,
+        'version', NEW.version
+      )::text);
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER note_events_notify
+      AFTER INSERT ON note_events
+      FOR EACH ROW EXECUTE FUNCTION notify_note_event();
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE note_events;
+    DROP FUNCTION notify_note_event();
+  `);
+};
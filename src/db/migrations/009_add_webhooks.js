@@ -0,0 +1,48 @@
+// Outbound webhooks. Deliveries are an outbox: a row is written in the same
+// transaction as the note change it reports, and the dispatcher job sends
+// it afterwards, so no committed change is left unreported and no rolled
+// back one is reported. A delivery is `pending` until it succeeds
+// (`delivered`) or runs out of attempts (`dead`).
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE webhooks (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      url VARCHAR(2048) NOT NULL,
+      events TEXT[] NOT NULL,
+      -- Kept as is: signing needs the secret itself, not a hash of it
+      secret VARCHAR(64) NOT NULL,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX webhooks_user_id_idx ON webhooks (user_id);
+
+    CREATE TABLE webhook_deliveries (
+      id SERIAL PRIMARY KEY,
+      webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      event VARCHAR(32) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'pending'
+        CONSTRAINT webhook_deliveries_status_check CHECK (status IN ('pending', 'delivered', 'dead')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_status_code INTEGER,
+      last_error TEXT,
+      delivered_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX webhook_deliveries_webhook_id_idx ON webhook_deliveries (webhook_id, id);
+    CREATE INDEX webhook_deliveries_pending_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE webhook_deliveries;
+    DROP TABLE webhooks;
+  `);
+};
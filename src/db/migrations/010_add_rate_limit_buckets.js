@@ -0,0 +1,20 @@
+// Token buckets for the Postgres rate limit store (RATE_LIMIT_STORE=postgres),
+// shared by every API instance. The table is unlogged: it is written on
+// every request and losing it in a crash only resets the limits.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE UNLOGGED TABLE rate_limit_buckets (
+      key TEXT PRIMARY KEY,
+      tokens DOUBLE PRECISION NOT NULL,
+      allowed BOOLEAN NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX rate_limit_buckets_updated_at_idx ON rate_limit_buckets (updated_at);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query('DROP TABLE rate_limit_buckets');
+};
@@ -0,0 +1,16 @@
+// The first occurrence of a recurring reminder. Dismissing one moves
+// remind_at on to the next occurrence, counted from this time rather than
+// from the last one, so monthly reminders on the 29th to the 31st keep
+// their day in the months that have it instead of drifting to the 28th.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE reminders ADD COLUMN recurs_from TIMESTAMP;
+    UPDATE reminders SET recurs_from = remind_at;
+    ALTER TABLE reminders ALTER COLUMN recurs_from SET NOT NULL;
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query('ALTER TABLE reminders DROP COLUMN recurs_from');
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^\d+_[\w-]+\.js$/;
+
+// Arbitrary key for pg_advisory_lock, shared by every process that migrates
+// this database so concurrent boots or deploys run one at a time.
+const LOCK_KEY = 7466153;
+
+const CREATE_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    name VARCHAR(255) PRIMARY KEY,
+    applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+/**
+ * Loads the migration files in `directory`, ordered by their numeric
+ * prefix. Each file exports async `up(client)` and `down(client)`.
+ */
+const loadMigrations = (directory = MIGRATIONS_DIR) => fs.readdirSync(directory)
+  .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+  .sort((a, b) => parseInt(a, 10) - parseInt(b, 10) || a.localeCompare(b))
+  .map((file) => {
+    const { up, down } = require(path.join(directory, file));
+    return { name: path.basename(file, '.js'), up, down };
+  });
+
+const appliedNames = async (db) => {
+  const result = await db.query('SELECT name FROM schema_migrations ORDER BY name');
+  return result.rows.map((row) => row.name);
+};
+
+/**
+ * Runs `callback` on a dedicated client that holds the migration lock, with
+ * the tracking table in place.
+ */
+const withMigrationLock = async (db, callback) => {
+  const client = await db.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+
+    try {
+      await client.query(CREATE_MIGRATIONS_TABLE);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+// Each migration and its bookkeeping row commit or roll back together
+const runInTransaction = async (client, callback) => {
+  await client.query('BEGIN');
+
+  try {
+    await callback();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * Applies every pending migration in order. Returns the names applied.
+ */
+const migrate = async ({ db = pool, migrations = loadMigrations() } = {}) => {
+  return withMigrationLock(db, async (client) => {
+    const applied = new Set(await appliedNames(client));
+    const pending = migrations.filter((migration) => !applied.has(migration.name));
+
+    for (const migration of pending) {
+      await runInTransaction(client, async () => {
+        await migration.up(client);
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [migration.name]);
+      });
+      logger.info('Applied migration', { migration: migration.name });
+    }
+
+    return pending.map((migration) => migration.name);
+  });
+};
+
+/**
+ * Reverts the last `steps` applied migrations, newest first. Returns the
+ * names rolled back.
+ */
+const rollback = async ({ db = pool, migrations = loadMigrations(), steps = 1 } = {}) => {
+  return withMigrationLock(db, async (client) => {
+    const toRevert = (await appliedNames(client)).reverse().slice(0, steps);
+
+    for (const name of toRevert) {
+      const migration = migrations.find((candidate) => candidate.name === name);
+
+      if (!migration) {
+        throw new Error(`Migration file for ${name} not found`);
+      }
+
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE name = $1', [name]);
+      });
+      logger.info('Rolled back migration', { migration: name });
+    }
+
+    return toRevert;
+  });
+};
+
+/**
+ * Lists every known migration with when it was applied, or null if it is
+ * still pending.
+ */
+const status = async ({ db = pool, migrations = loadMigrations() } = {}) => {
+  await db.query(CREATE_MIGRATIONS_TABLE);
+  const result = await db.query('SELECT name, applied_at FROM schema_migrations');
+  const appliedAt = new Map(result.rows.map((row) => [row.name, row.applied_at]));
+
+  return migrations.map(({ name }) => ({ name, appliedAt: appliedAt.get(name) || null }));
+};
+
+/**
+ * Names of the migrations that have not been applied yet. Read-only, so it
+ * is safe to call while another process is migrating.
+ */
+const pendingMigrations = async ({ db = pool, migrations = loadMigrations() } = {}) => {
+  const table = await db.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS present");
+  const applied = new Set(table.rows[0].present ? await appliedNames(db) : []);
+
+  return migrations.map(({ name }) => name).filter((name) => !applied.has(name));
+};
+
+module.exports = { loadMigrations, migrate, rollback, status, pendingMigrations };
@@ -0,0 +1,70 @@
+const { logger, currentRequestId } = require('../utils/logger');
+
+const DEFAULT_SLOW_QUERY_MS = 500;
+const MAX_LOGGED_QUERY_LENGTH = 500;
+
+// Just the SQL, on one line; parameter values are never logged, as they
+// hold note contents and password hashes
+const summarize = (config) => {
+  const text = typeof config === 'string' ? config : config?.text || config?.name || '';
+  return text.replace(/\s+/g, ' ').trim().slice(0, MAX_LOGGED_QUERY_LENGTH);
+};
+
+/**
+ * Makes a pg client log each of its queries with their duration and the id
+ * of the request they were made for: at debug level normally, and as a
+ * warning once they take `slowQueryMs` or longer. Handles both the promise
+ * and the callback form of `client.query`, which `pool.query` uses.
+ */
+const instrumentClient = (client, {
+  slowQueryMs = Number(process.env.DB_SLOW_QUERY_MS) || DEFAULT_SLOW_QUERY_MS
+} = {}) => {
+  const query = client.query;
+
+  client.query = function instrumentedQuery(config, values, callback) {
+    // Cursors and other submittables report their progress as events
+    if (typeof config?.submit === 'function') {
+      return query.apply(this, arguments);
+    }
+
+    // Taken now: pg's callbacks run outside the context of the request
+    const requestId = currentRequestId();
+    const started = process.hrtime.bigint();
+
+    const done = (error, result) => {
+      const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+      const fields = {
+        request_id: requestId,
+        query: summarize(config),
+        duration_ms: durationMs,
+        ...(error ? { error: error.message } : { rows: result?.rowCount })
+      };
+
+      if (durationMs >= slowQueryMs) {
+        logger.warn('Slow database query', fields);
+      } else {
+        logger.debug('Database query', fields);
+      }
+    };
+
+    if (typeof values === 'function') {
+      callback = values;
+      values = undefined;
+    }
+
+    if (typeof callback === 'function') {
+      return query.call(this, config, values, (error, result) => {
+        done(error, result);
+        callback(error, result);
+      });
+    }
+
+    const promise = query.call(this, config, values);
+    promise.then((result) => done(null, result), (error) => done(error));
+    return promise;
+  };
+
+  return client;
+};
+
+module.exports = { instrumentClient, DEFAULT_SLOW_QUERY_MS };
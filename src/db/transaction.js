@@ -0,0 +1,31 @@
+const pool = require('../config/database');
+
+/**
+ * Runs `callback` inside a transaction on a dedicated pooled client.
+ * Commits when the callback resolves and rolls back when it throws;
+ * the client is always released back to the pool.
+ *
+ * Pass the client of a transaction that is already open as `outerClient`
+ * to run the callback as part of it instead.
+ */
+const withTransaction = async (callback, outerClient) => {
+  if (outerClient) {
+    return callback(outerClient);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { withTransaction };
@@ -0,0 +1,40 @@
+const pool = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_RETRIES = 10;
+const INITIAL_DELAY_MS = 500;
+const MAX_DELAY_MS = 10 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Resolves once the database answers a query, retrying with exponential
+ * backoff (0.5 s, 1 s, 2 s, ... up to 10 s apart) so the server can start
+ * alongside a database that is still coming up. Throws the last error
+ * after `retries` failed retries.
+ */
+const waitForDatabase = async ({
+  db = pool,
+  retries = Number(process.env.DB_CONNECT_RETRIES) || DEFAULT_RETRIES,
+  initialDelayMs = INITIAL_DELAY_MS,
+  maxDelayMs = MAX_DELAY_MS
+} = {}) => {
+  let delayMs = initialDelayMs;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await db.query('SELECT 1');
+      return;
+    } catch (error) {
+      if (attempt > retries) {
+        throw error;
+      }
+
+      logger.warn('Database not reachable, retrying', { attempt, retry_in_ms: delayMs, error: error.message });
+      await sleep(delayMs);
+      delayMs = Math.min(delayMs * 2, maxDelayMs);
+    }
+  }
+};
+
+module.exports = { waitForDatabase };
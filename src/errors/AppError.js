@@ -0,0 +1,27 @@
+/**
+ * Base class for errors that are reported to the client. The error handler
+ * turns them into `{ error: { code, message, details } }` with the error's
+ * `statusCode`. Anything passed besides `statusCode`, `code` and `details`
+ * is added to the error body as well.
+ */
+class AppError extends Error {
+  constructor(message, { statusCode = 500, code = 'INTERNAL_ERROR', details, ...extra } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+    this.extra = extra;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...(this.details && { details: this.details }),
+      ...this.extra
+    };
+  }
+}
+
+module.exports = AppError;
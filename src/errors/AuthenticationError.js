@@ -0,0 +1,9 @@
+const AppError = require('./AppError');
+
+class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, { statusCode: 401, code: 'UNAUTHENTICATED' });
+  }
+}
+
+module.exports = AuthenticationError;
@@ -0,0 +1,14 @@
+const AppError = require('./AppError');
+
+/**
+ * Thrown when a request can't be understood as a whole, such as an import
+ * body that isn't a readable archive. Problems with individual fields are
+ * ValidationErrors instead.
+ */
+class BadRequestError extends AppError {
+  constructor(message) {
+    super(message, { statusCode: 400, code: 'BAD_REQUEST' });
+  }
+}
+
+module.exports = BadRequestError;
@@ -0,0 +1,13 @@
+const AppError = require('./AppError');
+
+/**
+ * Thrown when a request clashes with the current state of a resource, such
+ * as a duplicate name. `extra` is added to the error body.
+ */
+class ConflictError extends AppError {
+  constructor(message, extra = {}) {
+    super(message, { ...extra, statusCode: 409, code: 'CONFLICT' });
+  }
+}
+
+module.exports = ConflictError;
@@ -0,0 +1,14 @@
+const AppError = require('./AppError');
+
+/**
+ * Thrown when a request fails validation. `details` lists every problem
+ * found as `{ field, location, rule, message }`, so clients can fix them
+ * all in one round trip.
+ */
+class ValidationError extends AppError {
+  constructor(details, message = 'Request validation failed') {
+    super(message, { statusCode: 400, code: 'VALIDATION_FAILED', details });
+  }
+}
+
+module.exports = ValidationError;
@@ -0,0 +1,15 @@
+const AppError = require('./AppError');
+
+/**
+ * Thrown when a conditional update's expected version no longer matches the
+ * stored note. Carries the note's current state, which is sent along with
+ * the 412 so the client can merge and retry.
+ */
+class VersionConflictError extends AppError {
+  constructor(current) {
+    super('Note has been modified by another request', { statusCode: 412, code: 'VERSION_CONFLICT', current });
+    this.current = current;
+  }
+}
+
+module.exports = VersionConflictError;
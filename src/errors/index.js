@@ -0,0 +1,17 @@
+const AppError = require('./AppError');
+const AuthenticationError = require('./AuthenticationError');
+const BadRequestError = require('./BadRequestError');
+const ConflictError = require('./ConflictError');
+const NotFoundError = require('./NotFoundError');
+const ValidationError = require('./ValidationError');
+const VersionConflictError = require('./VersionConflictError');
+
+module.exports = {
+  AppError,
+  AuthenticationError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+  VersionConflictError
+};
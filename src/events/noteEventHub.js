@@ -0,0 +1,136 @@
+const { EventEmitter } = require('events');
+const pool = require('../config/database');
+const { logger } = require('../utils/logger');
+
+// The channel NOTIFY announces new note_events rows on (see migration 008)
+const CHANNEL = 'note_events';
+const DEFAULT_RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Fans note events out to the feeds open on this instance. One pooled
+ * connection LISTENs for every user's events, opened when the first feed
+ * subscribes and kept from then on. Events come from whichever instance
+ * committed the change.
+ *
+ * If the connection drops, the hub reconnects every `reconnectDelayMs`
+ * while anyone is subscribed, then calls each subscriber's `onReconnect`
+ * so it can catch up on what was missed from the note_events table.
+ *
+ * `close()` calls every subscriber's `onClose` and closes the connection,
+ * so the server can shut down with feeds open.
+ */
+const createNoteEventHub = ({ db = pool, reconnectDelayMs = DEFAULT_RECONNECT_DELAY_MS } = {}) => {
+  const emitter = new EventEmitter();
+  // Every open feed adds listeners, so there is no sensible maximum
+  emitter.setMaxListeners(0);
+
+  let listening = null;
+  let closing = false;
+
+  const onNotification = ({ channel, payload }) => {
+    if (channel !== CHANNEL) {
+      return;
+    }
+
+    const event = JSON.parse(payload);
+    emitter.emit(`user:${event.user_id}`, event);
+  };
+
+  const connect = async () => {
+    const client = await db.connect();
+
+    try {
+      await client.query(`LISTEN ${CHANNEL}`);
+    } catch (error) {
+      client.release(error);
+      throw error;
+    }
+
+    client.on('notification', onNotification);
+    client.on('error', (error) => {
+      // Released by close() already
+      if (closing) {
+        return;
+      }
+
+      logger.error('Note event listener lost its database connection', { error });
+      client.release(error);
+      listening = null;
+      reconnectLater();
+    });
+
+    return client;
+  };
+
+  const listen = () => {
+    if (!listening) {
+      listening = connect().catch((error) => {
+        listening = null;
+        throw error;
+      });
+    }
+
+    return listening;
+  };
+
+  const reconnectLater = () => {
+    const timer = setTimeout(async () => {
+      // With nobody subscribed, the next subscriber connects instead
+      if (emitter.listenerCount('reconnect') === 0) {
+        return;
+      }
+
+      try {
+        await listen();
+        emitter.emit('reconnect');
+      } catch (error) {
+        logger.error('Error reconnecting the note event listener', { error });
+        reconnectLater();
+      }
+    }, reconnectDelayMs);
+    timer.unref();
+  };
+
+  return {
+    /**
+     * Calls `onEvent` with each of the user's events from now on. Resolves
+     * once the hub is listening, so nothing committed after that is
+     * missed, with a function that unsubscribes.
+     */
+    async subscribe(userId, { onEvent, onReconnect, onClose = () => {} }) {
+      await listen();
+
+      emitter.on(`user:${userId}`, onEvent);
+      emitter.on('reconnect', onReconnect);
+      emitter.on('close', onClose);
+
+      return () => {
+        emitter.off(`user:${userId}`, onEvent);
+        emitter.off('reconnect', onReconnect);
+        emitter.off('close', onClose);
+      };
+    },
+
+    /**
+     * Ends every subscription and closes the listening connection.
+     */
+    async close() {
+      closing = true;
+      emitter.emit('close');
+      emitter.removeAllListeners();
+
+      const client = await (listening || Promise.resolve(null)).catch(() => null);
+      listening = null;
+
+      if (client) {
+        client.off('notification', onNotification);
+        // Destroyed rather than returned to the pool, as it is still listening
+        client.release(true);
+      }
+    }
+  };
+};
+
+const noteEventHub = createNoteEventHub();
+
+module.exports = { noteEventHub, createNoteEventHub };
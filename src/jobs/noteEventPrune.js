@@ -0,0 +1,38 @@
+const NoteEvent = require('../models/NoteEvent');
+const { logger } = require('../utils/logger');
+const { startPeriodicJob } = require('./schedule');
+
+const DEFAULT_RETENTION_HOURS = 24;
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+/**
+ * Deletes note events older than the retention period. Clients that were
+ * offline for longer get a `reset` event when they reconnect instead of a
+ * replay. Resolves with how many were deleted.
+ */
+const pruneNoteEvents = async (retentionHours) => {
+  try {
+    const pruned = await NoteEvent.deleteOlderThan(retentionHours);
+
+    if (pruned > 0) {
+      logger.info('Pruned note events', { count: pruned });
+    }
+
+    return pruned;
+  } catch (error) {
+    logger.error('Error pruning note events', { error });
+    return 0;
+  }
+};
+
+/**
+ * Prunes every `intervalMinutes` (see startPeriodicJob). Events may
+ * outlive the retention period by up to an interval, which only means a
+ * client that reconnects just in time still gets its replay.
+ */
+const startNoteEventPruneJob = ({
+  retentionHours = Number(process.env.NOTE_EVENT_RETENTION_HOURS) || DEFAULT_RETENTION_HOURS,
+  intervalMinutes = DEFAULT_INTERVAL_MINUTES
+} = {}) => startPeriodicJob(() => pruneNoteEvents(retentionHours), intervalMinutes * 60 * 1000);
+
+module.exports = { pruneNoteEvents, startNoteEventPruneJob };
@@ -0,0 +1,44 @@
+const Reminder = require('../models/Reminder');
+const { logger } = require('../utils/logger');
+const { startPeriodicJob } = require('./schedule');
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+// Reminders fired per query, so a backlog after downtime is worked through
+// in batches rather than one huge update
+const BATCH_SIZE = 100;
+
+/**
+ * Fires every reminder that is due. Safe to run in several instances at
+ * once (see Reminder.fireDue). A reminder that isn't fired because of an
+ * error stays pending, so it fires late rather than never.
+ * Returns the reminders fired.
+ */
+const fireDueReminders = async () => {
+  const fired = [];
+
+  try {
+    let batch;
+    do {
+      batch = await Reminder.fireDue(BATCH_SIZE);
+      fired.push(...batch);
+    } while (batch.length === BATCH_SIZE);
+  } catch (error) {
+    logger.error('Error firing reminders', { error });
+  }
+
+  if (fired.length > 0) {
+    logger.info('Fired reminders', { count: fired.length });
+  }
+
+  return fired;
+};
+
+/**
+ * Checks for due reminders every `intervalSeconds` (see startPeriodicJob),
+ * which bounds how late a reminder can fire.
+ */
+const startReminderScheduler = ({
+  intervalSeconds = Number(process.env.REMINDER_CHECK_INTERVAL_SECONDS) || DEFAULT_INTERVAL_SECONDS
+} = {}) => startPeriodicJob(fireDueReminders, intervalSeconds * 1000);
+
+module.exports = { fireDueReminders, startReminderScheduler };
@@ -0,0 +1,37 @@
+/**
+ * Runs `run` once at startup and then every `intervalMs`, the way every
+ * background job here runs.
+ *
+ * - Runs never overlap: if the last run is still going when the timer
+ *   fires, that tick is skipped, so a slow database or receiver can't pile
+ *   up concurrent runs.
+ * - `run` catches and logs its own errors; whatever a failed run didn't
+ *   get to is still due on the next one.
+ * - The timer is unref'd, so a job never keeps the process alive on its own.
+ *
+ * Returns a function that stops the job and resolves once the run in
+ * progress, if any, is done, so shutdown doesn't cut a run off halfway.
+ */
+const startPeriodicJob = (run, intervalMs) => {
+  let running = null;
+
+  const tick = () => {
+    if (!running) {
+      running = Promise.resolve(run()).finally(() => {
+        running = null;
+      });
+    }
+  };
+
+  tick();
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  return () => {
+    clearInterval(timer);
+    return running || Promise.resolve();
+  };
+};
+
+module.exports = { startPeriodicJob };
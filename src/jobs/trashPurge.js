@@ -0,0 +1,37 @@
+const { noteRepository } = require('../repositories');
+const { logger } = require('../utils/logger');
+const { startPeriodicJob } = require('./schedule');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+/**
+ * Permanently deletes notes that have been in the trash for longer than
+ * the retention period. Resolves with how many were deleted.
+ */
+const purgeExpiredNotes = async (retentionDays) => {
+  try {
+    const purged = await noteRepository.purgeExpired(retentionDays);
+
+    if (purged > 0) {
+      logger.info('Purged notes from the trash', { count: purged });
+    }
+
+    return purged;
+  } catch (error) {
+    logger.error('Error purging trash', { error });
+    return 0;
+  }
+};
+
+/**
+ * Purges the trash every `intervalMinutes`, hourly by default (see
+ * startPeriodicJob). A note outliving its retention period by up to an
+ * hour does no harm, so there is no need to check more often.
+ */
+const startTrashPurgeJob = ({
+  retentionDays = Number(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS,
+  intervalMinutes = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES
+} = {}) => startPeriodicJob(() => purgeExpiredNotes(retentionDays), intervalMinutes * 60 * 1000);
+
+module.exports = { purgeExpiredNotes, startTrashPurgeJob };
@@ -0,0 +1,180 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signWebhookPayload } = require('../utils/webhookSignature');
+const { logger } = require('../utils/logger');
+const { startPeriodicJob } = require('./schedule');
+
+const DEFAULT_INTERVAL_SECONDS = 10;
+const DEFAULT_MAX_ATTEMPTS = 8;
+// Deliveries sent at once per batch
+const BATCH_SIZE = 20;
+const TIMEOUT_MS = 10 * 1000;
+// Comfortably longer than a delivery can take, so a claimed delivery is
+// only picked up again if its dispatcher died
+const LEASE_SECONDS = 60;
+// Retries wait 30s, 1m, 2m, 4m, ... up to 6h
+const BASE_RETRY_SECONDS = 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+
+const retryDelay = (attempts) => Math.min(BASE_RETRY_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+
+// Loopback, private, link-local (cloud metadata lives at 169.254.169.254),
+// shared, multicast and reserved ranges. IPv4 ranges also match the same
+// addresses written as IPv4-mapped IPv6.
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+// Read on every send, so it can be switched on for local receivers
+const allowsPrivateAddresses = () => process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === 'true';
+
+const isPrivateAddress = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const privateAddressError = (address) => new Error(`Refusing to send to private address ${address}`);
+
+/**
+ * A dns.lookup that fails for names resolving to a private address. Used
+ * as the lookup of each delivery's connection, so the address checked is
+ * the one connected to, and a name can't switch to a private address
+ * between the check and the connection.
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(privateAddressError(blocked.address));
+    }
+
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * POSTs a delivery's payload to its webhook, signed with the webhook's
+ * secret. Resolves with the response status; rejects if the request
+ * fails or times out. Unless WEBHOOK_ALLOW_PRIVATE_ADDRESSES is set,
+ * webhooks can only reach public addresses, so they can't be used to
+ * probe the network the server runs in.
+ */
+const sendDelivery = ({ id, event, payload, url, secret }) => new Promise((resolve, reject) => {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const { protocol, hostname } = new URL(url);
+  const allowPrivate = allowsPrivateAddresses();
+
+  // Addresses written into the URL are connected to without a lookup
+  const literalAddress = hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivate && net.isIP(literalAddress) && isPrivateAddress(literalAddress)) {
+    reject(privateAddressError(literalAddress));
+    return;
+  }
+
+  const request = (protocol === 'https:' ? https : http).request(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'QuickNote-Webhooks/1.0',
+      'X-Webhook-Id': String(id),
+      'X-Webhook-Event': event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signWebhookPayload(secret, timestamp, body)}`
+    },
+    ...(!allowPrivate && { lookup: lookupPublicAddress }),
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  }, (response) => {
+    // Only the status matters, and a redirect counts as a failure rather
+    // than being followed; let the connection go
+    response.destroy();
+    resolve(response.statusCode);
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * Sends one claimed delivery and records the outcome. Any 2xx response
+ * counts as delivered. Anything else is retried with exponential backoff
+ * until `maxAttempts` have been made, when the delivery is dead.
+ * Resolves with whether it was delivered.
+ */
+const attemptDelivery = async (delivery, maxAttempts) => {
+  let statusCode = null;
+  let error;
+
+  try {
+    statusCode = await sendDelivery(delivery);
+
+    if (statusCode >= 200 && statusCode < 300) {
+      await WebhookDelivery.markDelivered(delivery.id, statusCode);
+      return true;
+    }
+
+    error = `Received HTTP ${statusCode}`;
+  } catch (sendError) {
+    error = sendError.message;
+  }
+
+  const retryInSeconds = delivery.attempts >= maxAttempts ? null : retryDelay(delivery.attempts);
+  await WebhookDelivery.recordFailure(delivery.id, { statusCode, error, retryInSeconds });
+  return false;
+};
+
+/**
+ * Sends every webhook delivery that is due, a batch at a time. Safe to
+ * run in several instances at once (see WebhookDelivery.claimDue). If a
+ * run fails partway, the deliveries it claimed but didn't settle are
+ * picked up again once their lease runs out.
+ * Returns the number of deliveries that succeeded and failed.
+ */
+const deliverDueWebhooks = async ({
+  maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS
+} = {}) => {
+  let delivered = 0;
+  let failed = 0;
+
+  try {
+    let batch;
+    do {
+      batch = await WebhookDelivery.claimDue(BATCH_SIZE, LEASE_SECONDS);
+      const results = await Promise.all(batch.map((delivery) => attemptDelivery(delivery, maxAttempts)));
+
+      delivered += results.filter(Boolean).length;
+      failed += results.filter((ok) => !ok).length;
+    } while (batch.length === BATCH_SIZE);
+  } catch (error) {
+    logger.error('Error delivering webhooks', { error });
+  }
+
+  if (delivered + failed > 0) {
+    logger.info('Delivered webhooks', { delivered, failed });
+  }
+
+  return { delivered, failed };
+};
+
+/**
+ * Sends due deliveries every `intervalSeconds` (see startPeriodicJob). A
+ * run waits on its slowest receiver, up to the request timeout, before the
+ * next one starts.
+ */
+const startWebhookDispatcher = ({
+  intervalSeconds = Number(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS) || DEFAULT_INTERVAL_SECONDS
+} = {}) => startPeriodicJob(deliverDueWebhooks, intervalSeconds * 1000);
+
+module.exports = { deliverDueWebhooks, startWebhookDispatcher };
@@ -0,0 +1,64 @@
+const client = require('prom-client');
+const pool = require('../config/database');
+
+/**
+ * The metrics served at GET /metrics in the Prometheus text format: the
+ * process's own (CPU, memory, event loop lag, ...), HTTP requests per
+ * route, the state of the database pool and note changes.
+ */
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// Labelled with the route pattern, like /api/notes/:id, so the number of
+// series stays bounded; requests that match no route share `unmatched`
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time taken to handle HTTP requests, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+// Read from the pool whenever metrics are scraped
+new client.Gauge({
+  name: 'db_pool_connections',
+  help: 'Connections open in the database pool',
+  registers: [registry],
+  collect() {
+    this.set(pool.totalCount);
+  }
+});
+
+new client.Gauge({
+  name: 'db_pool_idle_connections',
+  help: 'Open database connections not in use',
+  registers: [registry],
+  collect() {
+    this.set(pool.idleCount);
+  }
+});
+
+new client.Gauge({
+  name: 'db_pool_waiting_clients',
+  help: 'Queries and transactions waiting for a database connection',
+  registers: [registry],
+  collect() {
+    this.set(pool.waitingCount);
+  }
+});
+
+const noteChanges = new client.Counter({
+  name: 'quicknote_note_changes_total',
+  help: 'Notes created, updated and deleted (moved to the trash)',
+  labelNames: ['type'],
+  registers: [registry]
+});
+
+module.exports = { registry, httpRequests, httpRequestDuration, noteChanges };
@@ -0,0 +1,24 @@
+const { verifyToken } = require('../utils/token');
+const { AuthenticationError } = require('../errors');
+
+/**
+ * Requires a valid `Authorization: Bearer <token>` header and exposes the
+ * caller as `req.user`.
+ */
+const authenticate = (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new AuthenticationError('Authentication required'));
+  }
+
+  try {
+    req.user = { id: verifyToken(token) };
+    next();
+  } catch (error) {
+    next(new AuthenticationError('Invalid or expired token'));
+  }
+};
+
+module.exports = authenticate;
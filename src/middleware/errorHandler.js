@@ -1,13 +1,42 @@
+const { AppError } = require('../errors');
+const { logger } = require('../utils/logger');
+
+// Codes for the client errors raised by Express's body parsers
+const HTTP_ERROR_CODES = {
+  400: 'MALFORMED_BODY',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE'
+};
+
+/**
+ * Sends every error as `{ error: { code, message, details } }`. AppErrors
+ * carry their own status and code; anything else is logged and reported
+ * as a 500 without its message, which may hold internal details.
+ */
 const errorHandler = (err, req, res, next) => {
-  console.error('Error:', err);
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  let status;
+  let body;
 
-  const statusCode = err.statusCode || 500;
-  const message = err.message || 'Internal Server Error';
+  if (err instanceof AppError) {
+    status = err.statusCode;
+    body = err.toJSON();
+  } else if (err.expose && err.statusCode >= 400 && err.statusCode < 500) {
+    status = err.statusCode;
+    body = { code: HTTP_ERROR_CODES[status] || 'BAD_REQUEST', message: err.message };
+  } else {
+    logger.error('Error handling request', { error: err });
+    status = 500;
+    body = { code: 'INTERNAL_ERROR', message: 'Internal Server Error' };
+  }
 
-  res.status(statusCode).json({
-    error: message,
+  res.status(status).json({
+    error: body,
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
 
-module.exports = errorHandler;
\ No newline at end of file
+module.exports = errorHandler;
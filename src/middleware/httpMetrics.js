@@ -0,0 +1,20 @@
+const { httpRequests, httpRequestDuration } = require('../metrics');
+
+/**
+ * Counts every request and times it until its response is done, by method,
+ * route pattern and status. The route is the one requestLogger records,
+ * so this has to be mounted after it.
+ */
+const httpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('close', () => {
+    const labels = { method: req.method, route: res.locals.route || 'unmatched', status: res.statusCode };
+    httpRequests.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+};
+
+module.exports = httpMetrics;
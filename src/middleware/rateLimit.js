@@ -0,0 +1,78 @@
+const { AppError } = require('../errors');
+const { loadRateLimits } = require('../config/rateLimits');
+const { rateLimitStore } = require('../rateLimit');
+const { logger } = require('../utils/logger');
+
+const remainingOf = (res) => {
+  const remaining = res.get('RateLimit-Remaining');
+  return remaining === undefined ? Infinity : Number(remaining);
+};
+
+/**
+ * Limits requests with the token bucket of a route group from
+ * src/config/rateLimits. Buckets are kept per client IP, or per signed-in
+ * user for groups limited `per: 'user'`, which fall back to the IP before
+ * authentication.
+ *
+ * Responses carry `RateLimit-Limit`, `RateLimit-Remaining`,
+ * `RateLimit-Reset` (seconds until the bucket is full) and
+ * `RateLimit-Policy`. When a request passes through several limiters the
+ * headers describe the one closest to running out. Requests over the limit
+ * get a 429 with `Retry-After`.
+ *
+ * If the store fails the request is let through, so an outage of the
+ * rate limit store doesn't take the whole API down with it.
+ */
+const rateLimit = (group, { store = rateLimitStore, limits = loadRateLimits() } = {}) => {
+  const limit = limits[group];
+
+  if (limit === undefined) {
+    throw new Error(`Unknown rate limit group "${group}"`);
+  }
+
+  // Turned off
+  if (!limit) {
+    return (req, res, next) => next();
+  }
+
+  const { requests: capacity, perSeconds, per } = limit;
+  const refillPerSecond = capacity / perSeconds;
+
+  return async (req, res, next) => {
+    const client = per === 'user' && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+    let result;
+    try {
+      result = await store.take(`${group}:${client}`, { capacity, refillPerSecond });
+    } catch (error) {
+      logger.error('Error checking rate limit', { group, error });
+      return next();
+    }
+
+    const { allowed, tokens } = result;
+    const remaining = Math.floor(tokens);
+
+    if (remaining < remainingOf(res)) {
+      res.set({
+        'RateLimit-Limit': String(capacity),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(Math.ceil((capacity - tokens) / refillPerSecond)),
+        'RateLimit-Policy': `${capacity};w=${perSeconds}`
+      });
+    }
+
+    if (!allowed) {
+      const retryAfter = Math.ceil((1 - tokens) / refillPerSecond);
+      res.set('Retry-After', String(retryAfter));
+      return next(new AppError('Too many requests, please try again later', {
+        statusCode: 429,
+        code: 'RATE_LIMITED',
+        retry_after: retryAfter
+      }));
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { logger, requestContext } = require('../utils/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Ids passed in by a proxy or client are kept only if they look like ids,
+// so nobody can write arbitrary text into the logs through the header
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const elapsedMs = (started) => Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+
+/**
+ * Gives every request an id, taken from its `X-Request-Id` header or
+ * generated, and echoes it back in the response. The rest of the request
+ * runs with the id in the request context, so everything logged while
+ * handling it carries it.
+ *
+ * Once the response is done the request is logged with its method, route,
+ * status and duration. The route is the matched pattern, like
+ * `/api/notes/:id`, rather than the URL, which can hold share tokens. It is
+ * also kept in `res.locals.route` for the HTTP metrics.
+ */
+const requestLogger = (req, res, next) => {
+  const header = req.get(REQUEST_ID_HEADER);
+  const requestId = header && VALID_REQUEST_ID.test(header) ? header : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  // Express sets req.route when a route matches, but resets req.baseUrl as
+  // the request leaves the router, e.g. on its way to the error handler, so
+  // the full pattern has to be put together right then
+  let matchedRoute;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => matchedRoute,
+    set(value) {
+      matchedRoute = value;
+      res.locals.route = value && `${req.baseUrl}${value.path}`;
+    }
+  });
+
+  res.on('close', () => {
+    const status = res.statusCode;
+    const fields = {
+      request_id: requestId,
+      method: req.method,
+      route: res.locals.route,
+      status,
+      duration_ms: elapsedMs(started),
+      user_id: req.user?.id,
+      // The client went away before the response was complete
+      ...(!res.writableFinished && { aborted: true })
+    };
+
+    if (status >= 500) {
+      logger.error('Request failed', fields);
+    } else {
+      logger.info('Request completed', fields);
+    }
+  });
+
+  requestContext.run({ requestId }, next);
+};
+
+module.exports = requestLogger;
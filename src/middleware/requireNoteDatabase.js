@@ -0,0 +1,29 @@
+const { noteRepositoryType } = require('../repositories');
+const { AppError } = require('../errors');
+
+// Shares, tags, notebooks, revisions, reminders, attachments, webhooks and
+// the event feed keep their own rows pointing at notes in Postgres, so
+// they can't see notes kept anywhere else
+const NOTE_DATABASE_PATHS = [
+  /^\/shared\//,
+  /^\/(tags|notebooks|reminders|webhooks)(\/|$)/,
+  /^\/notes\/events$/,
+  /^\/notes\/[^/]+\/(revisions|shares|reminders|attachments)(\/|$)/
+];
+
+/**
+ * Answers 501 for the features that only work when notes are kept in
+ * Postgres, if NOTE_REPOSITORY picks another backend. Mounted under /api.
+ */
+const requireNoteDatabase = (req, res, next) => {
+  if (noteRepositoryType === 'postgres' || !NOTE_DATABASE_PATHS.some((pattern) => pattern.test(req.path))) {
+    return next();
+  }
+
+  next(new AppError(`Not available with NOTE_REPOSITORY=${noteRepositoryType}`, {
+    statusCode: 501,
+    code: 'NOT_IMPLEMENTED'
+  }));
+};
+
+module.exports = requireNoteDatabase;
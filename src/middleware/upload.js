@@ -0,0 +1,68 @@
+const multer = require('multer');
+const { AppError, BadRequestError, ValidationError } = require('../errors');
+const { ATTACHMENT_MIME_TYPES, detectMimeType } = require('../utils/fileType');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const MAX_FILENAME_LENGTH = 255;
+
+const MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || DEFAULT_MAX_BYTES;
+
+const fileRequired = () => new ValidationError([
+  { field: 'file', location: 'body', rule: 'required', message: 'file is required' }
+]);
+
+// Maps multer's errors to the API's error shape
+const toAppError = (err) => {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return new AppError(`File must be at most ${MAX_BYTES} bytes`, { statusCode: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return new ValidationError([
+      { field: err.field, location: 'body', rule: 'unexpected', message: 'Send exactly one file, in the "file" field' }
+    ]);
+  }
+
+  return new BadRequestError(err.message);
+};
+
+// Files are small enough to hold in memory, which lets their type be
+// checked before anything is written to storage
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES, files: 1 },
+  // Browsers send UTF-8 file names without saying so
+  defParamCharset: 'utf8'
+}).single('file');
+
+/**
+ * Parses a multipart upload with a single file in the `file` field into
+ * `req.file`. Rejects files over ATTACHMENT_MAX_BYTES with 413 and files
+ * that aren't one of the accepted types with 415. `req.file.mimetype` is
+ * replaced with the type detected from the file's contents.
+ */
+const upload = (req, res, next) => {
+  parser(req, res, (err) => {
+    if (err) {
+      return next(err instanceof multer.MulterError ? toAppError(err) : err);
+    }
+
+    if (!req.file) {
+      return next(fileRequired());
+    }
+
+    const mimeType = detectMimeType(req.file.buffer);
+    if (!mimeType) {
+      return next(new AppError(`File must be one of: ${ATTACHMENT_MIME_TYPES.join(', ')}`, {
+        statusCode: 415,
+        code: 'UNSUPPORTED_MEDIA_TYPE'
+      }));
+    }
+
+    req.file.mimetype = mimeType;
+    req.file.originalname = req.file.originalname.slice(0, MAX_FILENAME_LENGTH) || 'file';
+    next();
+  });
+};
+
+module.exports = upload;
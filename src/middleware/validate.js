@@ -0,0 +1,37 @@
+const { ValidationError } = require('../errors');
+const { checkSchema } = require('../utils/validation');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Validates a request against schemas for its `params`, `query` and `body`
+ * (see checkSchema in utils/validation). Every problem in every part is
+ * collected into one ValidationError. On success each validated part is
+ * replaced with its cleaned-up values, so handlers only see declared
+ * fields, already converted to their types.
+ */
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+  const validated = {};
+
+  for (const location of LOCATIONS) {
+    if (schemas[location]) {
+      const result = checkSchema(schemas[location], req[location] || {}, {
+        location,
+        fromText: location !== 'body'
+      });
+
+      details.push(...result.details);
+      validated[location] = result.values;
+    }
+  }
+
+  if (details.length > 0) {
+    return next(new ValidationError(details));
+  }
+
+  Object.assign(req, validated);
+  next();
+};
+
+module.exports = validate;
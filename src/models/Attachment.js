@@ -0,0 +1,72 @@
+const pool = require('../config/database');
+
+const ATTACHMENT_COLUMNS = 'a.id, a.note_id, a.filename, a.mime_type, a.size, a.created_at';
+
+class Attachment {
+  /**
+   * Records a file stored under `storageKey` as attached to one of the
+   * user's notes. Returns undefined if the note does not exist, is in the
+   * trash or belongs to another user.
+   */
+  static async create(userId, noteId, { filename, mimeType, size, storageKey }) {
+    const query = `
+      WITH created AS (
+        INSERT INTO attachments (note_id, filename, mime_type, size, storage_key)
+        SELECT id, $3, $4, $5, $6 FROM notes
+        WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+        RETURNING *
+      )
+      SELECT ${ATTACHMENT_COLUMNS} FROM created a
+    `;
+
+    const result = await pool.query(query, [noteId, userId, filename, mimeType, size, storageKey]);
+    return result.rows[0];
+  }
+
+  static async findAllForNote(userId, noteId) {
+    const query = `
+      SELECT ${ATTACHMENT_COLUMNS}
+      FROM attachments a
+      JOIN notes n ON n.id = a.note_id
+      WHERE a.note_id = $1 AND n.user_id = $2 AND n.deleted_at IS NULL
+      ORDER BY a.created_at, a.id
+    `;
+
+    const result = await pool.query(query, [noteId, userId]);
+    return result.rows;
+  }
+
+  /**
+   * Looks up one attachment of a note, including the key its bytes are
+   * stored under.
+   */
+  static async findOne(userId, noteId, id) {
+    const query = `
+      SELECT ${ATTACHMENT_COLUMNS}, a.storage_key
+      FROM attachments a
+      JOIN notes n ON n.id = a.note_id
+      WHERE a.id = $1 AND a.note_id = $2 AND n.user_id = $3 AND n.deleted_at IS NULL
+    `;
+
+    const result = await pool.query(query, [id, noteId, userId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Deletes an attachment's metadata and returns it with its storage key,
+   * so the caller can remove the bytes.
+   */
+  static async delete(userId, noteId, id) {
+    const query = `
+      DELETE FROM attachments a
+      USING notes n
+      WHERE a.id = $1 AND a.note_id = $2 AND n.id = a.note_id AND n.user_id = $3 AND n.deleted_at IS NULL
+      RETURNING ${ATTACHMENT_COLUMNS}, a.storage_key
+    `;
+
+    const result = await pool.query(query, [id, noteId, userId]);
+    return result.rows[0];
+  }
+}
+
+module.exports = Attachment;
@@ -1,67 +1,475 @@
 const pool = require('../config/database');
+const { withTransaction } = require('../db/transaction');
+const Tag = require('./Tag');
+const NoteRevision = require('./NoteRevision');
+const NoteEvent = require('./NoteEvent');
+const WebhookDelivery = require('./WebhookDelivery');
+const { deleteFiles } = require('../storage');
+const { noteChanges } = require('../metrics');
+const { toHighlightHtml, HIGHLIGHT_START, HIGHLIGHT_STOP } = require('../utils/searchQuery');
+const { NotFoundError, VersionConflictError } = require('../errors');
+
+// Sort fields are interpolated into SQL, so only these keys are accepted.
+// Timestamps are truncated to milliseconds so the values round-tripped
+// through a JavaScript Date in the cursor compare equal to the stored ones.
+const SORT_FIELDS = {
+  created_at: { expression: "date_trunc('milliseconds', created_at)", type: 'timestamp' },
+  updated_at: { expression: "date_trunc('milliseconds', updated_at)", type: 'timestamp' },
+  title: { expression: 'title', type: 'text' }
+};
+
+// Columns returned to clients, with the note's tag names collected into an
+// array. The generated search_vector column is left out because it is only
+// useful inside the database.
+const COLUMNS = `
+  id, title, content, format, notebook_id, color, pinned, archived, version, created_at, updated_at, deleted_at,
+  COALESCE((
+    SELECT array_agg(t.name ORDER BY t.name)
+    FROM note_tags nt JOIN tags t ON t.id = nt.tag_id
+    WHERE nt.note_id = notes.id
+  ), '{}') AS tags
+`;
+
+// Notes in the trash have deleted_at set and are hidden unless asked for
+const NOT_DELETED = 'deleted_at IS NULL';
+
+// Storage keys of a note's attachments, returned when the note is purged so
+// their files can be deleted along with it. The subquery sees the rows as
+// they were before the delete cascaded to them.
+const ATTACHMENT_KEYS = 'ARRAY(SELECT storage_key FROM attachments a WHERE a.note_id = notes.id) AS attachment_keys';
+
+const selectById = async (db, userId, id, { includeDeleted = false } = {}) => {
+  const result = await db.query(
+    `SELECT ${COLUMNS} FROM notes WHERE id = $1 AND user_id = $2 ${includeDeleted ? '' : `AND ${NOT_DELETED}`}`,
+    [id, userId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Throws a NotFoundError unless `notebookId` is one of the user's
+ * notebooks. Null and undefined mean no notebook and always pass.
+ */
+const checkNotebook = async (db, userId, notebookId) => {
+  if (notebookId === undefined || notebookId === null) {
+    return;
+  }
+
+  const result = await db.query('SELECT id FROM notebooks WHERE id = $1 AND user_id = $2', [notebookId, userId]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Notebook not found');
+  }
+};
+
+/**
+ * Reports a change to a note to the user's webhooks and the real-time
+ * feed, as part of the transaction making it, and counts it in the note
+ * change metrics. `type` is `created`, `updated` or `deleted`.
+ */
+const recordChange = async (client, userId, type, note) => {
+  const event = `note.${type}`;
+  await WebhookDelivery.enqueue(client, userId, event, { event, occurred_at: new Date(), data: note });
+  // Last, since it holds a lock until the transaction ends
+  await NoteEvent.create(client, userId, note.id, type, note.version);
+  // Counted before the commit, so the rare change rolled back afterwards
+  // (an atomic batch failing further on) is counted too
+  noteChanges.inc({ type });
+};
+
+const HIGHLIGHT_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}`;
 
 class Note {
-  static async createTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS notes (
-        id SERIAL PRIMARY KEY,
-        title VARCHAR(255) NOT NULL,
-        content TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
+  /**
+   * Write methods take an optional `client` so several of them can share one
+   * transaction (see db/transaction). `format` defaults to plain text.
+   * `notebookId` files the note in one of the user's notebooks. Imports
+   * pass `createdAt` and `updatedAt` to keep a note's original timestamps.
+   * Every write that changes a note's version is reported to the user's
+   * webhooks and the real-time feed (see recordChange).
+   */
+  static async create(userId, title, content, tags = [], {
+    format,
+    notebookId,
+    color,
+    client: outerClient,
+    createdAt,
+    updatedAt
+  } = {}) {
+    return withTransaction(async (client) => {
+      await checkNotebook(client, userId, notebookId);
+
+      const query = `
+        INSERT INTO notes (user_id, title, content, format, notebook_id, color, created_at, updated_at)
+        VALUES (
+          $1, $2, $3, COALESCE($4, 'plain'), $5, $6,
+          COALESCE($7::timestamptz, CURRENT_TIMESTAMP),
+          COALESCE($8::timestamptz, $7::timestamptz, CURRENT_TIMESTAMP)
+        )
+        RETURNING id
+      `;
+
+      const values = [
+        userId, title, content, format || null, notebookId || null, color || null, createdAt || null, updatedAt || null
+      ];
+      const result = await client.query(query, values);
+      const { id } = result.rows[0];
+
+      await Tag.setForNote(client, userId, id, tags);
+
+      const note = await selectById(client, userId, id);
+      await recordChange(client, userId, 'created', note);
+      return note;
+    }, outerClient);
+  }
+
+  /**
+   * Lists the user's notes using keyset pagination. Pinned notes come
+   * first, then rows are ordered by the sort field and then by id so ties
+   * are stable; `pinnedFirst: false` drops the pinned grouping. `cursor` is
+   * the decoded `{ value, id, pinned }` of the last row on the previous
+   * page. `tags` restricts the list to notes with any (or, with
+   * `tagMatch: 'all'`, every one) of the given tag names. `notebookId`
+   * restricts it to the notes filed directly in that notebook, or with
+   * `recursive` in it and all of its sub-notebooks. Notes in the trash
+   * are left out unless `includeDeleted` is set, and archived notes unless
+   * `archived` is set.
+   */
+  static async findAll(userId, {
+    sort = 'created_at',
+    order = 'desc',
+    limit,
+    cursor,
+    tags,
+    tagMatch = 'any',
+    notebookId,
+    recursive = false,
+    includeDeleted = false,
+    archived = false,
+    pinnedFirst = true,
+    createdAfter,
+    createdBefore,
+    updatedAfter,
+    updatedBefore
+  } = {}) {
+    const sortField = SORT_FIELDS[sort];
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const values = [];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+    const conditions = [`user_id = ${param(userId)}`];
+
+    if (!includeDeleted) conditions.push(NOT_DELETED);
+    if (!archived) conditions.push('NOT archived');
+
+    if (createdAfter) conditions.push(`created_at >= ${param(createdAfter)}`);
+    if (createdBefore) conditions.push(`created_at <= ${param(createdBefore)}`);
+    if (updatedAfter) conditions.push(`updated_at >= ${param(updatedAfter)}`);
+    if (updatedBefore) conditions.push(`updated_at <= ${param(updatedBefore)}`);
+
+    if (tags && tags.length > 0) {
+      const taggedNotes = `
+        SELECT nt.note_id FROM note_tags nt
+        JOIN tags t ON t.id = nt.tag_id
+        WHERE t.name = ANY(${param(tags)}::text[])
+      `;
+      conditions.push(tagMatch === 'all'
+        ? `id IN (${taggedNotes} GROUP BY nt.note_id HAVING COUNT(*) = ${param(tags.length)})`
+        : `id IN (${taggedNotes})`);
+    }
+
+    if (notebookId) {
+      conditions.push(recursive
+        ? `notebook_id IN (
+            WITH RECURSIVE subtree AS (
+              SELECT id FROM notebooks WHERE id = ${param(notebookId)} AND user_id = $1
+              UNION ALL
+              SELECT nb.id FROM notebooks nb JOIN subtree s ON nb.parent_id = s.id
+            )
+            SELECT id FROM subtree
+          )`
+        : `notebook_id = ${param(notebookId)}`);
+    }
+
+    if (cursor) {
+      const comparator = direction === 'ASC' ? '>' : '<';
+      const afterCursor = `(${sortField.expression}, id) ${comparator} (${param(cursor.value)}::${sortField.type}, ${param(cursor.id)}::integer)`;
+
+      // Pinned notes always sort first, whatever the order of the rest
+      if (pinnedFirst) {
+        const pinned = param(cursor.pinned);
+        conditions.push(`(pinned < ${pinned} OR (pinned = ${pinned} AND ${afterCursor}))`);
+      } else {
+        conditions.push(afterCursor);
+      }
+    }
+
+    let query = `
+      SELECT ${COLUMNS} FROM notes
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${pinnedFirst ? 'pinned DESC, ' : ''}${sortField.expression} ${direction}, id ${direction}
     `;
-    
-    try {
-      await pool.query(query);
-      console.log('✓ Notes table ready');
-    } catch (error) {
-      console.error('Error creating notes table:', error);
-      throw error;
+
+    if (limit) {
+      query += ` LIMIT ${param(limit)}`;
     }
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Ranks the user's notes matching a tsquery expression (see utils/searchQuery).
+   * Title matches weigh more than content matches. Highlights are escaped
+   * HTML with matches in `<mark>` tags.
+   */
+  static async search(userId, tsQuery, { limit } = {}) {
+    const query = `
+      SELECT ${COLUMNS},
+        ts_rank(search_vector, query) AS rank,
+        ts_headline('english', title, query, '${HIGHLIGHT_OPTIONS}, HighlightAll=true') AS title_highlight,
+        ts_headline('english', content, query, '${HIGHLIGHT_OPTIONS}, MaxFragments=2, MaxWords=20, MinWords=5') AS snippet
+      FROM notes, to_tsquery('english', $1) AS query
+      WHERE user_id = $2 AND ${NOT_DELETED} AND search_vector @@ query
+      ORDER BY rank DESC, id DESC
+      LIMIT $3
+    `;
+
+    const result = await pool.query(query, [tsQuery, userId, limit]);
+    return result.rows.map((row) => ({
+      ...row,
+      title_highlight: toHighlightHtml(row.title_highlight),
+      snippet: toHighlightHtml(row.snippet)
+    }));
   }
 
-  static async create(title, content) {
+  /**
+   * Returns the `{ title, content }` pairs from `entries` that the user
+   * already has as a note outside the trash.
+   */
+  static async findExisting(userId, entries) {
     const query = `
-      INSERT INTO notes (title, content)
-      VALUES ($1, $2)
-      RETURNING *
+      SELECT title, content FROM notes
+      WHERE user_id = $1 AND ${NOT_DELETED}
+        AND (title, content) IN (SELECT * FROM unnest($2::text[], $3::text[]))
     `;
-    
-    const values = [title, content];
+
+    const values = [userId, entries.map((entry) => entry.title), entries.map((entry) => entry.content)];
     const result = await pool.query(query, values);
-    return result.rows[0];
+    return result.rows;
   }
 
-  static async findAll() {
-    const query = 'SELECT * FROM notes ORDER BY created_at DESC';
-    const result = await pool.query(query);
+  static async findById(userId, id, { includeDeleted = false } = {}) {
+    return selectById(pool, userId, id, { includeDeleted });
+  }
+
+  /**
+   * Updates any of a note's title, content, format, tags, notebook and
+   * color (null to take it out of its notebook or clear the color), saving
+   * the previous title and content as a revision first. Fields left
+   * undefined keep their current value. Every update bumps the note's
+   * version.
+   *
+   * When `expectedVersions` is given, the update only goes ahead if the
+   * note's current version is one of them; otherwise a VersionConflictError
+   * carrying the current note is thrown.
+   */
+  static async update(userId, id, {
+    title,
+    content,
+    format,
+    tags,
+    notebook_id: notebookId,
+    color
+  }, { expectedVersions, client: outerClient } = {}) {
+    return withTransaction(async (client) => {
+      const current = await client.query(
+        `SELECT title, content, format, notebook_id, color, version FROM notes WHERE id = $1 AND user_id = $2 AND ${NOT_DELETED} FOR UPDATE`,
+        [id, userId]
+      );
+
+      if (current.rows.length === 0) {
+        return undefined;
+      }
+
+      const previous = current.rows[0];
+      if (expectedVersions && !expectedVersions.includes(previous.version)) {
+        throw new VersionConflictError(await selectById(client, userId, id));
+      }
+
+      const nextTitle = title === undefined ? previous.title : title;
+      const nextContent = content === undefined ? previous.content : content;
+      const nextFormat = format === undefined ? previous.format : format;
+      const nextNotebookId = notebookId === undefined ? previous.notebook_id : notebookId;
+      const nextColor = color === undefined ? previous.color : color;
+
+      if (nextNotebookId !== previous.notebook_id) {
+        await checkNotebook(client, userId, nextNotebookId);
+      }
+
+      if (previous.title !== nextTitle || previous.content !== nextContent) {
+        await NoteRevision.create(client, id, previous.title, previous.content);
+      }
+
+      const query = `
+        UPDATE notes
+        SET title = $1, content = $2, format = $3, notebook_id = $4, color = $5, version = version + 1,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $6 AND user_id = $7
+      `;
+
+      const values = [nextTitle, nextContent, nextFormat, nextNotebookId, nextColor, id, userId];
+      await client.query(query, values);
+
+      if (tags !== undefined) {
+        await Tag.setForNote(client, userId, id, tags);
+      }
+
+      const note = await selectById(client, userId, id);
+      await recordChange(client, userId, 'updated', note);
+      return note;
+    }, outerClient);
+  }
+
+  /**
+   * Sets a note's `pinned` and/or `archived` flags; flags left undefined
+   * keep their value. These organize the note rather than edit it, so the
+   * version changes but `updated_at` doesn't and no revision is saved. It is
+   * still reported as an update.
+   */
+  static async setFlags(userId, id, { pinned, archived }) {
+    return withTransaction(async (client) => {
+      const query = `
+        UPDATE notes
+        SET pinned = COALESCE($1, pinned), archived = COALESCE($2, archived), version = version + 1
+        WHERE id = $3 AND user_id = $4 AND ${NOT_DELETED}
+        RETURNING ${COLUMNS}
+      `;
+
+      const values = [pinned === undefined ? null : pinned, archived === undefined ? null : archived, id, userId];
+      const result = await client.query(query, values);
+      const note = result.rows[0];
+
+      if (note) {
+        await recordChange(client, userId, 'updated', note);
+      }
+
+      return note;
+    });
+  }
+
+  /**
+   * Moves a note to the trash. It stays restorable until it is purged.
+   */
+  static async delete(userId, id, { client: outerClient } = {}) {
+    return withTransaction(async (client) => {
+      const query = `
+        UPDATE notes
+        SET deleted_at = CURRENT_TIMESTAMP, version = version + 1
+        WHERE id = $1 AND user_id = $2 AND ${NOT_DELETED}
+        RETURNING ${COLUMNS}
+      `;
+
+      const result = await client.query(query, [id, userId]);
+      const note = result.rows[0];
+
+      if (note) {
+        await recordChange(client, userId, 'deleted', note);
+      }
+
+      return note;
+    }, outerClient);
+  }
+
+  static async findDeleted(userId) {
+    const query = `
+      SELECT ${COLUMNS} FROM notes
+      WHERE user_id = $1 AND deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC, id DESC
+    `;
+
+    const result = await pool.query(query, [userId]);
     return result.rows;
   }
 
-  static async findById(id) {
-    const query = 'SELECT * FROM notes WHERE id = $1';
-    const result = await pool.query(query, [id]);
-    return result.rows[0];
+  /**
+   * Takes a note out of the trash. Clients saw it go as a deletion, so it
+   * comes back as a creation.
+   */
+  static async restore(userId, id) {
+    return withTransaction(async (client) => {
+      const query = `
+        UPDATE notes
+        SET deleted_at = NULL, version = version + 1
+        WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+        RETURNING ${COLUMNS}
+      `;
+
+      const result = await client.query(query, [id, userId]);
+      const note = result.rows[0];
+
+      if (note) {
+        await recordChange(client, userId, 'created', note);
+      }
+
+      return note;
+    });
   }
 
-  static async update(id, title, content) {
+  /**
+   * Permanently deletes a note that is already in the trash, along with
+   * its tag links, revision history and attachments. Moving a note to the
+   * trash keeps its attachment files, so they are deleted here instead.
+   */
+  static async purge(userId, id) {
     const query = `
-      UPDATE notes
-      SET title = $1, content = $2, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $3
-      RETURNING *
+      DELETE FROM notes
+      WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+      RETURNING ${COLUMNS}, ${ATTACHMENT_KEYS}
     `;
-    
-    const values = [title, content, id];
-    const result = await pool.query(query, values);
-    return result.rows[0];
+
+    const result = await pool.query(query, [id, userId]);
+    if (result.rows.length === 0) {
+      return undefined;
+    }
+
+    const { attachment_keys: attachmentKeys, ...note } = result.rows[0];
+    await deleteFiles(attachmentKeys);
+    return note;
   }
 
-  static async delete(id) {
-    const query = 'DELETE FROM notes WHERE id = $1 RETURNING *';
-    const result = await pool.query(query, [id]);
-    return result.rows[0];
+  /**
+   * Permanently deletes every note that has been in the trash for longer
+   * than `retentionDays`, and their attachment files. Returns the number
+   * of notes purged.
+   */
+  static async purgeExpired(retentionDays) {
+    const query = `
+      DELETE FROM notes
+      WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+      RETURNING ${ATTACHMENT_KEYS}
+    `;
+
+    const result = await pool.query(query, [retentionDays]);
+    await deleteFiles(result.rows.flatMap((row) => row.attachment_keys));
+    return result.rows.length;
+  }
+
+  /**
+   * Reports changes other models make to the user's notes, such as a
+   * notebook delete moving or trashing them (see recordChange). Must run
+   * on the client of the transaction making them, after the change.
+   */
+  static async recordChanges(client, userId, type, ids) {
+    const result = await client.query(
+      `SELECT ${COLUMNS} FROM notes WHERE id = ANY($1::int[]) AND user_id = $2 ORDER BY id`,
+      [ids, userId]
+    );
+
+    for (const note of result.rows) {
+      await recordChange(client, userId, type, note);
+    }
   }
 }
 
@@ -0,0 +1,71 @@
+const pool = require('../config/database');
+
+const EVENT_COLUMNS = 'id, note_id, type, version';
+
+// First key of the advisory locks taken per user while recording an event
+const EVENT_LOCK_KEY = 4201;
+
+class NoteEvent {
+  /**
+   * Records a change to a note for the real-time feed. Must run on the
+   * client of the transaction making the change, as its last statement.
+   * The per-user lock it takes is held until that transaction ends, so one
+   * user's events always commit in id order and a client that has seen an
+   * event has seen every earlier one.
+   */
+  static async create(client, userId, noteId, type, version) {
+    await client.query('SELECT pg_advisory_xact_lock($1, $2)', [EVENT_LOCK_KEY, userId]);
+
+    const query = `
+      INSERT INTO note_events (user_id, note_id, type, version)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${EVENT_COLUMNS}
+    `;
+
+    const result = await client.query(query, [userId, noteId, type, version]);
+    return result.rows[0];
+  }
+
+  /**
+   * Lists up to `limit` of the user's events after `afterId`, oldest first.
+   */
+  static async findAfter(userId, afterId, limit) {
+    const query = `
+      SELECT ${EVENT_COLUMNS} FROM note_events
+      WHERE user_id = $1 AND id > $2
+      ORDER BY id
+      LIMIT $3
+    `;
+
+    const result = await pool.query(query, [userId, afterId, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Returns the id of the user's latest event, or 0 if there is none.
+   */
+  static async latestId(userId) {
+    const result = await pool.query('SELECT COALESCE(MAX(id), 0) AS id FROM note_events WHERE user_id = $1', [userId]);
+    return result.rows[0].id;
+  }
+
+  static async exists(userId, id) {
+    const result = await pool.query('SELECT 1 FROM note_events WHERE id = $1 AND user_id = $2', [id, userId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Deletes events older than `retentionHours`. Returns the number deleted.
+   */
+  static async deleteOlderThan(retentionHours) {
+    const query = `
+      DELETE FROM note_events
+      WHERE created_at < CURRENT_TIMESTAMP - make_interval(hours => $1)
+    `;
+
+    const result = await pool.query(query, [retentionHours]);
+    return result.rowCount;
+  }
+}
+
+module.exports = NoteEvent;
@@ -0,0 +1,50 @@
+const pool = require('../config/database');
+
+const SUMMARY_COLUMNS = 'r.revision, r.title, r.created_at';
+
+class NoteRevision {
+  /**
+   * Records a snapshot as the note's next revision number. Must run on the
+   * client of the transaction that holds the note's row lock, which keeps
+   * revision numbers from racing.
+   */
+  static async create(client, noteId, title, content) {
+    const query = `
+      INSERT INTO note_revisions (note_id, revision, title, content)
+      SELECT $1, COALESCE(MAX(revision), 0) + 1, $2, $3
+      FROM note_revisions
+      WHERE note_id = $1
+      RETURNING revision, title, content, created_at
+    `;
+
+    const result = await client.query(query, [noteId, title, content]);
+    return result.rows[0];
+  }
+
+  static async findAllForNote(userId, noteId) {
+    const query = `
+      SELECT ${SUMMARY_COLUMNS}
+      FROM note_revisions r
+      JOIN notes n ON n.id = r.note_id
+      WHERE r.note_id = $1 AND n.user_id = $2
+      ORDER BY r.revision DESC
+    `;
+
+    const result = await pool.query(query, [noteId, userId]);
+    return result.rows;
+  }
+
+  static async findOne(userId, noteId, revision) {
+    const query = `
+      SELECT ${SUMMARY_COLUMNS}, r.content
+      FROM note_revisions r
+      JOIN notes n ON n.id = r.note_id
+      WHERE r.note_id = $1 AND r.revision = $2 AND n.user_id = $3
+    `;
+
+    const result = await pool.query(query, [noteId, revision, userId]);
+    return result.rows[0];
+  }
+}
+
+module.exports = NoteRevision;
@@ -0,0 +1,96 @@
+const pool = require('../config/database');
+
+// Never includes the token or password hashes
+const SHARE_COLUMNS = `
+  s.id, s.note_id, s.expires_at, s.revoked_at,
+  s.password_hash IS NOT NULL AS has_password,
+  s.access_count, s.last_accessed_at, s.created_at
+`;
+
+class NoteShare {
+  /**
+   * Creates a share for one of the user's notes. Returns undefined if the
+   * note does not exist, is in the trash or belongs to another user.
+   */
+  static async create(userId, noteId, { tokenHash, passwordHash = null, expiresAt = null }) {
+    const query = `
+      WITH created AS (
+        INSERT INTO note_shares (note_id, token_hash, password_hash, expires_at)
+        SELECT id, $3, $4, $5 FROM notes
+        WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+        RETURNING *
+      )
+      SELECT ${SHARE_COLUMNS} FROM created s
+    `;
+
+    const result = await pool.query(query, [noteId, userId, tokenHash, passwordHash, expiresAt]);
+    return result.rows[0];
+  }
+
+  /**
+   * Lists every share of a note, newest first, including revoked and
+   * expired ones.
+   */
+  static async findAllForNote(userId, noteId) {
+    const query = `
+      SELECT ${SHARE_COLUMNS}
+      FROM note_shares s
+      JOIN notes n ON n.id = s.note_id
+      WHERE s.note_id = $1 AND n.user_id = $2
+      ORDER BY s.created_at DESC, s.id DESC
+    `;
+
+    const result = await pool.query(query, [noteId, userId]);
+    return result.rows;
+  }
+
+  /**
+   * Revokes a share. Returns undefined if it does not exist, is already
+   * revoked or belongs to another user's note.
+   */
+  static async revoke(userId, noteId, shareId) {
+    const query = `
+      UPDATE note_shares s
+      SET revoked_at = CURRENT_TIMESTAMP
+      FROM notes n
+      WHERE s.id = $1 AND s.note_id = $2 AND n.id = s.note_id AND n.user_id = $3
+        AND s.revoked_at IS NULL
+      RETURNING ${SHARE_COLUMNS}
+    `;
+
+    const result = await pool.query(query, [shareId, noteId, userId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Finds a live share by token hash together with the shared note's
+   * public fields. Revoked and expired shares, and shares of notes in the
+   * trash, are not found.
+   */
+  static async findActiveByTokenHash(tokenHash) {
+    const query = `
+      SELECT s.id, s.password_hash, n.title, n.content, n.updated_at
+      FROM note_shares s
+      JOIN notes n ON n.id = s.note_id
+      WHERE s.token_hash = $1
+        AND s.revoked_at IS NULL
+        AND (s.expires_at IS NULL OR s.expires_at > CURRENT_TIMESTAMP)
+        AND n.deleted_at IS NULL
+    `;
+
+    const result = await pool.query(query, [tokenHash]);
+    return result.rows[0];
+  }
+
+  static async recordAccess(id) {
+    const query = `
+      UPDATE note_shares
+      SET access_count = access_count + 1, last_accessed_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+
+    await pool.query(query, [id]);
+  }
+}
+
+module.exports = NoteShare;
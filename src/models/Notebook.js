@@ -0,0 +1,174 @@
+const pool = require('../config/database');
+const { withTransaction } = require('../db/transaction');
+const Note = require('./Note');
+const { ConflictError, NotFoundError } = require('../errors');
+
+const NOTEBOOK_COLUMNS = `
+  nb.id, nb.name, nb.parent_id, nb.created_at, nb.updated_at,
+  (
+    SELECT COUNT(*) FROM notes n
+    WHERE n.notebook_id = nb.id AND n.deleted_at IS NULL
+  )::int AS note_count
+`;
+
+// The ids of a notebook and everything nested under it
+const SUBTREE = `
+  WITH RECURSIVE subtree AS (
+    SELECT id FROM notebooks WHERE id = $1 AND user_id = $2
+    UNION ALL
+    SELECT nb.id FROM notebooks nb JOIN subtree s ON nb.parent_id = s.id
+  )
+  SELECT id FROM subtree
+`;
+
+const selectById = async (db, userId, id) => {
+  const result = await db.query(`SELECT ${NOTEBOOK_COLUMNS} FROM notebooks nb WHERE nb.id = $1 AND nb.user_id = $2`, [id, userId]);
+  return result.rows[0];
+};
+
+/**
+ * Locks all of the user's notebooks for the rest of the transaction, so
+ * two moves can't each pass the cycle check and then form a loop together.
+ */
+const lockTree = (client, userId) => client.query('SELECT id FROM notebooks WHERE user_id = $1 FOR UPDATE', [userId]);
+
+class Notebook {
+  /**
+   * Lists the user's notebooks as a flat list ordered by name. Each one
+   * carries its `parent_id`, so clients can build the tree.
+   */
+  static async findAll(userId) {
+    const query = `SELECT ${NOTEBOOK_COLUMNS} FROM notebooks nb WHERE nb.user_id = $1 ORDER BY nb.name, nb.id`;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  }
+
+  static async findById(userId, id) {
+    return selectById(pool, userId, id);
+  }
+
+  /**
+   * Creates a notebook at the top level, or inside `parentId`. Returns
+   * undefined if the parent does not exist or belongs to another user.
+   */
+  static async create(userId, name, parentId = null) {
+    const query = `
+      WITH created AS (
+        INSERT INTO notebooks (user_id, name, parent_id)
+        SELECT $1, $2, $3
+        WHERE $3::int IS NULL OR EXISTS (SELECT 1 FROM notebooks WHERE id = $3 AND user_id = $1)
+        RETURNING *
+      )
+      SELECT ${NOTEBOOK_COLUMNS} FROM created nb
+    `;
+
+    const result = await pool.query(query, [userId, name, parentId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Renames a notebook and/or moves it under `parentId` (null for the top
+   * level); fields left undefined keep their value. Its sub-notebooks and
+   * notes move with it. Returns undefined if the notebook does not exist;
+   * throws a NotFoundError for a missing parent and a ConflictError for a
+   * move into its own subtree.
+   */
+  static async update(userId, id, { name, parentId }) {
+    return withTransaction(async (client) => {
+      await lockTree(client, userId);
+
+      const current = await selectById(client, userId, id);
+      if (!current) {
+        return undefined;
+      }
+
+      if (parentId !== undefined && parentId !== null) {
+        const parent = await selectById(client, userId, parentId);
+        if (!parent) {
+          throw new NotFoundError('Parent notebook not found');
+        }
+
+        const subtree = await client.query(SUBTREE, [id, userId]);
+        if (subtree.rows.some((row) => row.id === parentId)) {
+          throw new ConflictError('Cannot move a notebook into itself or one of its sub-notebooks');
+        }
+      }
+
+      const query = `
+        UPDATE notebooks
+        SET name = $1, parent_id = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3 AND user_id = $4
+      `;
+
+      const values = [
+        name === undefined ? current.name : name,
+        parentId === undefined ? current.parent_id : parentId,
+        id,
+        userId
+      ];
+      await client.query(query, values);
+
+      return selectById(client, userId, id);
+    });
+  }
+
+  /**
+   * Deletes a notebook. With `mode: 'move'` its notes and sub-notebooks
+   * move up to its parent (or the top level). With `mode: 'cascade'` its
+   * sub-notebooks are deleted too, and every note in them goes to the
+   * trash, where it stays restorable. Moved notes are reported as updated
+   * and trashed ones as deleted. Returns `{ notebook, noteCount }` with the
+   * number of notes moved or trashed, or undefined if the notebook does not
+   * exist.
+   */
+  static async delete(userId, id, { mode = 'move' } = {}) {
+    return withTransaction(async (client) => {
+      await lockTree(client, userId);
+
+      const notebook = await selectById(client, userId, id);
+      if (!notebook) {
+        return undefined;
+      }
+
+      let notes;
+      if (mode === 'cascade') {
+        notes = await client.query(
+          `UPDATE notes
+           SET deleted_at = CURRENT_TIMESTAMP, version = version + 1
+           WHERE notebook_id IN (${SUBTREE}) AND deleted_at IS NULL
+           RETURNING id`,
+          [id, userId]
+        );
+      } else {
+        // Notes in the trash move too, so they come back to the parent if
+        // restored, but they haven't changed as far as clients can see
+        notes = await client.query(
+          `WITH moved AS (
+             UPDATE notes
+             SET notebook_id = $1,
+                 version = CASE WHEN deleted_at IS NULL THEN version + 1 ELSE version END
+             WHERE notebook_id = $2
+             RETURNING id, deleted_at
+           )
+           SELECT id FROM moved WHERE deleted_at IS NULL`,
+          [notebook.parent_id, id]
+        );
+        await client.query(
+          'UPDATE notebooks SET parent_id = $1, updated_at = CURRENT_TIMESTAMP WHERE parent_id = $2',
+          [notebook.parent_id, id]
+        );
+      }
+
+      // Sub-notebooks left under it go with it, and any remaining note
+      // references are cleared by the foreign keys
+      await client.query('DELETE FROM notebooks WHERE id = $1', [id]);
+
+      const ids = notes.rows.map((note) => note.id);
+      await Note.recordChanges(client, userId, mode === 'cascade' ? 'deleted' : 'updated', ids);
+
+      return { notebook, noteCount: notes.rowCount };
+    });
+  }
+}
+
+module.exports = Notebook;
@@ -0,0 +1,162 @@
+const pool = require('../config/database');
+
+const REMINDER_COLUMNS = 'r.id, r.note_id, r.remind_at, r.recurrence, r.snoozed_until, r.status, r.fired_at, r.created_at';
+
+// How far each recurrence moves a reminder along
+const RECURRENCE_INTERVAL = `
+  CASE r.recurrence
+    WHEN 'daily' THEN interval '1 day'
+    WHEN 'weekly' THEN interval '1 week'
+    WHEN 'monthly' THEN interval '1 month'
+  END
+`;
+
+// More occurrences than can have passed since a reminder's first one: the
+// time since then divided by the shortest step, with room to spare
+const OCCURRENCES_SO_FAR = `
+  GREATEST(EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - r.recurs_from), 0)::bigint / CASE r.recurrence
+    WHEN 'daily' THEN 86400
+    WHEN 'weekly' THEN 604800
+    WHEN 'monthly' THEN 2419200
+  END + 2
+`;
+
+// When a pending reminder should fire: its time, unless it was snoozed
+const FIRES_AT = 'COALESCE(r.snoozed_until, r.remind_at)';
+
+class Reminder {
+  /**
+   * Adds a reminder to one of the user's notes. Returns undefined if the
+   * note does not exist, is in the trash or belongs to another user.
+   */
+  static async create(userId, noteId, { remindAt, recurrence = null }) {
+    const query = `
+      WITH created AS (
+        INSERT INTO reminders (note_id, remind_at, recurrence, recurs_from)
+        SELECT id, $3, $4, $3 FROM notes
+        WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+        RETURNING *
+      )
+      SELECT ${REMINDER_COLUMNS} FROM created r
+    `;
+
+    const result = await pool.query(query, [noteId, userId, remindAt, recurrence]);
+    return result.rows[0];
+  }
+
+  static async findAllForNote(userId, noteId) {
+    const query = `
+      SELECT ${REMINDER_COLUMNS}
+      FROM reminders r
+      JOIN notes n ON n.id = r.note_id
+      WHERE r.note_id = $1 AND n.user_id = $2
+      ORDER BY r.remind_at, r.id
+    `;
+
+    const result = await pool.query(query, [noteId, userId]);
+    return result.rows;
+  }
+
+  /**
+   * Lists the user's fired reminders that haven't been snoozed or
+   * dismissed yet, oldest first, with the title of their note.
+   */
+  static async findDue(userId) {
+    const query = `
+      SELECT ${REMINDER_COLUMNS}, n.title AS note_title
+      FROM reminders r
+      JOIN notes n ON n.id = r.note_id
+      WHERE n.user_id = $1 AND n.deleted_at IS NULL AND r.status = 'fired'
+      ORDER BY r.fired_at, r.id
+    `;
+
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Marks up to `limit` pending reminders whose time has come as fired and
+   * returns them. Rows another instance is already firing are skipped
+   * rather than waited on, and a reminder only leaves `pending` once, so
+   * every reminder fires exactly once however many schedulers run.
+   * Reminders on notes in the trash wait until the note is restored.
+   */
+  static async fireDue(limit) {
+    const query = `
+      UPDATE reminders
+      SET status = 'fired', fired_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT r.id FROM reminders r
+        JOIN notes n ON n.id = r.note_id
+        WHERE r.status = 'pending' AND ${FIRES_AT} <= CURRENT_TIMESTAMP AND n.deleted_at IS NULL
+        ORDER BY ${FIRES_AT}
+        LIMIT $1
+        FOR UPDATE OF r SKIP LOCKED
+      )
+      RETURNING id, note_id, remind_at, recurrence, fired_at
+    `;
+
+    const result = await pool.query(query, [limit]);
+    return result.rows;
+  }
+
+  /**
+   * Puts a fired reminder back to pending until `until`. Returns undefined
+   * if the user has no fired reminder with that id.
+   */
+  static async snooze(userId, id, until) {
+    const query = `
+      UPDATE reminders r
+      SET status = 'pending', snoozed_until = $1
+      FROM notes n
+      WHERE r.id = $2 AND n.id = r.note_id AND n.user_id = $3 AND r.status = 'fired'
+      RETURNING ${REMINDER_COLUMNS}
+    `;
+
+    const result = await pool.query(query, [until, id, userId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Dismisses a fired reminder. A recurring reminder moves on to its next
+   * occurrence after now instead, skipping any it missed. Occurrences are
+   * counted from the first one (the nth is `recurs_from` plus n steps), so
+   * a reminder never drifts from its original time of day, and a monthly
+   * one on the 31st comes back on the 31st after a shorter month. Returns
+   * undefined if the user has no fired reminder with that id.
+   */
+  static async dismiss(userId, id) {
+    const query = `
+      UPDATE reminders r
+      SET
+        status = CASE WHEN r.recurrence IS NULL THEN 'dismissed' ELSE 'pending' END,
+        remind_at = CASE WHEN r.recurrence IS NULL THEN r.remind_at ELSE (
+          SELECT MIN(occurrence)
+          FROM generate_series(1, ${OCCURRENCES_SO_FAR}) AS n,
+            LATERAL (SELECT r.recurs_from + n * ${RECURRENCE_INTERVAL} AS occurrence) AS occurrences
+          WHERE occurrence > CURRENT_TIMESTAMP
+        ) END,
+        snoozed_until = NULL
+      FROM notes n
+      WHERE r.id = $1 AND n.id = r.note_id AND n.user_id = $2 AND r.status = 'fired'
+      RETURNING ${REMINDER_COLUMNS}
+    `;
+
+    const result = await pool.query(query, [id, userId]);
+    return result.rows[0];
+  }
+
+  static async delete(userId, id) {
+    const query = `
+      DELETE FROM reminders r
+      USING notes n
+      WHERE r.id = $1 AND n.id = r.note_id AND n.user_id = $2
+      RETURNING ${REMINDER_COLUMNS}
+    `;
+
+    const result = await pool.query(query, [id, userId]);
+    return result.rows[0];
+  }
+}
+
+module.exports = Reminder;
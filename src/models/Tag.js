@@ -0,0 +1,98 @@
+const pool = require('../config/database');
+const { withTransaction } = require('../db/transaction');
+
+const TAG_COLUMNS = `
+  t.id, t.name, t.created_at,
+  (
+    SELECT COUNT(*) FROM note_tags nt
+    JOIN notes n ON n.id = nt.note_id
+    WHERE nt.tag_id = t.id AND n.deleted_at IS NULL
+  )::int AS note_count
+`;
+
+class Tag {
+  static async findAll(userId) {
+    const query = `SELECT ${TAG_COLUMNS} FROM tags t WHERE t.user_id = $1 ORDER BY t.name`;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  }
+
+  static async findByName(userId, name) {
+    const query = `SELECT ${TAG_COLUMNS} FROM tags t WHERE t.user_id = $1 AND t.name = $2`;
+    const result = await pool.query(query, [userId, name]);
+    return result.rows[0];
+  }
+
+  static async rename(userId, id, name) {
+    const query = `
+      UPDATE tags t
+      SET name = $1
+      WHERE t.id = $2 AND t.user_id = $3
+      RETURNING ${TAG_COLUMNS}
+    `;
+
+    const result = await pool.query(query, [name, id, userId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Moves every note tagged with `sourceId` over to `targetId` and removes
+   * the source tag. Returns the target tag, or undefined if either tag
+   * does not exist or belongs to another user.
+   */
+  static async merge(userId, sourceId, targetId) {
+    return withTransaction(async (client) => {
+      const existing = await client.query(
+        'SELECT id FROM tags WHERE id = ANY($1::int[]) AND user_id = $2 FOR UPDATE',
+        [[sourceId, targetId], userId]
+      );
+
+      if (existing.rows.length !== 2) {
+        return undefined;
+      }
+
+      await client.query(
+        `INSERT INTO note_tags (note_id, tag_id)
+         SELECT note_id, $2 FROM note_tags WHERE tag_id = $1
+         ON CONFLICT DO NOTHING`,
+        [sourceId, targetId]
+      );
+      await client.query('DELETE FROM tags WHERE id = $1', [sourceId]);
+
+      const result = await client.query(`SELECT ${TAG_COLUMNS} FROM tags t WHERE t.id = $1`, [targetId]);
+      return result.rows[0];
+    });
+  }
+
+  static async delete(userId, id) {
+    const query = 'DELETE FROM tags WHERE id = $1 AND user_id = $2 RETURNING id, name, created_at';
+    const result = await pool.query(query, [id, userId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Replaces the tags on a note, creating any tags that don't exist yet.
+   * Must run on the client of the transaction that writes the note.
+   */
+  static async setForNote(client, userId, noteId, names) {
+    await client.query('DELETE FROM note_tags WHERE note_id = $1', [noteId]);
+
+    if (names.length === 0) {
+      return;
+    }
+
+    await client.query(
+      `INSERT INTO tags (user_id, name)
+       SELECT $1, unnest($2::text[])
+       ON CONFLICT (user_id, name) DO NOTHING`,
+      [userId, names]
+    );
+    await client.query(
+      `INSERT INTO note_tags (note_id, tag_id)
+       SELECT $1, id FROM tags WHERE user_id = $2 AND name = ANY($3::text[])`,
+      [noteId, userId, names]
+    );
+  }
+}
+
+module.exports = Tag;
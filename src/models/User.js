@@ -0,0 +1,25 @@
+const pool = require('../config/database');
+
+// password_hash is never selected outside of findByEmail, which login needs
+const COLUMNS = 'id, email, created_at';
+
+class User {
+  static async create(email, passwordHash) {
+    const query = `
+      INSERT INTO users (email, password_hash)
+      VALUES ($1, $2)
+      RETURNING ${COLUMNS}
+    `;
+
+    const result = await pool.query(query, [email, passwordHash]);
+    return result.rows[0];
+  }
+
+  static async findByEmail(email) {
+    const query = `SELECT ${COLUMNS}, password_hash FROM users WHERE email = $1`;
+    const result = await pool.query(query, [email]);
+    return result.rows[0];
+  }
+}
+
+module.exports = User;
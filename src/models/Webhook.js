@@ -0,0 +1,65 @@
+const pool = require('../config/database');
+
+// The secret is only returned when a webhook is created
+const WEBHOOK_COLUMNS = 'id, url, events, active, created_at, updated_at';
+
+class Webhook {
+  static async findAll(userId) {
+    const query = `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE user_id = $1 ORDER BY id`;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  }
+
+  static async findById(userId, id) {
+    const query = `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1 AND user_id = $2`;
+    const result = await pool.query(query, [id, userId]);
+    return result.rows[0];
+  }
+
+  static async create(userId, { url, events, secret, active = true }) {
+    const query = `
+      INSERT INTO webhooks (user_id, url, events, secret, active)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${WEBHOOK_COLUMNS}, secret
+    `;
+
+    const result = await pool.query(query, [userId, url, events, secret, active]);
+    return result.rows[0];
+  }
+
+  /**
+   * Changes any of a webhook's url, events and active flag; fields left
+   * undefined keep their value.
+   */
+  static async update(userId, id, { url, events, active }) {
+    const query = `
+      UPDATE webhooks
+      SET url = COALESCE($1, url), events = COALESCE($2, events), active = COALESCE($3, active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4 AND user_id = $5
+      RETURNING ${WEBHOOK_COLUMNS}
+    `;
+
+    const values = [
+      url === undefined ? null : url,
+      events === undefined ? null : events,
+      active === undefined ? null : active,
+      id,
+      userId
+    ];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Deletes a webhook together with its deliveries, including any that
+   * are still pending.
+   */
+  static async delete(userId, id) {
+    const query = `DELETE FROM webhooks WHERE id = $1 AND user_id = $2 RETURNING ${WEBHOOK_COLUMNS}`;
+    const result = await pool.query(query, [id, userId]);
+    return result.rows[0];
+  }
+}
+
+module.exports = Webhook;
@@ -0,0 +1,118 @@
+const pool = require('../config/database');
+
+const DELIVERY_COLUMNS = `
+  d.id, d.webhook_id, d.event, d.payload, d.status, d.attempts, d.next_attempt_at,
+  d.last_status_code, d.last_error, d.delivered_at, d.created_at
+`;
+
+class WebhookDelivery {
+  /**
+   * Queues a delivery of `payload` to each of the user's active webhooks
+   * that subscribe to `event`. Must run on the client of the transaction
+   * making the change, so the delivery is only queued if it commits.
+   * Returns the number of deliveries queued.
+   */
+  static async enqueue(client, userId, event, payload) {
+    const query = `
+      INSERT INTO webhook_deliveries (webhook_id, event, payload)
+      SELECT id, $2::text, $3 FROM webhooks
+      WHERE user_id = $1 AND active AND $2 = ANY(events)
+    `;
+
+    const result = await client.query(query, [userId, event, payload]);
+    return result.rowCount;
+  }
+
+  /**
+   * Claims up to `limit` pending deliveries that are due, with the url and
+   * secret of their webhook, and counts the attempt. A claimed delivery
+   * isn't due again for `leaseSeconds`, so other dispatchers leave it
+   * alone while it is sent, and it is retried if this one dies first.
+   * Deliveries to paused webhooks wait until they are active again.
+   */
+  static async claimDue(limit, leaseSeconds) {
+    const query = `
+      UPDATE webhook_deliveries d
+      SET attempts = d.attempts + 1, next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+      FROM webhooks w
+      WHERE w.id = d.webhook_id AND d.id IN (
+        SELECT pd.id FROM webhook_deliveries pd
+        JOIN webhooks pw ON pw.id = pd.webhook_id
+        WHERE pd.status = 'pending' AND pd.next_attempt_at <= CURRENT_TIMESTAMP AND pw.active
+        ORDER BY pd.next_attempt_at
+        LIMIT $1
+        FOR UPDATE OF pd SKIP LOCKED
+      )
+      RETURNING d.id, d.event, d.payload, d.attempts, w.url, w.secret
+    `;
+
+    const result = await pool.query(query, [limit, leaseSeconds]);
+    return result.rows;
+  }
+
+  static async markDelivered(id, statusCode) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP, last_status_code = $1, last_error = NULL
+      WHERE id = $2
+    `;
+
+    await pool.query(query, [statusCode, id]);
+  }
+
+  /**
+   * Records a failed attempt. The delivery is tried again in
+   * `retryInSeconds`, or with null goes to the dead-letter list.
+   */
+  static async recordFailure(id, { statusCode = null, error, retryInSeconds }) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET
+        status = CASE WHEN $1::int IS NULL THEN 'dead' ELSE 'pending' END,
+        next_attempt_at = CASE WHEN $1::int IS NULL THEN next_attempt_at
+          ELSE CURRENT_TIMESTAMP + make_interval(secs => $1) END,
+        last_status_code = $2,
+        last_error = $3
+      WHERE id = $4
+    `;
+
+    await pool.query(query, [retryInSeconds, statusCode, error, id]);
+  }
+
+  /**
+   * Lists a webhook's deliveries, newest first, optionally only those with
+   * `status`.
+   */
+  static async findAllForWebhook(userId, webhookId, { status, limit }) {
+    const query = `
+      SELECT ${DELIVERY_COLUMNS}
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.webhook_id = $1 AND w.user_id = $2 AND ($3::text IS NULL OR d.status = $3)
+      ORDER BY d.id DESC
+      LIMIT $4
+    `;
+
+    const result = await pool.query(query, [webhookId, userId, status || null, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Puts a dead delivery back in the queue with a fresh set of attempts.
+   * Returns undefined if the user has no dead delivery with that id.
+   */
+  static async replay(userId, webhookId, id) {
+    const query = `
+      UPDATE webhook_deliveries d
+      SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+      FROM webhooks w
+      WHERE d.id = $1 AND d.webhook_id = $2 AND w.id = d.webhook_id AND w.user_id = $3 AND d.status = 'dead'
+      RETURNING ${DELIVERY_COLUMNS}
+    `;
+
+    const result = await pool.query(query, [id, webhookId, userId]);
+    return result.rows[0];
+  }
+}
+
+module.exports = WebhookDelivery;
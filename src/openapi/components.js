@@ -0,0 +1,274 @@
+const { NOTE_FORMATS, NOTE_COLORS } = require('../utils/validation');
+const { WEBHOOK_EVENTS } = require('../schemas/webhookSchemas');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const timestamp = { type: 'string', format: 'date-time' };
+const nullableTimestamp = { type: ['string', 'null'], format: 'date-time' };
+const integer = { type: 'integer' };
+const string = { type: 'string' };
+
+// Every property is always present in responses
+const object = (properties) => ({ type: 'object', properties, required: Object.keys(properties) });
+
+const schemas = {
+  Error: {
+    ...object({ error: ref('ErrorBody') }),
+    description: 'Every error response has this shape'
+  },
+  ErrorBody: {
+    type: 'object',
+    description: 'Some errors add fields, like `retry_after` or `current`',
+    properties: {
+      code: { ...string, description: 'Stable, machine-readable error code, e.g. `VALIDATION_FAILED` or `NOT_FOUND`' },
+      message: string,
+      details: { type: 'array', items: ref('ValidationDetail') }
+    },
+    required: ['code', 'message']
+  },
+  ValidationDetail: object({
+    field: string,
+    location: { type: 'string', enum: ['params', 'query', 'body', 'headers'] },
+    rule: string,
+    message: string
+  }),
+  VersionConflictError: {
+    allOf: [
+      ref('Error'),
+      { type: 'object', properties: { error: { type: 'object', properties: { current: ref('Note') }, required: ['current'] } } }
+    ]
+  },
+  RateLimitedError: {
+    allOf: [
+      ref('Error'),
+      { type: 'object', properties: { error: { type: 'object', properties: { retry_after: integer }, required: ['retry_after'] } } }
+    ]
+  },
+
+  User: object({ id: integer, email: { type: 'string', format: 'email' }, created_at: timestamp }),
+  Credentials: {
+    type: 'object',
+    properties: {
+      email: { type: 'string', format: 'email', maxLength: 255 },
+      password: { type: 'string', minLength: 8, maxLength: 72 }
+    },
+    required: ['email', 'password']
+  },
+  Session: object({ user: ref('User'), token: string }),
+
+  Note: object({
+    id: integer,
+    title: string,
+    content: string,
+    format: { type: 'string', enum: NOTE_FORMATS },
+    notebook_id: { type: ['integer', 'null'] },
+    color: { type: ['string', 'null'], enum: [...NOTE_COLORS, null] },
+    pinned: { type: 'boolean' },
+    archived: { type: 'boolean' },
+    version: integer,
+    created_at: timestamp,
+    updated_at: timestamp,
+    deleted_at: nullableTimestamp,
+    tags: { type: 'array', items: string }
+  }),
+  NotePage: object({
+    data: { type: 'array', items: ref('Note') },
+    nextCursor: { type: ['string', 'null'] },
+    hasMore: { type: 'boolean' }
+  }),
+  SearchResult: {
+    allOf: [
+      ref('Note'),
+      object({ rank: { type: 'number' }, title_highlight: string, snippet: string })
+    ]
+  },
+  RenderedNote: object({ id: integer, format: { type: 'string', enum: NOTE_FORMATS }, html: string }),
+
+  BatchResult: {
+    type: 'object',
+    properties: {
+      index: integer,
+      status: integer,
+      note: ref('Note'),
+      error: ref('ErrorBody')
+    },
+    required: ['index', 'status']
+  },
+  BatchResponse: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: ['atomic', 'best-effort'] },
+      succeeded: integer,
+      failed: integer,
+      results: { type: 'array', items: ref('BatchResult') }
+    },
+    required: ['mode', 'results']
+  },
+  ImportResponse: object({
+    created: integer,
+    skipped: integer,
+    failed: integer,
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: integer,
+          status: { type: 'string', enum: ['created', 'skipped', 'failed'] },
+          id: integer,
+          reason: string,
+          error: ref('ErrorBody')
+        },
+        required: ['index', 'status']
+      }
+    }
+  }),
+
+  RevisionSummary: object({ revision: integer, title: string, created_at: timestamp }),
+  Revision: object({ revision: integer, title: string, content: string, created_at: timestamp }),
+  RevisionDiff: object({
+    from: integer,
+    to: { oneOf: [integer, { type: 'string', const: 'current' }] },
+    title: object({ from: string, to: string, changed: { type: 'boolean' } }),
+    changes: {
+      type: 'array',
+      items: object({ type: { type: 'string', enum: ['added', 'removed', 'unchanged'] }, value: string })
+    }
+  }),
+
+  Share: object({
+    id: integer,
+    note_id: integer,
+    expires_at: nullableTimestamp,
+    revoked_at: nullableTimestamp,
+    has_password: { type: 'boolean' },
+    access_count: integer,
+    last_accessed_at: nullableTimestamp,
+    created_at: timestamp
+  }),
+  CreatedShare: {
+    allOf: [ref('Share'), object({ token: string, url: string })]
+  },
+  SharedNote: object({ title: string, content: string, updated_at: timestamp }),
+
+  Reminder: object({
+    id: integer,
+    note_id: integer,
+    remind_at: timestamp,
+    recurrence: { type: ['string', 'null'], enum: ['daily', 'weekly', 'monthly', null] },
+    snoozed_until: nullableTimestamp,
+    status: { type: 'string', enum: ['pending', 'fired', 'dismissed'] },
+    fired_at: nullableTimestamp,
+    created_at: timestamp
+  }),
+  DueReminder: {
+    allOf: [ref('Reminder'), object({ note_title: string })]
+  },
+
+  Attachment: object({
+    id: integer,
+    note_id: integer,
+    filename: string,
+    mime_type: string,
+    size: integer,
+    created_at: timestamp
+  }),
+
+  Notebook: object({
+    id: integer,
+    name: string,
+    parent_id: { type: ['integer', 'null'] },
+    created_at: timestamp,
+    updated_at: timestamp,
+    note_count: integer
+  }),
+  DeletedNotebook: {
+    type: 'object',
+    properties: {
+      message: string,
+      notebook: ref('Notebook'),
+      mode: { type: 'string', enum: ['move', 'cascade'] },
+      moved_notes: integer,
+      trashed_notes: integer
+    },
+    required: ['message', 'notebook', 'mode']
+  },
+
+  Tag: object({ id: integer, name: string, created_at: timestamp, note_count: integer }),
+
+  Webhook: object({
+    id: integer,
+    url: { type: 'string', format: 'uri' },
+    events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    active: { type: 'boolean' },
+    created_at: timestamp,
+    updated_at: timestamp
+  }),
+  CreatedWebhook: {
+    allOf: [ref('Webhook'), object({ secret: { ...string, description: 'Signing secret; only ever returned here' } })]
+  },
+  WebhookDelivery: object({
+    id: integer,
+    webhook_id: integer,
+    event: { type: 'string', enum: WEBHOOK_EVENTS },
+    payload: { type: 'object' },
+    status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+    attempts: integer,
+    next_attempt_at: nullableTimestamp,
+    last_status_code: { type: ['integer', 'null'] },
+    last_error: { type: ['string', 'null'] },
+    delivered_at: nullableTimestamp,
+    created_at: timestamp
+  }),
+
+  Health: object({ status: { type: 'string', const: 'ok' }, message: string }),
+  Readiness: object({
+    status: { type: 'string', enum: ['ok', 'unavailable'] },
+    checks: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['ok', 'error'] },
+          duration_ms: integer,
+          message: string
+        },
+        required: ['status', 'duration_ms']
+      }
+    }
+  })
+};
+
+const errorResponse = (description, schema = ref('Error'), headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { 'application/json': { schema } }
+});
+
+const responses = {
+  BadRequest: errorResponse('The request is malformed'),
+  ValidationFailed: errorResponse('The request failed validation; `details` lists every problem'),
+  Unauthenticated: errorResponse('Missing, invalid or expired bearer token'),
+  NotFound: errorResponse('The resource does not exist or belongs to another user'),
+  Conflict: errorResponse('The request conflicts with the current state'),
+  VersionConflict: errorResponse(
+    'The note has changed since the given version; `current` is the note as it is now',
+    ref('VersionConflictError'),
+    { ETag: { $ref: '#/components/headers/ETag' } }
+  ),
+  PayloadTooLarge: errorResponse('The body is larger than allowed'),
+  UnsupportedMediaType: errorResponse('The body has an unsupported content type'),
+  RateLimited: errorResponse('Too many requests', ref('RateLimitedError'), {
+    'Retry-After': { description: 'Seconds until a request will be allowed', schema: integer }
+  })
+};
+
+const headers = {
+  ETag: { description: 'The note\'s version, for `If-Match` and `If-None-Match`', schema: string }
+};
+
+const securitySchemes = {
+  bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+};
+
+module.exports = { schemas, responses, headers, securitySchemes };
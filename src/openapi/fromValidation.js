@@ -0,0 +1,69 @@
+/**
+ * Turns the validation schemas in src/schemas into OpenAPI parameters and
+ * JSON Schema, so the documented request rules are the ones the validate
+ * middleware enforces rather than a copy of them.
+ */
+
+const BASE_TYPES = {
+  string: () => ({ type: 'string' }),
+  integer: () => ({ type: 'integer' }),
+  boolean: () => ({ type: 'boolean' }),
+  date: () => ({ type: 'string', format: 'date-time' }),
+  array: () => ({ type: 'array' })
+};
+
+const fieldSchema = (spec) => {
+  const schema = BASE_TYPES[spec.type]();
+
+  if (spec.items) schema.items = fieldSchema(spec.items);
+  if (spec.notEmpty) schema.minLength = 1;
+  if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+  if (spec.minItems !== undefined) schema.minItems = spec.minItems;
+  if (spec.maxItems !== undefined) schema.maxItems = spec.maxItems;
+  if (spec.min !== undefined) schema.minimum = spec.min;
+  if (spec.max !== undefined) schema.maximum = spec.max;
+  if (spec.enum) schema.enum = [...spec.enum];
+  if (spec.pattern) schema.pattern = spec.pattern.source;
+  if (spec.default !== undefined) schema.default = spec.default;
+
+  if (spec.nullable) {
+    schema.type = [schema.type, 'null'];
+    if (schema.enum) schema.enum.push(null);
+  }
+
+  return schema;
+};
+
+/**
+ * The JSON Schema of an object checked with `checkSchema`. A schema with
+ * `atLeastOne` needs one of those fields.
+ */
+const objectSchema = ({ fields, atLeastOne }) => {
+  const required = Object.keys(fields).filter((name) => fields[name].required);
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields).map(([name, spec]) => [name, fieldSchema(spec)])),
+    ...(required.length > 0 && { required }),
+    ...(atLeastOne && { anyOf: atLeastOne.map((name) => ({ required: [name] })) })
+  };
+};
+
+const LOCATIONS = { params: 'path', query: 'query' };
+
+/**
+ * The path and query parameters of a route's validation schemas, as
+ * passed to `validate`.
+ */
+const parameters = (schemas = {}) => Object.entries(LOCATIONS).flatMap(([location, where]) => (
+  schemas[location]
+    ? Object.entries(schemas[location].fields).map(([name, spec]) => ({
+      name,
+      in: where,
+      required: where === 'path' || Boolean(spec.required),
+      schema: fieldSchema(spec)
+    }))
+    : []
+));
+
+module.exports = { fieldSchema, objectSchema, parameters };
@@ -0,0 +1,30 @@
+const { version, license } = require('../../package.json');
+const { paths } = require('./paths');
+const { schemas, responses, headers, securitySchemes } = require('./components');
+
+/**
+ * The OpenAPI 3.1 description of every route, served at /api/openapi.json
+ * and browsable at /docs. Request parameters and bodies come from the
+ * validation schemas (see fromValidation); responses are described in
+ * components and checked against real responses by the contract tests.
+ */
+const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'QuickNote API',
+    version,
+    license: { name: license, identifier: license },
+    description: 'Notes with tags, notebooks, revisions, sharing, reminders, attachments and webhooks. '
+      + 'Every error has the shape of `Error`.'
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }],
+  tags: [
+    'Auth', 'Notes', 'Revisions', 'Sharing', 'Reminders', 'Attachments', 'Trash', 'Tags', 'Notebooks', 'Webhooks', 'Health',
+    'Docs'
+  ].map((name) => ({ name })),
+  paths,
+  components: { schemas, responses, headers, securitySchemes }
+};
+
+module.exports = { openApiDocument };
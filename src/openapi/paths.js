@@ -0,0 +1,619 @@
+const { objectSchema, parameters } = require('./fromValidation');
+const { idParams } = require('../schemas/common');
+const noteSchemas = require('../schemas/noteSchemas');
+const notebookSchemas = require('../schemas/notebookSchemas');
+const reminderSchemas = require('../schemas/reminderSchemas');
+const tagSchemas = require('../schemas/tagSchemas');
+const webhookSchemas = require('../schemas/webhookSchemas');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const string = { type: 'string' };
+
+const json = (description, schema, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { 'application/json': { schema } }
+});
+
+const list = (schema) => ({
+  type: 'object',
+  properties: { data: { type: 'array', items: schema } },
+  required: ['data']
+});
+
+const array = (schema) => ({ type: 'array', items: schema });
+
+// The `{ message, <resource> }` confirmations sent by deletes
+const confirmation = (name, schema) => ({
+  type: 'object',
+  properties: { message: string, [name]: schema },
+  required: ['message', name]
+});
+
+const etag = { ETag: { $ref: '#/components/headers/ETag' } };
+
+const ERROR_RESPONSES = {
+  400: 'ValidationFailed',
+  401: 'Unauthenticated',
+  404: 'NotFound',
+  409: 'Conflict',
+  412: 'VersionConflict',
+  413: 'PayloadTooLarge',
+  415: 'UnsupportedMediaType',
+  429: 'RateLimited'
+};
+
+const header = (name, description) => ({ name, in: 'header', required: false, description, schema: string });
+
+/**
+ * Builds one operation. `validation` is the route's schema as passed to
+ * `validate`, which supplies its parameters and JSON body;
+ * `extraParameters` adds headers and parameters it doesn't check. Operations
+ * require a bearer token unless `isPublic` is set, and every `/api` route
+ * can be rate limited. `errors` lists the error statuses besides those.
+ */
+const operation = (operationId, summary, {
+  tag,
+  validation,
+  requestBody,
+  extraParameters = [],
+  responses,
+  errors = [],
+  isPublic = false,
+  rateLimited = true
+}) => {
+  const statuses = [...errors, ...(isPublic ? [] : [401]), ...(rateLimited ? [429] : [])];
+  const body = requestBody || (validation && validation.body && {
+    required: true,
+    content: { 'application/json': { schema: objectSchema(validation.body) } }
+  });
+
+  return {
+    operationId,
+    summary,
+    tags: [tag],
+    ...(isPublic && { security: [] }),
+    parameters: [...parameters(validation), ...extraParameters],
+    ...(body && { requestBody: body }),
+    responses: {
+      ...responses,
+      ...Object.fromEntries([...new Set(statuses)].sort().map((status) => [
+        status,
+        { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }
+      ]))
+    }
+  };
+};
+
+const health = { tag: 'Health', isPublic: true, rateLimited: false };
+const auth = { tag: 'Auth', isPublic: true };
+const notes = { tag: 'Notes' };
+
+const credentials = { required: true, content: { 'application/json': { schema: ref('Credentials') } } };
+
+const batchOperations = Object.entries(noteSchemas.batchOperations).map(([op, schema]) => {
+  const { properties, ...rest } = objectSchema(schema);
+  return { ...rest, properties: { ...properties, op: { type: 'string', const: op } } };
+});
+
+const batchBody = objectSchema(noteSchemas.batchNotes.body);
+batchBody.properties.operations.items = { oneOf: batchOperations };
+
+const importedNote = objectSchema(noteSchemas.importedNote);
+
+const paths = {
+  '/health': {
+    get: operation('getHealth', 'Check that the API is running', {
+      ...health,
+      responses: { 200: json('The API is running', ref('Health')) }
+    })
+  },
+  '/health/live': {
+    get: operation('getLiveness', 'Liveness probe', {
+      ...health,
+      responses: { 200: json('The process is serving requests', ref('Health')) }
+    })
+  },
+  '/health/ready': {
+    get: operation('getReadiness', 'Readiness probe: the database answers and its schema is up to date', {
+      ...health,
+      responses: {
+        200: json('Ready to serve traffic', ref('Readiness')),
+        503: json('Not ready; `checks` says why', ref('Readiness'))
+      }
+    })
+  },
+  '/metrics': {
+    get: operation('getMetrics', 'Prometheus metrics', {
+      ...health,
+      responses: {
+        200: { description: 'Metrics in the Prometheus text format', content: { 'text/plain': { schema: string } } },
+        401: { $ref: '#/components/responses/Unauthenticated' }
+      }
+    })
+  },
+
+  '/api/auth/signup': {
+    post: operation('signup', 'Create an account', {
+      ...auth,
+      requestBody: credentials,
+      responses: { 201: json('Account created', ref('Session')) },
+      errors: [400, 409]
+    })
+  },
+  '/api/auth/login': {
+    post: operation('login', 'Log in', {
+      ...auth,
+      requestBody: credentials,
+      responses: {
+        200: json('Logged in', ref('Session')),
+        401: json('Invalid email or password', ref('Error'))
+      },
+      errors: [400]
+    })
+  },
+
+  '/api/notes': {
+    get: operation('getAllNotes', 'List notes, a page at a time', {
+      ...notes,
+      validation: noteSchemas.listNotes,
+      responses: { 200: json('A page of notes', ref('NotePage')) },
+      errors: [400]
+    }),
+    post: operation('createNote', 'Create a note', {
+      ...notes,
+      validation: noteSchemas.createNote,
+      responses: { 201: json('The new note', ref('Note'), etag) },
+      errors: [400, 404, 413]
+    })
+  },
+  '/api/notes/batch': {
+    post: operation('batchNotes', 'Create, update and delete notes in one request', {
+      ...notes,
+      requestBody: { required: true, content: { 'application/json': { schema: batchBody } } },
+      responses: {
+        200: json('The outcome of every operation', ref('BatchResponse')),
+        409: json('An atomic batch failed; `failure` says which operation and why', ref('Error'))
+      },
+      errors: [400, 413]
+    })
+  },
+  '/api/notes/search': {
+    get: operation('searchNotes', 'Full-text search across titles and content', {
+      ...notes,
+      validation: noteSchemas.searchNotes,
+      responses: { 200: json('Matching notes, best first', list(ref('SearchResult'))) },
+      errors: [400]
+    })
+  },
+  '/api/notes/events': {
+    get: operation('streamEvents', 'Stream note changes as Server-Sent Events', {
+      ...notes,
+      extraParameters: [header('Last-Event-ID', 'Resume after this event')],
+      responses: {
+        200: {
+          description: '`created`, `updated` and `deleted` events carrying `{ note_id, version }`',
+          content: { 'text/event-stream': { schema: string } }
+        }
+      },
+      errors: [400]
+    })
+  },
+  '/api/notes/export': {
+    get: operation('exportNotes', 'Download every note', {
+      ...notes,
+      validation: noteSchemas.exportNotes,
+      responses: {
+        200: {
+          description: 'The notes as JSON, CSV or a zip archive of Markdown files',
+          content: {
+            'application/json': { schema: { type: 'object', properties: { notes: array(ref('Note')) } } },
+            'text/csv': { schema: string },
+            'application/zip': { schema: { type: 'string', format: 'binary' } }
+          }
+        }
+      },
+      errors: [400]
+    })
+  },
+  '/api/notes/import': {
+    post: operation('importNotes', 'Import notes from a JSON, CSV or Markdown zip export', {
+      ...notes,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              oneOf: [
+                array(importedNote),
+                { type: 'object', properties: { notes: array(importedNote) }, required: ['notes'] }
+              ]
+            }
+          },
+          'text/csv': { schema: string },
+          'application/zip': { schema: { type: 'string', format: 'binary' } }
+        }
+      },
+      responses: {
+        200: json('The outcome for every note', ref('ImportResponse')),
+        400: { $ref: '#/components/responses/BadRequest' }
+      },
+      errors: [413, 415]
+    })
+  },
+  '/api/notes/{id}': {
+    get: operation('getNoteById', 'Get a note', {
+      ...notes,
+      validation: noteSchemas.getNote,
+      extraParameters: [header('If-None-Match', 'Answer 304 if the note still has this ETag')],
+      responses: {
+        200: json('The note', ref('Note'), etag),
+        304: { description: 'The note has not changed', headers: etag }
+      },
+      errors: [400, 404]
+    }),
+    put: operation('updateNote', 'Replace a note', {
+      ...notes,
+      validation: noteSchemas.replaceNote,
+      extraParameters: [header('If-Match', 'Only update the note if it still has one of these ETags')],
+      responses: { 200: json('The updated note', ref('Note'), etag) },
+      errors: [400, 404, 412, 413]
+    }),
+    patch: operation('patchNote', 'Update some of a note\'s fields', {
+      ...notes,
+      validation: noteSchemas.patchNote,
+      extraParameters: [header('If-Match', 'Only update the note if it still has one of these ETags')],
+      responses: { 200: json('The updated note', ref('Note'), etag) },
+      errors: [400, 404, 412, 413]
+    }),
+    delete: operation('deleteNote', 'Move a note to the trash', {
+      ...notes,
+      validation: noteSchemas.deleteNote,
+      responses: { 200: json('The note, now in the trash', confirmation('note', ref('Note'))) },
+      errors: [400, 404]
+    })
+  },
+  '/api/notes/{id}/rendered': {
+    get: operation('getRenderedNote', 'Get a note\'s content rendered as safe HTML', {
+      ...notes,
+      validation: noteSchemas.renderNote,
+      responses: { 200: json('The rendered note', ref('RenderedNote')) },
+      errors: [400, 404]
+    })
+  },
+  ...Object.fromEntries([
+    ['pin', 'pinNote', 'Pin a note to the top of the list'],
+    ['unpin', 'unpinNote', 'Unpin a note'],
+    ['archive', 'archiveNote', 'Archive a note'],
+    ['unarchive', 'unarchiveNote', 'Bring a note back from the archive']
+  ].map(([action, operationId, summary]) => [`/api/notes/{id}/${action}`, {
+    post: operation(operationId, summary, {
+      ...notes,
+      validation: noteSchemas[operationId],
+      responses: { 200: json('The updated note', ref('Note'), etag) },
+      errors: [400, 404]
+    })
+  }])),
+
+  '/api/notes/{id}/revisions': {
+    get: operation('listRevisions', 'List a note\'s revisions, newest first', {
+      tag: 'Revisions',
+      validation: noteSchemas.listRevisions,
+      responses: { 200: json('The revisions', array(ref('RevisionSummary'))) },
+      errors: [400, 404]
+    })
+  },
+  '/api/notes/{id}/revisions/{rev}': {
+    get: operation('getRevision', 'Get a revision', {
+      tag: 'Revisions',
+      validation: noteSchemas.getRevision,
+      responses: { 200: json('The revision', ref('Revision')) },
+      errors: [400, 404]
+    })
+  },
+  '/api/notes/{id}/revisions/{rev}/diff': {
+    get: operation('diffRevision', 'Diff a revision against another revision or the current note', {
+      tag: 'Revisions',
+      validation: noteSchemas.diffRevision,
+      responses: { 200: json('The differences', ref('RevisionDiff')) },
+      errors: [400, 404]
+    })
+  },
+  '/api/notes/{id}/revisions/{rev}/restore': {
+    post: operation('restoreRevision', 'Restore a note to a revision', {
+      tag: 'Revisions',
+      validation: noteSchemas.restoreRevision,
+      responses: { 200: json('The restored note', ref('Note')) },
+      errors: [400, 404]
+    })
+  },
+
+  '/api/notes/{id}/shares': {
+    get: operation('listShares', 'List a note\'s share links with access counts', {
+      tag: 'Sharing',
+      validation: noteSchemas.listShares,
+      responses: { 200: json('The share links', list(ref('Share'))) },
+      errors: [400, 404]
+    }),
+    post: operation('createShare', 'Create a public read-only link to a note', {
+      tag: 'Sharing',
+      validation: noteSchemas.createShare,
+      requestBody: {
+        required: false,
+        content: { 'application/json': { schema: objectSchema(noteSchemas.createShare.body) } }
+      },
+      responses: { 201: json('The share, with its token; the token is only ever returned here', ref('CreatedShare')) },
+      errors: [400, 404]
+    })
+  },
+  '/api/notes/{id}/shares/{shareId}': {
+    delete: operation('revokeShare', 'Revoke a share link', {
+      tag: 'Sharing',
+      validation: noteSchemas.revokeShare,
+      responses: { 200: json('The revoked share', confirmation('share', ref('Share'))) },
+      errors: [400, 404]
+    })
+  },
+  '/api/shared/{token}': {
+    get: operation('getSharedNote', 'Read a shared note', {
+      tag: 'Sharing',
+      isPublic: true,
+      extraParameters: [
+        { name: 'token', in: 'path', required: true, schema: string },
+        header('X-Share-Password', 'The password of a password-protected share')
+      ],
+      responses: {
+        200: json('The shared note', ref('SharedNote')),
+        401: json('The share needs a password, or the password is wrong', ref('Error'))
+      },
+      errors: [404]
+    })
+  },
+
+  '/api/notes/{id}/reminders': {
+    get: operation('listReminders', 'List a note\'s reminders', {
+      tag: 'Reminders',
+      validation: noteSchemas.listReminders,
+      responses: { 200: json('The reminders', list(ref('Reminder'))) },
+      errors: [400, 404]
+    }),
+    post: operation('createReminder', 'Add a reminder to a note', {
+      tag: 'Reminders',
+      validation: noteSchemas.createReminder,
+      responses: { 201: json('The new reminder', ref('Reminder')) },
+      errors: [400, 404]
+    })
+  },
+  '/api/reminders/due': {
+    get: operation('getDueReminders', 'List fired reminders that haven\'t been snoozed or dismissed', {
+      tag: 'Reminders',
+      responses: { 200: json('The due reminders, oldest first', list(ref('DueReminder'))) }
+    })
+  },
+  '/api/reminders/{id}/snooze': {
+    post: operation('snoozeReminder', 'Snooze a fired reminder', {
+      tag: 'Reminders',
+      validation: reminderSchemas.snoozeReminder,
+      requestBody: {
+        required: false,
+        content: { 'application/json': { schema: objectSchema(reminderSchemas.snoozeReminder.body) } }
+      },
+      responses: { 200: json('The snoozed reminder', ref('Reminder')) },
+      errors: [400, 404]
+    })
+  },
+  '/api/reminders/{id}/dismiss': {
+    post: operation('dismissReminder', 'Dismiss a fired reminder, or move a recurring one to its next time', {
+      tag: 'Reminders',
+      validation: reminderSchemas.dismissReminder,
+      responses: { 200: json('The dismissed reminder', ref('Reminder')) },
+      errors: [400, 404]
+    })
+  },
+  '/api/reminders/{id}': {
+    delete: operation('deleteReminder', 'Delete a reminder', {
+      tag: 'Reminders',
+      validation: reminderSchemas.deleteReminder,
+      responses: { 200: json('The deleted reminder', confirmation('reminder', ref('Reminder'))) },
+      errors: [400, 404]
+    })
+  },
+
+  '/api/notes/{id}/attachments': {
+    get: operation('listAttachments', 'List a note\'s attachments', {
+      tag: 'Attachments',
+      validation: noteSchemas.listAttachments,
+      responses: { 200: json('The attachments', list(ref('Attachment'))) },
+      errors: [400, 404]
+    }),
+    post: operation('uploadAttachment', 'Attach an image or PDF to a note', {
+      tag: 'Attachments',
+      validation: noteSchemas.uploadAttachment,
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: { file: { type: 'string', format: 'binary' } },
+              required: ['file']
+            }
+          }
+        }
+      },
+      responses: { 201: json('The new attachment', ref('Attachment')) },
+      errors: [400, 404, 413, 415]
+    })
+  },
+  '/api/notes/{id}/attachments/{attachmentId}': {
+    get: operation('downloadAttachment', 'Download an attachment, or a byte range of it', {
+      tag: 'Attachments',
+      validation: noteSchemas.downloadAttachment,
+      extraParameters: [header('Range', 'A single byte range, e.g. `bytes=0-1023`')],
+      responses: {
+        200: { description: 'The file', content: { '*/*': { schema: { type: 'string', format: 'binary' } } } },
+        206: { description: 'The requested range', content: { '*/*': { schema: { type: 'string', format: 'binary' } } } },
+        416: json('The range is outside the file', ref('Error'))
+      },
+      errors: [400, 404]
+    }),
+    delete: operation('deleteAttachment', 'Delete an attachment', {
+      tag: 'Attachments',
+      validation: noteSchemas.deleteAttachment,
+      responses: { 200: json('The deleted attachment', confirmation('attachment', ref('Attachment'))) },
+      errors: [400, 404]
+    })
+  },
+
+  '/api/trash': {
+    get: operation('getTrash', 'List notes in the trash, most recently deleted first', {
+      tag: 'Trash',
+      responses: { 200: json('The notes in the trash', array(ref('Note'))) }
+    })
+  },
+  '/api/trash/{id}': {
+    delete: operation('purgeNote', 'Permanently delete a note in the trash', {
+      tag: 'Trash',
+      validation: { params: idParams },
+      responses: { 200: json('The purged note', confirmation('note', ref('Note'))) },
+      errors: [400, 404]
+    })
+  },
+  '/api/notes/{id}/restore': {
+    post: operation('restoreNote', 'Restore a note from the trash', {
+      tag: 'Trash',
+      validation: { params: idParams },
+      responses: { 200: json('The restored note', ref('Note')) },
+      errors: [400, 404]
+    })
+  },
+
+  '/api/tags': {
+    get: operation('getAllTags', 'List tags with their note counts', {
+      tag: 'Tags',
+      responses: { 200: json('The tags', array(ref('Tag'))) }
+    })
+  },
+  '/api/tags/{id}': {
+    put: operation('renameTag', 'Rename a tag', {
+      tag: 'Tags',
+      validation: tagSchemas.renameTag,
+      responses: { 200: json('The renamed tag', ref('Tag')) },
+      errors: [400, 404, 409]
+    }),
+    delete: operation('deleteTag', 'Delete a tag, keeping its notes', {
+      tag: 'Tags',
+      validation: tagSchemas.deleteTag,
+      responses: { 200: json('The deleted tag', confirmation('tag', ref('Tag'))) },
+      errors: [400, 404]
+    })
+  },
+  '/api/tags/{id}/merge': {
+    post: operation('mergeTag', 'Merge a tag into another', {
+      tag: 'Tags',
+      validation: tagSchemas.mergeTag,
+      responses: { 200: json('The tag merged into', ref('Tag')) },
+      errors: [400, 404]
+    })
+  },
+
+  '/api/notebooks': {
+    get: operation('getAllNotebooks', 'List notebooks', {
+      tag: 'Notebooks',
+      responses: { 200: json('The notebooks', array(ref('Notebook'))) }
+    }),
+    post: operation('createNotebook', 'Create a notebook', {
+      tag: 'Notebooks',
+      validation: notebookSchemas.createNotebook,
+      responses: { 201: json('The new notebook', ref('Notebook')) },
+      errors: [400, 404]
+    })
+  },
+  '/api/notebooks/{id}': {
+    get: operation('getNotebookById', 'Get a notebook', {
+      tag: 'Notebooks',
+      validation: notebookSchemas.getNotebook,
+      responses: { 200: json('The notebook', ref('Notebook')) },
+      errors: [400, 404]
+    }),
+    patch: operation('updateNotebook', 'Rename or move a notebook', {
+      tag: 'Notebooks',
+      validation: notebookSchemas.updateNotebook,
+      responses: { 200: json('The updated notebook', ref('Notebook')) },
+      errors: [400, 404]
+    }),
+    delete: operation('deleteNotebook', 'Delete a notebook, moving its notes out or trashing them', {
+      tag: 'Notebooks',
+      validation: notebookSchemas.deleteNotebook,
+      responses: { 200: json('The deleted notebook', ref('DeletedNotebook')) },
+      errors: [400, 404]
+    })
+  },
+
+  '/api/webhooks': {
+    get: operation('getAllWebhooks', 'List webhooks', {
+      tag: 'Webhooks',
+      responses: { 200: json('The webhooks', list(ref('Webhook'))) }
+    }),
+    post: operation('createWebhook', 'Register a webhook', {
+      tag: 'Webhooks',
+      validation: webhookSchemas.createWebhook,
+      responses: { 201: json('The new webhook, with its signing secret', ref('CreatedWebhook')) },
+      errors: [400]
+    })
+  },
+  '/api/webhooks/{id}': {
+    get: operation('getWebhookById', 'Get a webhook', {
+      tag: 'Webhooks',
+      validation: webhookSchemas.getWebhook,
+      responses: { 200: json('The webhook', ref('Webhook')) },
+      errors: [400, 404]
+    }),
+    patch: operation('updateWebhook', 'Update a webhook', {
+      tag: 'Webhooks',
+      validation: webhookSchemas.updateWebhook,
+      responses: { 200: json('The updated webhook', ref('Webhook')) },
+      errors: [400, 404]
+    }),
+    delete: operation('deleteWebhook', 'Delete a webhook', {
+      tag: 'Webhooks',
+      validation: webhookSchemas.deleteWebhook,
+      responses: { 200: json('The deleted webhook', confirmation('webhook', ref('Webhook'))) },
+      errors: [400, 404]
+    })
+  },
+  '/api/webhooks/{id}/deliveries': {
+    get: operation('listDeliveries', 'List a webhook\'s deliveries, newest first', {
+      tag: 'Webhooks',
+      validation: webhookSchemas.listDeliveries,
+      responses: { 200: json('The deliveries', list(ref('WebhookDelivery'))) },
+      errors: [400, 404]
+    })
+  },
+  '/api/webhooks/{id}/deliveries/{deliveryId}/replay': {
+    post: operation('replayDelivery', 'Send a dead delivery again', {
+      tag: 'Webhooks',
+      validation: webhookSchemas.replayDelivery,
+      responses: { 200: json('The delivery, queued again', ref('WebhookDelivery')) },
+      errors: [400, 404]
+    })
+  },
+
+  '/api/openapi.json': {
+    get: operation('getOpenApiDocument', 'This document', {
+      tag: 'Docs',
+      isPublic: true,
+      responses: { 200: json('The OpenAPI document', { type: 'object' }) }
+    })
+  },
+  '/docs': {
+    get: operation('getDocs', 'Browsable API documentation', {
+      tag: 'Docs',
+      isPublic: true,
+      rateLimited: false,
+      responses: { 200: { description: 'An HTML page', content: { 'text/html': { schema: string } } } }
+    })
+  }
+};
+
+module.exports = { paths };
@@ -0,0 +1,28 @@
+const { createMemoryStore } = require('./memoryStore');
+const { createPostgresStore } = require('./postgresStore');
+
+/**
+ * Where rate limit buckets are kept. Every store implements
+ * `take(key, { capacity, refillPerSecond })`, which refills the bucket
+ * for the time since it was last used, takes a token if there is one,
+ * and resolves with `{ allowed, tokens }`, the tokens left afterwards.
+ *
+ * The store is picked with RATE_LIMIT_STORE: `memory` (the default) counts
+ * per instance, `postgres` shares the limits across instances.
+ */
+const STORES = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore
+};
+
+const createRateLimitStore = (type = process.env.RATE_LIMIT_STORE || 'memory') => {
+  if (!STORES[type]) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${type}" (expected one of: ${Object.keys(STORES).join(', ')})`);
+  }
+
+  return STORES[type]();
+};
+
+const rateLimitStore = createRateLimitStore();
+
+module.exports = { rateLimitStore, createRateLimitStore };
@@ -0,0 +1,43 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Rate limit store that keeps token buckets in this process's memory.
+ * Each instance of the API counts separately. Buckets that have refilled
+ * completely are dropped every minute, so memory stays bounded by the
+ * number of recently active clients.
+ */
+const createMemoryStore = ({ now = Date.now } = {}) => {
+  const buckets = new Map();
+
+  const refilled = (bucket, time) =>
+    Math.min(bucket.capacity, bucket.tokens + ((time - bucket.updatedAt) / 1000) * bucket.refillPerSecond);
+
+  const sweep = () => {
+    const time = now();
+    for (const [key, bucket] of buckets) {
+      if (refilled(bucket, time) >= bucket.capacity) {
+        buckets.delete(key);
+      }
+    }
+  };
+
+  const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+
+  return {
+    async take(key, { capacity, refillPerSecond }) {
+      const time = now();
+      const bucket = buckets.get(key);
+      const tokens = bucket ? refilled(bucket, time) : capacity;
+      const allowed = tokens >= 1;
+      const left = allowed ? tokens - 1 : tokens;
+
+      buckets.set(key, { tokens: left, updatedAt: time, capacity, refillPerSecond });
+      return { allowed, tokens: left };
+    },
+
+    sweep
+  };
+};
+
+module.exports = { createMemoryStore };
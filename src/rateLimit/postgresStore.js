@@ -0,0 +1,54 @@
+const pool = require('../config/database');
+const { MAX_WINDOW_SECONDS } = require('../config/rateLimits');
+const { logger } = require('../utils/logger');
+
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+// A bucket's tokens after refilling for the time since it was last used
+const REFILLED = 'LEAST($2::float8, b.tokens + EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - b.updated_at) * $3::float8)';
+
+/**
+ * Rate limit store that keeps token buckets in the rate_limit_buckets
+ * table, so every instance of the API shares the same limits. Each take
+ * is a single upsert, which row-locks the bucket and so can't race with
+ * another instance's.
+ */
+const createPostgresStore = ({ db = pool } = {}) => {
+  // Buckets idle for longer than the longest window are full again, and
+  // a missing bucket starts full
+  const prune = async () => {
+    try {
+      await db.query(
+        'DELETE FROM rate_limit_buckets WHERE updated_at < CURRENT_TIMESTAMP - make_interval(secs => $1)',
+        [MAX_WINDOW_SECONDS]
+      );
+    } catch (error) {
+      logger.error('Error pruning rate limit buckets', { error });
+    }
+  };
+
+  const timer = setInterval(prune, PRUNE_INTERVAL_MS);
+  timer.unref();
+
+  return {
+    async take(key, { capacity, refillPerSecond }) {
+      const query = `
+        INSERT INTO rate_limit_buckets AS b (key, tokens, allowed, updated_at)
+        VALUES ($1, $2::float8 - 1, TRUE, CURRENT_TIMESTAMP)
+        ON CONFLICT (key) DO UPDATE SET
+          tokens = CASE WHEN ${REFILLED} >= 1 THEN ${REFILLED} - 1 ELSE ${REFILLED} END,
+          allowed = ${REFILLED} >= 1,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING tokens, allowed
+      `;
+
+      const result = await db.query(query, [key, capacity, refillPerSecond]);
+      const { tokens, allowed } = result.rows[0];
+      return { allowed, tokens };
+    },
+
+    prune
+  };
+};
+
+module.exports = { createPostgresStore };
@@ -0,0 +1,49 @@
+const { createPostgresNoteRepository } = require('./postgresNoteRepository');
+const { createMemoryNoteRepository } = require('./memoryNoteRepository');
+const { createPostgresUserRepository } = require('./postgresUserRepository');
+const { createMemoryUserRepository } = require('./memoryUserRepository');
+
+/**
+ * Where notes and accounts are kept. Every note repository implements the
+ * Note model's `create`, `findAll`, `search`, `findExisting`, `findById`,
+ * `update`, `setFlags`, `delete`, `findDeleted`, `restore`, `purge` and
+ * `purgeExpired` with the same arguments and results, plus
+ * `transaction(callback)`, which runs the callback with a client to pass
+ * as `client` to the write methods and rolls all of them back if it
+ * throws. Every user repository implements the User model's `create` and
+ * `findByEmail`.
+ *
+ * The repositories are picked with NOTE_REPOSITORY: `postgres` (the
+ * default) or `memory`, which needs no database and loses every note and
+ * account on restart (see memoryNoteRepository for what else it leaves
+ * out).
+ */
+const REPOSITORIES = {
+  postgres: { notes: createPostgresNoteRepository, users: createPostgresUserRepository },
+  memory: { notes: createMemoryNoteRepository, users: createMemoryUserRepository }
+};
+
+const noteRepositoryType = process.env.NOTE_REPOSITORY || 'postgres';
+
+const repositoriesFor = (type) => {
+  if (!REPOSITORIES[type]) {
+    throw new Error(`Unknown NOTE_REPOSITORY "${type}" (expected one of: ${Object.keys(REPOSITORIES).join(', ')})`);
+  }
+
+  return REPOSITORIES[type];
+};
+
+const createNoteRepository = (type = noteRepositoryType) => repositoriesFor(type).notes();
+
+const createUserRepository = (type = noteRepositoryType) => repositoriesFor(type).users();
+
+const noteRepository = createNoteRepository();
+const userRepository = createUserRepository();
+
+module.exports = {
+  noteRepository,
+  userRepository,
+  noteRepositoryType,
+  createNoteRepository,
+  createUserRepository
+};
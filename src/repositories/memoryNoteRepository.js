@@ -0,0 +1,352 @@
+const { NotFoundError, VersionConflictError } = require('../errors');
+const { toHighlightHtml, HIGHLIGHT_START, HIGHLIGHT_STOP } = require('../utils/searchQuery');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+// ts_rank's default weights for title (A) and content (B) matches
+const TITLE_WEIGHT = 1;
+const CONTENT_WEIGHT = 0.4;
+
+const SORT_VALUES = {
+  created_at: (note) => note.created_at.getTime(),
+  updated_at: (note) => note.updated_at.getTime(),
+  title: (note) => note.title
+};
+
+const compareValues = (a, b) => {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+
+// The stored row minus the owner, with its own copies of the mutable fields
+const toNote = ({ user_id: userId, ...row }) => ({
+  ...row,
+  created_at: new Date(row.created_at),
+  updated_at: new Date(row.updated_at),
+  deleted_at: row.deleted_at && new Date(row.deleted_at),
+  tags: [...row.tags]
+});
+
+const normalizeTags = (tags) => [...new Set(tags)].sort();
+
+// The in-memory store has no notebooks, so filing a note in one always fails
+const checkNotebook = (notebookId) => {
+  if (notebookId !== undefined && notebookId !== null) {
+    throw new NotFoundError('Notebook not found');
+  }
+};
+
+/**
+ * Parses the tsquery expressions built by utils/searchQuery into clauses
+ * of `{ negated, words, prefix }`, where `words` must appear in sequence
+ * and `prefix` makes the last one match any word starting with it.
+ */
+const parseTsQuery = (tsQuery) => tsQuery.split(' & ').map((clause) => {
+  const negated = clause.startsWith('!(');
+  const body = clause.replace(/^!?\(/, '').replace(/\)$/, '');
+  const prefix = body.endsWith(':*');
+  const words = body.replace(/:\*$/, '').split(' <-> ').map((word) => word.toLowerCase());
+  return { negated, words, prefix };
+});
+
+const wordMatches = ({ words, prefix }, i, word) => (
+  prefix && i === words.length - 1 ? word.startsWith(words[i]) : word === words[i]
+);
+
+const extractWords = (text) => (text.match(WORD_PATTERN) || []).map((word) => word.toLowerCase());
+
+const clauseMatches = (clause, words) => words.some((_, start) => (
+  clause.words.every((_, i) => start + i < words.length && wordMatches(clause, i, words[start + i]))
+));
+
+// Marks the matches the way ts_headline does, then escapes the rest
+const highlight = (text, clauses) => toHighlightHtml(text.replace(WORD_PATTERN, (word) => {
+  const lower = word.toLowerCase();
+  const matched = clauses.some((clause) => clause.words.some((_, i) => wordMatches(clause, i, lower)));
+  return matched ? `${HIGHLIGHT_START}${word}${HIGHLIGHT_STOP}` : word;
+}));
+
+/**
+ * A note repository that keeps notes in process memory, for demos and
+ * tests that run without a database. It follows the Postgres repository's
+ * ordering, versioning, timestamp and not-found rules, with these
+ * differences:
+ *
+ * - there are no notebooks, so any notebook id is not found
+ * - titles sort by code point rather than by the database collation
+ * - search matches whole words and prefixes without stemming, and the
+ *   snippet is the whole content
+ * - revisions, attachments, webhooks and the real-time feed are not kept
+ * - `transaction` rolls back on failure but isn't isolated from other
+ *   requests running at the same time
+ *
+ * `now` returns the current time, so tests can control timestamps.
+ */
+const createMemoryNoteRepository = ({ now = () => new Date() } = {}) => {
+  let notes = new Map();
+  let nextId = 1;
+
+  const findRow = (userId, id, { includeDeleted = false } = {}) => {
+    const row = notes.get(Number(id));
+    if (!row || row.user_id !== userId || (row.deleted_at && !includeDeleted)) {
+      return undefined;
+    }
+    return row;
+  };
+
+  const findTrashedRow = (userId, id) => {
+    const row = findRow(userId, id, { includeDeleted: true });
+    return row && row.deleted_at ? row : undefined;
+  };
+
+  return {
+    async create(userId, title, content, tags = [], { format, notebookId, color, createdAt, updatedAt } = {}) {
+      checkNotebook(notebookId);
+
+      const createdTime = createdAt ? new Date(createdAt) : now();
+      const row = {
+        user_id: userId,
+        id: nextId,
+        title,
+        content,
+        format: format || 'plain',
+        notebook_id: null,
+        color: color || null,
+        pinned: false,
+        archived: false,
+        version: 1,
+        created_at: createdTime,
+        updated_at: updatedAt ? new Date(updatedAt) : createdTime,
+        deleted_at: null,
+        tags: normalizeTags(tags)
+      };
+
+      nextId += 1;
+      notes.set(row.id, row);
+      return toNote(row);
+    },
+
+    async findAll(userId, {
+      sort = 'created_at',
+      order = 'desc',
+      limit,
+      cursor,
+      tags,
+      tagMatch = 'any',
+      notebookId,
+      includeDeleted = false,
+      archived = false,
+      pinnedFirst = true,
+      createdAfter,
+      createdBefore,
+      updatedAfter,
+      updatedBefore
+    } = {}) {
+      const sortValue = SORT_VALUES[sort];
+      const direction = order === 'asc' ? 1 : -1;
+      const compareKeys = (a, b) => direction * (compareValues(sortValue(a), sortValue(b)) || a.id - b.id);
+      const since = (date) => new Date(date).getTime();
+
+      const matches = (row) => {
+        if (row.user_id !== userId) return false;
+        if (row.deleted_at && !includeDeleted) return false;
+        if (row.archived && !archived) return false;
+
+        if (createdAfter && row.created_at.getTime() < since(createdAfter)) return false;
+        if (createdBefore && row.created_at.getTime() > since(createdBefore)) return false;
+        if (updatedAfter && row.updated_at.getTime() < since(updatedAfter)) return false;
+        if (updatedBefore && row.updated_at.getTime() > since(updatedBefore)) return false;
+
+        if (tags && tags.length > 0) {
+          const tagged = tagMatch === 'all'
+            ? tags.every((tag) => row.tags.includes(tag))
+            : tags.some((tag) => row.tags.includes(tag));
+          if (!tagged) return false;
+        }
+
+        if (notebookId && row.notebook_id !== Number(notebookId)) return false;
+
+        if (cursor) {
+          const cursorRow = {
+            id: cursor.id,
+            title: cursor.value,
+            created_at: new Date(cursor.value),
+            updated_at: new Date(cursor.value)
+          };
+          const afterCursor = compareKeys(row, cursorRow) > 0;
+
+          // Pinned notes always sort first, whatever the order of the rest
+          if (pinnedFirst) {
+            return row.pinned < cursor.pinned || (row.pinned === cursor.pinned && afterCursor);
+          }
+          return afterCursor;
+        }
+
+        return true;
+      };
+
+      const rows = [...notes.values()]
+        .filter(matches)
+        .sort((a, b) => (pinnedFirst ? b.pinned - a.pinned : 0) || compareKeys(a, b));
+
+      return (limit ? rows.slice(0, limit) : rows).map(toNote);
+    },
+
+    async search(userId, tsQuery, { limit } = {}) {
+      const clauses = parseTsQuery(tsQuery);
+      const positive = clauses.filter((clause) => !clause.negated);
+
+      const results = [];
+      for (const row of notes.values()) {
+        if (row.user_id !== userId || row.deleted_at) {
+          continue;
+        }
+
+        const titleWords = extractWords(row.title);
+        const contentWords = extractWords(row.content);
+        const found = (clause) => clauseMatches(clause, titleWords) || clauseMatches(clause, contentWords);
+
+        if (clauses.every((clause) => found(clause) !== clause.negated)) {
+          const rank = positive.reduce((sum, clause) => sum
+            + (clauseMatches(clause, titleWords) ? TITLE_WEIGHT : 0)
+            + (clauseMatches(clause, contentWords) ? CONTENT_WEIGHT : 0), 0);
+
+          results.push({
+            ...toNote(row),
+            rank,
+            title_highlight: highlight(row.title, positive),
+            snippet: highlight(row.content, positive)
+          });
+        }
+      }
+
+      results.sort((a, b) => b.rank - a.rank || b.id - a.id);
+      return limit ? results.slice(0, limit) : results;
+    },
+
+    async findExisting(userId, entries) {
+      return [...notes.values()]
+        .filter((row) => row.user_id === userId && !row.deleted_at)
+        .filter((row) => entries.some((entry) => entry.title === row.title && entry.content === row.content))
+        .map(({ title, content }) => ({ title, content }));
+    },
+
+    async findById(userId, id, { includeDeleted = false } = {}) {
+      const row = findRow(userId, id, { includeDeleted });
+      return row && toNote(row);
+    },
+
+    async update(userId, id, { title, content, format, tags, notebook_id: notebookId, color }, { expectedVersions } = {}) {
+      const row = findRow(userId, id);
+      if (!row) {
+        return undefined;
+      }
+
+      if (expectedVersions && !expectedVersions.includes(row.version)) {
+        throw new VersionConflictError(toNote(row));
+      }
+
+      if (notebookId !== undefined && notebookId !== row.notebook_id) {
+        checkNotebook(notebookId);
+      }
+
+      if (title !== undefined) row.title = title;
+      if (content !== undefined) row.content = content;
+      if (format !== undefined) row.format = format;
+      if (color !== undefined) row.color = color;
+      if (tags !== undefined) row.tags = normalizeTags(tags);
+
+      row.version += 1;
+      row.updated_at = now();
+      return toNote(row);
+    },
+
+    async setFlags(userId, id, { pinned, archived }) {
+      const row = findRow(userId, id);
+      if (!row) {
+        return undefined;
+      }
+
+      if (pinned !== undefined) row.pinned = pinned;
+      if (archived !== undefined) row.archived = archived;
+
+      row.version += 1;
+      return toNote(row);
+    },
+
+    async delete(userId, id) {
+      const row = findRow(userId, id);
+      if (!row) {
+        return undefined;
+      }
+
+      row.deleted_at = now();
+      row.version += 1;
+      return toNote(row);
+    },
+
+    async findDeleted(userId) {
+      return [...notes.values()]
+        .filter((row) => row.user_id === userId && row.deleted_at)
+        .sort((a, b) => b.deleted_at - a.deleted_at || b.id - a.id)
+        .map(toNote);
+    },
+
+    async restore(userId, id) {
+      const row = findTrashedRow(userId, id);
+      if (!row) {
+        return undefined;
+      }
+
+      row.deleted_at = null;
+      row.version += 1;
+      return toNote(row);
+    },
+
+    async purge(userId, id) {
+      const row = findTrashedRow(userId, id);
+      if (!row) {
+        return undefined;
+      }
+
+      notes.delete(row.id);
+      return toNote(row);
+    },
+
+    async purgeExpired(retentionDays) {
+      const cutoff = now().getTime() - retentionDays * DAY_MS;
+      let purged = 0;
+
+      for (const row of [...notes.values()]) {
+        if (row.deleted_at && row.deleted_at.getTime() < cutoff) {
+          notes.delete(row.id);
+          purged += 1;
+        }
+      }
+
+      return purged;
+    },
+
+    /**
+     * Runs `callback` and puts every note back the way it was if it
+     * throws. Write methods ignore the `client` they are given, so the
+     * callback's argument is only there to match the Postgres repository.
+     */
+    async transaction(callback) {
+      const snapshot = structuredClone(notes);
+      const snapshotNextId = nextId;
+
+      try {
+        return await callback({});
+      } catch (error) {
+        notes = snapshot;
+        nextId = snapshotNextId;
+        throw error;
+      }
+    }
+  };
+};
+
+module.exports = { createMemoryNoteRepository };
@@ -0,0 +1,36 @@
+// What Postgres reports for a unique constraint violation, so callers
+// handle a taken email the same way with either repository
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * A user repository that keeps accounts in process memory, so the API can
+ * sign people up and in without a database. Accounts are lost on restart,
+ * along with the notes the in-memory note repository keeps for them.
+ *
+ * `now` returns the current time, so tests can control timestamps.
+ */
+const createMemoryUserRepository = ({ now = () => new Date() } = {}) => {
+  const users = new Map();
+  let nextId = 1;
+
+  const toUser = ({ password_hash: passwordHash, ...user }) => ({ ...user, created_at: new Date(user.created_at) });
+
+  return {
+    async create(email, passwordHash) {
+      if (users.has(email)) {
+        throw Object.assign(new Error('Email is already registered'), { code: UNIQUE_VIOLATION });
+      }
+
+      const row = { id: nextId++, email, password_hash: passwordHash, created_at: now() };
+      users.set(email, row);
+      return toUser(row);
+    },
+
+    async findByEmail(email) {
+      const row = users.get(email);
+      return row && { ...toUser(row), password_hash: row.password_hash };
+    }
+  };
+};
+
+module.exports = { createMemoryUserRepository };
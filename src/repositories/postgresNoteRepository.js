@@ -0,0 +1,29 @@
+const Note = require('../models/Note');
+const { withTransaction } = require('../db/transaction');
+
+const NOTE_METHODS = [
+  'create',
+  'findAll',
+  'search',
+  'findExisting',
+  'findById',
+  'update',
+  'setFlags',
+  'delete',
+  'findDeleted',
+  'restore',
+  'purge',
+  'purgeExpired'
+];
+
+/**
+ * The note repository backed by the Note model. Methods look the model up
+ * on every call instead of binding it here, so tests mocking the model
+ * see the calls made through the repository.
+ */
+const createPostgresNoteRepository = () => ({
+  ...Object.fromEntries(NOTE_METHODS.map((name) => [name, (...args) => Note[name](...args)])),
+  transaction: (callback) => withTransaction(callback)
+});
+
+module.exports = { createPostgresNoteRepository, NOTE_METHODS };
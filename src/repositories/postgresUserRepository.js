@@ -0,0 +1,14 @@
+const User = require('../models/User');
+
+const USER_METHODS = ['create', 'findByEmail'];
+
+/**
+ * The user repository backed by the User model. Like the Postgres note
+ * repository, it looks the model up on every call so tests mocking the
+ * model see the calls made through it.
+ */
+const createPostgresUserRepository = () => Object.fromEntries(
+  USER_METHODS.map((name) => [name, (...args) => User[name](...args)])
+);
+
+module.exports = { createPostgresUserRepository, USER_METHODS };
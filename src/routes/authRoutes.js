@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+
+router.post('/auth/signup', authController.signup);
+router.post('/auth/login', authController.login);
+
+module.exports = router;
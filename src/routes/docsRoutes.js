@@ -0,0 +1,15 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const router = express.Router();
+const docsController = require('../controllers/docsController');
+
+// Public, so the API can be explored before signing up. The docs page
+// loads the same document clients get from /api/openapi.json.
+router.get('/api/openapi.json', docsController.getOpenApiDocument);
+router.use('/docs', swaggerUi.serve);
+router.get('/docs', swaggerUi.setup(null, {
+  customSiteTitle: 'QuickNote API',
+  swaggerOptions: { url: '/api/openapi.json' }
+}));
+
+module.exports = router;
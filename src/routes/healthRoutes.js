@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const healthController = require('../controllers/healthController');
+const metricsController = require('../controllers/metricsController');
+
+// Public, outside /api, for load balancers, orchestrators and scrapers.
+// /health is kept as an alias of /health/live for existing checks.
+router.get('/health', healthController.live);
+router.get('/health/live', healthController.live);
+router.get('/health/ready', healthController.ready);
+router.get('/metrics', metricsController.getMetrics);
+
+module.exports = router;
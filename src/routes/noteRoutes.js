@@ -1,11 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const noteController = require('../controllers/noteController');
+const revisionController = require('../controllers/revisionController');
+const batchController = require('../controllers/batchController');
+const backupController = require('../controllers/backupController');
+const shareController = require('../controllers/shareController');
+const reminderController = require('../controllers/reminderController');
+const attachmentController = require('../controllers/attachmentController');
+const eventController = require('../controllers/eventController');
+const validate = require('../middleware/validate');
+const upload = require('../middleware/upload');
+const schemas = require('../schemas/noteSchemas');
 
-router.post('/notes', noteController.createNote);
-router.get('/notes', noteController.getAllNotes);
-router.get('/notes/:id', noteController.getNoteById);
-router.put('/notes/:id', noteController.updateNote);
-router.delete('/notes/:id', noteController.deleteNote);
+router.post('/notes', validate(schemas.createNote), noteController.createNote);
+router.post('/notes/batch', validate(schemas.batchNotes), batchController.batchNotes);
+router.get('/notes', validate(schemas.listNotes), noteController.getAllNotes);
+router.get('/notes/search', validate(schemas.searchNotes), noteController.searchNotes);
+router.get('/notes/export', validate(schemas.exportNotes), backupController.exportNotes);
+// Resumes from the Last-Event-ID header, which the controller checks
+router.get('/notes/events', eventController.streamEvents);
+// Imports are validated note by note, since the body depends on its type
+router.post('/notes/import', backupController.importNotes);
+router.get('/notes/:id', validate(schemas.getNote), noteController.getNoteById);
+router.get('/notes/:id/rendered', validate(schemas.renderNote), noteController.getRenderedNote);
+router.put('/notes/:id', validate(schemas.replaceNote), noteController.updateNote);
+router.patch('/notes/:id', validate(schemas.patchNote), noteController.patchNote);
+router.delete('/notes/:id', validate(schemas.deleteNote), noteController.deleteNote);
+router.post('/notes/:id/pin', validate(schemas.pinNote), noteController.pinNote);
+router.post('/notes/:id/unpin', validate(schemas.unpinNote), noteController.unpinNote);
+router.post('/notes/:id/archive', validate(schemas.archiveNote), noteController.archiveNote);
+router.post('/notes/:id/unarchive', validate(schemas.unarchiveNote), noteController.unarchiveNote);
 
-module.exports = router;
\ No newline at end of file
+router.get('/notes/:id/revisions', validate(schemas.listRevisions), revisionController.listRevisions);
+router.get('/notes/:id/revisions/:rev', validate(schemas.getRevision), revisionController.getRevision);
+router.get('/notes/:id/revisions/:rev/diff', validate(schemas.diffRevision), revisionController.diffRevision);
+router.post('/notes/:id/revisions/:rev/restore', validate(schemas.restoreRevision), revisionController.restoreRevision);
+
+router.post('/notes/:id/shares', validate(schemas.createShare), shareController.createShare);
+router.get('/notes/:id/shares', validate(schemas.listShares), shareController.listShares);
+router.delete('/notes/:id/shares/:shareId', validate(schemas.revokeShare), shareController.revokeShare);
+
+router.post('/notes/:id/reminders', validate(schemas.createReminder), reminderController.createReminder);
+router.get('/notes/:id/reminders', validate(schemas.listReminders), reminderController.listReminders);
+
+router.post('/notes/:id/attachments', validate(schemas.uploadAttachment), upload, attachmentController.uploadAttachment);
+router.get('/notes/:id/attachments', validate(schemas.listAttachments), attachmentController.listAttachments);
+router.get('/notes/:id/attachments/:attachmentId', validate(schemas.downloadAttachment), attachmentController.downloadAttachment);
+router.delete('/notes/:id/attachments/:attachmentId', validate(schemas.deleteAttachment), attachmentController.deleteAttachment);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const notebookController = require('../controllers/notebookController');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/notebookSchemas');
+
+router.get('/notebooks', notebookController.getAllNotebooks);
+router.post('/notebooks', validate(schemas.createNotebook), notebookController.createNotebook);
+router.get('/notebooks/:id', validate(schemas.getNotebook), notebookController.getNotebookById);
+router.patch('/notebooks/:id', validate(schemas.updateNotebook), notebookController.updateNotebook);
+router.delete('/notebooks/:id', validate(schemas.deleteNotebook), notebookController.deleteNotebook);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const reminderController = require('../controllers/reminderController');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/reminderSchemas');
+
+router.get('/reminders/due', reminderController.getDueReminders);
+router.post('/reminders/:id/snooze', validate(schemas.snoozeReminder), reminderController.snoozeReminder);
+router.post('/reminders/:id/dismiss', validate(schemas.dismissReminder), reminderController.dismissReminder);
+router.delete('/reminders/:id', validate(schemas.deleteReminder), reminderController.deleteReminder);
+
+module.exports = router;
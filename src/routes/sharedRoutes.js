@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const shareController = require('../controllers/shareController');
+
+// Public: the token is the credential. Any token that doesn't match a live
+// share is a 404, so there's nothing to validate up front.
+router.get('/shared/:token', shareController.getSharedNote);
+
+module.exports = router;
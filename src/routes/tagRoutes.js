@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const tagController = require('../controllers/tagController');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/tagSchemas');
+
+router.get('/tags', tagController.getAllTags);
+router.put('/tags/:id', validate(schemas.renameTag), tagController.renameTag);
+router.post('/tags/:id/merge', validate(schemas.mergeTag), tagController.mergeTag);
+router.delete('/tags/:id', validate(schemas.deleteTag), tagController.deleteTag);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const trashController = require('../controllers/trashController');
+const validate = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+
+router.get('/trash', trashController.getTrash);
+router.delete('/trash/:id', validate({ params: idParams }), trashController.purgeNote);
+router.post('/notes/:id/restore', validate({ params: idParams }), trashController.restoreNote);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/webhookSchemas');
+
+router.get('/webhooks', webhookController.getAllWebhooks);
+router.post('/webhooks', validate(schemas.createWebhook), webhookController.createWebhook);
+router.get('/webhooks/:id', validate(schemas.getWebhook), webhookController.getWebhookById);
+router.patch('/webhooks/:id', validate(schemas.updateWebhook), webhookController.updateWebhook);
+router.delete('/webhooks/:id', validate(schemas.deleteWebhook), webhookController.deleteWebhook);
+router.get('/webhooks/:id/deliveries', validate(schemas.listDeliveries), webhookController.listDeliveries);
+router.post('/webhooks/:id/deliveries/:deliveryId/replay', validate(schemas.replayDelivery), webhookController.replayDelivery);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const { MAX_TAG_LENGTH, sanitize } = require('../utils/validation');
+
+// Ids are Postgres integers, so anything larger can't exist
+const MAX_ID = 2147483647;
+
+const POSITIVE_INTEGER = 'must be a positive integer';
+
+const required = (spec) => ({ ...spec, required: true });
+
+const unique = (values) => [...new Set(values)];
+
+const id = (label = 'id') => ({
+  type: 'integer',
+  label,
+  min: 1,
+  max: MAX_ID,
+  messages: { type: POSITIVE_INTEGER, min: POSITIVE_INTEGER, max: `must be at most ${MAX_ID}` }
+});
+
+// Tag names follow the same rules as note titles
+const tagName = {
+  type: 'string',
+  label: 'Tag name',
+  trim: true,
+  transform: sanitize,
+  notEmpty: true,
+  maxLength: MAX_TAG_LENGTH
+};
+
+// For routes on a single resource, like /notes/:id
+const idParams = { fields: { id: required(id()) } };
+
+module.exports = {
+  MAX_ID,
+  required,
+  unique,
+  id,
+  tagName,
+  idParams
+};
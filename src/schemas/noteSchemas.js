@@ -0,0 +1,169 @@
+const { MAX_TITLE_LENGTH, MAX_CONTENT_LENGTH, NOTE_FORMATS, NOTE_COLORS, sanitize } = require('../utils/validation');
+const { required, unique, id, tagName, idParams } = require('./common');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORT_FIELDS = ['created_at', 'updated_at', 'title'];
+const SORT_ORDERS = ['asc', 'desc'];
+const TAG_MATCH_MODES = ['any', 'all'];
+const MAX_SEARCH_LENGTH = 255;
+const MAX_BATCH_SIZE = 100;
+const BATCH_OPERATIONS = ['create', 'update', 'delete'];
+const BATCH_MODES = ['atomic', 'best-effort'];
+const EXPORT_FORMATS = ['json', 'markdown', 'csv'];
+const REMINDER_RECURRENCES = ['daily', 'weekly', 'monthly'];
+// bcrypt only uses the first 72 bytes of a password
+const MAX_SHARE_PASSWORD_LENGTH = 72;
+
+const noteFields = {
+  title: { type: 'string', label: 'Title', trim: true, transform: sanitize, notEmpty: true, maxLength: MAX_TITLE_LENGTH },
+  // Content is stored as written and made safe when rendered (see utils/render)
+  content: { type: 'string', label: 'Content', trim: true, notEmpty: true, maxLength: MAX_CONTENT_LENGTH },
+  format: { type: 'string', label: 'Format', enum: NOTE_FORMATS },
+  tags: { type: 'array', label: 'Tags', items: tagName, transform: unique },
+  // null takes the note out of its notebook
+  notebook_id: { ...id('notebook_id'), nullable: true },
+  // null clears the color
+  color: { type: 'string', label: 'Color', enum: NOTE_COLORS, nullable: true }
+};
+
+// A full note, as sent to create or replace one. Tags, format, notebook and
+// color are only set when sent.
+const noteBody = {
+  fields: { ...noteFields, title: required(noteFields.title), content: required(noteFields.content) }
+};
+
+// Any subset of a note's fields, for PATCH
+const notePatchBody = { fields: noteFields, atLeastOne: Object.keys(noteFields) };
+
+const revisionParams = { fields: { id: required(id()), rev: required(id('Revision')) } };
+
+const limit = { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE };
+const includeDeleted = { type: 'boolean', default: false };
+
+const listQuery = {
+  fields: {
+    limit,
+    sort: { type: 'string', enum: SORT_FIELDS, default: 'created_at' },
+    order: { type: 'string', enum: SORT_ORDERS, default: 'desc' },
+    includeDeleted,
+    archived: { type: 'boolean', default: false },
+    createdAfter: { type: 'date' },
+    createdBefore: { type: 'date' },
+    updatedAfter: { type: 'date' },
+    updatedBefore: { type: 'date' },
+    // ?tag=a&tag=b arrives as an array, a single ?tag=a as a string
+    tag: { type: 'array', items: tagName, transform: unique },
+    tagMatch: { type: 'string', enum: TAG_MATCH_MODES, default: 'any' },
+    notebook: id('notebook'),
+    recursive: { type: 'boolean', default: false },
+    cursor: { type: 'string' }
+  }
+};
+
+const searchQuery = {
+  fields: {
+    q: { type: 'string', label: 'Search query', required: true, trim: true, notEmpty: true, maxLength: MAX_SEARCH_LENGTH },
+    limit
+  }
+};
+
+const batchBody = {
+  fields: {
+    operations: { type: 'array', label: 'Operations', required: true, minItems: 1, maxItems: MAX_BATCH_SIZE },
+    mode: { type: 'string', label: 'Mode', enum: BATCH_MODES, default: 'atomic' }
+  }
+};
+
+// Each batch item is checked against the schema for its `op`: `create`
+// takes a full note, `update` any subset of fields plus an optional
+// `version` to guard against concurrent edits, and `delete` just the id
+const op = { type: 'string', required: true, enum: BATCH_OPERATIONS };
+const batchOperations = {
+  create: { fields: { op, ...noteBody.fields } },
+  update: {
+    fields: { op, id: required(id()), version: id('version'), ...noteFields },
+    atLeastOne: notePatchBody.atLeastOne
+  },
+  delete: { fields: { op, id: required(id()) } }
+};
+
+// Used for items whose `op` is missing or unknown, to report just that
+const batchOperation = { fields: { op } };
+
+// Imported notes follow the rules for new notes, and may keep their
+// original timestamps. Notebook ids only mean something in the account
+// they came from, so they aren't imported.
+const { title, content, format, tags } = noteBody.fields;
+const importedNote = {
+  fields: { title, content, format, tags, created_at: { type: 'date' }, updated_at: { type: 'date' } }
+};
+
+const diffQuery = {
+  fields: {
+    to: {
+      type: 'string',
+      default: 'current',
+      pattern: /^(current|[1-9]\d*)$/,
+      messages: { pattern: "must be a revision number or 'current'" }
+    }
+  }
+};
+
+// Both optional: a share without them never expires and needs no password
+const shareBody = {
+  fields: {
+    password: { type: 'string', label: 'Password', notEmpty: true, maxLength: MAX_SHARE_PASSWORD_LENGTH },
+    expires_at: { type: 'date' }
+  }
+};
+
+const shareParams = { fields: { id: required(id()), shareId: required(id('shareId')) } };
+
+const attachmentParams = { fields: { id: required(id()), attachmentId: required(id('attachmentId')) } };
+
+const reminderBody = {
+  fields: {
+    remind_at: { type: 'date', required: true },
+    recurrence: { type: 'string', label: 'Recurrence', enum: REMINDER_RECURRENCES }
+  }
+};
+
+module.exports = {
+  batchOperations,
+  batchOperation,
+  importedNote,
+
+  createNote: { body: noteBody },
+  listNotes: { query: listQuery },
+  searchNotes: { query: searchQuery },
+  batchNotes: { body: batchBody },
+  exportNotes: { query: { fields: { format: { type: 'string', enum: EXPORT_FORMATS, default: 'json' } } } },
+  getNote: { params: idParams, query: { fields: { includeDeleted } } },
+  renderNote: { params: idParams },
+  replaceNote: { params: idParams, body: noteBody },
+  patchNote: { params: idParams, body: notePatchBody },
+  deleteNote: { params: idParams },
+  pinNote: { params: idParams },
+  unpinNote: { params: idParams },
+  archiveNote: { params: idParams },
+  unarchiveNote: { params: idParams },
+
+  listRevisions: { params: idParams },
+  getRevision: { params: revisionParams },
+  diffRevision: { params: revisionParams, query: diffQuery },
+  restoreRevision: { params: revisionParams },
+
+  createShare: { params: idParams, body: shareBody },
+  listShares: { params: idParams },
+  revokeShare: { params: shareParams },
+
+  createReminder: { params: idParams, body: reminderBody },
+  listReminders: { params: idParams },
+
+  // The file itself is checked by middleware/upload
+  uploadAttachment: { params: idParams },
+  listAttachments: { params: idParams },
+  downloadAttachment: { params: attachmentParams },
+  deleteAttachment: { params: attachmentParams }
+};
@@ -0,0 +1,23 @@
+const { MAX_TITLE_LENGTH, sanitize } = require('../utils/validation');
+const { required, id, idParams } = require('./common');
+
+const DELETE_MODES = ['move', 'cascade'];
+
+const notebookFields = {
+  name: { type: 'string', label: 'Name', trim: true, transform: sanitize, notEmpty: true, maxLength: MAX_TITLE_LENGTH },
+  // null puts the notebook at the top level
+  parent_id: { ...id('parent_id'), nullable: true }
+};
+
+module.exports = {
+  createNotebook: { body: { fields: { ...notebookFields, name: required(notebookFields.name) } } },
+  getNotebook: { params: idParams },
+  updateNotebook: {
+    params: idParams,
+    body: { fields: notebookFields, atLeastOne: Object.keys(notebookFields) }
+  },
+  deleteNotebook: {
+    params: idParams,
+    query: { fields: { mode: { type: 'string', label: 'Mode', enum: DELETE_MODES, default: 'move' } } }
+  }
+};
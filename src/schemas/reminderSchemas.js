@@ -0,0 +1,18 @@
+const { idParams } = require('./common');
+
+const DEFAULT_SNOOZE_MINUTES = 10;
+// A week
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+module.exports = {
+  snoozeReminder: {
+    params: idParams,
+    body: {
+      fields: {
+        minutes: { type: 'integer', min: 1, max: MAX_SNOOZE_MINUTES, default: DEFAULT_SNOOZE_MINUTES }
+      }
+    }
+  },
+  dismissReminder: { params: idParams },
+  deleteReminder: { params: idParams }
+};
@@ -0,0 +1,7 @@
+const { required, id, tagName, idParams } = require('./common');
+
+module.exports = {
+  renameTag: { params: idParams, body: { fields: { name: required(tagName) } } },
+  mergeTag: { params: idParams, body: { fields: { targetId: required(id('targetId')) } } },
+  deleteTag: { params: idParams }
+};
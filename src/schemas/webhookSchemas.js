@@ -0,0 +1,52 @@
+const { unique, required, id, idParams } = require('./common');
+
+const WEBHOOK_EVENTS = ['note.created', 'note.updated', 'note.deleted'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+const MAX_URL_LENGTH = 2048;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const webhookFields = {
+  url: {
+    type: 'string',
+    label: 'URL',
+    trim: true,
+    maxLength: MAX_URL_LENGTH,
+    pattern: /^https?:\/\/[^\s/?#]+\S*$/,
+    messages: { pattern: 'must be an http or https URL' }
+  },
+  events: {
+    type: 'array',
+    label: 'Events',
+    minItems: 1,
+    items: { type: 'string', label: 'Event', enum: WEBHOOK_EVENTS },
+    transform: unique
+  },
+  active: { type: 'boolean' }
+};
+
+const deliveryParams = { fields: { id: required(id()), deliveryId: required(id('deliveryId')) } };
+
+module.exports = {
+  WEBHOOK_EVENTS,
+
+  createWebhook: {
+    body: { fields: { ...webhookFields, url: required(webhookFields.url), events: required(webhookFields.events) } }
+  },
+  getWebhook: { params: idParams },
+  updateWebhook: {
+    params: idParams,
+    body: { fields: webhookFields, atLeastOne: Object.keys(webhookFields) }
+  },
+  deleteWebhook: { params: idParams },
+  listDeliveries: {
+    params: idParams,
+    query: {
+      fields: {
+        status: { type: 'string', enum: DELIVERY_STATUSES },
+        limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }
+      }
+    }
+  },
+  replayDelivery: { params: deliveryParams }
+};
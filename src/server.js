@@ -0,0 +1,136 @@
+require('dotenv').config();
+const app = require('./app');
+const pool = require('./config/database');
+const { pendingMigrations } = require('./db/migrator');
+const { waitForDatabase } = require('./db/waitForDatabase');
+const { noteEventHub } = require('./events/noteEventHub');
+const { noteRepositoryType } = require('./repositories');
+const { startTrashPurgeJob } = require('./jobs/trashPurge');
+const { startReminderScheduler } = require('./jobs/reminderScheduler');
+const { startNoteEventPruneJob } = require('./jobs/noteEventPrune');
+const { startWebhookDispatcher } = require('./jobs/webhookDispatcher');
+const { logger } = require('./utils/logger');
+
+const DEFAULT_PORT = 3001;
+const DEFAULT_SHUTDOWN_TIMEOUT_SECONDS = 10;
+const IDLE_CHECK_INTERVAL_MS = 100;
+
+/**
+ * Waits for the database, checks its schema, starts the background jobs
+ * and starts listening. Resolves with the HTTP server and a `shutdown`
+ * function once the server is listening. With NOTE_REPOSITORY=memory
+ * there is no database to wait for, and only the jobs that go through the
+ * repositories run.
+ *
+ * `shutdown` stops accepting connections and the jobs, ends the real-time
+ * feeds, lets requests in flight finish and then closes the database pool.
+ * If that takes longer than `shutdownTimeoutSeconds`, the connections still
+ * open are cut and it rejects.
+ */
+const startServer = async ({
+  port = process.env.PORT || DEFAULT_PORT,
+  shutdownTimeoutSeconds = Number(process.env.SHUTDOWN_TIMEOUT_SECONDS) || DEFAULT_SHUTDOWN_TIMEOUT_SECONDS
+} = {}) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set');
+  }
+
+  const usesDatabase = noteRepositoryType === 'postgres';
+
+  if (usesDatabase) {
+    await waitForDatabase();
+
+    const pending = await pendingMigrations();
+    if (pending.length > 0) {
+      throw new Error(`Database has pending migrations (${pending.join(', ')}); run npm run migrate`);
+    }
+    logger.info('Database schema up to date');
+  } else {
+    logger.info('Keeping notes and accounts in memory; they are lost on restart', { repository: noteRepositoryType });
+  }
+
+  const stopJobs = [
+    startTrashPurgeJob(),
+    ...(usesDatabase ? [startReminderScheduler(), startNoteEventPruneJob(), startWebhookDispatcher()] : [])
+  ];
+
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(port, () => resolve(listening)).on('error', reject);
+  });
+
+  logger.info('Server running', {
+    port: server.address().port,
+    environment: process.env.NODE_ENV,
+    health_check: `http://localhost:${server.address().port}/health/ready`
+  });
+
+  let shuttingDown = null;
+
+  const shutdown = () => {
+    if (!shuttingDown) {
+      shuttingDown = (async () => {
+        let timer;
+        const deadline = new Promise((resolve, reject) => {
+          timer = setTimeout(() => {
+            server.closeAllConnections();
+            reject(new Error(`Shutdown took longer than ${shutdownTimeoutSeconds} seconds`));
+          }, shutdownTimeoutSeconds * 1000);
+        });
+
+        const drain = async () => {
+          const closed = new Promise((resolve) => server.close(resolve));
+          // Keep-alive connections with no request in flight would hold
+          // server.close() up until they time out, so they are closed as
+          // soon as their last response is done
+          server.closeIdleConnections();
+          const closeIdle = setInterval(() => server.closeIdleConnections(), IDLE_CHECK_INTERVAL_MS);
+
+          try {
+            await Promise.all([...stopJobs.map((stop) => stop()), noteEventHub.close()]);
+            await closed;
+          } finally {
+            clearInterval(closeIdle);
+          }
+
+          await pool.end();
+        };
+
+        try {
+          await Promise.race([drain(), deadline]);
+        } finally {
+          clearTimeout(timer);
+        }
+
+        logger.info('Server stopped');
+      })();
+    }
+
+    return shuttingDown;
+  };
+
+  return { server, shutdown };
+};
+
+if (require.main === module) {
+  startServer()
+    .then(({ shutdown }) => {
+      const onSignal = (signal) => {
+        logger.info('Shutting down', { signal });
+        shutdown()
+          .then(() => process.exit(0))
+          .catch((error) => {
+            logger.error('Shutdown failed', { error });
+            process.exit(1);
+          });
+      };
+
+      process.once('SIGTERM', onSignal);
+      process.once('SIGINT', onSignal);
+    })
+    .catch((error) => {
+      logger.error('Failed to start server', { error });
+      process.exit(1);
+    });
+}
+
+module.exports = { startServer };
@@ -0,0 +1,45 @@
+const { createLocalStorage } = require('./localStorage');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_ATTACHMENTS_DIR = 'uploads';
+
+/**
+ * Where attachment bytes are kept. Every driver implements:
+ *
+ * - `save(key, buffer)` stores a new file under `key`
+ * - `createReadStream(key, { start, end })` streams it back, optionally
+ *   just the bytes from `start` to `end` inclusive
+ * - `delete(key)` removes it, succeeding if it is already gone
+ *
+ * The driver is picked with STORAGE_DRIVER.
+ */
+const DRIVERS = {
+  local: () => createLocalStorage({ root: process.env.ATTACHMENTS_DIR || DEFAULT_ATTACHMENTS_DIR })
+};
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  return DRIVERS[driver]();
+};
+
+const storage = createStorage();
+
+/**
+ * Deletes files whose metadata is already gone. A file that can't be
+ * deleted is only logged: it is unreachable either way, and failing the
+ * request would suggest the delete itself didn't happen.
+ */
+const deleteFiles = async (keys) => {
+  const results = await Promise.allSettled(keys.map((key) => storage.delete(key)));
+
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      logger.error('Error deleting stored file', { key: keys[i], error: result.reason });
+    }
+  });
+};
+
+module.exports = { storage, createStorage, deleteFiles };
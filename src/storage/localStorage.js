@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage driver that keeps each file on the local disk, at `key` inside
+ * `root`. Keys may contain `/` to group files into directories.
+ */
+const createLocalStorage = ({ root }) => {
+  const base = path.resolve(root);
+
+  // Keys are generated by the API, but never let one point outside the root
+  const resolve = (key) => {
+    const file = path.resolve(base, key);
+
+    if (!file.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return file;
+  };
+
+  return {
+    async save(key, buffer) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+    },
+
+    createReadStream(key, { start, end } = {}) {
+      return fs.createReadStream(resolve(key), { start, end });
+    },
+
+    // Deleting a file that is already gone is not an error
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+module.exports = { createLocalStorage };
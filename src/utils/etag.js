@@ -0,0 +1,46 @@
+/**
+ * Strong ETag for a note. It changes whenever the note's version does.
+ */
+const formatETag = (note) => `"${note.id}-${note.version}"`;
+
+const splitETags = (header) => header.split(',').map((tag) => tag.trim()).filter(Boolean);
+
+/**
+ * Parses an If-Match header into the note versions it accepts for the given
+ * note id. Returns null for `*` (any version) or when the header is absent,
+ * and an empty array when none of the listed ETags belong to the note.
+ */
+const parseIfMatch = (header, id) => {
+  if (header === undefined || header.trim() === '*') {
+    return null;
+  }
+
+  const versions = [];
+  for (const tag of splitETags(header)) {
+    const match = /^"(\d+)-(\d+)"$/.exec(tag);
+
+    if (match && match[1] === String(id)) {
+      versions.push(Number(match[2]));
+    }
+  }
+
+  return versions;
+};
+
+/**
+ * Whether an If-None-Match header matches the ETag. Uses weak comparison,
+ * as HTTP requires for If-None-Match.
+ */
+const matchesIfNoneMatch = (header, etag) => {
+  if (header === undefined) {
+    return false;
+  }
+
+  if (header.trim() === '*') {
+    return true;
+  }
+
+  return splitETags(header).some((tag) => tag.replace(/^W\//, '') === etag);
+};
+
+module.exports = { formatETag, parseIfMatch, matchesIfNoneMatch };
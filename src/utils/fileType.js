@@ -0,0 +1,31 @@
+// The file types accepted as attachments, recognised by their first bytes.
+// The type a client declares is never trusted, since it decides how
+// browsers treat the file when it is downloaded again.
+const SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', bytes: Buffer.from('GIF87a') },
+  { mimeType: 'image/gif', bytes: Buffer.from('GIF89a') },
+  // RIFF container, then four bytes of length, then the WEBP form type
+  { mimeType: 'image/webp', bytes: Buffer.from('RIFF'), then: { offset: 8, bytes: Buffer.from('WEBP') } },
+  { mimeType: 'application/pdf', bytes: Buffer.from('%PDF-') }
+];
+
+const ATTACHMENT_MIME_TYPES = [...new Set(SIGNATURES.map(({ mimeType }) => mimeType))];
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+/**
+ * Returns the MIME type of `buffer` going by its contents, or undefined if
+ * it isn't one of the accepted types.
+ */
+const detectMimeType = (buffer) => {
+  const match = SIGNATURES.find(({ bytes, then }) =>
+    startsWith(buffer, [...bytes]) && (!then || startsWith(buffer, [...then.bytes], then.offset))
+  );
+
+  return match && match.mimeType;
+};
+
+module.exports = { ATTACHMENT_MIME_TYPES, detectMimeType };
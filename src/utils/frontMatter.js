@@ -0,0 +1,49 @@
+// Front matter is the block between two `---` lines at the top of a
+// Markdown file. Values are written as JSON, which is also valid YAML, so
+// any title round-trips safely.
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+const FRONT_MATTER_KEYS = ['title', 'format', 'tags', 'created_at', 'updated_at'];
+
+/**
+ * Renders a note as a Markdown document with front matter.
+ */
+const toMarkdown = (note) => {
+  const lines = FRONT_MATTER_KEYS.map((key) => `${key}: ${JSON.stringify(note[key])}`);
+  return `---\n${lines.join('\n')}\n---\n\n${note.content}\n`;
+};
+
+const parseValue = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    // Hand-written files may use plain, unquoted YAML scalars
+    return raw;
+  }
+};
+
+/**
+ * Reads a Markdown document back into note fields. Front matter is
+ * optional; without it the whole document is the content. Only the keys
+ * this app writes are kept.
+ */
+const fromMarkdown = (text) => {
+  const match = FRONT_MATTER_PATTERN.exec(text);
+  const entry = {};
+
+  if (match) {
+    for (const line of match[1].split(/\r?\n/)) {
+      const separator = line.indexOf(':');
+      const key = line.slice(0, separator).trim();
+
+      if (separator > 0 && FRONT_MATTER_KEYS.includes(key)) {
+        entry[key] = parseValue(line.slice(separator + 1).trim());
+      }
+    }
+  }
+
+  entry.content = (match ? text.slice(match[0].length) : text).trim();
+  return entry;
+};
+
+module.exports = { toMarkdown, fromMarkdown };
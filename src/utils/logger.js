@@ -0,0 +1,71 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Holds `{ requestId }` while a request is handled, so every line logged on
+// its behalf, however deep in the call stack, carries the request's id
+const requestContext = new AsyncLocalStorage();
+
+const currentRequestId = () => requestContext.getStore()?.requestId;
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack
+});
+
+// Errors have no enumerable properties, so JSON.stringify would log `{}`
+const replacer = (key, value) => (value instanceof Error ? serializeError(value) : value);
+
+const defaultLevel = () => process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info');
+
+/**
+ * Creates a logger that writes each entry as one line of JSON:
+ * `{ time, level, msg, request_id, ...fields }`. Entries below `level`
+ * are dropped; `silent` drops everything. The request id is taken from
+ * the request being handled unless `fields` carry their own.
+ */
+const createLogger = ({ level = defaultLevel(), write = (line) => process.stdout.write(line) } = {}) => {
+  if (LEVELS[level] === undefined) {
+    throw new Error(`Unknown LOG_LEVEL "${level}" (expected one of: ${Object.keys(LEVELS).join(', ')})`);
+  }
+
+  const threshold = LEVELS[level];
+
+  const log = (entryLevel, msg, fields = {}) => {
+    if (LEVELS[entryLevel] < threshold) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      request_id: currentRequestId(),
+      ...fields
+    };
+
+    let line;
+    try {
+      line = JSON.stringify(entry, replacer);
+    } catch (error) {
+      // Circular or otherwise unserializable fields; keep the message
+      line = JSON.stringify({ time: entry.time, level: entryLevel, msg, request_id: entry.request_id });
+    }
+
+    write(`${line}\n`);
+  };
+
+  return {
+    level,
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields)
+  };
+};
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger, requestContext, currentRequestId };
@@ -0,0 +1,60 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// Everything Markdown can produce, minus anything that runs script or loads
+// content on its own. The sanitizer parses the HTML and drops whatever is not
+// listed here, so raw HTML embedded in a note can't sneak past it.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'pre', 'code', 'em', 'strong', 'del', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td', 'input'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    input: ['type', 'checked', 'disabled']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  // Task list checkboxes are the only inputs Markdown produces
+  exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' })
+  }
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Renders plain text as paragraphs, keeping single line breaks.
+ */
+const renderPlain = (content) => content
+  .split(/\r?\n\s*\r?\n/)
+  .filter((paragraph) => paragraph.trim().length > 0)
+  .map((paragraph) => `<p>${escapeHtml(paragraph.trim()).replace(/\r?\n/g, '<br>\n')}</p>`)
+  .join('\n');
+
+/**
+ * Renders a note's content to HTML that is safe to insert into a page.
+ */
+const renderNote = ({ content, format }) => {
+  if (format === 'markdown') {
+    return sanitizeHtml(marked.parse(content), SANITIZE_OPTIONS);
+  }
+
+  return renderPlain(content);
+};
+
+module.exports = { renderNote, escapeHtml };
@@ -0,0 +1,80 @@
+const { escapeHtml } = require('./render');
+
+// Matches an optionally negated "quoted phrase" or a bare term
+const TOKEN_PATTERN = /(-?)"([^"]*)"|(\S+)/g;
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+const extractWords = (text) => text.match(WORD_PATTERN) || [];
+
+/**
+ * Converts a user-facing search string into a Postgres tsquery expression.
+ *
+ * Supported syntax:
+ *   - `word`            matches the word (stemmed)
+ *   - `"exact phrase"`  matches the words next to each other
+ *   - `prefix*`         matches any word starting with the prefix
+ *   - `-word`, `-"a b"` excludes notes matching the term or phrase
+ *
+ * Everything except letters, digits and underscores is dropped from the
+ * terms, so the result is always valid input for `to_tsquery`. Returns null
+ * when the search has no positive term to rank against.
+ */
+const buildTsQuery = (search) => {
+  if (typeof search !== 'string') {
+    return null;
+  }
+
+  const clauses = [];
+  let hasPositiveTerm = false;
+
+  for (const [, phraseNegation, phrase, term] of search.matchAll(TOKEN_PATTERN)) {
+    let negated;
+    let expression;
+
+    if (phrase !== undefined) {
+      negated = phraseNegation === '-';
+      expression = extractWords(phrase).join(' <-> ');
+    } else {
+      negated = term.startsWith('-');
+      const prefix = term.endsWith('*');
+      const words = extractWords(term);
+
+      // Hyphenated or punctuated terms like "e-mail" become a phrase
+      expression = words.join(' <-> ');
+      if (prefix && words.length > 0) {
+        expression += ':*';
+      }
+    }
+
+    if (expression.length === 0) {
+      continue;
+    }
+
+    if (negated) {
+      clauses.push(`!(${expression})`);
+    } else {
+      clauses.push(expression.includes(' ') ? `(${expression})` : expression);
+      hasPositiveTerm = true;
+    }
+  }
+
+  return hasPositiveTerm ? clauses.join(' & ') : null;
+};
+
+// Private-use characters that search wraps matches in before the text is
+// escaped; see toHighlightHtml
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_STOP = '\uE001';
+const HIGHLIGHT_PATTERN = new RegExp(`${HIGHLIGHT_START}([^${HIGHLIGHT_START}${HIGHLIGHT_STOP}]*)${HIGHLIGHT_STOP}`, 'g');
+const STRAY_MARKER_PATTERN = new RegExp(`[${HIGHLIGHT_START}${HIGHLIGHT_STOP}]`, 'g');
+
+/**
+ * Turns text with matches wrapped in HIGHLIGHT_START and HIGHLIGHT_STOP
+ * into HTML with matches wrapped in `<mark>`. Everything else is escaped,
+ * so markup written in a note comes back as text.
+ */
+const toHighlightHtml = (text) => escapeHtml(text)
+  .replace(HIGHLIGHT_PATTERN, '<mark>$1</mark>')
+  .replace(STRAY_MARKER_PATTERN, '');
+
+module.exports = { buildTsQuery, toHighlightHtml, HIGHLIGHT_START, HIGHLIGHT_STOP };
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+const TOKEN_BYTES = 32;
+
+/**
+ * Hashes a share token for storage and lookup. Tokens are long and random,
+ * so a fast unsalted hash is enough to keep a leaked database from
+ * exposing working links.
+ */
+const hashShareToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generates a new unguessable share token, URL-safe, along with its hash.
+ */
+const generateShareToken = () => {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  return { token, tokenHash: hashShareToken(token) };
+};
+
+module.exports = { generateShareToken, hashShareToken };
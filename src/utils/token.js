@@ -0,0 +1,38 @@
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_EXPIRES_IN = '7d';
+
+const getSecret = () => {
+  const secret = process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  return secret;
+};
+
+/**
+ * Signs a bearer token identifying the user in its `sub` claim.
+ */
+const signToken = (userId) => jwt.sign({}, getSecret(), {
+  subject: String(userId),
+  expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_EXPIRES_IN
+});
+
+/**
+ * Returns the user id from a valid token. Throws if the token is
+ * malformed, expired or signed with a different secret.
+ */
+const verifyToken = (token) => {
+  const payload = jwt.verify(token, getSecret());
+  const userId = Number(payload.sub);
+
+  if (!Number.isInteger(userId)) {
+    throw new Error('Token subject is not a user id');
+  }
+
+  return userId;
+};
+
+module.exports = { signToken, verifyToken };
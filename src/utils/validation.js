@@ -0,0 +1,195 @@
+const DEFAULT_MAX_CONTENT_LENGTH = 500;
+
+const MAX_TITLE_LENGTH = 255;
+const MAX_CONTENT_LENGTH = Number(process.env.MAX_CONTENT_LENGTH) || DEFAULT_MAX_CONTENT_LENGTH;
+const MAX_TAG_LENGTH = MAX_TITLE_LENGTH;
+const NOTE_FORMATS = ['plain', 'markdown'];
+const NOTE_COLORS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'gray'];
+
+/**
+ * Strips HTML tags and comments from short plain-text fields (titles and
+ * tag names) to prevent stored XSS attacks. Only tag-shaped text is
+ * removed, so comparisons like `a < b > c` survive. Note content is stored
+ * as written and made safe when it is rendered (see utils/render).
+ */
+const sanitize = (str) => str.replace(/<!--[\s\S]*?-->|<\/?[a-z][^>]*>/gi, '');
+
+/**
+ * Parses an ISO 8601 date string. Returns null if it is missing or invalid.
+ */
+const parseDate = (value) => {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  date: (value) => parseDate(value) !== null,
+  array: (value) => Array.isArray(value),
+  object: isObject
+};
+
+const TYPE_MESSAGES = {
+  string: 'must be a string',
+  integer: 'must be an integer',
+  boolean: 'must be true or false',
+  date: 'must be a valid ISO 8601 date',
+  array: 'must be an array',
+  object: 'must be an object'
+};
+
+// URL parameters and query strings always arrive as text, so their values
+// are converted to the declared type before being checked. A repeated
+// query parameter arrives as an array already.
+const TEXT_PARSERS = {
+  integer: (value) => (/^-?\d+$/.test(value) ? Number(value) : value),
+  boolean: (value) => ({ true: true, false: false }[value] ?? value),
+  array: (value) => [value]
+};
+
+/**
+ * Checks one value against its field rules, appending a detail to
+ * `details` for every rule it breaks. Returns the cleaned-up value.
+ *
+ * Rules, applied in this order:
+ *   - `type`       string, integer, boolean, date (parsed to a Date), array or object
+ *   - `trim`       trims a string
+ *   - `items`      rules every element of an array must follow
+ *   - `transform`  maps the value, e.g. to sanitize it
+ *   - `notEmpty`   a string or array must not be empty
+ *   - `maxLength`  longest allowed string
+ *   - `minItems`, `maxItems`  allowed array lengths
+ *   - `min`, `max` allowed integer range
+ *   - `enum`       list of allowed values
+ *   - `pattern`    regular expression a string must match
+ *
+ * Messages read "<label> <problem>"; `label` defaults to the field name and
+ * `messages` can replace the problem text for any rule.
+ */
+const checkValue = (spec, input, field, details, { location, fromText }) => {
+  const detailCount = details.length;
+  const fail = (rule, problem) => {
+    const text = (spec.messages && spec.messages[rule]) || problem;
+    details.push({ field, location, rule, message: `${spec.label || field} ${text}` });
+  };
+
+  let value = fromText && typeof input === 'string' && TEXT_PARSERS[spec.type]
+    ? TEXT_PARSERS[spec.type](input)
+    : input;
+
+  if (!TYPE_CHECKS[spec.type](value)) {
+    fail('type', TYPE_MESSAGES[spec.type]);
+    return undefined;
+  }
+
+  if (spec.type === 'date') value = parseDate(value);
+  if (spec.trim) value = value.trim();
+
+  if (spec.items) {
+    value = value.map((item, index) => checkValue(spec.items, item, `${field}[${index}]`, details, { location, fromText }));
+  }
+
+  if (details.length > detailCount) {
+    return undefined;
+  }
+
+  if (spec.transform) value = spec.transform(value);
+
+  if (spec.notEmpty && value.length === 0) {
+    fail('notEmpty', 'cannot be empty');
+  } else if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+    fail('maxLength', `must be ${spec.maxLength} characters or less`);
+  } else if (spec.minItems !== undefined && value.length < spec.minItems) {
+    fail('minItems', `must have at least ${spec.minItems} item${spec.minItems === 1 ? '' : 's'}`);
+  } else if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+    fail('maxItems', `can have at most ${spec.maxItems} items`);
+  } else if (spec.min !== undefined && value < spec.min) {
+    fail('min', `must be at least ${spec.min}`);
+  } else if (spec.max !== undefined && value > spec.max) {
+    fail('max', `must be at most ${spec.max}`);
+  } else if (spec.enum && !spec.enum.includes(value)) {
+    fail('enum', `must be one of: ${spec.enum.join(', ')}`);
+  } else if (spec.pattern && !spec.pattern.test(value)) {
+    fail('pattern', 'is not in the expected format');
+  }
+
+  return value;
+};
+
+/**
+ * Checks `input` against a schema of the form `{ fields, atLeastOne }`,
+ * where `fields` maps each field name to its rules (see checkValue) plus
+ * `required`, `default` and `nullable`, and `atLeastOne` optionally lists
+ * fields of which at least one must be present. A `nullable` field keeps
+ * an explicit null, e.g. to clear a reference; otherwise null counts as
+ * missing.
+ *
+ * Every field is checked, so `details` holds all of the problems at once.
+ * `values` holds the cleaned-up values of the declared fields that were
+ * present or have a default; anything else in `input` is dropped. `prefix`
+ * is put in front of field names, for schemas applied to nested objects.
+ */
+const checkSchema = (schema, input, { location = 'body', fromText = false, prefix = '' } = {}) => {
+  const details = [];
+  const values = {};
+
+  if (!isObject(input)) {
+    const field = prefix.replace(/\.$/, '') || location;
+    details.push({ field, location, rule: 'type', message: `${field} must be an object` });
+    return { values, details };
+  }
+
+  const isMissing = (name) => input[name] === undefined || (input[name] === null && !schema.fields[name].nullable);
+
+  for (const [name, spec] of Object.entries(schema.fields)) {
+    const field = prefix + name;
+    const value = input[name];
+
+    if (value === null && spec.nullable) {
+      values[name] = null;
+      continue;
+    }
+
+    if (isMissing(name)) {
+      if (spec.required) {
+        details.push({ field, location, rule: 'required', message: `${spec.label || field} is required` });
+      } else if (spec.default !== undefined) {
+        values[name] = spec.default;
+      }
+      continue;
+    }
+
+    values[name] = checkValue(spec, value, field, details, { location, fromText });
+  }
+
+  if (schema.atLeastOne && schema.atLeastOne.every(isMissing)) {
+    const names = schema.atLeastOne.map((name) => prefix + name);
+    details.push({
+      field: names.join(', '),
+      location,
+      rule: 'atLeastOne',
+      message: `At least one of ${names.join(', ')} is required`
+    });
+  }
+
+  return { values, details };
+};
+
+module.exports = {
+  MAX_TITLE_LENGTH,
+  MAX_CONTENT_LENGTH,
+  MAX_TAG_LENGTH,
+  NOTE_FORMATS,
+  NOTE_COLORS,
+  sanitize,
+  parseDate,
+  checkSchema
+};
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+const SECRET_BYTES = 32;
+const SECRET_PREFIX = 'whsec_';
+
+/**
+ * Generates a new random signing secret for a webhook.
+ */
+const generateWebhookSecret = () => SECRET_PREFIX + crypto.randomBytes(SECRET_BYTES).toString('base64url');
+
+/**
+ * Signs a delivery as the hex HMAC-SHA256 of `<timestamp>.<body>`. The
+ * timestamp is signed along with the body so receivers can reject old
+ * deliveries that are sent again.
+ */
+const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+module.exports = { generateWebhookSecret, signWebhookPayload };
@@ -0,0 +1,8 @@
+const { signToken } = require('../../src/utils/token');
+
+/**
+ * Returns an Authorization header value for the given user id.
+ */
+const bearer = (userId = 1) => `Bearer ${signToken(userId)}`;
+
+module.exports = { bearer };
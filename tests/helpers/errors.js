@@ -0,0 +1,19 @@
+/**
+ * Matches an error passed to `next` with the given status and, optionally,
+ * message.
+ */
+const appError = (statusCode, message) => expect.objectContaining({
+  statusCode,
+  ...(message !== undefined && { message })
+});
+
+/**
+ * Matches a ValidationError whose details include each of the given
+ * (partial) details, e.g. `validationError({ field: 'title', rule: 'required' })`.
+ */
+const validationError = (...details) => expect.objectContaining({
+  statusCode: 400,
+  details: expect.arrayContaining(details.map((detail) => expect.objectContaining(detail)))
+});
+
+module.exports = { appError, validationError };
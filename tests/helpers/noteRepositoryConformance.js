@@ -0,0 +1,468 @@
+const { NotFoundError, VersionConflictError } = require('../../src/errors');
+
+const at = (iso) => new Date(iso);
+
+// The keyset noteController encodes into a cursor for the last row of a page
+const cursorFor = (note, sort) => ({ value: sort === 'title' ? note.title : note[sort], id: note.id, pinned: note.pinned });
+
+/**
+ * The behavior every note repository must share (see src/repositories).
+ * `setup` runs before each test and resolves with
+ * `{ repository, userId, otherUserId }`: an empty repository and two
+ * users who can own notes in it.
+ *
+ * The in-memory repository runs it on every `npm test`; the Postgres one
+ * only with TEST_DATABASE_URL set (see tests/integration/
+ * postgresNoteRepository.test.js). Parity between the two is only checked
+ * by runs that set it.
+ */
+const describeNoteRepository = (name, setup) => {
+  describe(`${name} note repository`, () => {
+    let repository, userId, otherUserId;
+
+    beforeEach(async () => {
+      ({ repository, userId, otherUserId } = await setup());
+    });
+
+    // Creates notes one after another with increasing creation times
+    const createNotes = async (titles, { owner = userId, start = '2026-01-01T00:00:00.000Z' } = {}) => {
+      const notes = [];
+      for (const [i, title] of titles.entries()) {
+        const createdAt = new Date(Date.parse(start) + i * 60000);
+        notes.push(await repository.create(owner, title, `${title} body`, [], { createdAt }));
+      }
+      return notes;
+    };
+
+    const titlesOf = (notes) => notes.map((note) => note.title);
+
+    describe('create', () => {
+      it('should create a note with the default fields', async () => {
+        // Act
+        const note = await repository.create(userId, 'Plan', 'Body', ['work', 'alpha']);
+
+        // Assert
+        expect(note).toEqual({
+          id: expect.any(Number),
+          title: 'Plan',
+          content: 'Body',
+          format: 'plain',
+          notebook_id: null,
+          color: null,
+          pinned: false,
+          archived: false,
+          version: 1,
+          created_at: expect.any(Date),
+          updated_at: expect.any(Date),
+          deleted_at: null,
+          tags: ['alpha', 'work']
+        });
+        expect(note.updated_at).toEqual(note.created_at);
+      });
+
+      it('should keep the given format, color and timestamps', async () => {
+        // Act
+        const note = await repository.create(userId, 'Imported', '# Body', [], {
+          format: 'markdown',
+          color: 'yellow',
+          createdAt: at('2020-01-01T00:00:00.000Z'),
+          updatedAt: at('2020-06-01T00:00:00.000Z')
+        });
+
+        // Assert
+        expect(note).toMatchObject({ format: 'markdown', color: 'yellow' });
+        expect(note.created_at).toEqual(at('2020-01-01T00:00:00.000Z'));
+        expect(note.updated_at).toEqual(at('2020-06-01T00:00:00.000Z'));
+      });
+
+      it('should default the update time to the given creation time', async () => {
+        // Act
+        const note = await repository.create(userId, 'Imported', 'Body', [], { createdAt: at('2020-01-01T00:00:00.000Z') });
+
+        // Assert
+        expect(note.updated_at).toEqual(at('2020-01-01T00:00:00.000Z'));
+      });
+
+      it('should reject a notebook that does not exist', async () => {
+        // Act & Assert
+        await expect(repository.create(userId, 'Plan', 'Body', [], { notebookId: 999999 }))
+          .rejects.toThrow(NotFoundError);
+        expect(await repository.findAll(userId)).toEqual([]);
+      });
+    });
+
+    describe('findById', () => {
+      it('should return the note to its owner only', async () => {
+        // Arrange
+        const note = await repository.create(userId, 'Plan', 'Body');
+
+        // Act & Assert
+        expect(await repository.findById(userId, note.id)).toEqual(note);
+        expect(await repository.findById(otherUserId, note.id)).toBeUndefined();
+        expect(await repository.findById(userId, note.id + 1000)).toBeUndefined();
+      });
+
+      it('should hide a note in the trash unless asked for', async () => {
+        // Arrange
+        const note = await repository.create(userId, 'Plan', 'Body');
+        await repository.delete(userId, note.id);
+
+        // Act & Assert
+        expect(await repository.findById(userId, note.id)).toBeUndefined();
+        expect(await repository.findById(userId, note.id, { includeDeleted: true })).toMatchObject({ id: note.id });
+      });
+    });
+
+    describe('findAll', () => {
+      it('should list the newest notes first by default', async () => {
+        // Arrange
+        await createNotes(['First', 'Second', 'Third']);
+        await createNotes(['Other'], { owner: otherUserId });
+
+        // Act
+        const notes = await repository.findAll(userId);
+
+        // Assert
+        expect(titlesOf(notes)).toEqual(['Third', 'Second', 'First']);
+      });
+
+      it('should sort by the given field and order, breaking ties by id', async () => {
+        // Arrange
+        const [a, b] = await createNotes(['Beta', 'Alpha']);
+        const tie = await repository.create(userId, 'Alpha', 'Body', [], { createdAt: a.created_at });
+
+        // Act
+        const byTitle = await repository.findAll(userId, { sort: 'title', order: 'asc' });
+        const byCreation = await repository.findAll(userId, { sort: 'created_at', order: 'asc' });
+
+        // Assert
+        expect(byTitle.map((note) => note.id)).toEqual([b.id, tie.id, a.id]);
+        expect(byCreation.map((note) => note.id)).toEqual([a.id, tie.id, b.id]);
+      });
+
+      it('should list pinned notes first unless told not to', async () => {
+        // Arrange
+        const [first] = await createNotes(['First', 'Second', 'Third']);
+        await repository.setFlags(userId, first.id, { pinned: true });
+
+        // Act & Assert
+        expect(titlesOf(await repository.findAll(userId))).toEqual(['First', 'Third', 'Second']);
+        expect(titlesOf(await repository.findAll(userId, { pinnedFirst: false }))).toEqual(['Third', 'Second', 'First']);
+      });
+
+      it.each(['created_at', 'title'])('should page through every note with a %s cursor', async (sort) => {
+        // Arrange
+        const created = await createNotes(['e', 'b', 'd', 'a', 'c']);
+        await repository.setFlags(userId, created[3].id, { pinned: true });
+        const expected = await repository.findAll(userId, { sort, order: 'asc' });
+
+        // Act
+        const pages = [];
+        let cursor;
+        do {
+          const page = await repository.findAll(userId, { sort, order: 'asc', limit: 2, cursor });
+          pages.push(page);
+          cursor = page.length === 2 ? cursorFor(page[1], sort) : null;
+        } while (cursor);
+
+        // Assert
+        expect(pages.flat()).toEqual(expected);
+        expect(titlesOf(expected)).toEqual(sort === 'title' ? ['a', 'b', 'c', 'd', 'e'] : ['a', 'e', 'b', 'd', 'c']);
+      });
+
+      it('should filter by any or all of the given tags', async () => {
+        // Arrange
+        await repository.create(userId, 'Both', 'Body', ['work', 'urgent']);
+        await repository.create(userId, 'Work', 'Body', ['work']);
+        await repository.create(userId, 'None', 'Body');
+
+        // Act
+        const any = await repository.findAll(userId, { tags: ['work', 'urgent'], sort: 'title', order: 'asc' });
+        const all = await repository.findAll(userId, { tags: ['work', 'urgent'], tagMatch: 'all' });
+
+        // Assert
+        expect(titlesOf(any)).toEqual(['Both', 'Work']);
+        expect(titlesOf(all)).toEqual(['Both']);
+      });
+
+      it('should leave out archived and trashed notes unless asked for', async () => {
+        // Arrange
+        const [archived, trashed] = await createNotes(['Archived', 'Trashed', 'Kept']);
+        await repository.setFlags(userId, archived.id, { archived: true });
+        await repository.delete(userId, trashed.id);
+
+        // Act & Assert
+        expect(titlesOf(await repository.findAll(userId))).toEqual(['Kept']);
+        expect(titlesOf(await repository.findAll(userId, { archived: true }))).toEqual(['Kept', 'Archived']);
+        expect(titlesOf(await repository.findAll(userId, { includeDeleted: true }))).toEqual(['Kept', 'Trashed']);
+      });
+
+      it('should filter by creation and update time, inclusively', async () => {
+        // Arrange
+        await createNotes(['First', 'Second', 'Third'], { start: '2026-01-01T00:00:00.000Z' });
+
+        // Act
+        const created = await repository.findAll(userId, {
+          createdAfter: at('2026-01-01T00:01:00.000Z'),
+          createdBefore: at('2026-01-01T00:02:00.000Z')
+        });
+        const updated = await repository.findAll(userId, { updatedBefore: at('2026-01-01T00:00:00.000Z') });
+
+        // Assert
+        expect(titlesOf(created)).toEqual(['Third', 'Second']);
+        expect(titlesOf(updated)).toEqual(['First']);
+      });
+    });
+
+    describe('search', () => {
+      beforeEach(async () => {
+        await createNotes(['Budget review', 'Team lunch', 'Trip']);
+        await repository.create(userId, 'Notes', 'the quarterly budget is due');
+        await repository.create(otherUserId, 'Budget', 'Someone else');
+      });
+
+      it('should rank title matches above content matches', async () => {
+        // Act
+        const results = await repository.search(userId, 'budget', { limit: 10 });
+
+        // Assert
+        expect(titlesOf(results)).toEqual(['Budget review', 'Notes']);
+        expect(results[0].rank).toBeGreaterThan(results[1].rank);
+        expect(results[0].title_highlight).toBe('<mark>Budget</mark> review');
+        expect(results[1].snippet).toContain('<mark>budget</mark>');
+      });
+
+      it('should match prefixes, phrases and exclusions', async () => {
+        // Act & Assert
+        expect(titlesOf(await repository.search(userId, 'lun:*', { limit: 10 }))).toEqual(['Team lunch']);
+        expect(titlesOf(await repository.search(userId, '(quarterly <-> budget)', { limit: 10 }))).toEqual(['Notes']);
+        expect(titlesOf(await repository.search(userId, 'budget & !(quarterly)', { limit: 10 }))).toEqual(['Budget review']);
+      });
+
+      it('should escape markup in the note around the highlighted matches', async () => {
+        // Arrange
+        await repository.create(userId, '<b>Weekly</b> sync', '<img src=x onerror=alert(1)> weekly');
+
+        // Act
+        const [result] = await repository.search(userId, 'weekly', { limit: 10 });
+
+        // Assert
+        expect(result.title_highlight).toBe('&lt;b&gt;<mark>Weekly</mark>&lt;/b&gt; sync');
+        expect(result.snippet).toContain('<mark>weekly</mark>');
+        expect(result.snippet.replace(/<\/?mark>/g, '')).not.toMatch(/[<>]/);
+      });
+
+      it('should return at most `limit` results and skip notes in the trash', async () => {
+        // Arrange
+        const [trip] = await repository.search(userId, 'trip', { limit: 10 });
+        await repository.delete(userId, trip.id);
+
+        // Act & Assert
+        expect(await repository.search(userId, 'budget', { limit: 1 })).toHaveLength(1);
+        expect(await repository.search(userId, 'trip', { limit: 10 })).toEqual([]);
+      });
+    });
+
+    describe('findExisting', () => {
+      it('should return the entries the user already has outside the trash', async () => {
+        // Arrange
+        await repository.create(userId, 'Kept', 'Body');
+        const trashed = await repository.create(userId, 'Trashed', 'Body');
+        await repository.delete(userId, trashed.id);
+        await repository.create(otherUserId, 'Theirs', 'Body');
+
+        // Act
+        const existing = await repository.findExisting(userId, [
+          { title: 'Kept', content: 'Body' },
+          { title: 'Kept', content: 'Other body' },
+          { title: 'Trashed', content: 'Body' },
+          { title: 'Theirs', content: 'Body' }
+        ]);
+
+        // Assert
+        expect(existing).toEqual([{ title: 'Kept', content: 'Body' }]);
+      });
+    });
+
+    describe('update', () => {
+      it('should change the given fields, bump the version and the update time', async () => {
+        // Arrange
+        const note = await repository.create(userId, 'Plan', 'Body', ['work'], {
+          color: 'red',
+          createdAt: at('2020-01-01T00:00:00.000Z')
+        });
+
+        // Act
+        const updated = await repository.update(userId, note.id, { title: 'Renamed', tags: ['home'], color: null });
+
+        // Assert
+        expect(updated).toMatchObject({ title: 'Renamed', content: 'Body', tags: ['home'], color: null, version: 2 });
+        expect(updated.created_at).toEqual(note.created_at);
+        expect(updated.updated_at.getTime()).toBeGreaterThan(note.updated_at.getTime());
+        expect(await repository.findById(userId, note.id)).toEqual(updated);
+      });
+
+      it('should return undefined for a missing, trashed or foreign note', async () => {
+        // Arrange
+        const note = await repository.create(userId, 'Plan', 'Body');
+        const trashed = await repository.create(userId, 'Trashed', 'Body');
+        await repository.delete(userId, trashed.id);
+
+        // Act & Assert
+        expect(await repository.update(otherUserId, note.id, { title: 'Mine' })).toBeUndefined();
+        expect(await repository.update(userId, trashed.id, { title: 'Back' })).toBeUndefined();
+        expect(await repository.update(userId, note.id + 1000, { title: 'Ghost' })).toBeUndefined();
+      });
+
+      it('should throw a VersionConflictError carrying the current note on a stale version', async () => {
+        // Arrange
+        const note = await repository.create(userId, 'Plan', 'Body');
+        await repository.update(userId, note.id, { content: 'Edited' });
+
+        // Act
+        const error = await repository.update(userId, note.id, { title: 'Stale' }, { expectedVersions: [1] })
+          .catch((caught) => caught);
+
+        // Assert
+        expect(error).toBeInstanceOf(VersionConflictError);
+        expect(error.current).toMatchObject({ id: note.id, title: 'Plan', content: 'Edited', version: 2 });
+        expect(await repository.update(userId, note.id, { title: 'Fresh' }, { expectedVersions: [2] }))
+          .toMatchObject({ title: 'Fresh', version: 3 });
+      });
+
+      it('should reject moving a note to a notebook that does not exist', async () => {
+        // Arrange
+        const note = await repository.create(userId, 'Plan', 'Body');
+
+        // Act & Assert
+        await expect(repository.update(userId, note.id, { notebook_id: 999999 })).rejects.toThrow(NotFoundError);
+        expect(await repository.findById(userId, note.id)).toEqual(note);
+      });
+    });
+
+    describe('setFlags', () => {
+      it('should set the flags and bump the version without touching the update time', async () => {
+        // Arrange
+        const note = await repository.create(userId, 'Plan', 'Body');
+
+        // Act
+        const pinned = await repository.setFlags(userId, note.id, { pinned: true });
+        const archived = await repository.setFlags(userId, note.id, { archived: true });
+
+        // Assert
+        expect(pinned).toMatchObject({ pinned: true, archived: false, version: 2 });
+        expect(archived).toMatchObject({ pinned: true, archived: true, version: 3 });
+        expect(archived.updated_at).toEqual(note.updated_at);
+      });
+
+      it('should return undefined for a note in the trash', async () => {
+        // Arrange
+        const note = await repository.create(userId, 'Plan', 'Body');
+        await repository.delete(userId, note.id);
+
+        // Act & Assert
+        expect(await repository.setFlags(userId, note.id, { pinned: true })).toBeUndefined();
+      });
+    });
+
+    describe('trash', () => {
+      it('should move a note to the trash once, bumping its version', async () => {
+        // Arrange
+        const note = await repository.create(userId, 'Plan', 'Body');
+
+        // Act
+        const deleted = await repository.delete(userId, note.id);
+
+        // Assert
+        expect(deleted).toMatchObject({ id: note.id, version: 2, deleted_at: expect.any(Date) });
+        expect(await repository.delete(userId, note.id)).toBeUndefined();
+        expect(await repository.delete(otherUserId, note.id)).toBeUndefined();
+      });
+
+      it('should list the trash, most recently deleted first', async () => {
+        // Arrange
+        const [first, second] = await createNotes(['First', 'Second', 'Kept']);
+        await repository.delete(userId, first.id);
+        await repository.delete(userId, second.id);
+
+        // Act
+        const trash = await repository.findDeleted(userId);
+
+        // Assert
+        expect(titlesOf(trash)).toEqual(['Second', 'First']);
+        expect(await repository.findDeleted(otherUserId)).toEqual([]);
+      });
+
+      it('should restore only a note in the trash', async () => {
+        // Arrange
+        const note = await repository.create(userId, 'Plan', 'Body');
+        await repository.delete(userId, note.id);
+
+        // Act
+        const restored = await repository.restore(userId, note.id);
+
+        // Assert
+        expect(restored).toMatchObject({ id: note.id, version: 3, deleted_at: null });
+        expect(await repository.restore(userId, note.id)).toBeUndefined();
+      });
+
+      it('should purge only a note in the trash', async () => {
+        // Arrange
+        const kept = await repository.create(userId, 'Kept', 'Body');
+        const trashed = await repository.create(userId, 'Trashed', 'Body');
+        await repository.delete(userId, trashed.id);
+
+        // Act & Assert
+        expect(await repository.purge(userId, kept.id)).toBeUndefined();
+        expect(await repository.purge(otherUserId, trashed.id)).toBeUndefined();
+        expect(await repository.purge(userId, trashed.id)).toMatchObject({ id: trashed.id, title: 'Trashed' });
+        expect(await repository.findById(userId, trashed.id, { includeDeleted: true })).toBeUndefined();
+      });
+
+      it('should purge the notes trashed longer ago than the retention period', async () => {
+        // Arrange
+        const note = await repository.create(userId, 'Plan', 'Body');
+        await repository.delete(userId, note.id);
+
+        // Act & Assert
+        expect(await repository.purgeExpired(1)).toBe(0);
+        expect(await repository.findDeleted(userId)).toHaveLength(1);
+        expect(await repository.purgeExpired(0)).toBeGreaterThanOrEqual(1);
+        expect(await repository.findDeleted(userId)).toEqual([]);
+      });
+    });
+
+    describe('transaction', () => {
+      it('should keep every write when the callback resolves', async () => {
+        // Act
+        const result = await repository.transaction(async (client) => {
+          await repository.create(userId, 'First', 'Body', [], { client });
+          return 'done';
+        });
+
+        // Assert
+        expect(result).toBe('done');
+        expect(titlesOf(await repository.findAll(userId))).toEqual(['First']);
+      });
+
+      it('should roll back every write when the callback throws', async () => {
+        // Arrange
+        const note = await repository.create(userId, 'Plan', 'Body');
+
+        // Act
+        const attempt = repository.transaction(async (client) => {
+          await repository.create(userId, 'Doomed', 'Body', [], { client });
+          await repository.update(userId, note.id, { title: 'Doomed' }, { client });
+          await repository.delete(userId, note.id, { client });
+          throw new Error('Boom');
+        });
+
+        // Assert
+        await expect(attempt).rejects.toThrow('Boom');
+        expect(await repository.findAll(userId)).toEqual([note]);
+      });
+    });
+  });
+};
+
+module.exports = { describeNoteRepository };
@@ -0,0 +1,67 @@
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { openApiDocument } = require('../../src/openapi');
+
+// OpenAPI 3.1 schemas are JSON Schema 2020-12. Strict mode is off because
+// the document around them has keywords JSON Schema doesn't know.
+const ajv = new Ajv2020({ strict: false, allErrors: true });
+addFormats(ajv);
+ajv.addSchema(openApiDocument, 'openapi.json');
+
+const pointer = (...segments) => segments
+  .map((segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+  .join('/');
+
+// Follows a `#/components/...` reference to the response it names
+const resolve = (response) => {
+  if (!response || !response.$ref) {
+    return { response, location: null };
+  }
+
+  const [, , name] = response.$ref.slice(2).split('/');
+  return { response: openApiDocument.components.responses[name], location: pointer('components', 'responses', name) };
+};
+
+/**
+ * Lists every way a supertest response differs from what the OpenAPI
+ * document says `method` on `path` (as written in the document, e.g.
+ * `/api/notes/{id}`) responds with its status: an undocumented status,
+ * a missing documented header, or a JSON body not matching the schema.
+ * An empty list means the response matches.
+ */
+const specErrors = (response, method, path) => {
+  const operation = openApiDocument.paths[path] && openApiDocument.paths[path][method];
+  if (!operation) {
+    return [`${method.toUpperCase()} ${path} is not documented`];
+  }
+
+  const { status } = response;
+  const resolved = resolve(operation.responses[status]);
+  if (!resolved.response) {
+    return [`${method.toUpperCase()} ${path} does not document status ${status}`];
+  }
+
+  const errors = Object.keys(resolved.response.headers || {})
+    .filter((name) => response.headers[name.toLowerCase()] === undefined)
+    .map((name) => `missing header ${name}`);
+
+  const content = resolved.response.content || {};
+  if (!content['application/json']) {
+    return errors;
+  }
+
+  if (!/^application\/json/.test(response.headers['content-type'])) {
+    return [...errors, `expected a JSON body, got ${response.headers['content-type']}`];
+  }
+
+  const location = resolved.location || pointer('paths', path, method, 'responses', status);
+  const validate = ajv.getSchema(`openapi.json#/${location}/content/application~1json/schema`);
+
+  if (!validate(response.body)) {
+    errors.push(...validate.errors.map((error) => `body${error.instancePath} ${error.message}`));
+  }
+
+  return errors;
+};
+
+module.exports = { specErrors, ajv };
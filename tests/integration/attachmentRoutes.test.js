@@ -0,0 +1,221 @@
+// Keep the upload limit small so the 413 test doesn't need a large body
+process.env.ATTACHMENT_MAX_BYTES = '1024';
+
+const { Readable } = require('stream');
+const request = require('supertest');
+const app = require('../../src/app');
+const Attachment = require('../../src/models/Attachment');
+const Note = require('../../src/models/Note');
+const { storage } = require('../../src/storage');
+
+const { bearer } = require('../helpers/auth');
+
+// Mock the models, the file storage and the migration check to avoid
+// actual database and disk access
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Note');
+jest.mock('../../src/models/Tag');
+jest.mock('../../src/models/NoteRevision');
+jest.mock('../../src/models/Attachment');
+jest.mock('../../src/storage', () => ({
+  storage: { save: jest.fn(), createReadStream: jest.fn() },
+  deleteFiles: jest.fn()
+}));
+jest.mock('../../src/db/migrator', () => ({
+  pendingMigrations: jest.fn().mockResolvedValue([])
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('image data')]);
+const PDF = Buffer.from('%PDF-1.7 0123456789');
+
+describe('Attachment Routes Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/notes/:id/attachments', () => {
+    it('should upload a file with its detected type', async () => {
+      Attachment.create.mockImplementation(async (userId, noteId, { filename, mimeType, size }) => (
+        { id: 1, note_id: noteId, filename, mime_type: mimeType, size }
+      ));
+
+      const response = await request(app)
+        .post('/api/notes/5/attachments')
+        .set('Authorization', bearer())
+        .attach('file', PNG, { filename: 'café.png', contentType: 'application/octet-stream' })
+        .expect(201);
+
+      expect(response.body).toEqual({ id: 1, note_id: 5, filename: 'café.png', mime_type: 'image/png', size: PNG.length });
+      expect(storage.save).toHaveBeenCalledWith(expect.stringMatching(/^5\//), PNG);
+    });
+
+    it('should return 415 for a file type that is not accepted', async () => {
+      const response = await request(app)
+        .post('/api/notes/5/attachments')
+        .set('Authorization', bearer())
+        .attach('file', Buffer.from('<html></html>'), { filename: 'page.png', contentType: 'image/png' })
+        .expect(415);
+
+      expect(response.body.error.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+      expect(storage.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 413 for a file over the size limit', async () => {
+      const response = await request(app)
+        .post('/api/notes/5/attachments')
+        .set('Authorization', bearer())
+        .attach('file', Buffer.concat([PDF, Buffer.alloc(1024)]), 'big.pdf')
+        .expect(413);
+
+      expect(response.body.error.code).toBe('PAYLOAD_TOO_LARGE');
+      expect(storage.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 without a file', async () => {
+      const response = await request(app)
+        .post('/api/notes/5/attachments')
+        .set('Authorization', bearer())
+        .field('name', 'value')
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        expect.objectContaining({ field: 'file', rule: 'required' })
+      ]);
+    });
+
+    it('should return 400 for a file in another field', async () => {
+      const response = await request(app)
+        .post('/api/notes/5/attachments')
+        .set('Authorization', bearer())
+        .attach('upload', PNG, 'photo.png')
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        expect.objectContaining({ field: 'upload', rule: 'unexpected' })
+      ]);
+    });
+
+    it('should return 401 without a token', async () => {
+      await request(app)
+        .post('/api/notes/5/attachments')
+        .attach('file', PNG, 'photo.png')
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/notes/:id/attachments', () => {
+    it('should list the attachments of a note', async () => {
+      Note.findById.mockResolvedValue({ id: 5 });
+      Attachment.findAllForNote.mockResolvedValue([{ id: 1, note_id: 5 }]);
+
+      const response = await request(app)
+        .get('/api/notes/5/attachments')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+    });
+
+    it("should return 404 for another user's note", async () => {
+      // Note 5 belongs to user 1
+      Note.findById.mockImplementation(async (userId) => (userId === 1 ? { id: 5 } : undefined));
+
+      const response = await request(app)
+        .get('/api/notes/5/attachments')
+        .set('Authorization', bearer(2))
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Note not found');
+      expect(Note.findById).toHaveBeenCalledWith(2, 5);
+      expect(Attachment.findAllForNote).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a missing note', async () => {
+      Note.findById.mockResolvedValue(undefined);
+
+      await request(app)
+        .get('/api/notes/99/attachments')
+        .set('Authorization', bearer())
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/notes/:id/attachments/:attachmentId', () => {
+    beforeEach(() => {
+      Attachment.findOne.mockResolvedValue({
+        id: 2,
+        note_id: 5,
+        filename: 'scan.pdf',
+        mime_type: 'application/pdf',
+        size: PDF.length,
+        storage_key: '5/abc'
+      });
+      storage.createReadStream.mockImplementation((key, { start = 0, end = PDF.length - 1 }) =>
+        Readable.from([PDF.subarray(start, end + 1)])
+      );
+    });
+
+    it('should download the whole file', async () => {
+      const response = await request(app)
+        .get('/api/notes/5/attachments/2')
+        .set('Authorization', bearer())
+        .buffer(true)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-length']).toBe(String(PDF.length));
+      expect(response.headers['accept-ranges']).toBe('bytes');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="scan.pdf"');
+      expect(response.body.toString()).toBe(PDF.toString());
+    });
+
+    it('should download a byte range', async () => {
+      const response = await request(app)
+        .get('/api/notes/5/attachments/2')
+        .set('Authorization', bearer())
+        .set('Range', 'bytes=9-')
+        .buffer(true)
+        .expect(206);
+
+      expect(response.headers['content-range']).toBe(`bytes 9-${PDF.length - 1}/${PDF.length}`);
+      expect(response.body.toString()).toBe('0123456789');
+    });
+
+    it('should return 416 for a range past the end', async () => {
+      const response = await request(app)
+        .get('/api/notes/5/attachments/2')
+        .set('Authorization', bearer())
+        .set('Range', 'bytes=500-')
+        .expect(416);
+
+      expect(response.headers['content-range']).toBe(`bytes */${PDF.length}`);
+      expect(response.body.error.code).toBe('RANGE_NOT_SATISFIABLE');
+    });
+
+    it('should return 400 for an invalid attachment id', async () => {
+      await request(app)
+        .get('/api/notes/5/attachments/abc')
+        .set('Authorization', bearer())
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /api/notes/:id/attachments/:attachmentId', () => {
+    it('should return 404 if attachment not found', async () => {
+      Attachment.delete.mockResolvedValue(undefined);
+
+      const response = await request(app)
+        .delete('/api/notes/5/attachments/2')
+        .set('Authorization', bearer())
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Attachment not found');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Note = require('../../src/models/Note');
+
+// Mock the models and the migration check to avoid actual database calls
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Note');
+jest.mock('../../src/models/Tag');
+jest.mock('../../src/models/NoteRevision');
+jest.mock('../../src/db/migrator', () => ({
+  pendingMigrations: jest.fn().mockResolvedValue([])
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('Auth Routes Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/auth/signup', () => {
+    it('should create an account without requiring a token', async () => {
+      User.findByEmail.mockResolvedValue(undefined);
+      User.create.mockResolvedValue({ id: 3, email: 'ada@example.com', created_at: new Date() });
+
+      const response = await request(app)
+        .post('/api/auth/signup')
+        .send({ email: 'ada@example.com', password: 'correct horse' })
+        .expect(201);
+
+      expect(response.body.user.email).toBe('ada@example.com');
+      expect(response.body).toHaveProperty('token');
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should return a token that grants access to notes', async () => {
+      User.findByEmail.mockResolvedValue({
+        id: 3,
+        email: 'ada@example.com',
+        password_hash: await bcrypt.hash('correct horse', 4)
+      });
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'ada@example.com', password: 'correct horse' })
+        .expect(200);
+
+      Note.findAll.mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/notes')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(200);
+
+      expect(Note.findAll).toHaveBeenCalledWith(3, expect.any(Object));
+    });
+
+    it('should return 401 for bad credentials', async () => {
+      User.findByEmail.mockResolvedValue(undefined);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'ada@example.com', password: 'wrong horse' })
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+// Mock the migration check to avoid actual database calls
+jest.mock('../../src/db/migrator', () => ({
+  pendingMigrations: jest.fn().mockResolvedValue([])
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('Docs Routes Integration Tests', () => {
+  describe('GET /api/openapi.json', () => {
+    it('should serve the OpenAPI document without authentication', async () => {
+      const response = await request(app)
+        .get('/api/openapi.json')
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.openapi).toBe('3.1.0');
+      expect(response.body.paths['/api/notes']).toHaveProperty('post');
+    });
+  });
+
+  describe('GET /docs', () => {
+    it('should serve the docs page', async () => {
+      const response = await request(app)
+        .get('/docs/')
+        .expect('Content-Type', /html/)
+        .expect(200);
+
+      expect(response.text).toContain('swagger-ui');
+    });
+
+    it('should point the docs page at the served document', async () => {
+      const response = await request(app)
+        .get('/docs/swagger-ui-init.js')
+        .expect(200);
+
+      expect(response.text).toContain('"url": "/api/openapi.json"');
+    });
+  });
+});
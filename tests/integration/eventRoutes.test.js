@@ -0,0 +1,102 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../../src/app');
+const NoteEvent = require('../../src/models/NoteEvent');
+const { noteEventHub } = require('../../src/events/noteEventHub');
+
+const { bearer } = require('../helpers/auth');
+
+// Mock the models, the event hub and the migration check to avoid actual
+// database calls
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Note');
+jest.mock('../../src/models/Tag');
+jest.mock('../../src/models/NoteRevision');
+jest.mock('../../src/models/NoteEvent');
+jest.mock('../../src/events/noteEventHub', () => ({
+  noteEventHub: { subscribe: jest.fn() }
+}));
+jest.mock('../../src/db/migrator', () => ({
+  pendingMigrations: jest.fn().mockResolvedValue([])
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+/**
+ * Opens the event stream and resolves with the response headers and
+ * everything received until `until` matches, then disconnects.
+ */
+const readStream = (headers, until) => new Promise((resolve, reject) => {
+  const server = http.createServer(app).listen(0, () => {
+    const req = http.get({ port: server.address().port, path: '/api/notes/events', headers }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        if (until.test(body)) {
+          req.destroy();
+          server.close();
+          resolve({ headers: res.headers, body });
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+});
+
+describe('Event Routes Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/notes/events', () => {
+    it('should stream missed and live events', async () => {
+      let onEvent;
+      const unsubscribe = jest.fn();
+      noteEventHub.subscribe.mockImplementation(async (userId, handlers) => {
+        onEvent = handlers.onEvent;
+        return unsubscribe;
+      });
+      NoteEvent.exists.mockResolvedValue(true);
+      NoteEvent.findAfter.mockImplementation(async () => {
+        setImmediate(() => onEvent({ id: 12, note_id: 4, type: 'deleted', version: 3 }));
+        return [{ id: 11, note_id: 4, type: 'updated', version: 2 }];
+      });
+
+      const { headers, body } = await readStream(
+        { Authorization: bearer(), 'Last-Event-ID': '10' },
+        /id: 12\n/
+      );
+
+      expect(headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(body).toBe([
+        'retry: 3000\n\n',
+        'id: 11\nevent: updated\ndata: {"note_id":4,"version":2}\n\n',
+        'id: 12\nevent: deleted\ndata: {"note_id":4,"version":3}\n\n'
+      ].join(''));
+      expect(NoteEvent.findAfter).toHaveBeenCalledWith(1, 10, 100);
+    });
+
+    it('should return 400 for an invalid Last-Event-ID', async () => {
+      const response = await request(app)
+        .get('/api/notes/events')
+        .set('Authorization', bearer())
+        .set('Last-Event-ID', 'latest')
+        .expect(400);
+
+      expect(response.body.error.details[0].field).toBe('Last-Event-ID');
+    });
+
+    it('should return 401 without a token', async () => {
+      await request(app)
+        .get('/api/notes/events')
+        .expect(401);
+
+      expect(noteEventHub.subscribe).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+const { pendingMigrations } = require('../../src/db/migrator');
+const { noteChanges } = require('../../src/metrics');
+
+const { bearer } = require('../helpers/auth');
+
+// Mock the models and the migration check to avoid actual database calls
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Note');
+jest.mock('../../src/models/Tag');
+jest.mock('../../src/models/NoteRevision');
+jest.mock('../../src/db/migrator', () => ({
+  pendingMigrations: jest.fn().mockResolvedValue([])
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('Health and Metrics Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pendingMigrations.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.METRICS_TOKEN;
+  });
+
+  describe('GET /health/live', () => {
+    it('should report the process is up', async () => {
+      const response = await request(app)
+        .get('/health/live')
+        .expect(200);
+
+      expect(response.body.status).toBe('ok');
+    });
+  });
+
+  describe('GET /health/ready', () => {
+    it('should report ready when the database answers', async () => {
+      jest.spyOn(pool, 'query').mockResolvedValue({ rows: [] });
+
+      const response = await request(app)
+        .get('/health/ready')
+        .expect(200);
+
+      expect(response.body.checks.database.status).toBe('ok');
+      expect(response.body.checks.migrations.status).toBe('ok');
+    });
+
+    it('should return 503 when the database is down', async () => {
+      jest.spyOn(pool, 'query').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      const response = await request(app)
+        .get('/health/ready')
+        .expect(503);
+
+      expect(response.body.status).toBe('unavailable');
+    });
+  });
+
+  describe('GET /metrics', () => {
+    it('should serve request counts per route in the Prometheus format', async () => {
+      Note.findById.mockResolvedValue(undefined);
+      await request(app).get('/api/notes/5').set('Authorization', bearer()).expect(404);
+
+      const response = await request(app)
+        .get('/metrics')
+        .expect('Content-Type', /^text\/plain;.*version=0\.0\.4/)
+        .expect(200);
+
+      expect(response.text).toMatch(/^http_requests_total\{method="GET",route="\/api\/notes\/:id",status="404"\} 1$/m);
+      expect(response.text).toMatch(/^http_request_duration_seconds_count\{method="GET",route="\/api\/notes\/:id",status="404"\} 1$/m);
+      expect(response.text).toMatch(/^db_pool_connections \d+$/m);
+      expect(response.text).toMatch(/^db_pool_idle_connections \d+$/m);
+      expect(response.text).toMatch(/^db_pool_waiting_clients \d+$/m);
+      expect(response.text).toContain('process_cpu_seconds_total');
+    });
+
+    it('should count note changes by type', async () => {
+      noteChanges.inc({ type: 'created' });
+
+      const response = await request(app)
+        .get('/metrics')
+        .expect(200);
+
+      expect(response.text).toMatch(/^quicknote_note_changes_total\{type="created"\} \d+$/m);
+    });
+
+    it('should label requests that match no route as unmatched', async () => {
+      await request(app).get('/nowhere/abc').expect(404);
+
+      const response = await request(app)
+        .get('/metrics')
+        .expect(200);
+
+      expect(response.text).toContain('http_requests_total{method="GET",route="unmatched",status="404"}');
+      expect(response.text).not.toContain('/nowhere/abc');
+    });
+
+    it('should require the metrics token when one is set', async () => {
+      process.env.METRICS_TOKEN = 'scrape-secret';
+
+      await request(app).get('/metrics').expect(401);
+      await request(app).get('/metrics').set('Authorization', 'Bearer wrong').expect(401);
+      await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret').expect(200);
+    });
+  });
+});
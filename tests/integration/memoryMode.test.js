@@ -0,0 +1,120 @@
+const request = require('supertest');
+
+// Picked before the app loads, as it would be from the environment
+process.env.NOTE_REPOSITORY = 'memory';
+const app = require('../../src/app');
+const { bearer } = require('../helpers/auth');
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('Memory Mode Integration Tests', () => {
+  const api = {
+    get: (url, userId) => request(app).get(url).set('Authorization', bearer(userId)),
+    post: (url, userId) => request(app).post(url).set('Authorization', bearer(userId)),
+    patch: (url, userId) => request(app).patch(url).set('Authorization', bearer(userId)),
+    delete: (url, userId) => request(app).delete(url).set('Authorization', bearer(userId))
+  };
+
+  beforeEach(() => {
+    jest.spyOn(pool, 'query');
+    jest.spyOn(pool, 'connect');
+  });
+
+  afterEach(() => {
+    // Nothing reaches the database
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(pool.connect).not.toHaveBeenCalled();
+    jest.restoreAllMocks();
+  });
+
+  it('should sign up, log in and use the token without a database', async () => {
+    // Arrange
+    const credentials = { email: 'demo@example.com', password: 'correct horse' };
+
+    // Act
+    const { body: signedUp } = await request(app).post('/api/auth/signup').send(credentials).expect(201);
+    await request(app).post('/api/auth/signup').send(credentials).expect(409);
+    await request(app).post('/api/auth/login').send({ ...credentials, password: 'wrong password' }).expect(401);
+    const { body: loggedIn } = await request(app).post('/api/auth/login').send(credentials).expect(200);
+    const { body: created } = await request(app)
+      .post('/api/notes')
+      .set('Authorization', `Bearer ${loggedIn.token}`)
+      .send({ title: 'Hello', content: 'From the demo' })
+      .expect(201);
+
+    // Assert
+    expect(loggedIn.user).toEqual(signedUp.user);
+    const { body: listed } = await api.get('/api/notes', signedUp.user.id).expect(200);
+    expect(listed.data.map((note) => note.id)).toEqual([created.id]);
+  });
+
+  it('should report ready without checking a database', async () => {
+    const response = await request(app).get('/health/ready').expect(200);
+
+    expect(response.body).toEqual({ status: 'ok', checks: {} });
+  });
+
+  it('should keep notes through their whole life without a database', async () => {
+    // Create
+    const { body: created } = await api.post('/api/notes', 7)
+      .send({ title: 'Groceries', content: 'Milk and eggs', tags: ['home'] })
+      .expect(201);
+    expect(created).toMatchObject({ title: 'Groceries', tags: ['home'], version: 1 });
+
+    // Read, list and search
+    await api.get(`/api/notes/${created.id}`, 7).expect(200);
+    const { body: listed } = await api.get('/api/notes', 7).expect(200);
+    expect(listed.data.map((note) => note.id)).toEqual([created.id]);
+    const { body: found } = await api.get('/api/notes/search?q=milk', 7).expect(200);
+    expect(found.data[0].snippet).toBe('<mark>Milk</mark> and eggs');
+
+    // Update
+    const { body: patched } = await api.patch(`/api/notes/${created.id}`, 7).send({ title: 'Shopping' }).expect(200);
+    expect(patched).toMatchObject({ title: 'Shopping', version: 2 });
+
+    // Trash and restore
+    await api.delete(`/api/notes/${created.id}`, 7).expect(200);
+    await api.get(`/api/notes/${created.id}`, 7).expect(404);
+    const { body: trash } = await api.get('/api/trash', 7).expect(200);
+    expect(trash.map((note) => note.id)).toEqual([created.id]);
+    await api.post(`/api/notes/${created.id}/restore`, 7).expect(200);
+    await api.get(`/api/notes/${created.id}`, 7).expect(200);
+  });
+
+  it("should not show one user's notes to another", async () => {
+    // Arrange
+    const { body: created } = await api.post('/api/notes', 8).send({ title: 'Private', content: 'Mine' }).expect(201);
+
+    // Act & Assert
+    await api.get(`/api/notes/${created.id}`, 9).expect(404);
+    const { body: listed } = await api.get('/api/notes', 9).expect(200);
+    expect(listed.data).toEqual([]);
+  });
+
+  it.each([
+    ['get', '/api/tags'],
+    ['get', '/api/notebooks'],
+    ['get', '/api/reminders/due'],
+    ['get', '/api/webhooks'],
+    ['get', '/api/notes/events'],
+    ['get', '/api/notes/1/revisions'],
+    ['get', '/api/notes/1/shares'],
+    ['post', '/api/notes/1/reminders'],
+    ['get', '/api/notes/1/attachments'],
+    ['get', '/api/shared/abc']
+  ])('should answer 501 for %s %s, which needs notes in Postgres', async (method, url) => {
+    // Act
+    const response = await api[method](url, 7);
+
+    // Assert
+    expect(response.status).toBe(501);
+    expect(response.body.error).toEqual({
+      code: 'NOT_IMPLEMENTED',
+      message: 'Not available with NOTE_REPOSITORY=memory'
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const request = require('supertest');
+
+// The contract runs against a real note repository rather than a mocked
+// model, so what it checks is what the API actually sends: Postgres when
+// TEST_DATABASE_URL points at a disposable database (it is migrated and
+// the test user's notes are deleted), the in-memory one otherwise
+const usesDatabase = Boolean(process.env.TEST_DATABASE_URL);
+if (usesDatabase) {
+  process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+}
+process.env.NOTE_REPOSITORY = usesDatabase ? 'postgres' : 'memory';
+
+const app = require('../../src/app');
+const { noteRepository } = require('../../src/repositories');
+const { migrate } = require('../../src/db/migrator');
+const { formatETag } = require('../../src/utils/etag');
+
+const { bearer } = require('../helpers/auth');
+const { specErrors } = require('../helpers/openapi');
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+const MISSING_ID = 2147483647;
+
+describe(`Note API contract (${process.env.NOTE_REPOSITORY} repository)`, () => {
+  let userId = 1;
+
+  beforeAll(async () => {
+    if (usesDatabase) {
+      await migrate();
+
+      const result = await pool.query(`
+        INSERT INTO users (email, password_hash)
+        VALUES ('contract@example.com', 'x')
+        ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+        RETURNING id
+      `);
+      userId = result.rows[0].id;
+      await pool.query('DELETE FROM notes WHERE user_id = $1', [userId]);
+    }
+  });
+
+  // A note with a format, tags and a color, as a client would have made it
+  const seed = () => noteRepository.create(userId, 'Plan', '# Plan', ['work'], {
+    format: 'markdown',
+    color: 'yellow'
+  });
+
+  // Each case sends a request handled by noteController and checks the
+  // response against what the OpenAPI document says it returns.
+  // `arrange` stores what the request needs and resolves with it.
+  const cases = [
+    {
+      name: 'POST /api/notes',
+      spec: ['post', '/api/notes'],
+      send: (agent) => agent.post('/api/notes').send({ title: 'Plan', content: '# Plan', format: 'markdown' }),
+      status: 201
+    },
+    {
+      name: 'POST /api/notes with an invalid body',
+      spec: ['post', '/api/notes'],
+      send: (agent) => agent.post('/api/notes').send({ title: '', color: 'teal' }),
+      status: 400
+    },
+    {
+      name: 'GET /api/notes',
+      spec: ['get', '/api/notes'],
+      arrange: async () => [await seed(), await seed()],
+      send: (agent) => agent.get('/api/notes?limit=1'),
+      status: 200
+    },
+    {
+      name: 'GET /api/notes with an invalid cursor',
+      spec: ['get', '/api/notes'],
+      send: (agent) => agent.get('/api/notes?cursor=nope'),
+      status: 400
+    },
+    {
+      name: 'GET /api/notes/search',
+      spec: ['get', '/api/notes/search'],
+      arrange: seed,
+      send: (agent) => agent.get('/api/notes/search?q=plan'),
+      status: 200
+    },
+    {
+      name: 'GET /api/notes/:id',
+      spec: ['get', '/api/notes/{id}'],
+      arrange: seed,
+      send: (agent, note) => agent.get(`/api/notes/${note.id}`),
+      status: 200
+    },
+    {
+      name: 'GET /api/notes/:id with a matching If-None-Match',
+      spec: ['get', '/api/notes/{id}'],
+      arrange: seed,
+      send: (agent, note) => agent.get(`/api/notes/${note.id}`).set('If-None-Match', formatETag(note)),
+      status: 304
+    },
+    {
+      name: 'GET /api/notes/:id for a missing note',
+      spec: ['get', '/api/notes/{id}'],
+      send: (agent) => agent.get(`/api/notes/${MISSING_ID}`),
+      status: 404
+    },
+    {
+      name: 'GET /api/notes/:id with an invalid id',
+      spec: ['get', '/api/notes/{id}'],
+      send: (agent) => agent.get('/api/notes/abc'),
+      status: 400
+    },
+    {
+      name: 'GET /api/notes/:id/rendered',
+      spec: ['get', '/api/notes/{id}/rendered'],
+      arrange: seed,
+      send: (agent, note) => agent.get(`/api/notes/${note.id}/rendered`),
+      status: 200
+    },
+    {
+      name: 'PUT /api/notes/:id',
+      spec: ['put', '/api/notes/{id}'],
+      arrange: seed,
+      send: (agent, note) => agent.put(`/api/notes/${note.id}`).send({ title: 'Plan', content: 'New plan', notebook_id: null }),
+      status: 200
+    },
+    {
+      name: 'PATCH /api/notes/:id',
+      spec: ['patch', '/api/notes/{id}'],
+      arrange: seed,
+      send: (agent, note) => agent.patch(`/api/notes/${note.id}`).send({ color: null }),
+      status: 200
+    },
+    {
+      name: 'PATCH /api/notes/:id with a stale If-Match',
+      spec: ['patch', '/api/notes/{id}'],
+      arrange: seed,
+      send: (agent, note) => agent.patch(`/api/notes/${note.id}`)
+        .set('If-Match', formatETag({ ...note, version: note.version + 1 }))
+        .send({ title: 'Stale' }),
+      status: 412
+    },
+    {
+      name: 'DELETE /api/notes/:id',
+      spec: ['delete', '/api/notes/{id}'],
+      arrange: seed,
+      send: (agent, note) => agent.delete(`/api/notes/${note.id}`),
+      status: 200
+    },
+    ...['pin', 'unpin', 'archive', 'unarchive'].map((action) => ({
+      name: `POST /api/notes/:id/${action}`,
+      spec: ['post', `/api/notes/{id}/${action}`],
+      arrange: seed,
+      send: (agent, note) => agent.post(`/api/notes/${note.id}/${action}`),
+      status: 200
+    })),
+    {
+      name: 'POST /api/notes/:id/pin for a note in the trash',
+      spec: ['post', '/api/notes/{id}/pin'],
+      arrange: async () => noteRepository.delete(userId, (await seed()).id),
+      send: (agent, note) => agent.post(`/api/notes/${note.id}/pin`),
+      status: 404
+    }
+  ];
+
+  it.each(cases)('$name should match the spec', async ({ spec: [method, path], arrange, send, status }) => {
+    // Arrange
+    const arranged = arrange && await arrange();
+    const agent = {
+      get: (url) => request(app).get(url).set('Authorization', bearer(userId)),
+      post: (url) => request(app).post(url).set('Authorization', bearer(userId)),
+      put: (url) => request(app).put(url).set('Authorization', bearer(userId)),
+      patch: (url) => request(app).patch(url).set('Authorization', bearer(userId)),
+      delete: (url) => request(app).delete(url).set('Authorization', bearer(userId))
+    };
+
+    // Act
+    const response = await send(agent, arranged);
+
+    // Assert
+    expect(response.status).toBe(status);
+    expect(specErrors(response, method, path)).toEqual([]);
+  });
+
+  it('should match the spec when the token is missing', async () => {
+    // Act
+    const response = await request(app).get('/api/notes');
+
+    // Assert
+    expect(response.status).toBe(401);
+    expect(specErrors(response, 'get', '/api/notes')).toEqual([]);
+  });
+
+  it('should report a response that drifts from the spec', async () => {
+    // Arrange
+    const { color, ...withoutColor } = await seed();
+    jest.spyOn(noteRepository, 'findById').mockResolvedValueOnce({ ...withoutColor, version: '2' });
+
+    // Act
+    const response = await request(app).get(`/api/notes/${withoutColor.id}`).set('Authorization', bearer(userId));
+
+    // Assert
+    expect(specErrors(response, 'get', '/api/notes/{id}')).toEqual([
+      "body must have required property 'color'",
+      'body/version must be integer'
+    ]);
+  });
+});
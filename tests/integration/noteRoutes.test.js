@@ -1,9 +1,23 @@
 const request = require('supertest');
+const AdmZip = require('adm-zip');
 const app = require('../../src/app');
 const Note = require('../../src/models/Note');
+const NoteRevision = require('../../src/models/NoteRevision');
+const VersionConflictError = require('../../src/errors/VersionConflictError');
 
-// Mock the Note model to avoid actual database calls
+const { bearer } = require('../helpers/auth');
+
+// Mock the models and the migration check to avoid actual database calls
+jest.mock('../../src/models/User');
 jest.mock('../../src/models/Note');
+jest.mock('../../src/models/Tag');
+jest.mock('../../src/models/NoteRevision');
+jest.mock('../../src/db/migrator', () => ({
+  pendingMigrations: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/db/transaction', () => ({
+  withTransaction: jest.fn((callback) => callback({}))
+}));
 
 const pool = require('../../src/config/database');
 afterAll(async () => {
@@ -30,6 +44,7 @@ describe('Note Routes Integration Tests', () => {
 
       const response = await request(app)
         .post('/api/notes')
+        .set('Authorization', bearer())
         .send({
           title: 'Integration Test',
           content: 'Test Content'
@@ -41,9 +56,23 @@ describe('Note Routes Integration Tests', () => {
       expect(response.body.content).toBe('Test Content');
     });
 
+    it('should create a note with tags', async () => {
+      Note.create.mockResolvedValue({ id: 1, title: 'Tagged', content: 'Content', tags: ['work'] });
+
+      const response = await request(app)
+        .post('/api/notes')
+        .set('Authorization', bearer())
+        .send({ title: 'Tagged', content: 'Content', tags: ['work'] })
+        .expect(201);
+
+      expect(Note.create).toHaveBeenCalledWith(1, 'Tagged', 'Content', ['work'], { format: undefined, notebookId: undefined });
+      expect(response.body.tags).toEqual(['work']);
+    });
+
     it('should return 400 for missing content', async () => {
       const response = await request(app)
         .post('/api/notes')
+        .set('Authorization', bearer())
         .send({
           title: 'Test'
           // Missing content
@@ -57,14 +86,18 @@ describe('Note Routes Integration Tests', () => {
     it('should return 400 for whitespace-only content', async () => {
       const response = await request(app)
         .post('/api/notes')
+        .set('Authorization', bearer())
         .send({
           title: 'Test Note',
           content: '   '
         })
         .expect(400);
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toBe('Content cannot be empty');
+      expect(response.body.error).toEqual({
+        code: 'VALIDATION_FAILED',
+        message: 'Request validation failed',
+        details: [{ field: 'content', location: 'body', rule: 'notEmpty', message: 'Content cannot be empty' }]
+      });
     });
   });
 
@@ -79,10 +112,88 @@ describe('Note Routes Integration Tests', () => {
 
       const response = await request(app)
         .get('/api/notes')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data[0].title).toBe('Note 1');
+      expect(response.body.hasMore).toBe(false);
+      expect(response.body.nextCursor).toBeNull();
+    });
+
+    it('should pass pagination and sorting options through', async () => {
+      Note.findAll.mockResolvedValue([
+        { id: 1, title: 'Alpha', content: 'Content 1' },
+        { id: 2, title: 'Beta', content: 'Content 2' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/notes?limit=1&sort=title&order=asc')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(Note.findAll).toHaveBeenCalledWith(1, expect.objectContaining({
+        sort: 'title',
+        order: 'asc',
+        limit: 2
+      }));
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.hasMore).toBe(true);
+      expect(response.body.nextCursor).toEqual(expect.any(String));
+    });
+
+    it('should filter notes by tag', async () => {
+      Note.findAll.mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/notes?tag=work&tag=ideas&tagMatch=all')
+        .set('Authorization', bearer())
         .expect(200);
 
-      expect(response.body).toHaveLength(2);
-      expect(response.body[0].title).toBe('Note 1');
+      expect(Note.findAll).toHaveBeenCalledWith(1, expect.objectContaining({
+        tags: ['work', 'ideas'],
+        tagMatch: 'all'
+      }));
+    });
+
+    it('should return 400 for a malformed cursor', async () => {
+      const response = await request(app)
+        .get('/api/notes?cursor=garbage')
+        .set('Authorization', bearer())
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        { field: 'cursor', location: 'query', rule: 'cursor', message: 'Invalid cursor' }
+      ]);
+    });
+  });
+
+  describe('GET /api/notes/search', () => {
+    it('should return ranked search results', async () => {
+      Note.search.mockResolvedValue([
+        { id: 1, title: 'Meeting', content: 'Agenda', rank: 0.9, snippet: '<mark>Agenda</mark>' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/notes/search')
+        .set('Authorization', bearer())
+        .query({ q: 'agenda' })
+        .expect(200);
+
+      expect(Note.search).toHaveBeenCalledWith(1, 'agenda', { limit: 20 });
+      expect(Note.findById).not.toHaveBeenCalled();
+      expect(response.body.data[0].snippet).toBe('<mark>Agenda</mark>');
+    });
+
+    it('should return 400 without a query', async () => {
+      const response = await request(app)
+        .get('/api/notes/search')
+        .set('Authorization', bearer())
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        { field: 'q', location: 'query', rule: 'required', message: 'Search query is required' }
+      ]);
     });
   });
 
@@ -98,6 +209,7 @@ describe('Note Routes Integration Tests', () => {
 
       const response = await request(app)
         .get('/api/notes/1')
+        .set('Authorization', bearer())
         .expect(200);
 
       expect(response.body.id).toBe(1);
@@ -109,8 +221,46 @@ describe('Note Routes Integration Tests', () => {
 
       await request(app)
         .get('/api/notes/999')
+        .set('Authorization', bearer())
         .expect(404);
     });
+
+    it('should send an ETag and honor If-None-Match', async () => {
+      Note.findById.mockResolvedValue({ id: 1, title: 'Test Note', version: 2 });
+
+      const response = await request(app)
+        .get('/api/notes/1')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.headers.etag).toBe('"1-2"');
+
+      await request(app)
+        .get('/api/notes/1')
+        .set('Authorization', bearer())
+        .set('If-None-Match', response.headers.etag)
+        .expect(304);
+    });
+  });
+
+  describe('GET /api/notes/:id/rendered', () => {
+    it('should return sanitized HTML for a Markdown note', async () => {
+      Note.findById.mockResolvedValue({
+        id: 1,
+        format: 'markdown',
+        content: '## Steps\n\n1. <img src=x onerror="alert(1)">Compare a < b'
+      });
+
+      const response = await request(app)
+        .get('/api/notes/1/rendered')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body.format).toBe('markdown');
+      expect(response.body.html).toContain('<h2>Steps</h2>');
+      expect(response.body.html).toContain('Compare a &lt; b');
+      expect(response.body.html).not.toContain('onerror');
+    });
   });
 
   describe('PUT /api/notes/:id', () => {
@@ -125,6 +275,7 @@ describe('Note Routes Integration Tests', () => {
 
       const response = await request(app)
         .put('/api/notes/1')
+        .set('Authorization', bearer())
         .send({
           title: 'Updated Title',
           content: 'Updated Content'
@@ -138,14 +289,16 @@ describe('Note Routes Integration Tests', () => {
     it('should return 400 for invalid update data', async () => {
       const response = await request(app)
         .put('/api/notes/1')
+        .set('Authorization', bearer())
         .send({
           title: '   ',
           content: 'Updated Content'
         })
         .expect(400);
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toBe('Title cannot be empty');
+      expect(response.body.error.details).toEqual([
+        expect.objectContaining({ field: 'title', rule: 'notEmpty', message: 'Title cannot be empty' })
+      ]);
     });
 
     // NEW: Updating a note that doesn't exist
@@ -154,6 +307,7 @@ describe('Note Routes Integration Tests', () => {
 
       await request(app)
         .put('/api/notes/999')
+        .set('Authorization', bearer())
         .send({
           title: 'Updated Title',
           content: 'Updated Content'
@@ -162,8 +316,184 @@ describe('Note Routes Integration Tests', () => {
     });
   });
 
+  describe('POST /api/notes/batch', () => {
+    it('should apply a batch atomically', async () => {
+      Note.create.mockResolvedValue({ id: 5, title: 'New' });
+      Note.delete.mockResolvedValue({ id: 1 });
+
+      const response = await request(app)
+        .post('/api/notes/batch')
+        .set('Authorization', bearer())
+        .send({
+          operations: [
+            { op: 'create', title: 'New', content: 'Body' },
+            { op: 'delete', id: 1 }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body.results.map((result) => result.status)).toEqual([201, 200]);
+    });
+
+    it('should report per-item outcomes in best-effort mode', async () => {
+      Note.delete.mockResolvedValueOnce({ id: 1 }).mockResolvedValueOnce(undefined);
+
+      const response = await request(app)
+        .post('/api/notes/batch')
+        .set('Authorization', bearer())
+        .send({
+          mode: 'best-effort',
+          operations: [
+            { op: 'delete', id: 1 },
+            { op: 'delete', id: 2 },
+            { op: 'create', title: 'No content' }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body.succeeded).toBe(1);
+      expect(response.body.failed).toBe(2);
+      expect(response.body.results.map((result) => result.status)).toEqual([200, 404, 400]);
+    });
+
+    it('should return 400 for an empty batch', async () => {
+      await request(app)
+        .post('/api/notes/batch')
+        .set('Authorization', bearer())
+        .send({ operations: [] })
+        .expect(400);
+    });
+  });
+
+  describe('Export and import', () => {
+    const exported = {
+      id: 4,
+      title: 'Trip: Lisbon',
+      content: '# Packing\n\n- Passport',
+      format: 'markdown',
+      tags: ['travel'],
+      created_at: new Date('2026-01-01T00:00:00.000Z'),
+      updated_at: new Date('2026-01-05T00:00:00.000Z')
+    };
+
+    // Collects a binary response body into a Buffer
+    const binaryParser = (res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    it('should export notes as a zip of Markdown files', async () => {
+      Note.findAll.mockResolvedValue([exported]);
+
+      const response = await request(app)
+        .get('/api/notes/export?format=markdown')
+        .set('Authorization', bearer())
+        .buffer()
+        .parse(binaryParser)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="quicknote-export-.*\.zip"/);
+
+      const entries = new AdmZip(response.body).getEntries();
+      expect(entries.map((entry) => entry.entryName)).toEqual(['4-trip-lisbon.md']);
+      expect(entries[0].getData().toString('utf8')).toContain('created_at: "2026-01-01T00:00:00.000Z"');
+    });
+
+    it('should import a Markdown zip archive', async () => {
+      Note.findExisting.mockResolvedValue([]);
+      Note.create.mockResolvedValue({ id: 11 });
+
+      const zip = new AdmZip();
+      zip.addFile('notes/groceries.md', Buffer.from('Milk and eggs'));
+      zip.addFile('notes/plan.md', Buffer.from('---\ntitle: "Plan"\ntags: ["work"]\n---\n\nShip it'));
+      zip.addFile('notes/readme.txt', Buffer.from('ignored'));
+
+      const response = await request(app)
+        .post('/api/notes/import')
+        .set('Authorization', bearer())
+        .set('Content-Type', 'application/zip')
+        .send(zip.toBuffer())
+        .expect(200);
+
+      expect(response.body.created).toBe(2);
+      expect(Note.create).toHaveBeenCalledWith(1, 'groceries', 'Milk and eggs', [], expect.any(Object));
+      expect(Note.create).toHaveBeenCalledWith(1, 'Plan', 'Ship it', ['work'], expect.any(Object));
+    });
+
+    it('should import CSV', async () => {
+      Note.findExisting.mockResolvedValue([]);
+      Note.create.mockResolvedValue({ id: 12 });
+
+      const response = await request(app)
+        .post('/api/notes/import')
+        .set('Authorization', bearer())
+        .set('Content-Type', 'text/csv')
+        .send('title,content\nFrom CSV,Body\n')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ created: 1, skipped: 0, failed: 0 });
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/notes/export')
+        .expect(401);
+    });
+  });
+
+  describe('PATCH /api/notes/:id', () => {
+    it('should update only the fields sent', async () => {
+      Note.update.mockResolvedValue({ id: 1, title: 'Patched', content: 'Unchanged', version: 3 });
+
+      const response = await request(app)
+        .patch('/api/notes/1')
+        .set('Authorization', bearer())
+        .send({ title: 'Patched' })
+        .expect(200);
+
+      expect(Note.update).toHaveBeenCalledWith(1, 1, { title: 'Patched' }, { expectedVersions: null });
+      expect(response.headers.etag).toBe('"1-3"');
+      expect(response.body.content).toBe('Unchanged');
+    });
+
+    it('should return 412 with the current note when If-Match is stale', async () => {
+      const current = { id: 1, title: 'Someone else', content: 'Newer', version: 5 };
+      Note.update.mockRejectedValue(new VersionConflictError(current));
+
+      const response = await request(app)
+        .patch('/api/notes/1')
+        .set('Authorization', bearer())
+        .set('If-Match', '"1-4"')
+        .send({ content: 'Mine' })
+        .expect(412);
+
+      expect(Note.update).toHaveBeenCalledWith(1, 1, { content: 'Mine' }, { expectedVersions: [4] });
+      expect(response.headers.etag).toBe('"1-5"');
+      expect(response.body.error).toEqual({
+        code: 'VERSION_CONFLICT',
+        message: 'Note has been modified by another request',
+        current
+      });
+    });
+
+    it('should return 400 for an empty body', async () => {
+      const response = await request(app)
+        .patch('/api/notes/1')
+        .set('Authorization', bearer())
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([expect.objectContaining({
+        rule: 'atLeastOne',
+        message: 'At least one of title, content, format, tags, notebook_id, color is required'
+      })]);
+    });
+  });
+
   describe('DELETE /api/notes/:id', () => {
-    it('should delete a note', async () => {
+    it('should move a note to the trash', async () => {
       const mockNote = {
         id: 1,
         title: 'Test Note',
@@ -174,10 +504,11 @@ describe('Note Routes Integration Tests', () => {
 
       const response = await request(app)
         .delete('/api/notes/1')
+        .set('Authorization', bearer())
         .expect(200);
 
       expect(response.body).toHaveProperty('message');
-      expect(response.body.message).toBe('Note deleted successfully');
+      expect(response.body.message).toBe('Note moved to trash');
     });
 
     // NEW: Deleting a note that doesn't exist
@@ -186,7 +517,276 @@ describe('Note Routes Integration Tests', () => {
 
       await request(app)
         .delete('/api/notes/999')
+        .set('Authorization', bearer())
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/notes/:id/pin|unpin|archive|unarchive', () => {
+    it('should pin a note without a request body', async () => {
+      Note.setFlags.mockResolvedValue({ id: 1, pinned: true, version: 2 });
+
+      const response = await request(app)
+        .post('/api/notes/1/pin')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(Note.setFlags).toHaveBeenCalledWith(1, 1, { pinned: true });
+      expect(response.headers.etag).toBe('"1-2"');
+    });
+
+    it('should archive a note', async () => {
+      Note.setFlags.mockResolvedValue({ id: 1, archived: true, version: 2 });
+
+      await request(app)
+        .post('/api/notes/1/archive')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(Note.setFlags).toHaveBeenCalledWith(1, 1, { archived: true });
+    });
+
+    it('should return 404 for non-existent note', async () => {
+      Note.setFlags.mockResolvedValue(undefined);
+
+      await request(app)
+        .post('/api/notes/999/unarchive')
+        .set('Authorization', bearer())
         .expect(404);
     });
   });
+
+  describe('Note revisions', () => {
+    it('should list revisions of a note', async () => {
+      Note.findById.mockResolvedValue({ id: 1 });
+      NoteRevision.findAllForNote.mockResolvedValue([{ revision: 1, title: 'First' }]);
+
+      const response = await request(app)
+        .get('/api/notes/1/revisions')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body).toEqual([{ revision: 1, title: 'First' }]);
+    });
+
+    it('should return a single revision', async () => {
+      NoteRevision.findOne.mockResolvedValue({ revision: 2, title: 'Second', content: 'Body' });
+
+      const response = await request(app)
+        .get('/api/notes/1/revisions/2')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(NoteRevision.findOne).toHaveBeenCalledWith(1, 1, 2);
+      expect(response.body.content).toBe('Body');
+    });
+
+    it('should diff a revision against another revision', async () => {
+      NoteRevision.findOne
+        .mockResolvedValueOnce({ revision: 1, title: 'Plan', content: 'a\n' })
+        .mockResolvedValueOnce({ revision: 2, title: 'Plan', content: 'b\n' });
+
+      const response = await request(app)
+        .get('/api/notes/1/revisions/1/diff?to=2')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body.changes).toEqual([
+        { type: 'removed', value: 'a\n' },
+        { type: 'added', value: 'b\n' }
+      ]);
+    });
+
+    it('should restore a revision', async () => {
+      NoteRevision.findOne.mockResolvedValue({ revision: 1, title: 'Plan', content: 'Original' });
+      Note.update.mockResolvedValue({ id: 1, title: 'Plan', content: 'Original' });
+
+      const response = await request(app)
+        .post('/api/notes/1/revisions/1/restore')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body.content).toBe('Original');
+    });
+
+    it("should return 404 for revisions of another user's note", async () => {
+      NoteRevision.findOne.mockResolvedValue(undefined);
+
+      await request(app)
+        .get('/api/notes/1/revisions/1')
+        .set('Authorization', bearer(2))
+        .expect(404);
+
+      expect(NoteRevision.findOne).toHaveBeenCalledWith(2, 1, 1);
+    });
+  });
+
+  describe('Authentication', () => {
+    it('should return 401 without a token', async () => {
+      const response = await request(app)
+        .get('/api/notes')
+        .expect(401);
+
+      expect(response.body.error).toEqual({ code: 'UNAUTHENTICATED', message: 'Authentication required' });
+      expect(Note.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for an invalid token', async () => {
+      const response = await request(app)
+        .get('/api/notes')
+        .set('Authorization', 'Bearer not-a-real-token')
+        .expect(401);
+
+      expect(response.body.error).toEqual({ code: 'UNAUTHENTICATED', message: 'Invalid or expired token' });
+    });
+  });
+
+  describe('Validation and error responses', () => {
+    it('should return 400 rather than 500 for a non-numeric id', async () => {
+      const response = await request(app)
+        .get('/api/notes/abc')
+        .set('Authorization', bearer())
+        .expect(400);
+
+      expect(Note.findById).not.toHaveBeenCalled();
+      expect(response.body.error.details).toEqual([
+        { field: 'id', location: 'params', rule: 'type', message: 'id must be a positive integer' }
+      ]);
+    });
+
+    it('should report every invalid field in one response', async () => {
+      const response = await request(app)
+        .put('/api/notes/0')
+        .set('Authorization', bearer())
+        .send({ content: 'a'.repeat(501), tags: ['ok', ''] })
+        .expect(400);
+
+      expect(Note.update).not.toHaveBeenCalled();
+      expect(response.body.error.code).toBe('VALIDATION_FAILED');
+      expect(response.body.error.details.map(({ field, rule }) => ({ field, rule }))).toEqual([
+        { field: 'id', rule: 'min' },
+        { field: 'title', rule: 'required' },
+        { field: 'content', rule: 'maxLength' },
+        { field: 'tags[1]', rule: 'notEmpty' }
+      ]);
+    });
+
+    it('should report invalid query parameters together', async () => {
+      const response = await request(app)
+        .get('/api/notes?limit=0&sort=author&includeDeleted=maybe')
+        .set('Authorization', bearer())
+        .expect(400);
+
+      expect(response.body.error.details.map(({ field }) => field)).toEqual(['limit', 'sort', 'includeDeleted']);
+    });
+
+    it('should return 400 for malformed JSON', async () => {
+      const response = await request(app)
+        .post('/api/notes')
+        .set('Authorization', bearer())
+        .set('Content-Type', 'application/json')
+        .send('{"title":')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('MALFORMED_BODY');
+    });
+
+    it('should return 404 in the same shape for unknown routes', async () => {
+      const response = await request(app)
+        .get('/api/folders')
+        .set('Authorization', bearer())
+        .expect(404);
+
+      expect(response.body.error).toEqual({ code: 'NOT_FOUND', message: 'Cannot GET /api/folders' });
+    });
+
+    it('should hide unexpected errors behind a generic 500', async () => {
+      Note.findById.mockRejectedValue(new Error('connection terminated'));
+
+      const response = await request(app)
+        .get('/api/notes/1')
+        .set('Authorization', bearer())
+        .expect(500);
+
+      expect(response.body.error).toEqual({ code: 'INTERNAL_ERROR', message: 'Internal Server Error' });
+    });
+  });
+
+  describe('Cross-user isolation', () => {
+    const ownerId = 1;
+    const otherUserId = 2;
+    const ownedNote = { id: 10, user_id: ownerId, title: 'Private', content: 'Owner only' };
+
+    // Behave like the real model: rows are only visible to their owner
+    const ownedBy = (userId, id) => (userId === ownerId && id === 10 ? ownedNote : undefined);
+
+    beforeEach(() => {
+      Note.findById.mockImplementation(async (userId, id) => ownedBy(userId, id));
+      Note.update.mockImplementation(async (userId, id) => ownedBy(userId, id));
+      Note.delete.mockImplementation(async (userId, id) => ownedBy(userId, id));
+      Note.findAll.mockImplementation(async (userId) => (userId === ownerId ? [ownedNote] : []));
+    });
+
+    it('should let the owner read their note', async () => {
+      const response = await request(app)
+        .get('/api/notes/10')
+        .set('Authorization', bearer(ownerId))
+        .expect(200);
+
+      expect(response.body.title).toBe('Private');
+    });
+
+    it("should return 404 when reading another user's note", async () => {
+      const response = await request(app)
+        .get('/api/notes/10')
+        .set('Authorization', bearer(otherUserId))
+        .expect(404);
+
+      expect(Note.findById).toHaveBeenCalledWith(otherUserId, 10, { includeDeleted: false });
+      expect(response.body.error).toEqual({ code: 'NOT_FOUND', message: 'Note not found' });
+    });
+
+    it("should return 404 when updating another user's note", async () => {
+      await request(app)
+        .put('/api/notes/10')
+        .set('Authorization', bearer(otherUserId))
+        .send({ title: 'Hijacked', content: 'Overwritten' })
+        .expect(404);
+
+      expect(Note.update).toHaveBeenCalledWith(
+        otherUserId, 10, { title: 'Hijacked', content: 'Overwritten' }, { expectedVersions: null }
+      );
+    });
+
+    it("should return 404 when deleting another user's note", async () => {
+      await request(app)
+        .delete('/api/notes/10')
+        .set('Authorization', bearer(otherUserId))
+        .expect(404);
+
+      expect(Note.delete).toHaveBeenCalledWith(otherUserId, 10);
+    });
+
+    it("should not list another user's notes", async () => {
+      const response = await request(app)
+        .get('/api/notes')
+        .set('Authorization', bearer(otherUserId))
+        .expect(200);
+
+      expect(Note.findAll).toHaveBeenCalledWith(otherUserId, expect.any(Object));
+      expect(response.body.data).toEqual([]);
+    });
+
+    it('should create notes owned by the caller', async () => {
+      Note.create.mockResolvedValue({ id: 11, user_id: otherUserId, title: 'Mine', content: 'Mine' });
+
+      await request(app)
+        .post('/api/notes')
+        .set('Authorization', bearer(otherUserId))
+        .send({ title: 'Mine', content: 'Mine' })
+        .expect(201);
+
+      expect(Note.create).toHaveBeenCalledWith(otherUserId, 'Mine', 'Mine', [], { format: undefined, notebookId: undefined });
+    });
+  });
 });
\ No newline at end of file
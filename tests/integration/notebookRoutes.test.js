@@ -0,0 +1,144 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Notebook = require('../../src/models/Notebook');
+const Note = require('../../src/models/Note');
+
+const { bearer } = require('../helpers/auth');
+
+// Mock the models and the migration check to avoid actual database calls
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Note');
+jest.mock('../../src/models/Tag');
+jest.mock('../../src/models/NoteRevision');
+jest.mock('../../src/models/Notebook');
+jest.mock('../../src/db/migrator', () => ({
+  pendingMigrations: jest.fn().mockResolvedValue([])
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('Notebook Routes Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/notebooks', () => {
+    it('should return notebooks with their parents', async () => {
+      Notebook.findAll.mockResolvedValue([
+        { id: 1, name: 'Projects', parent_id: null, note_count: 1 },
+        { id: 2, name: 'Website', parent_id: 1, note_count: 4 }
+      ]);
+
+      const response = await request(app)
+        .get('/api/notebooks')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body[1].parent_id).toBe(1);
+    });
+  });
+
+  describe('POST /api/notebooks', () => {
+    it('should create a nested notebook', async () => {
+      Notebook.create.mockResolvedValue({ id: 2, name: 'Website', parent_id: 1, note_count: 0 });
+
+      const response = await request(app)
+        .post('/api/notebooks')
+        .set('Authorization', bearer())
+        .send({ name: '  Website  ', parent_id: 1 })
+        .expect(201);
+
+      expect(Notebook.create).toHaveBeenCalledWith(1, 'Website', 1);
+      expect(response.body.id).toBe(2);
+    });
+
+    it('should return 400 without a name', async () => {
+      const response = await request(app)
+        .post('/api/notebooks')
+        .set('Authorization', bearer())
+        .send({ parent_id: 'root' })
+        .expect(400);
+
+      expect(response.body.error.details.map(({ field }) => field)).toEqual(['name', 'parent_id']);
+    });
+  });
+
+  describe('PATCH /api/notebooks/:id', () => {
+    it('should move a notebook under a new parent', async () => {
+      Notebook.update.mockResolvedValue({ id: 2, name: 'Website', parent_id: 3 });
+
+      await request(app)
+        .patch('/api/notebooks/2')
+        .set('Authorization', bearer())
+        .send({ parent_id: 3 })
+        .expect(200);
+
+      expect(Notebook.update).toHaveBeenCalledWith(1, 2, { name: undefined, parentId: 3 });
+    });
+
+    it('should return 400 for an empty body', async () => {
+      await request(app)
+        .patch('/api/notebooks/2')
+        .set('Authorization', bearer())
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /api/notebooks/:id', () => {
+    it('should move the notes up by default', async () => {
+      Notebook.delete.mockResolvedValue({ notebook: { id: 2, name: 'Website', parent_id: 1 }, noteCount: 2 });
+
+      const response = await request(app)
+        .delete('/api/notebooks/2')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(Notebook.delete).toHaveBeenCalledWith(1, 2, { mode: 'move' });
+      expect(response.body.moved_notes).toBe(2);
+    });
+
+    it('should cascade when asked', async () => {
+      Notebook.delete.mockResolvedValue({ notebook: { id: 2, name: 'Website', parent_id: 1 }, noteCount: 6 });
+
+      const response = await request(app)
+        .delete('/api/notebooks/2?mode=cascade')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(Notebook.delete).toHaveBeenCalledWith(1, 2, { mode: 'cascade' });
+      expect(response.body.trashed_notes).toBe(6);
+    });
+
+    it('should return 400 for an unknown mode', async () => {
+      await request(app)
+        .delete('/api/notebooks/2?mode=archive')
+        .set('Authorization', bearer())
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/notes?notebook=', () => {
+    it('should list the notes in a notebook and its sub-notebooks', async () => {
+      Note.findAll.mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/notes?notebook=1&recursive=true')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(Note.findAll).toHaveBeenCalledWith(1, expect.objectContaining({ notebookId: 1, recursive: true }));
+    });
+
+    it('should return 400 for an invalid notebook id', async () => {
+      await request(app)
+        .get('/api/notes?notebook=inbox')
+        .set('Authorization', bearer())
+        .expect(400);
+    });
+  });
+});
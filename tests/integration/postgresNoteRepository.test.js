@@ -0,0 +1,41 @@
+// Runs the note repository conformance suite against a real database. It
+// needs a disposable Postgres database, since it migrates it and purges
+// its trash: set TEST_DATABASE_URL to run it, otherwise it is skipped, and
+// nothing checks that the Postgres repository matches the in-memory one.
+if (process.env.TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+}
+
+const { createNoteRepository } = require('../../src/repositories');
+const { migrate } = require('../../src/db/migrator');
+const { describeNoteRepository } = require('../helpers/noteRepositoryConformance');
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+});
+
+const describeWithDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+describeWithDatabase('Postgres note repository conformance', () => {
+  let userIds;
+
+  beforeAll(async () => {
+    await migrate();
+
+    const result = await pool.query(`
+      INSERT INTO users (email, password_hash)
+      VALUES ('conformance-a@example.com', 'x'), ('conformance-b@example.com', 'x')
+      ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+      RETURNING id
+    `);
+    userIds = result.rows.map((row) => row.id);
+  });
+
+  describeNoteRepository('Postgres', async () => {
+    await pool.query('DELETE FROM notes WHERE user_id = ANY($1::int[])', [userIds]);
+
+    const [userId, otherUserId] = userIds;
+    return { repository: createNoteRepository('postgres'), userId, otherUserId };
+  });
+});
@@ -0,0 +1,118 @@
+// Runs the reminder recurrence queries against a real database. Like the
+// note repository conformance suite, it needs a disposable Postgres
+// database: set TEST_DATABASE_URL to run it, otherwise it is skipped.
+if (process.env.TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+}
+
+const Reminder = require('../../src/models/Reminder');
+const { migrate } = require('../../src/db/migrator');
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+});
+
+const describeWithDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+describeWithDatabase('Reminder recurrence', () => {
+  let userId;
+  let noteId;
+
+  beforeAll(async () => {
+    await migrate();
+
+    const user = await pool.query(`
+      INSERT INTO users (email, password_hash) VALUES ('reminders@example.com', 'x')
+      ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+      RETURNING id
+    `);
+    userId = user.rows[0].id;
+
+    await pool.query('DELETE FROM notes WHERE user_id = $1', [userId]);
+    const note = await pool.query(
+      "INSERT INTO notes (user_id, title, content) VALUES ($1, 'Rent', 'Pay it') RETURNING id",
+      [userId]
+    );
+    noteId = note.rows[0].id;
+  });
+
+  // Creates a reminder, then backdates it to `firstOccurrence` and fires it
+  const firedReminder = async (recurrence, firstOccurrence) => {
+    const { id } = await Reminder.create(userId, noteId, { remindAt: new Date(Date.now() + 60000), recurrence });
+    await pool.query(
+      "UPDATE reminders SET remind_at = $2, recurs_from = $2, status = 'fired', fired_at = $2 WHERE id = $1",
+      [id, firstOccurrence]
+    );
+    return id;
+  };
+
+  const nextOccurrence = async (id) => {
+    const result = await pool.query(`
+      SELECT
+        EXTRACT(DAY FROM remind_at)::integer AS day,
+        EXTRACT(DAY FROM date_trunc('month', remind_at) + interval '1 month - 1 day')::integer AS last_day,
+        to_char(remind_at, 'HH24:MI') AS time,
+        remind_at > CURRENT_TIMESTAMP AS upcoming,
+        remind_at - interval '1 month' <= CURRENT_TIMESTAMP AS next
+      FROM reminders WHERE id = $1
+    `, [id]);
+    return result.rows[0];
+  };
+
+  it('should keep a monthly reminder on the 31st in the months that have one', async () => {
+    // Arrange
+    const id = await firedReminder('monthly', `${new Date().getFullYear() - 1}-01-31 09:00:00`);
+
+    // Act
+    const dismissed = await Reminder.dismiss(userId, id);
+
+    // Assert
+    expect(dismissed.status).toBe('pending');
+    const occurrence = await nextOccurrence(id);
+    expect(occurrence).toEqual({ day: occurrence.last_day, last_day: occurrence.last_day, time: '09:00', upcoming: true, next: true });
+  });
+
+  it('should not drift after being dismissed again', async () => {
+    // Arrange
+    const id = await firedReminder('monthly', `${new Date().getFullYear() - 1}-01-31 09:00:00`);
+    await Reminder.dismiss(userId, id);
+    // The next occurrence comes due and fires
+    await pool.query(
+      "UPDATE reminders SET remind_at = remind_at - interval '1 month', status = 'fired' WHERE id = $1",
+      [id]
+    );
+
+    // Act
+    await Reminder.dismiss(userId, id);
+
+    // Assert
+    const occurrence = await nextOccurrence(id);
+    expect(occurrence.day).toBe(occurrence.last_day);
+    expect(occurrence.upcoming).toBe(true);
+  });
+
+  it('should skip missed daily occurrences and keep the time of day', async () => {
+    // Arrange
+    const id = await firedReminder('daily', '2020-02-29 07:30:00');
+
+    // Act
+    await Reminder.dismiss(userId, id);
+
+    // Assert
+    const occurrence = await nextOccurrence(id);
+    expect(occurrence.time).toBe('07:30');
+    expect(occurrence.upcoming).toBe(true);
+  });
+
+  it('should dismiss a one-off reminder for good', async () => {
+    // Arrange
+    const id = await firedReminder(null, '2020-01-31 09:00:00');
+
+    // Act
+    const dismissed = await Reminder.dismiss(userId, id);
+
+    // Assert
+    expect(dismissed.status).toBe('dismissed');
+  });
+});
@@ -0,0 +1,86 @@
+// Tight limits so the tests can run into them; set before the app loads
+process.env.RATE_LIMIT_AUTH = '2/60';
+process.env.RATE_LIMIT_API = '3/60';
+process.env.JSON_BODY_LIMIT = '1kb';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Note = require('../../src/models/Note');
+
+const { bearer } = require('../helpers/auth');
+
+// Mock the models and the migration check to avoid actual database calls
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Note');
+jest.mock('../../src/models/Tag');
+jest.mock('../../src/models/NoteRevision');
+jest.mock('../../src/db/migrator', () => ({
+  pendingMigrations: jest.fn().mockResolvedValue([])
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  delete process.env.RATE_LIMIT_AUTH;
+  delete process.env.RATE_LIMIT_API;
+  delete process.env.JSON_BODY_LIMIT;
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('Rate Limit Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should count down the limit and then return 429 with Retry-After', async () => {
+      User.findByEmail.mockResolvedValue(undefined);
+      const login = () => request(app)
+        .post('/api/auth/login')
+        .send({ email: 'ada@example.com', password: 'guess' });
+
+      const first = await login().expect(401);
+      expect(first.headers['ratelimit-limit']).toBe('2');
+      expect(first.headers['ratelimit-remaining']).toBe('1');
+      expect(first.headers['ratelimit-policy']).toBe('2;w=60');
+
+      await login().expect(401);
+
+      const limited = await login().expect(429);
+      expect(limited.headers['retry-after']).toBe('30');
+      expect(limited.headers['ratelimit-remaining']).toBe('0');
+      expect(limited.body.error).toEqual({
+        code: 'RATE_LIMITED',
+        message: 'Too many requests, please try again later',
+        retry_after: 30
+      });
+      expect(User.findByEmail).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('GET /api/notes', () => {
+    it('should limit each signed-in user separately', async () => {
+      Note.findAll.mockResolvedValue([]);
+
+      for (let i = 0; i < 3; i++) {
+        await request(app).get('/api/notes').set('Authorization', bearer(1)).expect(200);
+      }
+
+      await request(app).get('/api/notes').set('Authorization', bearer(1)).expect(429);
+      await request(app).get('/api/notes').set('Authorization', bearer(2)).expect(200);
+    });
+  });
+
+  describe('Body size', () => {
+    it('should return 413 for a JSON body over the limit', async () => {
+      const response = await request(app)
+        .post('/api/notes')
+        .set('Authorization', bearer(3))
+        .send({ title: 'Big', content: 'x'.repeat(2048) })
+        .expect(413);
+
+      expect(response.body.error.code).toBe('PAYLOAD_TOO_LARGE');
+    });
+  });
+});
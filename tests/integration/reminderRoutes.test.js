@@ -0,0 +1,138 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Reminder = require('../../src/models/Reminder');
+const Note = require('../../src/models/Note');
+
+const { bearer } = require('../helpers/auth');
+
+// Mock the models and the migration check to avoid actual database calls
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Note');
+jest.mock('../../src/models/Tag');
+jest.mock('../../src/models/NoteRevision');
+jest.mock('../../src/models/Reminder');
+jest.mock('../../src/db/migrator', () => ({
+  pendingMigrations: jest.fn().mockResolvedValue([])
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('Reminder Routes Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/notes/:id/reminders', () => {
+    it('should add a reminder to a note', async () => {
+      const remindAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      Reminder.create.mockResolvedValue({ id: 1, note_id: 5, recurrence: 'daily', status: 'pending' });
+
+      await request(app)
+        .post('/api/notes/5/reminders')
+        .set('Authorization', bearer())
+        .send({ remind_at: remindAt.toISOString(), recurrence: 'daily' })
+        .expect(201);
+
+      expect(Reminder.create).toHaveBeenCalledWith(1, 5, { remindAt, recurrence: 'daily' });
+    });
+
+    it('should return 400 without a time or with an unknown recurrence', async () => {
+      const response = await request(app)
+        .post('/api/notes/5/reminders')
+        .set('Authorization', bearer())
+        .send({ recurrence: 'yearly' })
+        .expect(400);
+
+      expect(response.body.error.details.map(({ field }) => field)).toEqual(['remind_at', 'recurrence']);
+    });
+  });
+
+  describe('GET /api/notes/:id/reminders', () => {
+    it('should list the reminders of a note', async () => {
+      Note.findById.mockResolvedValue({ id: 5 });
+      Reminder.findAllForNote.mockResolvedValue([{ id: 1, note_id: 5 }]);
+
+      const response = await request(app)
+        .get('/api/notes/5/reminders')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+    });
+
+    it("should return 404 for another user's note", async () => {
+      // Note 5 belongs to user 1
+      Note.findById.mockImplementation(async (userId) => (userId === 1 ? { id: 5 } : undefined));
+
+      const response = await request(app)
+        .get('/api/notes/5/reminders')
+        .set('Authorization', bearer(2))
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Note not found');
+      expect(Note.findById).toHaveBeenCalledWith(2, 5);
+      expect(Reminder.findAllForNote).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a missing note', async () => {
+      Note.findById.mockResolvedValue(undefined);
+
+      await request(app)
+        .get('/api/notes/99/reminders')
+        .set('Authorization', bearer())
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/reminders/due', () => {
+    it('should return the due reminders', async () => {
+      Reminder.findDue.mockResolvedValue([{ id: 1, note_title: 'Plan', status: 'fired' }]);
+
+      const response = await request(app)
+        .get('/api/reminders/due')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body.data[0].note_title).toBe('Plan');
+    });
+  });
+
+  describe('POST /api/reminders/:id/snooze', () => {
+    it('should snooze for ten minutes by default', async () => {
+      Reminder.snooze.mockResolvedValue({ id: 1, status: 'pending' });
+      const before = Date.now();
+
+      await request(app)
+        .post('/api/reminders/1/snooze')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      const until = Reminder.snooze.mock.calls[0][2].getTime();
+      expect(until - before).toBeGreaterThanOrEqual(10 * 60 * 1000);
+      expect(until - Date.now()).toBeLessThanOrEqual(10 * 60 * 1000);
+    });
+
+    it('should return 400 for a snooze longer than a week', async () => {
+      await request(app)
+        .post('/api/reminders/1/snooze')
+        .set('Authorization', bearer())
+        .send({ minutes: 20000 })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/reminders/:id/dismiss', () => {
+    it('should return 404 for a reminder that is not due', async () => {
+      Reminder.dismiss.mockResolvedValue(undefined);
+
+      await request(app)
+        .post('/api/reminders/1/dismiss')
+        .set('Authorization', bearer())
+        .expect(404);
+    });
+  });
+});
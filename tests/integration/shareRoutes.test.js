@@ -0,0 +1,127 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+const NoteShare = require('../../src/models/NoteShare');
+
+const { bearer } = require('../helpers/auth');
+
+// Mock the models and the migration check to avoid actual database calls
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Note');
+jest.mock('../../src/models/Tag');
+jest.mock('../../src/models/NoteRevision');
+jest.mock('../../src/models/NoteShare');
+jest.mock('../../src/db/migrator', () => ({
+  pendingMigrations: jest.fn().mockResolvedValue([])
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('Share Routes Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/notes/:id/shares', () => {
+    it('should create a share link', async () => {
+      NoteShare.create.mockResolvedValue({ id: 1, note_id: 5, has_password: false });
+
+      const response = await request(app)
+        .post('/api/notes/5/shares')
+        .set('Authorization', bearer())
+        .expect(201);
+
+      expect(response.body.url).toBe(`/api/shared/${response.body.token}`);
+    });
+
+    it('should return 400 for an invalid expiry or password', async () => {
+      const response = await request(app)
+        .post('/api/notes/5/shares')
+        .set('Authorization', bearer())
+        .send({ expires_at: 'tomorrow', password: '' })
+        .expect(400);
+
+      expect(response.body.error.details.map(({ field }) => field)).toEqual(['password', 'expires_at']);
+    });
+
+    it('should return 401 without a token', async () => {
+      await request(app)
+        .post('/api/notes/5/shares')
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/notes/:id/shares', () => {
+    it('should list the shares of a note', async () => {
+      Note.findById.mockResolvedValue({ id: 5 });
+      NoteShare.findAllForNote.mockResolvedValue([{ id: 1, note_id: 5 }]);
+
+      const response = await request(app)
+        .get('/api/notes/5/shares')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+    });
+
+    it("should return 404 for another user's note", async () => {
+      // Note 5 belongs to user 1
+      Note.findById.mockImplementation(async (userId) => (userId === 1 ? { id: 5 } : undefined));
+
+      const response = await request(app)
+        .get('/api/notes/5/shares')
+        .set('Authorization', bearer(2))
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Note not found');
+      expect(Note.findById).toHaveBeenCalledWith(2, 5);
+      expect(NoteShare.findAllForNote).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/notes/:id/shares/:shareId', () => {
+    it('should revoke a share', async () => {
+      NoteShare.revoke.mockResolvedValue({ id: 2, revoked_at: new Date().toISOString() });
+
+      await request(app)
+        .delete('/api/notes/5/shares/2')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(NoteShare.revoke).toHaveBeenCalledWith(1, 5, 2);
+    });
+  });
+
+  describe('GET /api/shared/:token', () => {
+    it('should serve a shared note without authentication', async () => {
+      NoteShare.findActiveByTokenHash.mockResolvedValue({
+        id: 1,
+        password_hash: null,
+        title: 'Plan',
+        content: 'Body',
+        updated_at: '2026-01-01T00:00:00.000Z'
+      });
+
+      const response = await request(app)
+        .get('/api/shared/abc')
+        .expect(200);
+
+      expect(response.body).toEqual({ title: 'Plan', content: 'Body', updated_at: '2026-01-01T00:00:00.000Z' });
+      expect(NoteShare.recordAccess).toHaveBeenCalledWith(1);
+    });
+
+    it('should return 404 for an expired or revoked token', async () => {
+      NoteShare.findActiveByTokenHash.mockResolvedValue(undefined);
+
+      const response = await request(app)
+        .get('/api/shared/abc')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+  });
+});
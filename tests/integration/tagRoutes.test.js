@@ -0,0 +1,101 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Tag = require('../../src/models/Tag');
+
+const { bearer } = require('../helpers/auth');
+
+// Mock the models and the migration check to avoid actual database calls
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Note');
+jest.mock('../../src/models/Tag');
+jest.mock('../../src/models/NoteRevision');
+jest.mock('../../src/db/migrator', () => ({
+  pendingMigrations: jest.fn().mockResolvedValue([])
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('Tag Routes Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/tags', () => {
+    it('should return tags with note counts', async () => {
+      Tag.findAll.mockResolvedValue([{ id: 1, name: 'work', note_count: 4 }]);
+
+      const response = await request(app)
+        .get('/api/tags')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body[0].note_count).toBe(4);
+    });
+  });
+
+  describe('PUT /api/tags/:id', () => {
+    it('should rename a tag', async () => {
+      Tag.findByName.mockResolvedValue(undefined);
+      Tag.rename.mockResolvedValue({ id: 1, name: 'projects', note_count: 4 });
+
+      const response = await request(app)
+        .put('/api/tags/1')
+        .set('Authorization', bearer())
+        .send({ name: 'projects' })
+        .expect(200);
+
+      expect(response.body.name).toBe('projects');
+    });
+
+    it('should return 409 when the name is taken', async () => {
+      Tag.findByName.mockResolvedValue({ id: 2, name: 'projects' });
+
+      await request(app)
+        .put('/api/tags/1')
+        .set('Authorization', bearer())
+        .send({ name: 'projects' })
+        .expect(409);
+    });
+  });
+
+  describe('POST /api/tags/:id/merge', () => {
+    it('should merge two tags', async () => {
+      Tag.merge.mockResolvedValue({ id: 2, name: 'work', note_count: 6 });
+
+      const response = await request(app)
+        .post('/api/tags/1/merge')
+        .set('Authorization', bearer())
+        .send({ targetId: 2 })
+        .expect(200);
+
+      expect(Tag.merge).toHaveBeenCalledWith(1, 1, 2);
+      expect(response.body.note_count).toBe(6);
+    });
+  });
+
+  describe('DELETE /api/tags/:id', () => {
+    it('should delete a tag', async () => {
+      Tag.delete.mockResolvedValue({ id: 1, name: 'work' });
+
+      const response = await request(app)
+        .delete('/api/tags/1')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body.message).toBe('Tag deleted successfully');
+    });
+
+    it('should return 404 for non-existent tag', async () => {
+      Tag.delete.mockResolvedValue(undefined);
+
+      await request(app)
+        .delete('/api/tags/999')
+        .set('Authorization', bearer())
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+const { bearer } = require('../helpers/auth');
+
+// Mock the models and the migration check to avoid actual database calls
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Note');
+jest.mock('../../src/models/Tag');
+jest.mock('../../src/models/NoteRevision');
+jest.mock('../../src/db/migrator', () => ({
+  pendingMigrations: jest.fn().mockResolvedValue([])
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('Trash Routes Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/trash', () => {
+    it('should list notes in the trash', async () => {
+      Note.findDeleted.mockResolvedValue([{ id: 3, title: 'Old', deleted_at: '2026-01-01T00:00:00.000Z' }]);
+
+      const response = await request(app)
+        .get('/api/trash')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].deleted_at).toBeTruthy();
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/trash')
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/notes/:id/restore', () => {
+    it('should restore a note', async () => {
+      Note.restore.mockResolvedValue({ id: 3, title: 'Old', deleted_at: null });
+
+      const response = await request(app)
+        .post('/api/notes/3/restore')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(Note.restore).toHaveBeenCalledWith(1, 3);
+      expect(response.body.deleted_at).toBeNull();
+    });
+
+    it('should return 404 for a note that is not in the trash', async () => {
+      Note.restore.mockResolvedValue(undefined);
+
+      await request(app)
+        .post('/api/notes/3/restore')
+        .set('Authorization', bearer())
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/trash/:id', () => {
+    it('should permanently delete a note', async () => {
+      Note.purge.mockResolvedValue({ id: 3, title: 'Old' });
+
+      const response = await request(app)
+        .delete('/api/trash/3')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(Note.purge).toHaveBeenCalledWith(1, 3);
+      expect(response.body.message).toBe('Note permanently deleted');
+    });
+
+    it('should return 404 for a note that is not in the trash', async () => {
+      Note.purge.mockResolvedValue(undefined);
+
+      await request(app)
+        .delete('/api/trash/3')
+        .set('Authorization', bearer())
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Webhook = require('../../src/models/Webhook');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+
+const { bearer } = require('../helpers/auth');
+
+// Mock the models and the migration check to avoid actual database calls
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Note');
+jest.mock('../../src/models/Tag');
+jest.mock('../../src/models/NoteRevision');
+jest.mock('../../src/models/Webhook');
+jest.mock('../../src/models/WebhookDelivery');
+jest.mock('../../src/db/migrator', () => ({
+  pendingMigrations: jest.fn().mockResolvedValue([])
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+describe('Webhook Routes Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/webhooks', () => {
+    it('should create a webhook and return its secret', async () => {
+      Webhook.create.mockImplementation(async (userId, { url, events, secret }) => ({ id: 1, url, events, secret }));
+
+      const response = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', bearer())
+        .send({ url: 'https://example.com/hook', events: ['note.created', 'note.created', 'note.deleted'] })
+        .expect(201);
+
+      expect(response.body.events).toEqual(['note.created', 'note.deleted']);
+      expect(response.body.secret).toMatch(/^whsec_/);
+    });
+
+    it('should return 400 for an invalid URL or event', async () => {
+      const response = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', bearer())
+        .send({ url: 'ftp://example.com', events: ['note.archived'] })
+        .expect(400);
+
+      expect(response.body.error.details.map(({ field, rule }) => [field, rule])).toEqual([
+        ['url', 'pattern'],
+        ['events[0]', 'enum']
+      ]);
+      expect(Webhook.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 without events', async () => {
+      const response = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', bearer())
+        .send({ url: 'https://example.com/hook', events: [] })
+        .expect(400);
+
+      expect(response.body.error.details[0]).toMatchObject({ field: 'events', rule: 'minItems' });
+    });
+
+    it('should return 401 without a token', async () => {
+      await request(app)
+        .post('/api/webhooks')
+        .send({ url: 'https://example.com/hook', events: ['note.created'] })
+        .expect(401);
+    });
+  });
+
+  describe('PATCH /api/webhooks/:id', () => {
+    it('should pause a webhook', async () => {
+      Webhook.update.mockResolvedValue({ id: 1, active: false });
+
+      await request(app)
+        .patch('/api/webhooks/1')
+        .set('Authorization', bearer())
+        .send({ active: false })
+        .expect(200);
+
+      expect(Webhook.update).toHaveBeenCalledWith(1, 1, { url: undefined, events: undefined, active: false });
+    });
+
+    it('should return 400 for an empty body', async () => {
+      await request(app)
+        .patch('/api/webhooks/1')
+        .set('Authorization', bearer())
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/webhooks/:id/deliveries', () => {
+    it('should list the dead-letter deliveries', async () => {
+      Webhook.findById.mockResolvedValue({ id: 1 });
+      WebhookDelivery.findAllForWebhook.mockResolvedValue([{ id: 9, status: 'dead' }]);
+
+      const response = await request(app)
+        .get('/api/webhooks/1/deliveries?status=dead')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body.data).toEqual([{ id: 9, status: 'dead' }]);
+      expect(WebhookDelivery.findAllForWebhook).toHaveBeenCalledWith(1, 1, { status: 'dead', limit: 20 });
+    });
+
+    it('should return 400 for an unknown status', async () => {
+      await request(app)
+        .get('/api/webhooks/1/deliveries?status=lost')
+        .set('Authorization', bearer())
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/webhooks/:id/deliveries/:deliveryId/replay', () => {
+    it('should replay a dead delivery', async () => {
+      WebhookDelivery.replay.mockResolvedValue({ id: 9, status: 'pending', attempts: 0 });
+
+      const response = await request(app)
+        .post('/api/webhooks/1/deliveries/9/replay')
+        .set('Authorization', bearer())
+        .expect(200);
+
+      expect(response.body.status).toBe('pending');
+      expect(WebhookDelivery.replay).toHaveBeenCalledWith(1, 1, 9);
+    });
+  });
+});
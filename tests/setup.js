@@ -0,0 +1,2 @@
+// Tokens in tests are signed and verified with this secret
+process.env.JWT_SECRET = 'test-secret';
@@ -0,0 +1,306 @@
+const attachmentController = require('../../src/controllers/attachmentController');
+const Attachment = require('../../src/models/Attachment');
+const Note = require('../../src/models/Note');
+const { storage, deleteFiles } = require('../../src/storage');
+
+// Mock the Attachment and Note models and the file storage
+jest.mock('../../src/models/Attachment');
+jest.mock('../../src/models/Note');
+jest.mock('../../src/storage', () => ({
+  storage: { save: jest.fn(), createReadStream: jest.fn() },
+  deleteFiles: jest.fn()
+}));
+
+const pool = require('../../src/config/database');
+const { appError } = require('../helpers/errors');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Attachment Controller', () => {
+  let req, res, next, stream;
+
+  const mockAttachment = {
+    id: 2,
+    note_id: 5,
+    filename: 'scan.pdf',
+    mime_type: 'application/pdf',
+    size: 1000,
+    storage_key: '5/abc'
+  };
+
+  beforeEach(() => {
+    // Reset mocks before each test
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: 1 },
+      range: jest.fn()
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      attachment: jest.fn().mockReturnThis(),
+      destroy: jest.fn(),
+      headersSent: false
+    };
+    next = jest.fn();
+
+    stream = { on: jest.fn().mockReturnThis(), pipe: jest.fn() };
+    storage.createReadStream.mockReturnValue(stream);
+  });
+
+  describe('uploadAttachment', () => {
+    beforeEach(() => {
+      req.params.id = 5;
+      req.file = { originalname: 'photo.png', mimetype: 'image/png', size: 3, buffer: Buffer.from('png') };
+    });
+
+    it('should store the file and attach it to the note', async () => {
+      // Arrange
+      const created = { id: 1, note_id: 5, filename: 'photo.png', mime_type: 'image/png', size: 3 };
+      Attachment.create.mockResolvedValue(created);
+
+      // Act
+      await attachmentController.uploadAttachment(req, res, next);
+
+      // Assert
+      const [storageKey, buffer] = storage.save.mock.calls[0];
+      expect(storageKey).toMatch(/^5\/[0-9a-f-]{36}$/);
+      expect(buffer).toBe(req.file.buffer);
+      expect(Attachment.create).toHaveBeenCalledWith(1, 5, {
+        filename: 'photo.png',
+        mimeType: 'image/png',
+        size: 3,
+        storageKey
+      });
+      expect(deleteFiles).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(created);
+    });
+
+    it('should return 404 and remove the stored file if the note is not found', async () => {
+      // Arrange
+      Attachment.create.mockResolvedValue(undefined);
+
+      // Act
+      await attachmentController.uploadAttachment(req, res, next);
+
+      // Assert
+      const [storageKey] = storage.save.mock.calls[0];
+      expect(deleteFiles).toHaveBeenCalledWith([storageKey]);
+      expect(next).toHaveBeenCalledWith(appError(404, 'Note not found'));
+    });
+
+    it('should remove the stored file if saving the metadata fails', async () => {
+      // Arrange
+      Attachment.create.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await attachmentController.uploadAttachment(req, res, next);
+
+      // Assert
+      expect(deleteFiles).toHaveBeenCalledWith([storage.save.mock.calls[0][0]]);
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+
+    it('should not record the attachment if storing the file fails', async () => {
+      // Arrange
+      storage.save.mockRejectedValueOnce(new Error('ENOSPC'));
+
+      // Act
+      await attachmentController.uploadAttachment(req, res, next);
+
+      // Assert
+      expect(Attachment.create).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(new Error('ENOSPC'));
+    });
+  });
+
+  describe('listAttachments', () => {
+    it('should list the attachments of a note', async () => {
+      // Arrange
+      req.params.id = 5;
+      const mockAttachments = [{ id: 1 }, { id: 2 }];
+      Note.findById.mockResolvedValue({ id: 5 });
+      Attachment.findAllForNote.mockResolvedValue(mockAttachments);
+
+      // Act
+      await attachmentController.listAttachments(req, res, next);
+
+      // Assert
+      expect(Note.findById).toHaveBeenCalledWith(1, 5);
+      expect(Attachment.findAllForNote).toHaveBeenCalledWith(1, 5);
+      expect(res.json).toHaveBeenCalledWith({ data: mockAttachments });
+    });
+
+    it('should return 404 if the note is not found', async () => {
+      // Arrange
+      req.params.id = 5;
+      Note.findById.mockResolvedValue(undefined);
+
+      // Act
+      await attachmentController.listAttachments(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Note not found'));
+      expect(Attachment.findAllForNote).not.toHaveBeenCalled();
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.params.id = 5;
+      Note.findById.mockResolvedValue({ id: 5 });
+      Attachment.findAllForNote.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await attachmentController.listAttachments(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('downloadAttachment', () => {
+    beforeEach(() => {
+      req.params = { id: 5, attachmentId: 2 };
+      Attachment.findOne.mockResolvedValue(mockAttachment);
+    });
+
+    it('should stream the whole file with its content type', async () => {
+      // Act
+      await attachmentController.downloadAttachment(req, res, next);
+
+      // Assert
+      expect(Attachment.findOne).toHaveBeenCalledWith(1, 5, 2);
+      expect(res.attachment).toHaveBeenCalledWith('scan.pdf');
+      expect(res.set).toHaveBeenCalledWith('Accept-Ranges', 'bytes');
+      expect(res.set).toHaveBeenCalledWith({ 'Content-Type': 'application/pdf', 'X-Content-Type-Options': 'nosniff' });
+      expect(res.set).toHaveBeenCalledWith('Content-Length', 1000);
+      expect(res.status).not.toHaveBeenCalled();
+      expect(storage.createReadStream).toHaveBeenCalledWith('5/abc', {});
+      expect(stream.pipe).toHaveBeenCalledWith(res);
+    });
+
+    it('should stream a single byte range with 206', async () => {
+      // Arrange
+      req.range.mockReturnValue(Object.assign([{ start: 100, end: 199 }], { type: 'bytes' }));
+
+      // Act
+      await attachmentController.downloadAttachment(req, res, next);
+
+      // Assert
+      expect(req.range).toHaveBeenCalledWith(1000, { combine: true });
+      expect(res.status).toHaveBeenCalledWith(206);
+      expect(res.set).toHaveBeenCalledWith({ 'Content-Range': 'bytes 100-199/1000', 'Content-Length': 100 });
+      expect(storage.createReadStream).toHaveBeenCalledWith('5/abc', { start: 100, end: 199 });
+    });
+
+    it('should send the whole file when several ranges are asked for', async () => {
+      // Arrange
+      req.range.mockReturnValue(Object.assign([{ start: 0, end: 9 }, { start: 500, end: 509 }], { type: 'bytes' }));
+
+      // Act
+      await attachmentController.downloadAttachment(req, res, next);
+
+      // Assert
+      expect(res.status).not.toHaveBeenCalled();
+      expect(storage.createReadStream).toHaveBeenCalledWith('5/abc', {});
+    });
+
+    it('should send the whole file for a malformed range', async () => {
+      // Arrange
+      req.range.mockReturnValue(-2);
+
+      // Act
+      await attachmentController.downloadAttachment(req, res, next);
+
+      // Assert
+      expect(res.status).not.toHaveBeenCalled();
+      expect(stream.pipe).toHaveBeenCalledWith(res);
+    });
+
+    it('should return 416 for a range past the end of the file', async () => {
+      // Arrange
+      req.range.mockReturnValue(-1);
+
+      // Act
+      await attachmentController.downloadAttachment(req, res, next);
+
+      // Assert
+      expect(res.set).toHaveBeenCalledWith('Content-Range', 'bytes */1000');
+      expect(next).toHaveBeenCalledWith(appError(416, 'Requested range not satisfiable'));
+      expect(storage.createReadStream).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if attachment not found', async () => {
+      // Arrange
+      Attachment.findOne.mockResolvedValue(undefined);
+
+      // Act
+      await attachmentController.downloadAttachment(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Attachment not found'));
+    });
+
+    it('should pass read errors to the error handler before anything is sent', async () => {
+      // Act
+      await attachmentController.downloadAttachment(req, res, next);
+      const onError = stream.on.mock.calls.find(([event]) => event === 'error')[1];
+      onError(new Error('ENOENT'));
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('ENOENT'));
+      expect(res.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should abort the response on read errors once it has started', async () => {
+      // Act
+      await attachmentController.downloadAttachment(req, res, next);
+      const onError = stream.on.mock.calls.find(([event]) => event === 'error')[1];
+      res.headersSent = true;
+      onError(new Error('EIO'));
+
+      // Assert
+      expect(res.destroy).toHaveBeenCalledWith(new Error('EIO'));
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteAttachment', () => {
+    it('should delete the attachment and its file', async () => {
+      // Arrange
+      req.params = { id: 5, attachmentId: 2 };
+      Attachment.delete.mockResolvedValue(mockAttachment);
+
+      // Act
+      await attachmentController.deleteAttachment(req, res, next);
+
+      // Assert
+      const { storage_key, ...attachment } = mockAttachment;
+      expect(Attachment.delete).toHaveBeenCalledWith(1, 5, 2);
+      expect(deleteFiles).toHaveBeenCalledWith([storage_key]);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Attachment deleted successfully', attachment });
+    });
+
+    it('should return 404 if attachment not found', async () => {
+      // Arrange
+      req.params = { id: 5, attachmentId: 2 };
+      Attachment.delete.mockResolvedValue(undefined);
+
+      // Act
+      await attachmentController.deleteAttachment(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Attachment not found'));
+      expect(deleteFiles).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,243 @@
+const bcrypt = require('bcryptjs');
+const authController = require('../../src/controllers/authController');
+const User = require('../../src/models/User');
+const { verifyToken } = require('../../src/utils/token');
+
+// Mock the User model
+jest.mock('../../src/models/User');
+
+const pool = require('../../src/config/database');
+const { appError, validationError } = require('../helpers/errors');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Auth Controller', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    // Reset mocks before each test
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = {
+      body: {},
+      params: {},
+      query: {}
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('signup', () => {
+    it('should create an account with a hashed password and return a token', async () => {
+      // Arrange
+      req.body = { email: '  Ada@Example.com ', password: 'correct horse' };
+      const mockUser = { id: 7, email: 'ada@example.com', created_at: new Date() };
+
+      User.findByEmail.mockResolvedValue(undefined);
+      User.create.mockResolvedValue(mockUser);
+
+      // Act
+      await authController.signup(req, res, next);
+
+      // Assert
+      const [email, passwordHash] = User.create.mock.calls[0];
+      expect(email).toBe('ada@example.com');
+      expect(passwordHash).not.toBe('correct horse');
+      expect(await bcrypt.compare('correct horse', passwordHash)).toBe(true);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const body = res.json.mock.calls[0][0];
+      expect(body.user).toEqual(mockUser);
+      expect(verifyToken(body.token)).toBe(7);
+    });
+
+    it('should return 400 if email or password is missing', async () => {
+      // Arrange
+      req.body = { email: 'ada@example.com' };
+
+      // Act
+      await authController.signup(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(validationError({ field: 'password', rule: 'required', message: 'Password is required' }));
+    });
+
+    it('should report every invalid credential at once', async () => {
+      // Arrange
+      req.body = { email: 'not-an-email', password: 'short' };
+
+      // Act
+      await authController.signup(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(validationError(
+        { field: 'email', rule: 'email' },
+        { field: 'password', rule: 'length' }
+      ));
+    });
+
+    it('should return 400 if email is invalid', async () => {
+      // Arrange
+      req.body = { email: 'not-an-email', password: 'correct horse' };
+
+      // Act
+      await authController.signup(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(validationError({ field: 'email', rule: 'email', message: 'Email must be a valid email address' }));
+    });
+
+    it('should return 400 if password is too short', async () => {
+      // Arrange
+      req.body = { email: 'ada@example.com', password: 'short' };
+
+      // Act
+      await authController.signup(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(validationError({
+        field: 'password',
+        rule: 'length',
+        message: 'Password must be between 8 and 72 characters'
+      }));
+    });
+
+    it('should return 400 if password is too long', async () => {
+      // Arrange
+      req.body = { email: 'ada@example.com', password: 'a'.repeat(73) };
+
+      // Act
+      await authController.signup(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(validationError({ field: 'password', rule: 'length' }));
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 if the email is already registered', async () => {
+      // Arrange
+      req.body = { email: 'ada@example.com', password: 'correct horse' };
+      User.findByEmail.mockResolvedValue({ id: 7, email: 'ada@example.com' });
+
+      // Act
+      await authController.signup(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(409));
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 if a concurrent signup takes the email first', async () => {
+      // Arrange
+      req.body = { email: 'ada@example.com', password: 'correct horse' };
+      User.findByEmail.mockResolvedValue(undefined);
+      User.create.mockRejectedValue(Object.assign(new Error('duplicate key value'), { code: '23505' }));
+
+      // Act
+      await authController.signup(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(409));
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.body = { email: 'ada@example.com', password: 'correct horse' };
+      User.findByEmail.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await authController.signup(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('login', () => {
+    let passwordHash;
+
+    beforeAll(async () => {
+      passwordHash = await bcrypt.hash('correct horse', 4);
+    });
+
+    it('should return a token for valid credentials', async () => {
+      // Arrange
+      req.body = { email: 'ADA@example.com', password: 'correct horse' };
+      User.findByEmail.mockResolvedValue({
+        id: 7,
+        email: 'ada@example.com',
+        password_hash: passwordHash,
+        created_at: new Date('2026-01-01T00:00:00Z')
+      });
+
+      // Act
+      await authController.login(req, res, next);
+
+      // Assert
+      expect(User.findByEmail).toHaveBeenCalledWith('ada@example.com');
+      const body = res.json.mock.calls[0][0];
+      expect(body.user).toEqual({
+        id: 7,
+        email: 'ada@example.com',
+        created_at: new Date('2026-01-01T00:00:00Z')
+      });
+      expect(body.user).not.toHaveProperty('password_hash');
+      expect(verifyToken(body.token)).toBe(7);
+    });
+
+    it('should return 401 for a wrong password', async () => {
+      // Arrange
+      req.body = { email: 'ada@example.com', password: 'wrong horse' };
+      User.findByEmail.mockResolvedValue({ id: 7, email: 'ada@example.com', password_hash: passwordHash });
+
+      // Act
+      await authController.login(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(401, 'Invalid email or password'));
+    });
+
+    it('should return 401 for an unknown email', async () => {
+      // Arrange
+      req.body = { email: 'nobody@example.com', password: 'correct horse' };
+      User.findByEmail.mockResolvedValue(undefined);
+
+      // Act
+      await authController.login(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(401, 'Invalid email or password'));
+    });
+
+    it('should return 400 if email or password is missing', async () => {
+      // Arrange
+      req.body = { password: 'correct horse' };
+
+      // Act
+      await authController.login(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(validationError({ field: 'email', rule: 'required' }));
+      expect(User.findByEmail).not.toHaveBeenCalled();
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.body = { email: 'ada@example.com', password: 'correct horse' };
+      User.findByEmail.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await authController.login(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const jwt = require('jsonwebtoken');
+const authenticate = require('../../src/middleware/authenticate');
+const { signToken } = require('../../src/utils/token');
+const { appError } = require('../helpers/errors');
+
+describe('authenticate middleware', () => {
+  let req, res, next;
+
+  const withAuthorization = (value) => ({
+    get: jest.fn((name) => (name === 'Authorization' ? value : undefined))
+  });
+
+  beforeEach(() => {
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  it('should set req.user and continue for a valid token', () => {
+    // Arrange
+    req = withAuthorization(`Bearer ${signToken(42)}`);
+
+    // Act
+    authenticate(req, res, next);
+
+    // Assert
+    expect(req.user).toEqual({ id: 42 });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should return 401 without an Authorization header', () => {
+    // Arrange
+    req = withAuthorization(undefined);
+
+    // Act
+    authenticate(req, res, next);
+
+    // Assert
+    expect(next).toHaveBeenCalledWith(appError(401, 'Authentication required'));
+    expect(req.user).toBeUndefined();
+  });
+
+  it('should return 401 for a non-Bearer scheme', () => {
+    // Arrange
+    req = withAuthorization('Basic YWRhOnNlY3JldA==');
+
+    // Act
+    authenticate(req, res, next);
+
+    // Assert
+    expect(next).toHaveBeenCalledWith(appError(401));
+    expect(req.user).toBeUndefined();
+  });
+
+  it('should return 401 for a token signed with another secret', () => {
+    // Arrange
+    const forged = jwt.sign({}, 'some-other-secret', { subject: '42' });
+    req = withAuthorization(`Bearer ${forged}`);
+
+    // Act
+    authenticate(req, res, next);
+
+    // Assert
+    expect(next).toHaveBeenCalledWith(appError(401, 'Invalid or expired token'));
+  });
+
+  it('should return 401 for an expired token', () => {
+    // Arrange
+    const expired = jwt.sign({ exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET, { subject: '42' });
+    req = withAuthorization(`Bearer ${expired}`);
+
+    // Act
+    authenticate(req, res, next);
+
+    // Assert
+    expect(next).toHaveBeenCalledWith(appError(401));
+  });
+
+  it('should return 401 for a token without a user id subject', () => {
+    // Arrange
+    const token = jwt.sign({}, process.env.JWT_SECRET, { subject: 'admin' });
+    req = withAuthorization(`Bearer ${token}`);
+
+    // Act
+    authenticate(req, res, next);
+
+    // Assert
+    expect(next).toHaveBeenCalledWith(appError(401));
+    expect(req.user).toBeUndefined();
+  });
+
+  it('should return 401 when JWT_SECRET is not configured', () => {
+    // Arrange
+    const token = signToken(42);
+    const secret = process.env.JWT_SECRET;
+    delete process.env.JWT_SECRET;
+    req = withAuthorization(`Bearer ${token}`);
+
+    // Act
+    try {
+      authenticate(req, res, next);
+    } finally {
+      process.env.JWT_SECRET = secret;
+    }
+
+    // Assert
+    expect(next).toHaveBeenCalledWith(appError(401));
+  });
+});
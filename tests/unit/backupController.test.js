@@ -0,0 +1,511 @@
+const { EventEmitter } = require('events');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const backupController = require('../../src/controllers/backupController');
+const Note = require('../../src/models/Note');
+
+// Mock the Note model
+jest.mock('../../src/models/Note');
+
+const pool = require('../../src/config/database');
+const { appError } = require('../helpers/errors');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Backup Controller', () => {
+  let req, res, next;
+
+  const written = () => res.write.mock.calls.map(([chunk]) => chunk).join('') + (res.end.mock.calls[0][0] || '');
+
+  beforeEach(() => {
+    // Reset mocks before each test
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: 1 },
+      contentType: 'application/json',
+      is(type) {
+        return type === this.contentType;
+      }
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      attachment: jest.fn().mockReturnThis(),
+      write: jest.fn().mockReturnValue(true),
+      end: jest.fn(),
+      destroy: jest.fn(),
+      headersSent: false
+    };
+    next = jest.fn();
+  });
+
+  describe('exportNotes', () => {
+    const note = {
+      id: 1,
+      title: 'First',
+      content: 'Hello, "world"',
+      format: 'plain',
+      tags: ['work', 'ideas'],
+      version: 2,
+      created_at: new Date('2026-01-01T00:00:00.000Z'),
+      updated_at: new Date('2026-01-02T00:00:00.000Z'),
+      deleted_at: null
+    };
+
+    it('should export notes as JSON', async () => {
+      // Arrange
+      req.query = { format: 'json' };
+      Note.findAll.mockResolvedValue([note]);
+
+      // Act
+      await backupController.exportNotes(req, res, next);
+
+      // Assert
+      expect(Note.findAll).toHaveBeenCalledWith(1, {
+        sort: 'created_at',
+        order: 'asc',
+        cursor: undefined,
+        limit: 100,
+        archived: true,
+        pinnedFirst: false
+      });
+      expect(res.attachment).toHaveBeenCalledWith(expect.stringMatching(/^quicknote-export-\d{4}-\d{2}-\d{2}\.json$/));
+
+      const body = JSON.parse(written());
+      expect(body.notes).toEqual([{
+        id: 1,
+        title: 'First',
+        content: 'Hello, "world"',
+        format: 'plain',
+        tags: ['work', 'ideas'],
+        created_at: '2026-01-01T00:00:00.000Z',
+        updated_at: '2026-01-02T00:00:00.000Z'
+      }]);
+      expect(body.exportedAt).toEqual(expect.any(String));
+    });
+
+    it('should page through every note', async () => {
+      // Arrange
+      req.query = { format: 'json' };
+      const fullPage = Array.from({ length: 100 }, (_, i) => ({ ...note, id: i + 1 }));
+      Note.findAll
+        .mockResolvedValueOnce(fullPage)
+        .mockResolvedValueOnce([{ ...note, id: 101 }]);
+
+      // Act
+      await backupController.exportNotes(req, res, next);
+
+      // Assert
+      expect(Note.findAll).toHaveBeenCalledTimes(2);
+      expect(Note.findAll).toHaveBeenLastCalledWith(1, {
+        sort: 'created_at',
+        order: 'asc',
+        cursor: { value: note.created_at, id: 100 },
+        limit: 100,
+        archived: true,
+        pinnedFirst: false
+      });
+      expect(JSON.parse(written()).notes).toHaveLength(101);
+    });
+
+    it('should export notes as CSV', async () => {
+      // Arrange
+      req.query = { format: 'csv' };
+      Note.findAll.mockResolvedValue([note]);
+
+      // Act
+      await backupController.exportNotes(req, res, next);
+
+      // Assert
+      expect(res.attachment).toHaveBeenCalledWith(expect.stringMatching(/\.csv$/));
+      expect(written()).toBe(
+        'id,title,content,format,tags,created_at,updated_at\r\n' +
+        '1,First,"Hello, ""world""",plain,"work,ideas",2026-01-01T00:00:00.000Z,2026-01-02T00:00:00.000Z\r\n'
+      );
+    });
+
+    it('should wait for the client to catch up when the response is full', async () => {
+      // Arrange
+      req.query = { format: 'json' };
+      res = Object.assign(new EventEmitter(), res, { write: jest.fn().mockReturnValueOnce(false).mockReturnValue(true) });
+      Note.findAll.mockResolvedValue([note]);
+
+      // Act
+      const exporting = backupController.exportNotes(req, res, next);
+      setImmediate(() => res.emit('drain'));
+      await exporting;
+
+      // Assert
+      expect(JSON.parse(written()).notes).toHaveLength(1);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should stop exporting when the client disconnects while the response is full', async () => {
+      // Arrange
+      req.query = { format: 'json' };
+      res = Object.assign(new EventEmitter(), res, { write: jest.fn().mockReturnValue(false), destroyed: false });
+      Note.findAll.mockResolvedValue([note]);
+
+      // Act
+      const exporting = backupController.exportNotes(req, res, next);
+      setImmediate(() => {
+        res.destroyed = true;
+        res.emit('close');
+      });
+      await exporting;
+
+      // Assert
+      expect(Note.findAll).not.toHaveBeenCalled();
+      expect(res.end).not.toHaveBeenCalled();
+      expect(res.destroy).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+      expect(res.listenerCount('close')).toBe(0);
+    });
+
+    it('should pass errors from before anything is sent to the error handler', async () => {
+      // Arrange
+      req.query = { format: 'json' };
+      res.write.mockImplementation(() => {
+        throw new Error('Socket closed');
+      });
+
+      // Act
+      await backupController.exportNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Socket closed'));
+    });
+
+    it('should abort the response if an error occurs mid-stream', async () => {
+      // Arrange
+      req.query = { format: 'json' };
+      const error = new Error('Database error');
+      res.headersSent = true;
+      Note.findAll.mockRejectedValue(error);
+
+      // Act
+      await backupController.exportNotes(req, res, next);
+
+      // Assert
+      expect(res.destroy).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importNotes', () => {
+    const invalid = (detail) => ({
+      code: 'VALIDATION_FAILED',
+      message: 'Request validation failed',
+      details: [{ location: 'body', ...detail }]
+    });
+
+    beforeEach(() => {
+      Note.findExisting.mockResolvedValue([]);
+      Note.create.mockImplementation(async (userId, title) => ({ id: title.length }));
+    });
+
+    it('should import a JSON export with its timestamps', async () => {
+      // Arrange
+      req.body = {
+        exportedAt: '2026-02-01T00:00:00.000Z',
+        notes: [{
+          id: 9,
+          title: ' Imported ',
+          content: '**Body**',
+          format: 'markdown',
+          tags: ['work'],
+          created_at: '2026-01-01T00:00:00.000Z',
+          updated_at: '2026-01-02T00:00:00.000Z'
+        }]
+      };
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(Note.findExisting).toHaveBeenCalledWith(1, [expect.objectContaining({ title: 'Imported', content: '**Body**' })]);
+      expect(Note.create).toHaveBeenCalledWith(1, 'Imported', '**Body**', ['work'], {
+        format: 'markdown',
+        createdAt: new Date('2026-01-01T00:00:00.000Z'),
+        updatedAt: new Date('2026-01-02T00:00:00.000Z')
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        created: 1,
+        skipped: 0,
+        failed: 0,
+        items: [{ index: 0, status: 'created', id: 8 }]
+      });
+    });
+
+    it('should validate each note and skip duplicates', async () => {
+      // Arrange
+      req.body = [
+        { title: 'Existing', content: 'Same' },
+        { title: 'New', content: 'Body' },
+        { title: 'New', content: 'Body' },
+        { title: 'No content' },
+        { title: 'Bad date', content: 'Body', created_at: 'yesterday' },
+        'not a note'
+      ];
+      Note.findExisting.mockResolvedValue([{ title: 'Existing', content: 'Same' }]);
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(Note.create).toHaveBeenCalledTimes(1);
+      expect(Note.create).toHaveBeenCalledWith(1, 'New', 'Body', [], {
+        format: undefined,
+        createdAt: undefined,
+        updatedAt: undefined
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        created: 1,
+        skipped: 2,
+        failed: 3,
+        items: [
+          { index: 0, status: 'skipped', reason: 'A note with the same title and content already exists' },
+          { index: 1, status: 'created', id: 3 },
+          { index: 2, status: 'skipped', reason: 'Duplicate of note 1 in this import' },
+          { index: 3, status: 'failed', error: invalid({ field: 'notes[3].content', rule: 'required', message: 'Content is required' }) },
+          { index: 4, status: 'failed', error: invalid({ field: 'notes[4].created_at', rule: 'type', message: 'notes[4].created_at must be a valid ISO 8601 date' }) },
+          { index: 5, status: 'failed', error: invalid({ field: 'notes[5]', rule: 'type', message: 'notes[5] must be an object' }) }
+        ]
+      });
+    });
+
+    it('should not look up duplicates when every note is invalid', async () => {
+      // Arrange
+      req.body = [{ title: 'Only title' }];
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(Note.findExisting).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ created: 0, failed: 1 }));
+    });
+
+    it('should report a note that fails to save and keep going', async () => {
+      // Arrange
+      req.body = [{ title: 'One', content: 'Body' }, { title: 'Two', content: 'Body' }];
+      Note.create.mockRejectedValueOnce(new Error('Database error'));
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        created: 1,
+        failed: 1,
+        items: [
+          { index: 0, status: 'failed', error: { code: 'INTERNAL_ERROR', message: 'Failed to import note' } },
+          { index: 1, status: 'created', id: 3 }
+        ]
+      }));
+    });
+
+    it('should import a CSV export', async () => {
+      // Arrange
+      req.contentType = 'text/csv';
+      req.body = 'id,title,content,format,tags,created_at,updated_at\r\n' +
+        '1,First,"Line one\nLine two",markdown,"work, ideas",2026-01-01T00:00:00.000Z,\r\n' +
+        '\r\n' +
+        '2,Second,Body,,,,\r\n';
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(Note.create).toHaveBeenCalledWith(1, 'First', 'Line one\nLine two', ['work', 'ideas'], {
+        format: 'markdown',
+        createdAt: new Date('2026-01-01T00:00:00.000Z'),
+        updatedAt: undefined
+      });
+      expect(Note.create).toHaveBeenCalledWith(1, 'Second', 'Body', [], {
+        format: undefined,
+        createdAt: undefined,
+        updatedAt: undefined
+      });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ created: 2 }));
+    });
+
+    it('should return 400 if the CSV has no title or content column', async () => {
+      // Arrange
+      req.contentType = 'text/csv';
+      req.body = 'name,body\nA,B\n';
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(400, 'CSV must have title and content columns'));
+    });
+
+    it('should return 400 for malformed CSV', async () => {
+      // Arrange
+      req.contentType = 'text/csv';
+      req.body = 'title,content\n"open,Body\n';
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(400, 'Invalid CSV: Unterminated quoted field'));
+    });
+
+    it('should return 400 for an invalid zip archive', async () => {
+      // Arrange
+      req.contentType = 'application/zip';
+      req.body = Buffer.from('not a zip');
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(400, 'Invalid zip archive'));
+    });
+
+    it('should return 400 for an archive with too many files without decompressing any', async () => {
+      // Arrange
+      const zip = new AdmZip();
+      for (let i = 0; i < 1001; i++) {
+        zip.addFile(`note-${i}.md`, Buffer.from('Body '.repeat(20)));
+      }
+      req.contentType = 'application/zip';
+      req.body = zip.toBuffer();
+      const inflate = jest.spyOn(zlib, 'inflateRawSync');
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(400, 'An import can hold at most 1000 notes'));
+      expect(inflate).not.toHaveBeenCalled();
+      inflate.mockRestore();
+    });
+
+    it('should return 400 for an archive file that decompresses to more than 1 MB', async () => {
+      // Arrange
+      const zip = new AdmZip();
+      zip.addFile('big.md', Buffer.alloc(1024 * 1024 + 1, 'a'));
+      req.contentType = 'application/zip';
+      req.body = zip.toBuffer();
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(400, 'Archive contains a file larger than 1 MB'));
+      expect(Note.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an archive that decompresses to more than 20 MB in total', async () => {
+      // Arrange
+      const zip = new AdmZip();
+      const content = Buffer.alloc(1024 * 1024, 'a');
+      for (let i = 0; i < 21; i++) {
+        zip.addFile(`note-${i}.md`, content);
+      }
+      req.contentType = 'application/zip';
+      req.body = zip.toBuffer();
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(400, 'Archive is larger than 20 MB uncompressed'));
+      expect(Note.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a JSON body without notes', async () => {
+      // Arrange
+      req.body = { title: 'Single note' };
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(400, 'JSON import must be an array of notes or an export file'));
+    });
+
+    it('should return 400 for an empty import', async () => {
+      // Arrange
+      req.body = [];
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(400, 'Import contains no notes'));
+    });
+
+    it('should return 400 if the import is too large', async () => {
+      // Arrange
+      req.body = Array(1001).fill({ title: 'Note', content: 'Body' });
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(400, 'An import can hold at most 1000 notes'));
+    });
+
+    it('should return 415 for an unsupported content type', async () => {
+      // Arrange
+      req.contentType = 'application/xml';
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(415, 'Import must be JSON, CSV or a zip archive of Markdown files'));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.body = [{ title: 'Note', content: 'Body' }];
+      Note.findExisting.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await backupController.importNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('CSV round trip', () => {
+    it('should keep tags that contain commas or quotes', async () => {
+      // Arrange
+      const tags = ['Smith, John', 'say "hi"', 'plain'];
+      req.query = { format: 'csv' };
+      Note.findAll.mockResolvedValue([{
+        id: 1,
+        title: 'Contacts',
+        content: 'Call back',
+        format: 'plain',
+        tags,
+        created_at: new Date('2026-01-01T00:00:00.000Z'),
+        updated_at: new Date('2026-01-02T00:00:00.000Z')
+      }]);
+      await backupController.exportNotes(req, res, next);
+      Note.findExisting.mockResolvedValue([]);
+      Note.create.mockResolvedValue({ id: 2 });
+
+      // Act
+      await backupController.importNotes({ ...req, contentType: 'text/csv', body: written() }, res, next);
+
+      // Assert
+      expect(Note.create).toHaveBeenCalledWith(1, 'Contacts', 'Call back', tags, expect.any(Object));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ created: 1 }));
+    });
+  });
+});
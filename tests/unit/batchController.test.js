@@ -0,0 +1,252 @@
+const batchController = require('../../src/controllers/batchController');
+const Note = require('../../src/models/Note');
+const VersionConflictError = require('../../src/errors/VersionConflictError');
+const { withTransaction } = require('../../src/db/transaction');
+
+// Mock the Note model and run transactions on a fake client
+jest.mock('../../src/models/Note');
+jest.mock('../../src/db/transaction', () => ({
+  withTransaction: jest.fn()
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Batch Controller', () => {
+  let req, res, next, client, rolledBack;
+
+  beforeEach(() => {
+    // Reset mocks before each test
+    jest.clearAllMocks();
+
+    client = { query: jest.fn() };
+    rolledBack = false;
+    withTransaction.mockImplementation(async (callback) => {
+      try {
+        return await callback(client);
+      } catch (error) {
+        rolledBack = true;
+        throw error;
+      }
+    });
+
+    // Create mock request and response objects
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: 1 }
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('atomic mode', () => {
+    it('should run every operation on one transaction client', async () => {
+      // Arrange
+      req.body = {
+        operations: [
+          { op: 'create', title: ' New ', content: '<b>Body</b>', tags: ['work'] },
+          { op: 'update', id: 2, title: 'Renamed', version: 3 },
+          { op: 'delete', id: 3 }
+        ],
+        mode: 'atomic'
+      };
+      Note.create.mockResolvedValue({ id: 10 });
+      Note.update.mockResolvedValue({ id: 2 });
+      Note.delete.mockResolvedValue({ id: 3 });
+
+      // Act
+      await batchController.batchNotes(req, res, next);
+
+      // Assert
+      expect(Note.create).toHaveBeenCalledWith(1, 'New', '<b>Body</b>', ['work'], { format: undefined, notebookId: undefined, client });
+      expect(Note.update).toHaveBeenCalledWith(1, 2, { title: 'Renamed' }, { expectedVersions: [3], client });
+      expect(Note.delete).toHaveBeenCalledWith(1, 3, { client });
+      expect(res.json).toHaveBeenCalledWith({
+        mode: 'atomic',
+        results: [
+          { index: 0, status: 201, note: { id: 10 } },
+          { index: 1, status: 200, note: { id: 2 } },
+          { index: 2, status: 200, note: { id: 3 } }
+        ]
+      });
+    });
+
+    it('should reject the whole batch if any operation is invalid', async () => {
+      // Arrange
+      req.body = {
+        operations: [
+          { op: 'create', title: 'Fine', content: 'Fine' },
+          { op: 'create', title: '   ', content: 'Body' },
+          { op: 'move', id: 1 },
+          { op: 'update', id: 'abc', title: 'x' },
+          { op: 'update', id: 1, version: 0, title: 'x' },
+          { op: 'update', id: 1 },
+          null
+        ],
+        mode: 'atomic'
+      };
+
+      // Act
+      await batchController.batchNotes(req, res, next);
+
+      // Assert
+      const [error] = next.mock.calls[0];
+      expect(error.statusCode).toBe(400);
+      expect(error.message).toBe('Batch contains invalid operations; no changes were made');
+      expect(error.details.map(({ field, rule }) => ({ field, rule }))).toEqual([
+        { field: 'operations[1].title', rule: 'notEmpty' },
+        { field: 'operations[2].op', rule: 'enum' },
+        { field: 'operations[3].id', rule: 'type' },
+        { field: 'operations[4].version', rule: 'min' },
+        {
+          field: 'operations[5].title, operations[5].content, operations[5].format, operations[5].tags, '
+            + 'operations[5].notebook_id, operations[5].color',
+          rule: 'atLeastOne'
+        },
+        { field: 'operations[6]', rule: 'type' }
+      ]);
+      expect(withTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should roll back and return 409 if a note is missing', async () => {
+      // Arrange
+      req.body = {
+        operations: [
+          { op: 'create', title: 'New', content: 'Body' },
+          { op: 'delete', id: 99 },
+          { op: 'delete', id: 3 }
+        ],
+        mode: 'atomic'
+      };
+      Note.create.mockResolvedValue({ id: 10 });
+      Note.delete.mockResolvedValue(undefined);
+
+      // Act
+      await batchController.batchNotes(req, res, next);
+
+      // Assert
+      expect(rolledBack).toBe(true);
+      expect(Note.delete).toHaveBeenCalledTimes(1);
+      const [error] = next.mock.calls[0];
+      expect(error.statusCode).toBe(409);
+      expect(error.toJSON()).toEqual({
+        code: 'CONFLICT',
+        message: 'Operation 1 failed; no changes were made',
+        failure: { index: 1, status: 404, error: { code: 'NOT_FOUND', message: 'Note not found' } }
+      });
+    });
+
+    it('should roll back and report the current note on a version conflict', async () => {
+      // Arrange
+      req.body = { operations: [{ op: 'update', id: 2, content: 'Mine', version: 1 }], mode: 'atomic' };
+      const current = { id: 2, version: 2 };
+      Note.update.mockRejectedValue(new VersionConflictError(current));
+
+      // Act
+      await batchController.batchNotes(req, res, next);
+
+      // Assert
+      expect(rolledBack).toBe(true);
+      const [error] = next.mock.calls[0];
+      expect(error.statusCode).toBe(409);
+      expect(error.toJSON().failure).toEqual({
+        index: 0,
+        status: 412,
+        error: { code: 'VERSION_CONFLICT', message: 'Note has been modified by another request', current }
+      });
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.body = { operations: [{ op: 'update', id: 2, title: 'Renamed' }], mode: 'atomic' };
+      Note.update.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await batchController.batchNotes(req, res, next);
+
+      // Assert
+      expect(rolledBack).toBe(true);
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('best-effort mode', () => {
+    it('should run each operation on its own and report every outcome', async () => {
+      // Arrange
+      req.body = {
+        mode: 'best-effort',
+        operations: [
+          { op: 'create', title: 'New', content: 'Body' },
+          { op: 'create', content: 'No title' },
+          { op: 'delete', id: 99 },
+          { op: 'update', id: 2, tags: [] }
+        ]
+      };
+      Note.create.mockResolvedValue({ id: 10 });
+      Note.delete.mockResolvedValue(undefined);
+      Note.update.mockResolvedValue({ id: 2, tags: [] });
+
+      // Act
+      await batchController.batchNotes(req, res, next);
+
+      // Assert
+      expect(withTransaction).not.toHaveBeenCalled();
+      expect(Note.create).toHaveBeenCalledWith(1, 'New', 'Body', [], { format: undefined, client: undefined });
+      expect(res.json).toHaveBeenCalledWith({
+        mode: 'best-effort',
+        succeeded: 2,
+        failed: 2,
+        results: [
+          { index: 0, status: 201, note: { id: 10 } },
+          {
+            index: 1,
+            status: 400,
+            error: {
+              code: 'VALIDATION_FAILED',
+              message: 'Request validation failed',
+              details: [{ field: 'operations[1].title', location: 'body', rule: 'required', message: 'Title is required' }]
+            }
+          },
+          { index: 2, status: 404, error: { code: 'NOT_FOUND', message: 'Note not found' } },
+          { index: 3, status: 200, note: { id: 2, tags: [] } }
+        ]
+      });
+    });
+
+    it('should keep going after an unexpected error', async () => {
+      // Arrange
+      req.body = {
+        mode: 'best-effort',
+        operations: [
+          { op: 'delete', id: 1 },
+          { op: 'delete', id: 2 }
+        ]
+      };
+      Note.delete
+        .mockRejectedValueOnce(new Error('Database error'))
+        .mockResolvedValueOnce({ id: 2 });
+
+      // Act
+      await batchController.batchNotes(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({
+        mode: 'best-effort',
+        succeeded: 1,
+        failed: 1,
+        results: [
+          { index: 0, status: 500, error: { code: 'INTERNAL_ERROR', message: 'Failed to delete note' } },
+          { index: 1, status: 200, note: { id: 2 } }
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const { formatRow, parseCsv } = require('../../src/utils/csv');
+
+describe('formatRow', () => {
+  it('should join plain values with commas', () => {
+    expect(formatRow([1, 'Title', ''])).toBe('1,Title,');
+  });
+
+  it('should quote values with commas, quotes or line breaks', () => {
+    expect(formatRow(['a,b', 'say "hi"', 'two\nlines', null])).toBe('"a,b","say ""hi""","two\nlines",');
+  });
+});
+
+describe('parseCsv', () => {
+  it('should split rows and fields', () => {
+    expect(parseCsv('title,content\r\nA,B\nC,D')).toEqual([['title', 'content'], ['A', 'B'], ['C', 'D']]);
+  });
+
+  it('should read quoted fields with escaped quotes and line breaks', () => {
+    expect(parseCsv('"a,b","say ""hi""","two\nlines"\n')).toEqual([['a,b', 'say "hi"', 'two\nlines']]);
+  });
+
+  it('should round-trip formatted rows', () => {
+    const row = ['1', 'Quotes "here"', 'Line one\r\nLine two', 'work,ideas'];
+    expect(parseCsv(formatRow(row))).toEqual([row]);
+  });
+
+  it('should throw on an unterminated quote', () => {
+    expect(() => parseCsv('"open')).toThrow('Unterminated quoted field');
+  });
+});
@@ -0,0 +1,114 @@
+const errorHandler = require('../../src/middleware/errorHandler');
+const { logger } = require('../../src/utils/logger');
+const {
+  AppError,
+  NotFoundError,
+  ValidationError,
+  VersionConflictError
+} = require('../../src/errors');
+
+describe('errorHandler middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { method: 'GET', originalUrl: '/api/notes/1' };
+    res = {
+      headersSent: false,
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  it('should send an AppError with its status and code', () => {
+    // Act
+    errorHandler(new NotFoundError('Note not found'), req, res, next);
+
+    // Assert
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: { code: 'NOT_FOUND', message: 'Note not found' } });
+  });
+
+  it('should include validation details', () => {
+    // Arrange
+    const details = [{ field: 'title', location: 'body', rule: 'required', message: 'Title is required' }];
+
+    // Act
+    errorHandler(new ValidationError(details), req, res, next);
+
+    // Assert
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: { code: 'VALIDATION_FAILED', message: 'Request validation failed', details }
+    });
+  });
+
+  it('should include the current note for a version conflict', () => {
+    // Arrange
+    const current = { id: 1, version: 4 };
+
+    // Act
+    errorHandler(new VersionConflictError(current), req, res, next);
+
+    // Assert
+    expect(res.status).toHaveBeenCalledWith(412);
+    expect(res.json).toHaveBeenCalledWith({
+      error: { code: 'VERSION_CONFLICT', message: 'Note has been modified by another request', current }
+    });
+  });
+
+  it('should pass on client errors raised by the body parsers', () => {
+    // Arrange
+    const error = Object.assign(new Error('request entity too large'), {
+      statusCode: 413,
+      expose: true,
+      type: 'entity.too.large'
+    });
+
+    // Act
+    errorHandler(error, req, res, next);
+
+    // Assert
+    expect(res.status).toHaveBeenCalledWith(413);
+    expect(res.json).toHaveBeenCalledWith({
+      error: { code: 'PAYLOAD_TOO_LARGE', message: 'request entity too large' }
+    });
+  });
+
+  it('should hide the message of unexpected errors and log them', () => {
+    // Arrange
+    const logError = jest.spyOn(logger, 'error');
+    const error = new Error('relation "notes" does not exist');
+
+    // Act
+    errorHandler(error, req, res, next);
+
+    // Assert
+    expect(logError).toHaveBeenCalledWith('Error handling request', { error });
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith({ error: { code: 'INTERNAL_ERROR', message: 'Internal Server Error' } });
+    logError.mockRestore();
+  });
+
+  it('should default an AppError to a 500', () => {
+    // Act
+    errorHandler(new AppError('Failed to import note'), req, res, next);
+
+    // Assert
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith({ error: { code: 'INTERNAL_ERROR', message: 'Failed to import note' } });
+  });
+
+  it('should leave responses that have already started to Express', () => {
+    // Arrange
+    const error = new Error('Socket closed');
+    res.headersSent = true;
+
+    // Act
+    errorHandler(error, req, res, next);
+
+    // Assert
+    expect(next).toHaveBeenCalledWith(error);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,40 @@
+const { formatETag, parseIfMatch, matchesIfNoneMatch } = require('../../src/utils/etag');
+
+describe('formatETag', () => {
+  it('should combine the note id and version', () => {
+    expect(formatETag({ id: 7, version: 3 })).toBe('"7-3"');
+  });
+});
+
+describe('parseIfMatch', () => {
+  it('should return null when the header is absent', () => {
+    expect(parseIfMatch(undefined, '7')).toBeNull();
+  });
+
+  it('should return null for a wildcard', () => {
+    expect(parseIfMatch('*', '7')).toBeNull();
+  });
+
+  it('should collect the versions of every ETag for the note', () => {
+    expect(parseIfMatch('"7-3", "7-4"', '7')).toEqual([3, 4]);
+  });
+
+  it('should ignore weak, malformed and other notes\' ETags', () => {
+    expect(parseIfMatch('W/"7-3", "abc", "8-1"', '7')).toEqual([]);
+  });
+});
+
+describe('matchesIfNoneMatch', () => {
+  it('should not match when the header is absent', () => {
+    expect(matchesIfNoneMatch(undefined, '"7-3"')).toBe(false);
+  });
+
+  it('should match a wildcard', () => {
+    expect(matchesIfNoneMatch('*', '"7-3"')).toBe(true);
+  });
+
+  it('should compare weakly against each listed ETag', () => {
+    expect(matchesIfNoneMatch('"7-2", W/"7-3"', '"7-3"')).toBe(true);
+    expect(matchesIfNoneMatch('"7-2"', '"7-3"')).toBe(false);
+  });
+});
@@ -0,0 +1,255 @@
+const { EventEmitter } = require('events');
+const eventController = require('../../src/controllers/eventController');
+const NoteEvent = require('../../src/models/NoteEvent');
+const { noteEventHub } = require('../../src/events/noteEventHub');
+
+// Mock the NoteEvent model and the hub that fans out live events
+jest.mock('../../src/models/NoteEvent');
+jest.mock('../../src/events/noteEventHub', () => ({
+  noteEventHub: { subscribe: jest.fn() }
+}));
+
+const pool = require('../../src/config/database');
+const { logger } = require('../../src/utils/logger');
+const { validationError } = require('../helpers/errors');
+afterAll(async () => {
+  await pool.end();
+});
+
+// Lets the replay of missed events finish
+const flush = () => new Promise(jest.requireActual('timers').setImmediate);
+
+const event = (id, type = 'updated') => ({ id, note_id: 3, type, version: id });
+
+describe('Event Controller', () => {
+  let req, res, next, unsubscribe, subscriber;
+
+  const written = () => res.write.mock.calls.map(([chunk]) => chunk).join('');
+
+  beforeEach(() => {
+    // Reset mocks before each test
+    jest.clearAllMocks();
+    jest.spyOn(logger, 'error');
+
+    // Create mock request and response objects
+    req = {
+      headers: {},
+      user: { id: 1 },
+      get: jest.fn((name) => req.headers[name.toLowerCase()])
+    };
+
+    res = Object.assign(new EventEmitter(), {
+      status: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      flushHeaders: jest.fn(),
+      write: jest.fn(),
+      end: jest.fn()
+    });
+    next = jest.fn();
+
+    unsubscribe = jest.fn();
+    noteEventHub.subscribe.mockImplementation(async (userId, handlers) => {
+      subscriber = handlers;
+      return unsubscribe;
+    });
+    NoteEvent.latestId.mockResolvedValue(5);
+    NoteEvent.exists.mockResolvedValue(true);
+    NoteEvent.findAfter.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    res.emit('close');
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('streamEvents', () => {
+    it('should open an event stream starting from the latest event', async () => {
+      // Act
+      await eventController.streamEvents(req, res, next);
+      await flush();
+
+      // Assert
+      expect(NoteEvent.latestId).toHaveBeenCalledWith(1);
+      expect(noteEventHub.subscribe).toHaveBeenCalledWith(1, expect.any(Object));
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache'
+      }));
+      expect(res.flushHeaders).toHaveBeenCalled();
+      expect(written()).toBe('retry: 3000\n\n');
+      expect(NoteEvent.findAfter).toHaveBeenCalledWith(1, 5, 100);
+    });
+
+    it('should send live events', async () => {
+      // Arrange
+      await eventController.streamEvents(req, res, next);
+      await flush();
+
+      // Act
+      subscriber.onEvent(event(6, 'created'));
+
+      // Assert
+      expect(written()).toContain('id: 6\nevent: created\ndata: {"note_id":3,"version":6}\n\n');
+    });
+
+    it('should send events committed while subscribing, then live ones, each once', async () => {
+      // Arrange
+      NoteEvent.findAfter.mockImplementation(async () => {
+        subscriber.onEvent(event(7));
+        subscriber.onEvent(event(8));
+        return [event(6), event(7)];
+      });
+
+      // Act
+      await eventController.streamEvents(req, res, next);
+      await flush();
+
+      // Assert
+      const ids = written().match(/^id: \d+$/gm);
+      expect(ids).toEqual(['id: 6', 'id: 7', 'id: 8']);
+    });
+
+    it('should replay missed events after the Last-Event-ID', async () => {
+      // Arrange
+      req.headers['last-event-id'] = '42';
+      NoteEvent.findAfter.mockResolvedValueOnce([event(43), event(45, 'deleted')]);
+
+      // Act
+      await eventController.streamEvents(req, res, next);
+      await flush();
+
+      // Assert
+      expect(NoteEvent.exists).toHaveBeenCalledWith(1, 42);
+      expect(NoteEvent.latestId).not.toHaveBeenCalled();
+      expect(NoteEvent.findAfter).toHaveBeenCalledWith(1, 42, 100);
+      expect(written()).toContain('id: 43\nevent: updated');
+      expect(written()).toContain('id: 45\nevent: deleted');
+      expect(written()).not.toContain('event: reset');
+    });
+
+    it('should replay in batches', async () => {
+      // Arrange
+      req.headers['last-event-id'] = '0';
+      const firstBatch = Array.from({ length: 100 }, (_, i) => event(i + 1));
+      NoteEvent.findAfter.mockResolvedValueOnce(firstBatch).mockResolvedValueOnce([event(101)]);
+
+      // Act
+      await eventController.streamEvents(req, res, next);
+      await flush();
+
+      // Assert
+      expect(NoteEvent.findAfter).toHaveBeenNthCalledWith(2, 1, 100, 100);
+      expect(written()).toContain('id: 101\n');
+    });
+
+    it('should send a reset when missed events have been pruned', async () => {
+      // Arrange
+      req.headers['last-event-id'] = '42';
+      NoteEvent.exists.mockResolvedValue(false);
+
+      // Act
+      await eventController.streamEvents(req, res, next);
+      await flush();
+
+      // Assert
+      expect(written()).toContain('event: reset\ndata: {}\n\n');
+      expect(NoteEvent.findAfter).toHaveBeenCalledWith(1, 5, 100);
+    });
+
+    it('should return 400 for an invalid Last-Event-ID', async () => {
+      // Arrange
+      req.headers['last-event-id'] = 'abc';
+
+      // Act
+      await eventController.streamEvents(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(validationError({ field: 'Last-Event-ID', location: 'headers', rule: 'type' }));
+      expect(noteEventHub.subscribe).not.toHaveBeenCalled();
+    });
+
+    it('should pass errors setting up the stream to the error handler', async () => {
+      // Arrange
+      noteEventHub.subscribe.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      // Act
+      await eventController.streamEvents(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('ECONNREFUSED'));
+      expect(res.flushHeaders).not.toHaveBeenCalled();
+    });
+
+    it('should end the stream if the replay fails', async () => {
+      // Arrange
+      NoteEvent.findAfter.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await eventController.streamEvents(req, res, next);
+      await flush();
+
+      // Assert
+      expect(logger.error).toHaveBeenCalledWith('Error streaming note events', { error: new Error('Database error') });
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it('should catch up after the hub reconnects', async () => {
+      // Arrange
+      await eventController.streamEvents(req, res, next);
+      await flush();
+      subscriber.onEvent(event(6));
+      NoteEvent.findAfter.mockResolvedValueOnce([event(7), event(8)]);
+
+      // Act
+      subscriber.onReconnect();
+      await flush();
+
+      // Assert
+      expect(NoteEvent.findAfter).toHaveBeenLastCalledWith(1, 6, 100);
+      expect(written()).toContain('id: 8\n');
+    });
+
+    it('should end the stream when the server shuts down', async () => {
+      // Arrange
+      await eventController.streamEvents(req, res, next);
+
+      // Act
+      subscriber.onClose();
+
+      // Assert
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it('should send heartbeats until the client disconnects', async () => {
+      // Arrange
+      jest.useFakeTimers();
+      await eventController.streamEvents(req, res, next);
+
+      // Act
+      jest.advanceTimersByTime(30 * 1000);
+      res.emit('close');
+      jest.advanceTimersByTime(30 * 1000);
+
+      // Assert
+      expect(written().match(/: heartbeat\n\n/g)).toHaveLength(2);
+      expect(unsubscribe).toHaveBeenCalled();
+    });
+
+    it('should unsubscribe if the client left while the stream was being set up', async () => {
+      // Arrange
+      NoteEvent.latestId.mockImplementation(async () => {
+        res.emit('close');
+        return 5;
+      });
+
+      // Act
+      await eventController.streamEvents(req, res, next);
+
+      // Assert
+      expect(unsubscribe).toHaveBeenCalled();
+      expect(res.flushHeaders).not.toHaveBeenCalled();
+    });
+  });
+});
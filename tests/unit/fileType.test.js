@@ -0,0 +1,33 @@
+const { ATTACHMENT_MIME_TYPES, detectMimeType } = require('../../src/utils/fileType');
+
+describe('detectMimeType', () => {
+  it.each([
+    ['image/png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00])],
+    ['image/jpeg', Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00])],
+    ['image/gif', Buffer.from('GIF87a...')],
+    ['image/gif', Buffer.from('GIF89a...')],
+    ['image/webp', Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')])],
+    ['application/pdf', Buffer.from('%PDF-1.7\n')]
+  ])('should detect %s from its signature', (mimeType, buffer) => {
+    expect(detectMimeType(buffer)).toBe(mimeType);
+  });
+
+  it('should not trust the file extension or declared type', () => {
+    expect(detectMimeType(Buffer.from('<html><script>alert(1)</script></html>'))).toBeUndefined();
+  });
+
+  it('should reject RIFF files that are not WebP', () => {
+    const wav = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEfmt ')]);
+
+    expect(detectMimeType(wav)).toBeUndefined();
+  });
+
+  it('should reject files shorter than a signature', () => {
+    expect(detectMimeType(Buffer.from([0x89, 0x50]))).toBeUndefined();
+    expect(detectMimeType(Buffer.alloc(0))).toBeUndefined();
+  });
+
+  it('should list each accepted type once', () => {
+    expect(ATTACHMENT_MIME_TYPES).toEqual(['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf']);
+  });
+});
@@ -0,0 +1,53 @@
+const { toMarkdown, fromMarkdown } = require('../../src/utils/frontMatter');
+
+describe('toMarkdown', () => {
+  it('should write the note fields as front matter above the content', () => {
+    const note = {
+      title: 'Plan: "Q3"',
+      content: '# Goals\n\nShip it',
+      format: 'markdown',
+      tags: ['work'],
+      created_at: new Date('2026-01-02T03:04:05.000Z'),
+      updated_at: new Date('2026-01-03T03:04:05.000Z')
+    };
+
+    expect(toMarkdown(note)).toBe([
+      '---',
+      'title: "Plan: \\"Q3\\""',
+      'format: "markdown"',
+      'tags: ["work"]',
+      'created_at: "2026-01-02T03:04:05.000Z"',
+      'updated_at: "2026-01-03T03:04:05.000Z"',
+      '---',
+      '',
+      '# Goals\n\nShip it',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('fromMarkdown', () => {
+  it('should read back what toMarkdown writes', () => {
+    const note = {
+      title: 'Plan: "Q3"',
+      content: 'Ship it',
+      format: 'plain',
+      tags: ['work', 'q3'],
+      created_at: '2026-01-02T03:04:05.000Z',
+      updated_at: '2026-01-03T03:04:05.000Z'
+    };
+
+    expect(fromMarkdown(toMarkdown(note))).toEqual(note);
+  });
+
+  it('should accept plain YAML scalars and ignore unknown keys', () => {
+    expect(fromMarkdown('---\ntitle: Groceries\nauthor: me\n---\nMilk')).toEqual({
+      title: 'Groceries',
+      content: 'Milk'
+    });
+  });
+
+  it('should treat a document without front matter as content', () => {
+    expect(fromMarkdown('Just text\n')).toEqual({ content: 'Just text' });
+  });
+});
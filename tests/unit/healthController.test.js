@@ -0,0 +1,116 @@
+const healthController = require('../../src/controllers/healthController');
+const { pendingMigrations } = require('../../src/db/migrator');
+
+// Mock the migration check
+jest.mock('../../src/db/migrator');
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Health Controller', () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{ '?column?': 1 }] });
+    pendingMigrations.mockResolvedValue([]);
+
+    req = {};
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete process.env.HEALTH_CHECK_TIMEOUT_MS;
+  });
+
+  describe('live', () => {
+    it('should report ok without touching the database', () => {
+      // Act
+      healthController.live(req, res);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({ status: 'ok', message: 'QuickNote API is running' });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ready', () => {
+    it('should report ok when the database answers and the schema is up to date', async () => {
+      // Act
+      await healthController.ready(req, res);
+
+      // Assert
+      expect(pool.query).toHaveBeenCalledWith('SELECT 1');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'ok',
+        checks: {
+          database: { status: 'ok', duration_ms: expect.any(Number) },
+          migrations: { status: 'ok', duration_ms: expect.any(Number) }
+        }
+      });
+    });
+
+    it('should return 503 when the database is down', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:5432'));
+      pendingMigrations.mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:5432'));
+
+      // Act
+      await healthController.ready(req, res);
+
+      // Assert
+      const body = res.json.mock.calls[0][0];
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(body.status).toBe('unavailable');
+      expect(body.checks.database).toEqual({
+        status: 'error',
+        duration_ms: expect.any(Number),
+        message: 'connect ECONNREFUSED 127.0.0.1:5432'
+      });
+    });
+
+    it('should return 503 when migrations are pending', async () => {
+      // Arrange
+      pendingMigrations.mockResolvedValue(['010_add_rate_limit_buckets']);
+
+      // Act
+      await healthController.ready(req, res);
+
+      // Assert
+      const body = res.json.mock.calls[0][0];
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(body.checks.database.status).toBe('ok');
+      expect(body.checks.migrations).toMatchObject({
+        status: 'error',
+        message: 'Pending migrations: 010_add_rate_limit_buckets'
+      });
+    });
+
+    it('should give up on a database that does not answer in time', async () => {
+      // Arrange
+      jest.useFakeTimers();
+      process.env.HEALTH_CHECK_TIMEOUT_MS = '500';
+      pool.query.mockReturnValue(new Promise(() => {}));
+
+      // Act
+      const pending = healthController.ready(req, res);
+      await jest.advanceTimersByTimeAsync(500);
+      await pending;
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.json.mock.calls[0][0].checks.database).toMatchObject({
+        status: 'error',
+        message: 'Timed out after 500 ms'
+      });
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../../src/storage/localStorage');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+describe('Local storage', () => {
+  let root, storage;
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'quicknote-storage-'));
+    storage = createLocalStorage({ root });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should save a file under its key and read it back', async () => {
+    await storage.save('5/abc', Buffer.from('hello world'));
+
+    expect(fs.readFileSync(path.join(root, '5', 'abc'), 'utf8')).toBe('hello world');
+    expect(await readAll(storage.createReadStream('5/abc'))).toBe('hello world');
+  });
+
+  it('should read an inclusive byte range', async () => {
+    await storage.save('5/abc', Buffer.from('hello world'));
+
+    expect(await readAll(storage.createReadStream('5/abc', { start: 6, end: 10 }))).toBe('world');
+  });
+
+  it('should not overwrite an existing file', async () => {
+    await storage.save('5/abc', Buffer.from('first'));
+
+    await expect(storage.save('5/abc', Buffer.from('second'))).rejects.toThrow(/EEXIST/);
+  });
+
+  it('should delete a file, and succeed if it is already gone', async () => {
+    await storage.save('5/abc', Buffer.from('hello'));
+
+    await storage.delete('5/abc');
+    await storage.delete('5/abc');
+
+    expect(fs.existsSync(path.join(root, '5', 'abc'))).toBe(false);
+  });
+
+  it('should reject keys that point outside the root', async () => {
+    await expect(storage.save('../escape', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    expect(() => storage.createReadStream('/etc/passwd')).toThrow('Invalid storage key');
+  });
+});
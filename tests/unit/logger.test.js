@@ -0,0 +1,96 @@
+const { createLogger, requestContext } = require('../../src/utils/logger');
+
+describe('Logger', () => {
+  let lines, write;
+
+  beforeEach(() => {
+    lines = [];
+    write = jest.fn((line) => lines.push(JSON.parse(line)));
+  });
+
+  it('should write each entry as one line of JSON', () => {
+    // Arrange
+    const logger = createLogger({ level: 'info', write });
+
+    // Act
+    logger.info('Fired reminders', { count: 2 });
+
+    // Assert
+    expect(write).toHaveBeenCalledWith(expect.stringMatching(/^\{.*\}\n$/));
+    expect(lines).toEqual([{ time: expect.any(String), level: 'info', msg: 'Fired reminders', count: 2 }]);
+    expect(new Date(lines[0].time).toISOString()).toBe(lines[0].time);
+  });
+
+  it('should drop entries below its level', () => {
+    // Arrange
+    const logger = createLogger({ level: 'warn', write });
+
+    // Act
+    logger.debug('a');
+    logger.info('b');
+    logger.warn('c');
+    logger.error('d');
+
+    // Assert
+    expect(lines.map(({ level }) => level)).toEqual(['warn', 'error']);
+  });
+
+  it('should write nothing when silent', () => {
+    // Arrange
+    const logger = createLogger({ level: 'silent', write });
+
+    // Act
+    logger.error('Failed');
+
+    // Assert
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  it('should reject an unknown level', () => {
+    expect(() => createLogger({ level: 'verbose', write }))
+      .toThrow('Unknown LOG_LEVEL "verbose" (expected one of: debug, info, warn, error, silent)');
+  });
+
+  it('should serialize errors with their message, code and stack', () => {
+    // Arrange
+    const logger = createLogger({ level: 'info', write });
+    const error = Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' });
+
+    // Act
+    logger.error('Error purging trash', { error });
+
+    // Assert
+    expect(lines[0].error).toEqual({
+      name: 'Error',
+      message: 'connection refused',
+      code: 'ECONNREFUSED',
+      stack: error.stack
+    });
+  });
+
+  it('should add the id of the request being handled', () => {
+    // Arrange
+    const logger = createLogger({ level: 'info', write });
+
+    // Act
+    requestContext.run({ requestId: 'abc-123' }, () => logger.info('Inside'));
+    logger.info('Outside');
+
+    // Assert
+    expect(lines[0].request_id).toBe('abc-123');
+    expect(lines[1]).not.toHaveProperty('request_id');
+  });
+
+  it('should keep the message when fields can not be serialized', () => {
+    // Arrange
+    const logger = createLogger({ level: 'info', write });
+    const circular = {};
+    circular.self = circular;
+
+    // Act
+    logger.info('Circular', { circular });
+
+    // Assert
+    expect(lines).toEqual([{ time: expect.any(String), level: 'info', msg: 'Circular' }]);
+  });
+});
@@ -0,0 +1,176 @@
+const {
+  loadMigrations,
+  migrate,
+  rollback,
+  status,
+  pendingMigrations
+} = require('../../src/db/migrator');
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+});
+
+const statements = (query) => query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+
+describe('Migrator', () => {
+  let db, client, migrations;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+    db = {
+      connect: jest.fn().mockResolvedValue(client),
+      query: jest.fn().mockResolvedValue({ rows: [] })
+    };
+    migrations = [
+      { name: '001_first', up: jest.fn(), down: jest.fn() },
+      { name: '002_second', up: jest.fn(), down: jest.fn() }
+    ];
+  });
+
+  const givenApplied = (names) => {
+    client.query.mockImplementation(async (sql) => (
+      sql.startsWith('SELECT name FROM schema_migrations') ? { rows: names.map((name) => ({ name })) } : { rows: [] }
+    ));
+  };
+
+  describe('loadMigrations', () => {
+    it('should load the migration files in order', () => {
+      // Act
+      const loaded = loadMigrations();
+
+      // Assert
+      expect(loaded[0].name).toBe('001_initial_schema');
+      expect(typeof loaded[0].up).toBe('function');
+      expect(typeof loaded[0].down).toBe('function');
+    });
+  });
+
+  describe('migrate', () => {
+    it('should apply pending migrations in order under the advisory lock', async () => {
+      // Arrange
+      givenApplied(['001_first']);
+
+      // Act
+      const applied = await migrate({ db, migrations });
+
+      // Assert
+      expect(applied).toEqual(['002_second']);
+      expect(migrations[0].up).not.toHaveBeenCalled();
+      expect(migrations[1].up).toHaveBeenCalledWith(client);
+      expect(statements(client.query)).toEqual([
+        'SELECT pg_advisory_lock($1)',
+        'CREATE TABLE',
+        'SELECT name',
+        'BEGIN',
+        'INSERT INTO',
+        'COMMIT',
+        'SELECT pg_advisory_unlock($1)'
+      ]);
+      expect(client.query).toHaveBeenCalledWith(
+        'INSERT INTO schema_migrations (name) VALUES ($1)', ['002_second']
+      );
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should roll back a failing migration and release the lock', async () => {
+      // Arrange
+      migrations[0].up.mockRejectedValue(new Error('syntax error'));
+
+      // Act & Assert
+      await expect(migrate({ db, migrations })).rejects.toThrow('syntax error');
+
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.query).toHaveBeenLastCalledWith('SELECT pg_advisory_unlock($1)', [expect.any(Number)]);
+      expect(migrations[1].up).not.toHaveBeenCalled();
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('rollback', () => {
+    it('should revert the most recent migration by default', async () => {
+      // Arrange
+      givenApplied(['001_first', '002_second']);
+
+      // Act
+      const reverted = await rollback({ db, migrations });
+
+      // Assert
+      expect(reverted).toEqual(['002_second']);
+      expect(migrations[1].down).toHaveBeenCalledWith(client);
+      expect(migrations[0].down).not.toHaveBeenCalled();
+      expect(client.query).toHaveBeenCalledWith('DELETE FROM schema_migrations WHERE name = $1', ['002_second']);
+    });
+
+    it('should revert several migrations newest first', async () => {
+      // Arrange
+      givenApplied(['001_first', '002_second']);
+
+      // Act
+      const reverted = await rollback({ db, migrations, steps: 5 });
+
+      // Assert
+      expect(reverted).toEqual(['002_second', '001_first']);
+    });
+
+    it('should fail if an applied migration has no file', async () => {
+      // Arrange
+      givenApplied(['003_missing']);
+
+      // Act & Assert
+      await expect(rollback({ db, migrations })).rejects.toThrow('Migration file for 003_missing not found');
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('status', () => {
+    it('should report when each migration was applied', async () => {
+      // Arrange
+      const appliedAt = new Date('2026-01-01T00:00:00Z');
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ name: '001_first', applied_at: appliedAt }] });
+
+      // Act
+      const result = await status({ db, migrations });
+
+      // Assert
+      expect(result).toEqual([
+        { name: '001_first', appliedAt },
+        { name: '002_second', appliedAt: null }
+      ]);
+    });
+  });
+
+  describe('pendingMigrations', () => {
+    it('should list every migration when the tracking table is missing', async () => {
+      // Arrange
+      db.query.mockResolvedValueOnce({ rows: [{ present: false }] });
+
+      // Act
+      const pending = await pendingMigrations({ db, migrations });
+
+      // Assert
+      expect(pending).toEqual(['001_first', '002_second']);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave out applied migrations', async () => {
+      // Arrange
+      db.query
+        .mockResolvedValueOnce({ rows: [{ present: true }] })
+        .mockResolvedValueOnce({ rows: [{ name: '001_first' }] });
+
+      // Act
+      const pending = await pendingMigrations({ db, migrations });
+
+      // Assert
+      expect(pending).toEqual(['002_second']);
+    });
+  });
+});
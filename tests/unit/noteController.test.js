@@ -1,16 +1,18 @@
 const noteController = require('../../src/controllers/noteController');
 const Note = require('../../src/models/Note');
+const VersionConflictError = require('../../src/errors/VersionConflictError');
 
 // Mock the Note model
 jest.mock('../../src/models/Note');
 
 const pool = require('../../src/config/database');
+const { appError, validationError } = require('../helpers/errors');
 afterAll(async () => {
   await pool.end();
 });
 
 describe('Note Controller', () => {
-  let req, res;
+  let req, res, next;
 
   beforeEach(() => {
     // Reset mocks before each test
@@ -19,13 +21,22 @@ describe('Note Controller', () => {
     // Create mock request and response objects
     req = {
       body: {},
-      params: {}
+      params: {},
+      query: {},
+      headers: {},
+      user: { id: 1 },
+      get(name) {
+        return this.headers[name.toLowerCase()];
+      }
     };
     
     res = {
       status: jest.fn().mockReturnThis(),
-      json: jest.fn().mockReturnThis()
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      end: jest.fn().mockReturnThis()
     };
+    next = jest.fn();
   });
 
   describe('createNote', () => {
@@ -47,251 +58,339 @@ describe('Note Controller', () => {
       Note.create.mockResolvedValue(mockNote);
 
       // Act
-      await noteController.createNote(req, res);
+      await noteController.createNote(req, res, next);
 
       // Assert
-      expect(Note.create).toHaveBeenCalledWith('Test Note', 'Test Content');
+      expect(Note.create).toHaveBeenCalledWith(1, 'Test Note', 'Test Content', [], { format: undefined, notebookId: undefined });
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith(mockNote);
     });
 
-    it('should return 400 if title is missing', async () => {
+    it('should pass tags and format to the model', async () => {
+      // Arrange
+      req.body = { title: 'Plan', content: '# Plan', format: 'markdown', tags: ['work'] };
+      Note.create.mockResolvedValue({ id: 1, version: 1 });
+
+      // Act
+      await noteController.createNote(req, res, next);
+
+      // Assert
+      expect(Note.create).toHaveBeenCalledWith(1, 'Plan', '# Plan', ['work'], { format: 'markdown', notebookId: undefined });
+      expect(res.set).toHaveBeenCalledWith('ETag', '"1-1"');
+    });
+
+    it('should pass database errors to the error handler', async () => {
       // Arrange
       req.body = {
+        title: 'Test Note',
         content: 'Test Content'
       };
+      
+      Note.create.mockRejectedValue(new Error('Database error'));
 
       // Act
-      await noteController.createNote(req, res);
+      await noteController.createNote(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Title and content are required'
-      });
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('getAllNotes', () => {
+    // The query as it reaches the controller, with defaults filled in
+    const listQuery = (query) => ({
+      limit: 20,
+      sort: 'created_at',
+      order: 'desc',
+      includeDeleted: false,
+      archived: false,
+      tagMatch: 'any',
+      recursive: false,
+      ...query
+    });
+
+    beforeEach(() => {
+      req.query = listQuery();
     });
 
-    it('should return 400 if content is missing', async () => {
+    it('should return the first page of notes in an envelope', async () => {
       // Arrange
-      req.body = {
-        title: 'Test Note'
-      };
+      const mockNotes = [
+        { id: 1, title: 'Note 1', content: 'Content 1' },
+        { id: 2, title: 'Note 2', content: 'Content 2' }
+      ];
+      
+      Note.findAll.mockResolvedValue(mockNotes);
 
       // Act
-      await noteController.createNote(req, res);
+      await noteController.getAllNotes(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Note.findAll).toHaveBeenCalledWith(1, {
+        sort: 'created_at',
+        order: 'desc',
+        cursor: undefined,
+        includeDeleted: false,
+        archived: false,
+        limit: 21
+      });
       expect(res.json).toHaveBeenCalledWith({
-        error: 'Title and content are required'
+        data: mockNotes,
+        nextCursor: null,
+        hasMore: false
       });
     });
 
-    it('should return 400 if title is empty after trimming', async () => {
+    it('should return an empty page and default 200 status when no notes exist', async () => {
       // Arrange
-      req.body = {
-        title: '   ',
-        content: 'Test Content'
-      };
+      Note.findAll.mockResolvedValue([]);
 
       // Act
-      await noteController.createNote(req, res);
+      await noteController.getAllNotes(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Title cannot be empty'
-      });
+      expect(res.json).toHaveBeenCalledWith({ data: [], nextCursor: null, hasMore: false });
+      // Proves we don't explicitly set status for 200
+      expect(res.status).not.toHaveBeenCalled();
     });
 
-    it('should return 400 if content is empty after trimming', async () => {
+    it('should return a cursor when more notes are available', async () => {
       // Arrange
-      req.body = {
-        title: 'Test Note',
-        content: '   '
-      };
+      req.query = listQuery({ limit: 2 });
+      const mockNotes = [
+        { id: 3, title: 'Note 3', created_at: new Date('2026-01-03T00:00:00.000Z') },
+        { id: 2, title: 'Note 2', created_at: new Date('2026-01-02T00:00:00.000Z') },
+        { id: 1, title: 'Note 1', created_at: new Date('2026-01-01T00:00:00.000Z') }
+      ];
+      
+      Note.findAll.mockResolvedValue(mockNotes);
 
       // Act
-      await noteController.createNote(req, res);
+      await noteController.getAllNotes(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Content cannot be empty'
+      const body = res.json.mock.calls[0][0];
+      expect(Note.findAll).toHaveBeenCalledWith(1, expect.objectContaining({ limit: 3 }));
+      expect(body.data).toEqual(mockNotes.slice(0, 2));
+      expect(body.hasMore).toBe(true);
+      expect(typeof body.nextCursor).toBe('string');
+    });
+
+    it('should pass a cursor from a previous page back to the model', async () => {
+      // Arrange
+      req.query = listQuery({ limit: 1, sort: 'title', order: 'asc' });
+      Note.findAll.mockResolvedValueOnce([
+        { id: 4, title: 'Alpha', pinned: false },
+        { id: 9, title: 'Beta', pinned: false }
+      ]);
+      await noteController.getAllNotes(req, res, next);
+      const { nextCursor } = res.json.mock.calls[0][0];
+
+      req.query = listQuery({ limit: 1, sort: 'title', order: 'asc', cursor: nextCursor });
+      Note.findAll.mockResolvedValueOnce([{ id: 9, title: 'Beta', pinned: false }]);
+
+      // Act
+      await noteController.getAllNotes(req, res, next);
+
+      // Assert
+      expect(Note.findAll).toHaveBeenLastCalledWith(1, expect.objectContaining({
+        sort: 'title',
+        order: 'asc',
+        cursor: { value: 'Alpha', id: 4, pinned: false }
+      }));
+      expect(res.json).toHaveBeenLastCalledWith({
+        data: [{ id: 9, title: 'Beta', pinned: false }],
+        nextCursor: null,
+        hasMore: false
       });
     });
 
-    it('should return 400 if both title and content are empty after trimming', async () => {
-      // Tests that title validation happens first (order matters)
+    it('should decode timestamp cursors into dates', async () => {
       // Arrange
-      req.body = {
-        title: '   ',
-        content: '   '
-      };
+      const cursor = Buffer.from(JSON.stringify({
+        s: 'updated_at', o: 'desc', v: '2026-01-02T00:00:00.000Z', p: true, id: 7
+      })).toString('base64url');
+      req.query = listQuery({ sort: 'updated_at', cursor });
+      Note.findAll.mockResolvedValue([]);
 
       // Act
-      await noteController.createNote(req, res);
+      await noteController.getAllNotes(req, res, next);
 
-      // Assert - Should fail on title first
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Title cannot be empty'
+      // Assert
+      expect(Note.findAll).toHaveBeenCalledWith(1, expect.objectContaining({
+        cursor: { value: new Date('2026-01-02T00:00:00.000Z'), id: 7, pinned: true }
+      }));
+    });
+
+    it('should pass date-range filters to the model', async () => {
+      // Arrange
+      req.query = listQuery({
+        createdAfter: new Date('2026-01-01'),
+        updatedBefore: new Date('2026-02-01T12:00:00Z')
       });
+      Note.findAll.mockResolvedValue([]);
+
+      // Act
+      await noteController.getAllNotes(req, res, next);
+
+      // Assert
+      expect(Note.findAll).toHaveBeenCalledWith(1, expect.objectContaining({
+        createdAfter: new Date('2026-01-01'),
+        updatedBefore: new Date('2026-02-01T12:00:00Z')
+      }));
     });
 
-    it('should trim whitespace from title and content', async () => {
+    it('should filter by any of the given tags by default', async () => {
       // Arrange
-      req.body = {
-        title: '  Test Note  ',
-        content: '  Test Content  '
-      };
-      
-      const mockNote = {
-        id: 1,
-        title: 'Test Note',
-        content: 'Test Content'
-      };
-      
-      Note.create.mockResolvedValue(mockNote);
+      req.query = listQuery({ tag: ['work', 'ideas'] });
+      Note.findAll.mockResolvedValue([]);
 
       // Act
-      await noteController.createNote(req, res);
+      await noteController.getAllNotes(req, res, next);
 
       // Assert
-      expect(Note.create).toHaveBeenCalledWith('Test Note', 'Test Content');
+      expect(Note.findAll).toHaveBeenCalledWith(1, expect.objectContaining({
+        tags: ['work', 'ideas'],
+        tagMatch: 'any'
+      }));
     });
 
-    it('should return 400 if title exceeds maximum length', async () => {
+    it('should filter by all of the given tags', async () => {
       // Arrange
-      const longTitle = 'a'.repeat(256); // 256 characters (max is 255)
-      req.body = {
-        title: longTitle,
-        content: 'Test Content'
-      };
+      req.query = listQuery({ tag: ['work'], tagMatch: 'all' });
+      Note.findAll.mockResolvedValue([]);
 
       // Act
-      await noteController.createNote(req, res);
+      await noteController.getAllNotes(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Title must be 255 characters or less'
-      });
+      expect(Note.findAll).toHaveBeenCalledWith(1, expect.objectContaining({
+        tags: ['work'],
+        tagMatch: 'all'
+      }));
     });
 
-    it('should return 400 if content exceeds maximum length', async () => {
+    it('should filter by notebook, including sub-notebooks when asked', async () => {
       // Arrange
-      const longContent = 'a'.repeat(501); // 501 characters (max is 500)
-      req.body = {
-        title: 'Test Note',
-        content: longContent
-      };
+      req.query = listQuery({ notebook: 4, recursive: true });
+      Note.findAll.mockResolvedValue([]);
 
       // Act
-      await noteController.createNote(req, res);
+      await noteController.getAllNotes(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Content must be 500 characters or less'
-      });
+      expect(Note.findAll).toHaveBeenCalledWith(1, expect.objectContaining({
+        notebookId: 4,
+        recursive: true
+      }));
     });
 
-    it('should sanitize HTML tags from title and content', async () => {
+    it('should include archived notes when asked', async () => {
       // Arrange
-      req.body = {
-        title: 'Test <script>alert("xss")</script> Note',
-        content: 'Content with <b>HTML</b> tags'
-      };
-      
-      const mockNote = {
-        id: 1,
-        title: 'Test alert("xss") Note',
-        content: 'Content with HTML tags'
-      };
-      
-      Note.create.mockResolvedValue(mockNote);
+      req.query = listQuery({ archived: true });
+      Note.findAll.mockResolvedValue([]);
 
       // Act
-      await noteController.createNote(req, res);
+      await noteController.getAllNotes(req, res, next);
 
-      // Assert - HTML tags should be stripped, content preserved
-      expect(Note.create).toHaveBeenCalledWith(
-        'Test alert("xss") Note',
-        'Content with HTML tags'
-      );
+      // Assert
+      expect(Note.findAll).toHaveBeenCalledWith(1, expect.objectContaining({ archived: true }));
     });
 
-    it('should return 500 if database error occurs', async () => {
+    it('should include trashed notes when asked', async () => {
       // Arrange
-      req.body = {
-        title: 'Test Note',
-        content: 'Test Content'
-      };
-      
-      Note.create.mockRejectedValue(new Error('Database error'));
+      req.query = listQuery({ includeDeleted: true });
+      Note.findAll.mockResolvedValue([]);
 
       // Act
-      await noteController.createNote(req, res);
+      await noteController.getAllNotes(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Failed to create note'
-      });
+      expect(Note.findAll).toHaveBeenCalledWith(1, expect.objectContaining({ includeDeleted: true }));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      Note.findAll.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await noteController.getAllNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
     });
   });
 
-  describe('getAllNotes', () => {
-    it('should return all notes', async () => {
+  describe('searchNotes', () => {
+    it('should return ranked notes for a search query', async () => {
       // Arrange
-      const mockNotes = [
-        { id: 1, title: 'Note 1', content: 'Content 1' },
-        { id: 2, title: 'Note 2', content: 'Content 2' }
+      req.query = { q: '"weekly sync" agenda -draft', limit: 20 };
+      const mockResults = [
+        { id: 3, title: 'Weekly sync', rank: 0.6, snippet: '<mark>Weekly</mark> <mark>sync</mark> agenda' }
       ];
       
-      Note.findAll.mockResolvedValue(mockNotes);
+      Note.search.mockResolvedValue(mockResults);
 
       // Act
-      await noteController.getAllNotes(req, res);
+      await noteController.searchNotes(req, res, next);
 
       // Assert
-      expect(Note.findAll).toHaveBeenCalled();
-      expect(res.json).toHaveBeenCalledWith(mockNotes);
+      expect(Note.search).toHaveBeenCalledWith(
+        1,
+        '(weekly <-> sync) & agenda & !(draft)',
+        { limit: 20 }
+      );
+      expect(res.json).toHaveBeenCalledWith({ data: mockResults });
     });
 
-    it('should return empty array and default 200 status when no notes exist', async () => {
+    it('should pass the limit to the model', async () => {
       // Arrange
-      Note.findAll.mockResolvedValue([]);
+      req.query = { q: 'agenda', limit: 5 };
+      Note.search.mockResolvedValue([]);
 
       // Act
-      await noteController.getAllNotes(req, res);
+      await noteController.searchNotes(req, res, next);
 
       // Assert
-      expect(res.json).toHaveBeenCalledWith([]);
-      // Proves we don't explicitly set status for 200
-      expect(res.status).not.toHaveBeenCalled();
+      expect(Note.search).toHaveBeenCalledWith(1, 'agenda', { limit: 5 });
     });
 
-    it('should return 500 if database error occurs', async () => {
+    it('should return 400 if the query only excludes terms', async () => {
       // Arrange
-      Note.findAll.mockRejectedValue(new Error('Database error'));
+      req.query = { q: '-draft', limit: 20 };
 
       // Act
-      await noteController.getAllNotes(req, res);
+      await noteController.searchNotes(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Failed to fetch notes'
-      });
+      expect(next).toHaveBeenCalledWith(validationError({
+        field: 'q',
+        rule: 'searchTerm',
+        message: 'Search query must include at least one search term'
+      }));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.query = { q: 'agenda', limit: 20 };
+      Note.search.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await noteController.searchNotes(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
     });
   });
 
   describe('getNoteById', () => {
+    beforeEach(() => {
+      req.query = { includeDeleted: false };
+    });
+
     it('should return a note by id', async () => {
       // Arrange
-      req.params.id = '1';
+      req.params.id = 1;
       const mockNote = {
         id: 1,
         title: 'Test Note',
@@ -301,48 +400,136 @@ describe('Note Controller', () => {
       Note.findById.mockResolvedValue(mockNote);
 
       // Act
-      await noteController.getNoteById(req, res);
+      await noteController.getNoteById(req, res, next);
 
       // Assert
-      expect(Note.findById).toHaveBeenCalledWith('1');
+      expect(Note.findById).toHaveBeenCalledWith(1, 1, { includeDeleted: false });
       expect(res.json).toHaveBeenCalledWith(mockNote);
     });
 
+    it('should set an ETag from the note version', async () => {
+      // Arrange
+      req.params.id = 1;
+      Note.findById.mockResolvedValue({ id: 1, version: 3 });
+
+      // Act
+      await noteController.getNoteById(req, res, next);
+
+      // Assert
+      expect(res.set).toHaveBeenCalledWith('ETag', '"1-3"');
+    });
+
+    it('should return 304 if If-None-Match matches the ETag', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.headers['if-none-match'] = 'W/"1-3"';
+      Note.findById.mockResolvedValue({ id: 1, version: 3 });
+
+      // Act
+      await noteController.getNoteById(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.end).toHaveBeenCalled();
+      expect(res.json).not.toHaveBeenCalled();
+    });
+
+    it('should return the note if If-None-Match is stale', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.headers['if-none-match'] = '"1-2"';
+      const mockNote = { id: 1, version: 3 };
+      Note.findById.mockResolvedValue(mockNote);
+
+      // Act
+      await noteController.getNoteById(req, res, next);
+
+      // Assert
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(mockNote);
+    });
+
+    it('should include trashed notes when asked', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.query = { includeDeleted: true };
+      Note.findById.mockResolvedValue({ id: 1, deleted_at: new Date() });
+
+      // Act
+      await noteController.getNoteById(req, res, next);
+
+      // Assert
+      expect(Note.findById).toHaveBeenCalledWith(1, 1, { includeDeleted: true });
+    });
+
     it('should return 404 if note not found', async () => {
       // Arrange
-      req.params.id = '999';
+      req.params.id = 999;
       Note.findById.mockResolvedValue(null);
 
       // Act
-      await noteController.getNoteById(req, res);
+      await noteController.getNoteById(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(404);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Note not found'
-      });
+      expect(next).toHaveBeenCalledWith(appError(404, 'Note not found'));
     });
 
-    it('should return 500 if database error occurs', async () => {
+    it('should pass database errors to the error handler', async () => {
       // Arrange
-      req.params.id = '1';
+      req.params.id = 1;
       Note.findById.mockRejectedValue(new Error('Database error'));
 
       // Act
-      await noteController.getNoteById(req, res);
+      await noteController.getNoteById(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Failed to fetch note'
-      });
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('getRenderedNote', () => {
+    it('should return the note rendered as safe HTML', async () => {
+      // Arrange
+      req.params.id = 1;
+      Note.findById.mockResolvedValue({ id: 1, format: 'markdown', content: '**Hi** <script>x</script>' });
+
+      // Act
+      await noteController.getRenderedNote(req, res, next);
+
+      // Assert
+      expect(Note.findById).toHaveBeenCalledWith(1, 1);
+      expect(res.json).toHaveBeenCalledWith({ id: 1, format: 'markdown', html: '<p><strong>Hi</strong> </p>\n' });
+    });
+
+    it('should return 404 if note not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      Note.findById.mockResolvedValue(undefined);
+
+      // Act
+      await noteController.getRenderedNote(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Note not found'));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.params.id = 1;
+      Note.findById.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await noteController.getRenderedNote(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
     });
   });
 
   describe('updateNote', () => {
     it('should update a note with valid data', async () => {
       // Arrange
-      req.params.id = '1';
+      req.params.id = 1;
       req.body = {
         title: 'Updated Title',
         content: 'Updated Content'
@@ -357,183 +544,180 @@ describe('Note Controller', () => {
       Note.update.mockResolvedValue(mockNote);
 
       // Act
-      await noteController.updateNote(req, res);
+      await noteController.updateNote(req, res, next);
 
       // Assert
-      expect(Note.update).toHaveBeenCalledWith('1', 'Updated Title', 'Updated Content');
+      expect(Note.update).toHaveBeenCalledWith(
+        1, 1, { title: 'Updated Title', content: 'Updated Content' }, { expectedVersions: null }
+      );
       expect(res.json).toHaveBeenCalledWith(mockNote);
     });
 
-    it('should return 400 if title is missing', async () => {
+    it('should replace tags when they are provided', async () => {
       // Arrange
-      req.params.id = '1';
+      req.params.id = 1;
       req.body = {
-        content: 'Updated Content'
+        title: 'Updated Title',
+        content: 'Updated Content',
+        tags: ['work']
       };
+      
+      Note.update.mockResolvedValue({ id: 1, tags: ['work'] });
 
       // Act
-      await noteController.updateNote(req, res);
+      await noteController.updateNote(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Note.update).toHaveBeenCalledWith(
+        1, 1, { title: 'Updated Title', content: 'Updated Content', tags: ['work'] }, { expectedVersions: null }
+      );
     });
 
-    it('should return 400 if content is missing', async () => {
+    it('should return 404 if note not found', async () => {
       // Arrange
-      req.params.id = '1';
+      req.params.id = 999;
       req.body = {
-        title: 'Updated Title'
+        title: 'Updated Title',
+        content: 'Updated Content'
       };
+      
+      Note.update.mockResolvedValue(null);
 
       // Act
-      await noteController.updateNote(req, res);
+      await noteController.updateNote(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Title and content are required'
-      });
+      expect(next).toHaveBeenCalledWith(appError(404));
     });
 
-    it('should return 400 if title is empty after trimming', async () => {
+    it('should pass database errors to the error handler', async () => {
       // Arrange
-      req.params.id = '1';
+      req.params.id = 1;
       req.body = {
-        title: '   ',
+        title: 'Updated Title',
         content: 'Updated Content'
       };
+      
+      Note.update.mockRejectedValue(new Error('Database error'));
 
       // Act
-      await noteController.updateNote(req, res);
+      await noteController.updateNote(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Title cannot be empty'
-      });
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
     });
 
-    it('should return 400 if content is empty after trimming', async () => {
+    it('should pass the If-Match version to the model', async () => {
       // Arrange
-      req.params.id = '1';
-      req.body = {
-        title: 'Updated Title',
-        content: '   '
-      };
+      req.params.id = 1;
+      req.headers['if-match'] = '"1-4"';
+      req.body = { title: 'Updated Title', content: 'Updated Content' };
+      Note.update.mockResolvedValue({ id: 1, version: 5 });
 
       // Act
-      await noteController.updateNote(req, res);
+      await noteController.updateNote(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Content cannot be empty'
-      });
+      expect(Note.update).toHaveBeenCalledWith(
+        1, 1, { title: 'Updated Title', content: 'Updated Content' }, { expectedVersions: [4] }
+      );
+      expect(res.set).toHaveBeenCalledWith('ETag', '"1-5"');
     });
 
-    it('should trim whitespace from updated title and content', async () => {
+    it('should return 412 with the current note if If-Match is stale', async () => {
       // Arrange
-      req.params.id = '1';
-      req.body = {
-        title: '  Updated Title  ',
-        content: '  Updated Content  '
-      };
-      
-      const mockNote = {
-        id: 1,
-        title: 'Updated Title',
-        content: 'Updated Content'
-      };
-      
+      req.params.id = 1;
+      req.headers['if-match'] = '"1-4"';
+      req.body = { title: 'Updated Title', content: 'Updated Content' };
+      const current = { id: 1, title: 'Newer Title', version: 6 };
+      Note.update.mockRejectedValue(new VersionConflictError(current));
+
+      // Act
+      await noteController.updateNote(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 412, current }));
+      expect(res.set).toHaveBeenCalledWith('ETag', '"1-6"');
+      expect(res.json).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('patchNote', () => {
+    it('should update only the fields sent', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.body = { title: 'New Title' };
+      const mockNote = { id: 1, title: 'New Title', version: 2 };
       Note.update.mockResolvedValue(mockNote);
 
       // Act
-      await noteController.updateNote(req, res);
+      await noteController.patchNote(req, res, next);
 
       // Assert
-      expect(Note.update).toHaveBeenCalledWith('1', 'Updated Title', 'Updated Content');
+      expect(Note.update).toHaveBeenCalledWith(1, 1, { title: 'New Title' }, { expectedVersions: null });
+      expect(res.set).toHaveBeenCalledWith('ETag', '"1-2"');
+      expect(res.json).toHaveBeenCalledWith(mockNote);
     });
 
-    it('should return 400 if updated title exceeds maximum length', async () => {
+    it('should change only the format', async () => {
       // Arrange
-      const longTitle = 'a'.repeat(256); // 256 characters (max is 255)
-      req.params.id = '1';
-      req.body = {
-        title: longTitle,
-        content: 'Updated Content'
-      };
+      req.params.id = 1;
+      req.body = { format: 'markdown' };
+      Note.update.mockResolvedValue({ id: 1, version: 2 });
 
       // Act
-      await noteController.updateNote(req, res);
+      await noteController.patchNote(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Title must be 255 characters or less'
-      });
+      expect(Note.update).toHaveBeenCalledWith(1, 1, { format: 'markdown' }, { expectedVersions: null });
     });
 
-    it('should return 400 if updated content exceeds maximum length', async () => {
+    it('should return 412 if If-Match names another note', async () => {
       // Arrange
-      const longContent = 'a'.repeat(501); // 501 characters (max is 500)
-      req.params.id = '1';
-      req.body = {
-        title: 'Updated Title',
-        content: longContent
-      };
+      req.params.id = 1;
+      req.headers['if-match'] = '"2-1"';
+      req.body = { title: 'New Title' };
+      Note.update.mockRejectedValue(new VersionConflictError({ id: 1, version: 1 }));
 
       // Act
-      await noteController.updateNote(req, res);
+      await noteController.patchNote(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Content must be 500 characters or less'
-      });
+      expect(Note.update).toHaveBeenCalledWith(1, 1, { title: 'New Title' }, { expectedVersions: [] });
+      expect(next).toHaveBeenCalledWith(appError(412));
     });
 
     it('should return 404 if note not found', async () => {
       // Arrange
-      req.params.id = '999';
-      req.body = {
-        title: 'Updated Title',
-        content: 'Updated Content'
-      };
-      
-      Note.update.mockResolvedValue(null);
+      req.params.id = 999;
+      req.body = { title: 'New Title' };
+      Note.update.mockResolvedValue(undefined);
 
       // Act
-      await noteController.updateNote(req, res);
+      await noteController.patchNote(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(404);
+      expect(next).toHaveBeenCalledWith(appError(404, 'Note not found'));
     });
 
-    it('should return 500 if database error occurs', async () => {
+    it('should pass database errors to the error handler', async () => {
       // Arrange
-      req.params.id = '1';
-      req.body = {
-        title: 'Updated Title',
-        content: 'Updated Content'
-      };
-      
+      req.params.id = 1;
+      req.body = { title: 'New Title' };
       Note.update.mockRejectedValue(new Error('Database error'));
 
       // Act
-      await noteController.updateNote(req, res);
+      await noteController.patchNote(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Failed to update note'
-      });
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
     });
   });
 
   describe('deleteNote', () => {
-    it('should delete a note', async () => {
+    it('should move a note to the trash', async () => {
       // Arrange
-      req.params.id = '1';
+      req.params.id = 1;
       const mockNote = {
         id: 1,
         title: 'Test Note',
@@ -543,41 +727,85 @@ describe('Note Controller', () => {
       Note.delete.mockResolvedValue(mockNote);
 
       // Act
-      await noteController.deleteNote(req, res);
+      await noteController.deleteNote(req, res, next);
 
       // Assert
-      expect(Note.delete).toHaveBeenCalledWith('1');
+      expect(Note.delete).toHaveBeenCalledWith(1, 1);
       expect(res.json).toHaveBeenCalledWith({
-        message: 'Note deleted successfully',
+        message: 'Note moved to trash',
         note: mockNote
       });
     });
 
     it('should return 404 if note not found', async () => {
       // Arrange
-      req.params.id = '999';
+      req.params.id = 999;
       Note.delete.mockResolvedValue(null);
 
       // Act
-      await noteController.deleteNote(req, res);
+      await noteController.deleteNote(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(404);
+      expect(next).toHaveBeenCalledWith(appError(404));
     });
 
-    it('should return 500 if database error occurs', async () => {
+    it('should pass database errors to the error handler', async () => {
       // Arrange
-      req.params.id = '1';
+      req.params.id = 1;
       Note.delete.mockRejectedValue(new Error('Database error'));
 
       // Act
-      await noteController.deleteNote(req, res);
+      await noteController.deleteNote(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Failed to delete note'
-      });
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('pin and archive actions', () => {
+    it.each([
+      ['pinNote', { pinned: true }],
+      ['unpinNote', { pinned: false }],
+      ['archiveNote', { archived: true }],
+      ['unarchiveNote', { archived: false }]
+    ])('%s should set only its flag', async (action, flags) => {
+      // Arrange
+      req.params.id = 1;
+      const mockNote = { id: 1, version: 3, ...flags };
+      Note.setFlags.mockResolvedValue(mockNote);
+
+      // Act
+      await noteController[action](req, res, next);
+
+      // Assert
+      expect(Note.setFlags).toHaveBeenCalledWith(1, 1, flags);
+      expect(Note.update).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('ETag', '"1-3"');
+      expect(res.json).toHaveBeenCalledWith(mockNote);
+    });
+
+    it('should return 404 if note not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      Note.setFlags.mockResolvedValue(undefined);
+
+      // Act
+      await noteController.archiveNote(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Note not found'));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.params.id = 1;
+      Note.setFlags.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await noteController.pinNote(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
     });
   });
 });
\ No newline at end of file
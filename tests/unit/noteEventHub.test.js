@@ -0,0 +1,187 @@
+const { EventEmitter } = require('events');
+const { createNoteEventHub } = require('../../src/events/noteEventHub');
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+});
+
+// A pooled client that can be sent notifications and errors
+const fakeClient = () => Object.assign(new EventEmitter(), {
+  query: jest.fn().mockResolvedValue({}),
+  release: jest.fn()
+});
+
+const notify = (client, event, channel = 'note_events') =>
+  client.emit('notification', { channel, payload: JSON.stringify(event) });
+
+// Lets pending promise callbacks run under fake timers
+const flush = () => new Promise(jest.requireActual('timers').setImmediate);
+
+describe('Note event hub', () => {
+  let client, db, hub;
+
+  beforeEach(() => {
+    client = fakeClient();
+    db = { connect: jest.fn().mockResolvedValue(client) };
+    hub = createNoteEventHub({ db, reconnectDelayMs: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should listen on one connection for every subscriber', async () => {
+    // Act
+    await hub.subscribe(1, { onEvent: jest.fn(), onReconnect: jest.fn() });
+    await hub.subscribe(2, { onEvent: jest.fn(), onReconnect: jest.fn() });
+
+    // Assert
+    expect(db.connect).toHaveBeenCalledTimes(1);
+    expect(client.query).toHaveBeenCalledWith('LISTEN note_events');
+  });
+
+  it("should deliver events only to the user's subscribers", async () => {
+    // Arrange
+    const mine = jest.fn();
+    const theirs = jest.fn();
+    await hub.subscribe(1, { onEvent: mine, onReconnect: jest.fn() });
+    await hub.subscribe(2, { onEvent: theirs, onReconnect: jest.fn() });
+    const event = { id: 7, user_id: 1, note_id: 3, type: 'updated', version: 2 };
+
+    // Act
+    notify(client, event);
+    notify(client, { ...event, user_id: 1 }, 'other_channel');
+
+    // Assert
+    expect(mine).toHaveBeenCalledTimes(1);
+    expect(mine).toHaveBeenCalledWith(event);
+    expect(theirs).not.toHaveBeenCalled();
+  });
+
+  it('should stop delivering events once unsubscribed', async () => {
+    // Arrange
+    const onEvent = jest.fn();
+    const unsubscribe = await hub.subscribe(1, { onEvent, onReconnect: jest.fn() });
+
+    // Act
+    unsubscribe();
+    notify(client, { id: 7, user_id: 1 });
+
+    // Assert
+    expect(onEvent).not.toHaveBeenCalled();
+  });
+
+  it('should release the connection and reject if LISTEN fails', async () => {
+    // Arrange
+    const error = new Error('LISTEN failed');
+    client.query.mockRejectedValueOnce(error);
+
+    // Act & Assert
+    await expect(hub.subscribe(1, { onEvent: jest.fn(), onReconnect: jest.fn() })).rejects.toThrow('LISTEN failed');
+    expect(client.release).toHaveBeenCalledWith(error);
+
+    await hub.subscribe(1, { onEvent: jest.fn(), onReconnect: jest.fn() });
+    expect(db.connect).toHaveBeenCalledTimes(2);
+  });
+
+  describe('when the connection is lost', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    it('should reconnect and tell subscribers to catch up', async () => {
+      // Arrange
+      const onEvent = jest.fn();
+      const onReconnect = jest.fn();
+      await hub.subscribe(1, { onEvent, onReconnect });
+      const error = new Error('Connection terminated');
+      const replacement = fakeClient();
+      db.connect.mockResolvedValue(replacement);
+
+      // Act
+      client.emit('error', error);
+      jest.advanceTimersByTime(1000);
+      await flush();
+      notify(replacement, { id: 8, user_id: 1 });
+
+      // Assert
+      expect(client.release).toHaveBeenCalledWith(error);
+      expect(replacement.query).toHaveBeenCalledWith('LISTEN note_events');
+      expect(onReconnect).toHaveBeenCalledTimes(1);
+      expect(onEvent).toHaveBeenCalledWith({ id: 8, user_id: 1 });
+    });
+
+    it('should keep retrying until the database is back', async () => {
+      // Arrange
+      const onReconnect = jest.fn();
+      await hub.subscribe(1, { onEvent: jest.fn(), onReconnect });
+      db.connect.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+      // Act
+      client.emit('error', new Error('Connection terminated'));
+      jest.advanceTimersByTime(1000);
+      await flush();
+      jest.advanceTimersByTime(1000);
+      await flush();
+
+      // Assert
+      expect(db.connect).toHaveBeenCalledTimes(3);
+      expect(onReconnect).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not reconnect when nobody is subscribed', async () => {
+      // Arrange
+      const unsubscribe = await hub.subscribe(1, { onEvent: jest.fn(), onReconnect: jest.fn() });
+      unsubscribe();
+
+      // Act
+      client.emit('error', new Error('Connection terminated'));
+      jest.advanceTimersByTime(1000);
+      await flush();
+
+      // Assert
+      expect(db.connect).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('close', () => {
+    it('should end every subscription and destroy the connection', async () => {
+      // Arrange
+      const onEvent = jest.fn();
+      const onClose = jest.fn();
+      await hub.subscribe(1, { onEvent, onReconnect: jest.fn(), onClose });
+
+      // Act
+      await hub.close();
+      notify(client, { id: 6, user_id: 1 });
+
+      // Assert
+      expect(onClose).toHaveBeenCalledTimes(1);
+      expect(onEvent).not.toHaveBeenCalled();
+      expect(client.release).toHaveBeenCalledWith(true);
+    });
+
+    it('should not reconnect when the closed connection errors', async () => {
+      // Arrange
+      jest.useFakeTimers();
+      await hub.subscribe(1, { onEvent: jest.fn(), onReconnect: jest.fn() });
+      await hub.close();
+
+      // Act
+      client.emit('error', new Error('Connection terminated'));
+      jest.advanceTimersByTime(1000);
+      await flush();
+
+      // Assert
+      expect(client.release).toHaveBeenCalledTimes(1);
+      expect(db.connect).toHaveBeenCalledTimes(1);
+    });
+
+    it('should do nothing if it never connected', async () => {
+      await expect(hub.close()).resolves.toBeUndefined();
+      expect(db.connect).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const NoteEvent = require('../../src/models/NoteEvent');
+const { pruneNoteEvents, startNoteEventPruneJob } = require('../../src/jobs/noteEventPrune');
+
+// Mock the NoteEvent model
+jest.mock('../../src/models/NoteEvent');
+
+const pool = require('../../src/config/database');
+const { logger } = require('../../src/utils/logger');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Note event prune job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(logger, 'info');
+    jest.spyOn(logger, 'error');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('pruneNoteEvents', () => {
+    it('should delete events older than the retention period', async () => {
+      // Arrange
+      NoteEvent.deleteOlderThan.mockResolvedValue(5);
+
+      // Act
+      const pruned = await pruneNoteEvents(24);
+
+      // Assert
+      expect(NoteEvent.deleteOlderThan).toHaveBeenCalledWith(24);
+      expect(pruned).toBe(5);
+      expect(logger.info).toHaveBeenCalledWith('Pruned note events', { count: 5 });
+    });
+
+    it('should stay quiet when nothing was pruned', async () => {
+      // Arrange
+      NoteEvent.deleteOlderThan.mockResolvedValue(0);
+
+      // Act
+      await pruneNoteEvents(24);
+
+      // Assert
+      expect(logger.info).not.toHaveBeenCalled();
+    });
+
+    it('should log and swallow database errors', async () => {
+      // Arrange
+      NoteEvent.deleteOlderThan.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      const pruned = await pruneNoteEvents(24);
+
+      // Assert
+      expect(pruned).toBe(0);
+      expect(logger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('startNoteEventPruneJob', () => {
+    it('should prune immediately and then on every interval until stopped', async () => {
+      // Arrange
+      jest.useFakeTimers();
+      NoteEvent.deleteOlderThan.mockResolvedValue(0);
+
+      // Act
+      const stop = startNoteEventPruneJob({ retentionHours: 2, intervalMinutes: 5 });
+      await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+      stop();
+      await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+
+      // Assert
+      expect(NoteEvent.deleteOlderThan).toHaveBeenCalledTimes(3);
+      expect(NoteEvent.deleteOlderThan).toHaveBeenCalledWith(2);
+    });
+
+    it('should read the retention period from the environment', () => {
+      // Arrange
+      jest.useFakeTimers();
+      process.env.NOTE_EVENT_RETENTION_HOURS = '48';
+      NoteEvent.deleteOlderThan.mockResolvedValue(0);
+
+      // Act
+      const stop = startNoteEventPruneJob();
+      stop();
+      delete process.env.NOTE_EVENT_RETENTION_HOURS;
+
+      // Assert
+      expect(NoteEvent.deleteOlderThan).toHaveBeenCalledWith(48);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const pool = require('../../src/config/database');
+const Note = require('../../src/models/Note');
+const NoteEvent = require('../../src/models/NoteEvent');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  connect: jest.fn()
+}));
+jest.mock('../../src/models/NoteEvent');
+jest.mock('../../src/models/WebhookDelivery');
+
+describe('Note model', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Queries inside a transaction run on this client
+    client = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  // Makes the client's query matching `pattern` return `rows`
+  const returnRows = (pattern, rows) => {
+    client.query.mockImplementation(async (sql) => ({ rows: pattern.test(sql) ? rows : [] }));
+  };
+
+  const recordedEvents = () => NoteEvent.create.mock.calls.map(([db, userId, noteId, type, version]) => ({
+    sameTransaction: db === client,
+    userId,
+    noteId,
+    type,
+    version
+  }));
+
+  describe('search', () => {
+    it('should escape markup in the note around the highlighted matches', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({
+        rows: [{
+          id: 1,
+          title: '<b>Weekly</b> sync',
+          content: '<img src=x onerror=alert(1)> weekly',
+          title_highlight: '<b>\uE000Weekly\uE001</b> sync',
+          snippet: 'onerror=alert(1)> \uE000weekly\uE001'
+        }]
+      });
+
+      // Act
+      const [result] = await Note.search(1, 'weekly', { limit: 20 });
+
+      // Assert
+      expect(pool.query.mock.calls[0][0]).toContain('StartSel=\uE000, StopSel=\uE001');
+      expect(result.title_highlight).toBe('&lt;b&gt;<mark>Weekly</mark>&lt;/b&gt; sync');
+      expect(result.snippet).toBe('onerror=alert(1)&gt; <mark>weekly</mark>');
+    });
+  });
+
+  describe('setFlags', () => {
+    it('should report the change as an update in the same transaction', async () => {
+      // Arrange
+      const note = { id: 4, pinned: true, version: 3 };
+      returnRows(/UPDATE notes/, [note]);
+
+      // Act
+      const result = await Note.setFlags(1, 4, { pinned: true });
+
+      // Assert
+      expect(result).toBe(note);
+      expect(recordedEvents()).toEqual([{ sameTransaction: true, userId: 1, noteId: 4, type: 'updated', version: 3 }]);
+      expect(WebhookDelivery.enqueue).toHaveBeenCalledWith(client, 1, 'note.updated', expect.objectContaining({ data: note }));
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    it('should report nothing for a note in the trash', async () => {
+      // Act
+      const result = await Note.setFlags(1, 4, { archived: true });
+
+      // Assert
+      expect(result).toBeUndefined();
+      expect(NoteEvent.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restore', () => {
+    it('should report the restored note as created', async () => {
+      // Arrange
+      const note = { id: 4, deleted_at: null, version: 5 };
+      returnRows(/UPDATE notes/, [note]);
+
+      // Act
+      const result = await Note.restore(1, 4);
+
+      // Assert
+      expect(result).toBe(note);
+      expect(recordedEvents()).toEqual([{ sameTransaction: true, userId: 1, noteId: 4, type: 'created', version: 5 }]);
+      expect(WebhookDelivery.enqueue).toHaveBeenCalledWith(client, 1, 'note.created', expect.objectContaining({ data: note }));
+    });
+
+    it('should report nothing for a note that is not in the trash', async () => {
+      // Act
+      const result = await Note.restore(1, 4);
+
+      // Assert
+      expect(result).toBeUndefined();
+      expect(NoteEvent.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordChanges', () => {
+    it("should report each of the user's notes with its current version", async () => {
+      // Arrange
+      const notes = [{ id: 2, version: 4 }, { id: 3, version: 7 }];
+      client.query.mockResolvedValue({ rows: notes });
+
+      // Act
+      await Note.recordChanges(client, 1, 'deleted', [2, 3]);
+
+      // Assert
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('id = ANY($1::int[]) AND user_id = $2'), [[2, 3], 1]);
+      expect(recordedEvents()).toEqual([
+        { sameTransaction: true, userId: 1, noteId: 2, type: 'deleted', version: 4 },
+        { sameTransaction: true, userId: 1, noteId: 3, type: 'deleted', version: 7 }
+      ]);
+    });
+  });
+});
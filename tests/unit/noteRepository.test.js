@@ -0,0 +1,116 @@
+const { createNoteRepository } = require('../../src/repositories');
+const { createMemoryNoteRepository } = require('../../src/repositories/memoryNoteRepository');
+const { NOTE_METHODS } = require('../../src/repositories/postgresNoteRepository');
+const Note = require('../../src/models/Note');
+const { withTransaction } = require('../../src/db/transaction');
+const { describeNoteRepository } = require('../helpers/noteRepositoryConformance');
+
+jest.mock('../../src/models/Note');
+jest.mock('../../src/db/transaction', () => ({
+  withTransaction: jest.fn()
+}));
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+});
+
+// A clock that moves a second forward every time it is read
+const tickingClock = () => {
+  let time = Date.parse('2026-06-01T00:00:00.000Z');
+  return () => {
+    time += 1000;
+    return new Date(time);
+  };
+};
+
+describe('Note repositories', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createNoteRepository', () => {
+    const methods = [...NOTE_METHODS, 'transaction'].sort();
+
+    it('should create the Postgres repository by default', () => {
+      expect(Object.keys(createNoteRepository()).sort()).toEqual(methods);
+    });
+
+    it('should create the in-memory repository', () => {
+      expect(Object.keys(createNoteRepository('memory')).sort()).toEqual(methods);
+    });
+
+    it('should reject an unknown repository', () => {
+      expect(() => createNoteRepository('mongo'))
+        .toThrow('Unknown NOTE_REPOSITORY "mongo" (expected one of: postgres, memory)');
+    });
+  });
+
+  describe('Postgres repository', () => {
+    it('should pass calls through to the Note model', async () => {
+      // Arrange
+      const repository = createNoteRepository('postgres');
+      Note.findById.mockResolvedValue({ id: 5 });
+
+      // Act
+      const note = await repository.findById(1, 5, { includeDeleted: true });
+
+      // Assert
+      expect(note).toEqual({ id: 5 });
+      expect(Note.findById).toHaveBeenCalledWith(1, 5, { includeDeleted: true });
+    });
+
+    it('should run transactions on a database client', async () => {
+      // Arrange
+      const repository = createNoteRepository('postgres');
+      const callback = jest.fn();
+      withTransaction.mockResolvedValue('done');
+
+      // Act
+      const result = await repository.transaction(callback);
+
+      // Assert
+      expect(result).toBe('done');
+      expect(withTransaction).toHaveBeenCalledWith(callback);
+    });
+  });
+
+  describeNoteRepository('In-memory', async () => ({
+    repository: createMemoryNoteRepository({ now: tickingClock() }),
+    userId: 1,
+    otherUserId: 2
+  }));
+
+  describe('In-memory repository', () => {
+    it('should take timestamps from its clock', async () => {
+      // Arrange
+      const now = jest.fn()
+        .mockReturnValueOnce(new Date('2026-01-01T00:00:00.000Z'))
+        .mockReturnValueOnce(new Date('2026-01-02T00:00:00.000Z'));
+      const repository = createMemoryNoteRepository({ now });
+
+      // Act
+      const note = await repository.create(1, 'Plan', 'Body');
+      const deleted = await repository.delete(1, note.id);
+
+      // Assert
+      expect(note.created_at).toEqual(new Date('2026-01-01T00:00:00.000Z'));
+      expect(deleted.deleted_at).toEqual(new Date('2026-01-02T00:00:00.000Z'));
+    });
+
+    it('should not let callers change stored notes through the returned ones', async () => {
+      // Arrange
+      const repository = createMemoryNoteRepository();
+      const note = await repository.create(1, 'Plan', 'Body', ['work']);
+
+      // Act
+      note.tags.push('home');
+      note.created_at.setFullYear(2000);
+
+      // Assert
+      const stored = await repository.findById(1, note.id);
+      expect(stored.tags).toEqual(['work']);
+      expect(stored.created_at.getFullYear()).not.toBe(2000);
+    });
+  });
+});
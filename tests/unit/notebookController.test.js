@@ -0,0 +1,266 @@
+const notebookController = require('../../src/controllers/notebookController');
+const Notebook = require('../../src/models/Notebook');
+const { ConflictError } = require('../../src/errors');
+
+// Mock the Notebook model
+jest.mock('../../src/models/Notebook');
+
+const pool = require('../../src/config/database');
+const { appError, validationError } = require('../helpers/errors');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Notebook Controller', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    // Reset mocks before each test
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: 1 }
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('getAllNotebooks', () => {
+    it('should return all notebooks with their parents and note counts', async () => {
+      // Arrange
+      const mockNotebooks = [
+        { id: 1, name: 'Projects', parent_id: null, note_count: 2 },
+        { id: 2, name: 'Website', parent_id: 1, note_count: 5 }
+      ];
+
+      Notebook.findAll.mockResolvedValue(mockNotebooks);
+
+      // Act
+      await notebookController.getAllNotebooks(req, res, next);
+
+      // Assert
+      expect(Notebook.findAll).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenCalledWith(mockNotebooks);
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      Notebook.findAll.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await notebookController.getAllNotebooks(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('getNotebookById', () => {
+    it('should return a notebook', async () => {
+      // Arrange
+      req.params.id = 2;
+      const mockNotebook = { id: 2, name: 'Website', parent_id: 1 };
+      Notebook.findById.mockResolvedValue(mockNotebook);
+
+      // Act
+      await notebookController.getNotebookById(req, res, next);
+
+      // Assert
+      expect(Notebook.findById).toHaveBeenCalledWith(1, 2);
+      expect(res.json).toHaveBeenCalledWith(mockNotebook);
+    });
+
+    it('should return 404 if notebook not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      Notebook.findById.mockResolvedValue(undefined);
+
+      // Act
+      await notebookController.getNotebookById(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Notebook not found'));
+    });
+  });
+
+  describe('createNotebook', () => {
+    it('should create a top-level notebook', async () => {
+      // Arrange
+      req.body = { name: 'Projects' };
+      const mockNotebook = { id: 1, name: 'Projects', parent_id: null, note_count: 0 };
+      Notebook.create.mockResolvedValue(mockNotebook);
+
+      // Act
+      await notebookController.createNotebook(req, res, next);
+
+      // Assert
+      expect(Notebook.create).toHaveBeenCalledWith(1, 'Projects', null);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(mockNotebook);
+    });
+
+    it('should create a notebook inside a parent', async () => {
+      // Arrange
+      req.body = { name: 'Website', parent_id: 1 };
+      Notebook.create.mockResolvedValue({ id: 2, name: 'Website', parent_id: 1 });
+
+      // Act
+      await notebookController.createNotebook(req, res, next);
+
+      // Assert
+      expect(Notebook.create).toHaveBeenCalledWith(1, 'Website', 1);
+    });
+
+    it('should return 404 if the parent is not found', async () => {
+      // Arrange
+      req.body = { name: 'Website', parent_id: 999 };
+      Notebook.create.mockResolvedValue(undefined);
+
+      // Act
+      await notebookController.createNotebook(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Parent notebook not found'));
+    });
+  });
+
+  describe('updateNotebook', () => {
+    it('should rename a notebook', async () => {
+      // Arrange
+      req.params.id = 2;
+      req.body = { name: 'Site' };
+      const mockNotebook = { id: 2, name: 'Site', parent_id: 1 };
+      Notebook.update.mockResolvedValue(mockNotebook);
+
+      // Act
+      await notebookController.updateNotebook(req, res, next);
+
+      // Assert
+      expect(Notebook.update).toHaveBeenCalledWith(1, 2, { name: 'Site', parentId: undefined });
+      expect(res.json).toHaveBeenCalledWith(mockNotebook);
+    });
+
+    it('should move a notebook to the top level', async () => {
+      // Arrange
+      req.params.id = 2;
+      req.body = { parent_id: null };
+      Notebook.update.mockResolvedValue({ id: 2, name: 'Website', parent_id: null });
+
+      // Act
+      await notebookController.updateNotebook(req, res, next);
+
+      // Assert
+      expect(Notebook.update).toHaveBeenCalledWith(1, 2, { name: undefined, parentId: null });
+    });
+
+    it('should return 400 when moving a notebook into itself', async () => {
+      // Arrange
+      req.params.id = 2;
+      req.body = { parent_id: 2 };
+
+      // Act
+      await notebookController.updateNotebook(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(validationError({ field: 'parent_id', rule: 'notSelf' }));
+      expect(Notebook.update).not.toHaveBeenCalled();
+    });
+
+    it('should pass on a move into the notebook\'s own subtree', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.body = { parent_id: 2 };
+      const error = new ConflictError('Cannot move a notebook into itself or one of its sub-notebooks');
+      Notebook.update.mockRejectedValue(error);
+
+      // Act
+      await notebookController.updateNotebook(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(409));
+    });
+
+    it('should return 404 if notebook not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      req.body = { name: 'Site' };
+      Notebook.update.mockResolvedValue(undefined);
+
+      // Act
+      await notebookController.updateNotebook(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Notebook not found'));
+    });
+  });
+
+  describe('deleteNotebook', () => {
+    it('should move the notes up to the parent', async () => {
+      // Arrange
+      req.params.id = 2;
+      req.query = { mode: 'move' };
+      const notebook = { id: 2, name: 'Website', parent_id: 1 };
+      Notebook.delete.mockResolvedValue({ notebook, noteCount: 3 });
+
+      // Act
+      await notebookController.deleteNotebook(req, res, next);
+
+      // Assert
+      expect(Notebook.delete).toHaveBeenCalledWith(1, 2, { mode: 'move' });
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Notebook deleted successfully',
+        notebook,
+        mode: 'move',
+        moved_notes: 3
+      });
+    });
+
+    it('should report the trashed notes for a cascading delete', async () => {
+      // Arrange
+      req.params.id = 2;
+      req.query = { mode: 'cascade' };
+      const notebook = { id: 2, name: 'Website', parent_id: 1 };
+      Notebook.delete.mockResolvedValue({ notebook, noteCount: 5 });
+
+      // Act
+      await notebookController.deleteNotebook(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ mode: 'cascade', trashed_notes: 5 }));
+    });
+
+    it('should return 404 if notebook not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      req.query = { mode: 'move' };
+      Notebook.delete.mockResolvedValue(undefined);
+
+      // Act
+      await notebookController.deleteNotebook(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Notebook not found'));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.params.id = 2;
+      req.query = { mode: 'move' };
+      Notebook.delete.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await notebookController.deleteNotebook(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const pool = require('../../src/config/database');
+const Note = require('../../src/models/Note');
+const Notebook = require('../../src/models/Notebook');
+
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  connect: jest.fn()
+}));
+jest.mock('../../src/models/Note');
+
+describe('Notebook model', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Notebook 2 sits inside notebook 1 and holds notes 7 and 8
+    client = {
+      query: jest.fn(async (sql) => {
+        if (/FROM notebooks nb WHERE nb.id/.test(sql)) {
+          return { rows: [{ id: 2, name: 'Work', parent_id: 1 }] };
+        }
+        if (/UPDATE notes/.test(sql)) {
+          return { rows: [{ id: 7 }, { id: 8 }], rowCount: 2 };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  describe('delete', () => {
+    it('should report the notes it moves up as updated', async () => {
+      // Act
+      const result = await Notebook.delete(3, 2, { mode: 'move' });
+
+      // Assert
+      expect(result.noteCount).toBe(2);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET notebook_id = $1'), [1, 2]);
+      expect(Note.recordChanges).toHaveBeenCalledWith(client, 3, 'updated', [7, 8]);
+    });
+
+    it('should move notes in the trash without bumping their version or reporting them', async () => {
+      // Act
+      await Notebook.delete(3, 2, { mode: 'move' });
+
+      // Assert
+      const [move] = client.query.mock.calls.find(([sql]) => /UPDATE notes/.test(sql));
+      expect(move).toContain('CASE WHEN deleted_at IS NULL THEN version + 1 ELSE version END');
+      expect(move).toContain('SELECT id FROM moved WHERE deleted_at IS NULL');
+    });
+
+    it('should report the notes it moves to the trash as deleted', async () => {
+      // Act
+      const result = await Notebook.delete(3, 2, { mode: 'cascade' });
+
+      // Assert
+      expect(result.noteCount).toBe(2);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET deleted_at = CURRENT_TIMESTAMP'), [2, 3]);
+      expect(Note.recordChanges).toHaveBeenCalledWith(client, 3, 'deleted', [7, 8]);
+    });
+
+    it('should report the changes after the notebook is gone and before the commit', async () => {
+      // Act
+      await Notebook.delete(3, 2, { mode: 'cascade' });
+
+      // Assert
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      const deleted = statements.findIndex((sql) => sql.startsWith('DELETE FROM notebooks'));
+      const [recordedAfter] = Note.recordChanges.mock.invocationCallOrder;
+      expect(client.query.mock.invocationCallOrder[deleted]).toBeLessThan(recordedAfter);
+      expect(client.query.mock.invocationCallOrder[statements.indexOf('COMMIT')]).toBeGreaterThan(recordedAfter);
+    });
+
+    it('should report nothing for a notebook that does not exist', async () => {
+      // Arrange
+      client.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await Notebook.delete(3, 99);
+
+      // Assert
+      expect(result).toBeUndefined();
+      expect(Note.recordChanges).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const { openApiDocument } = require('../../src/openapi');
+const { fieldSchema, objectSchema, parameters } = require('../../src/openapi/fromValidation');
+const { ajv } = require('../helpers/openapi');
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+});
+
+// Every router with the prefix app.js mounts it under
+const ROUTERS = [
+  ['', require('../../src/routes/healthRoutes')],
+  ['', require('../../src/routes/docsRoutes')],
+  ['/api', require('../../src/routes/authRoutes')],
+  ['/api', require('../../src/routes/sharedRoutes')],
+  ['/api', require('../../src/routes/noteRoutes')],
+  ['/api', require('../../src/routes/tagRoutes')],
+  ['/api', require('../../src/routes/notebookRoutes')],
+  ['/api', require('../../src/routes/reminderRoutes')],
+  ['/api', require('../../src/routes/webhookRoutes')],
+  ['/api', require('../../src/routes/trashRoutes')]
+];
+
+const METHODS = ['get', 'put', 'post', 'patch', 'delete'];
+
+describe('OpenAPI document', () => {
+  it('should document every route and nothing else', () => {
+    // Arrange
+    const routes = ROUTERS.flatMap(([prefix, router]) => router.stack
+      .filter((layer) => layer.route)
+      .flatMap(({ route }) => Object.keys(route.methods)
+        .map((method) => `${method} ${prefix}${route.path.replace(/:(\w+)/g, '{$1}')}`)));
+
+    // Act
+    const documented = Object.entries(openApiDocument.paths).flatMap(([path, item]) => Object.keys(item)
+      .filter((method) => METHODS.includes(method))
+      .map((method) => `${method} ${path}`));
+
+    // Assert
+    expect(documented.sort()).toEqual(routes.sort());
+  });
+
+  it('should give every operation a unique id', () => {
+    const ids = Object.values(openApiDocument.paths).flatMap((item) => Object.values(item).map((op) => op.operationId));
+
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('should document a path parameter for every placeholder in a path', () => {
+    for (const [path, item] of Object.entries(openApiDocument.paths)) {
+      const placeholders = [...path.matchAll(/{(\w+)}/g)].map(([, name]) => name);
+
+      for (const op of Object.values(item)) {
+        const documented = op.parameters.filter((param) => param.in === 'path').map((param) => param.name);
+        expect({ path, params: documented }).toEqual({ path, params: placeholders });
+      }
+    }
+  });
+
+  it('should only reference schemas and responses that exist', () => {
+    const references = JSON.stringify(openApiDocument).match(/"\$ref":"[^"]+"/g)
+      .map((ref) => ref.slice(9, -1));
+
+    for (const reference of new Set(references)) {
+      const [, , section, name] = reference.split('/');
+      expect({ reference, found: Boolean(openApiDocument.components[section][name]) })
+        .toEqual({ reference, found: true });
+    }
+  });
+
+  it('should compile every component schema', () => {
+    for (const name of Object.keys(openApiDocument.components.schemas)) {
+      expect(ajv.getSchema(`openapi.json#/components/schemas/${name}`)).toEqual(expect.any(Function));
+    }
+  });
+
+  it('should compile every request and response body schema', () => {
+    const escape = (segment) => segment.replace(/~/g, '~0').replace(/\//g, '~1');
+
+    for (const [path, item] of Object.entries(openApiDocument.paths)) {
+      for (const [method, op] of Object.entries(item)) {
+        const bodies = [
+          ['requestBody', op.requestBody],
+          ...Object.entries(op.responses).map(([status, response]) => [`responses/${status}`, response])
+        ];
+
+        for (const [location, body] of bodies) {
+          for (const type of Object.keys((body && body.content) || {})) {
+            const schema = `openapi.json#/paths/${escape(path)}/${method}/${location}/content/${escape(type)}/schema`;
+            expect(ajv.getSchema(schema)).toEqual(expect.any(Function));
+          }
+        }
+      }
+    }
+  });
+});
+
+describe('fromValidation', () => {
+  describe('fieldSchema', () => {
+    it('should carry over the validation rules', () => {
+      // Arrange
+      const spec = { type: 'string', label: 'Title', trim: true, notEmpty: true, maxLength: 255, pattern: /^a+$/ };
+
+      // Act & Assert
+      expect(fieldSchema(spec)).toEqual({ type: 'string', minLength: 1, maxLength: 255, pattern: '^a+$' });
+    });
+
+    it('should describe dates, arrays and defaults', () => {
+      expect(fieldSchema({ type: 'date' })).toEqual({ type: 'string', format: 'date-time' });
+      expect(fieldSchema({ type: 'array', items: { type: 'integer', min: 1, max: 5 }, minItems: 1, maxItems: 3 }))
+        .toEqual({ type: 'array', items: { type: 'integer', minimum: 1, maximum: 5 }, minItems: 1, maxItems: 3 });
+      expect(fieldSchema({ type: 'boolean', default: false })).toEqual({ type: 'boolean', default: false });
+    });
+
+    it('should allow null for nullable fields, including in their enum', () => {
+      expect(fieldSchema({ type: 'string', enum: ['red'], nullable: true }))
+        .toEqual({ type: ['string', 'null'], enum: ['red', null] });
+    });
+  });
+
+  describe('objectSchema', () => {
+    it('should list the required fields', () => {
+      // Act
+      const schema = objectSchema({ fields: { title: { type: 'string', required: true }, tags: { type: 'array' } } });
+
+      // Assert
+      expect(schema).toEqual({
+        type: 'object',
+        properties: { title: { type: 'string' }, tags: { type: 'array' } },
+        required: ['title']
+      });
+    });
+
+    it('should require one of the atLeastOne fields', () => {
+      // Act
+      const schema = objectSchema({ fields: { a: { type: 'string' }, b: { type: 'string' } }, atLeastOne: ['a', 'b'] });
+
+      // Assert
+      expect(schema.anyOf).toEqual([{ required: ['a'] }, { required: ['b'] }]);
+      expect(schema.required).toBeUndefined();
+    });
+  });
+
+  describe('parameters', () => {
+    it('should turn params into required path parameters and query fields into query parameters', () => {
+      // Act
+      const params = parameters({
+        params: { fields: { id: { type: 'integer' } } },
+        query: { fields: { q: { type: 'string', required: true }, limit: { type: 'integer' } } },
+        body: { fields: { title: { type: 'string' } } }
+      });
+
+      // Assert
+      expect(params).toEqual([
+        { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+        { name: 'q', in: 'query', required: true, schema: { type: 'string' } },
+        { name: 'limit', in: 'query', required: false, schema: { type: 'integer' } }
+      ]);
+    });
+
+    it('should return no parameters without a schema', () => {
+      expect(parameters()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { instrumentClient } = require('../../src/db/queryLogging');
+const { logger, requestContext } = require('../../src/utils/logger');
+
+describe('Query logging', () => {
+  let client, query;
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'debug');
+    jest.spyOn(logger, 'warn');
+
+    query = jest.fn().mockResolvedValue({ rowCount: 2, rows: [{}, {}] });
+    client = instrumentClient({ query }, { slowQueryMs: 500 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should log each query with its duration and request id', async () => {
+    // Act
+    const result = await requestContext.run({ requestId: 'abc-123' }, () =>
+      client.query('SELECT *\n      FROM notes\n      WHERE user_id = $1', [1])
+    );
+
+    // Assert
+    expect(result).toEqual({ rowCount: 2, rows: [{}, {}] });
+    expect(query).toHaveBeenCalledWith('SELECT *\n      FROM notes\n      WHERE user_id = $1', [1]);
+    expect(logger.debug).toHaveBeenCalledWith('Database query', {
+      request_id: 'abc-123',
+      query: 'SELECT * FROM notes WHERE user_id = $1',
+      duration_ms: expect.any(Number),
+      rows: 2
+    });
+  });
+
+  it('should never log parameter values', async () => {
+    // Act
+    await client.query({ text: 'SELECT $1::text', values: ['secret'] });
+
+    // Assert
+    expect(JSON.stringify(logger.debug.mock.calls)).not.toContain('secret');
+  });
+
+  it('should log slow queries as warnings', async () => {
+    // Arrange
+    let resolve;
+    query.mockReturnValue(new Promise((r) => { resolve = r; }));
+    const hrtime = jest.spyOn(process.hrtime, 'bigint').mockReturnValueOnce(0n);
+
+    // Act
+    const pending = client.query('SELECT pg_sleep(1)');
+    hrtime.mockReturnValue(750000000n);
+    resolve({ rowCount: 1 });
+    await pending;
+
+    // Assert
+    expect(logger.warn).toHaveBeenCalledWith('Slow database query', expect.objectContaining({
+      query: 'SELECT pg_sleep(1)',
+      duration_ms: 750
+    }));
+    expect(logger.debug).not.toHaveBeenCalled();
+  });
+
+  it('should log failed queries and still reject', async () => {
+    // Arrange
+    query.mockRejectedValue(new Error('relation "notes" does not exist'));
+
+    // Act
+    await expect(client.query('SELECT * FROM notes')).rejects.toThrow('relation "notes" does not exist');
+
+    // Assert
+    expect(logger.debug).toHaveBeenCalledWith('Database query', expect.objectContaining({
+      error: 'relation "notes" does not exist'
+    }));
+  });
+
+  it('should log queries made with a callback, as pool.query does', async () => {
+    // Arrange
+    query.mockImplementation((text, values, callback) => {
+      setImmediate(() => callback(null, { rowCount: 0 }));
+    });
+    const callback = jest.fn();
+
+    // Act
+    await requestContext.run({ requestId: 'abc-123' }, () => new Promise((resolve) => {
+      client.query('DELETE FROM notes', (...args) => {
+        callback(...args);
+        resolve();
+      });
+    }));
+
+    // Assert
+    expect(callback).toHaveBeenCalledWith(null, { rowCount: 0 });
+    expect(query).toHaveBeenCalledWith('DELETE FROM notes', undefined, expect.any(Function));
+    expect(logger.debug).toHaveBeenCalledWith('Database query', expect.objectContaining({
+      request_id: 'abc-123',
+      rows: 0
+    }));
+  });
+
+  it('should pass submittables straight through', () => {
+    // Arrange
+    const cursor = { submit: jest.fn() };
+    query.mockReturnValue(cursor);
+
+    // Act
+    const result = client.query(cursor);
+
+    // Assert
+    expect(result).toBe(cursor);
+    expect(logger.debug).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+const rateLimit = require('../../src/middleware/rateLimit');
+const { appError } = require('../helpers/errors');
+
+const pool = require('../../src/config/database');
+const { logger } = require('../../src/utils/logger');
+afterAll(async () => {
+  await pool.end();
+});
+
+const LIMITS = {
+  auth: { requests: 10, perSeconds: 60, per: 'ip' },
+  api: { requests: 300, perSeconds: 60, per: 'user' },
+  shared: null
+};
+
+describe('Rate limit middleware', () => {
+  let req, res, next, store;
+
+  beforeEach(() => {
+    req = { ip: '1.2.3.4' };
+
+    const headers = {};
+    res = {
+      get: jest.fn((name) => headers[name]),
+      set: jest.fn((name, value) => {
+        Object.assign(headers, typeof name === 'string' ? { [name]: value } : name);
+      }),
+      headers
+    };
+    next = jest.fn();
+    store = { take: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should reject an unknown group', () => {
+    expect(() => rateLimit('uploads', { store, limits: LIMITS })).toThrow('Unknown rate limit group "uploads"');
+  });
+
+  it('should let every request through when the group is turned off', async () => {
+    // Act
+    await rateLimit('shared', { store, limits: LIMITS })(req, res, next);
+
+    // Assert
+    expect(next).toHaveBeenCalledWith();
+    expect(store.take).not.toHaveBeenCalled();
+  });
+
+  it('should take a token per IP and set the RateLimit headers', async () => {
+    // Arrange
+    store.take.mockResolvedValue({ allowed: true, tokens: 7.5 });
+
+    // Act
+    await rateLimit('auth', { store, limits: LIMITS })(req, res, next);
+
+    // Assert
+    expect(store.take).toHaveBeenCalledWith('auth:ip:1.2.3.4', { capacity: 10, refillPerSecond: 10 / 60 });
+    expect(res.headers).toEqual({
+      'RateLimit-Limit': '10',
+      'RateLimit-Remaining': '7',
+      'RateLimit-Reset': '15',
+      'RateLimit-Policy': '10;w=60'
+    });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should key per-user groups by the signed-in user', async () => {
+    // Arrange
+    req.user = { id: 7 };
+    store.take.mockResolvedValue({ allowed: true, tokens: 299 });
+
+    // Act
+    await rateLimit('api', { store, limits: LIMITS })(req, res, next);
+
+    // Assert
+    expect(store.take).toHaveBeenCalledWith('api:user:7', expect.any(Object));
+  });
+
+  it('should fall back to the IP for per-user groups without a user', async () => {
+    // Arrange
+    store.take.mockResolvedValue({ allowed: true, tokens: 299 });
+
+    // Act
+    await rateLimit('api', { store, limits: LIMITS })(req, res, next);
+
+    // Assert
+    expect(store.take).toHaveBeenCalledWith('api:ip:1.2.3.4', expect.any(Object));
+  });
+
+  it('should return 429 with Retry-After when the bucket is empty', async () => {
+    // Arrange
+    store.take.mockResolvedValue({ allowed: false, tokens: 0.5 });
+
+    // Act
+    await rateLimit('auth', { store, limits: LIMITS })(req, res, next);
+
+    // Assert
+    expect(next).toHaveBeenCalledWith(appError(429, 'Too many requests, please try again later'));
+    expect(next.mock.calls[0][0].toJSON()).toMatchObject({ code: 'RATE_LIMITED', retry_after: 3 });
+    expect(res.headers['Retry-After']).toBe('3');
+    expect(res.headers['RateLimit-Remaining']).toBe('0');
+  });
+
+  it('should keep the headers of the limiter closest to running out', async () => {
+    // Arrange
+    store.take
+      .mockResolvedValueOnce({ allowed: true, tokens: 2 })
+      .mockResolvedValueOnce({ allowed: true, tokens: 250 });
+    req.user = { id: 7 };
+
+    // Act
+    await rateLimit('auth', { store, limits: LIMITS })(req, res, next);
+    await rateLimit('api', { store, limits: LIMITS })(req, res, next);
+
+    // Assert
+    expect(res.headers['RateLimit-Limit']).toBe('10');
+    expect(res.headers['RateLimit-Remaining']).toBe('2');
+  });
+
+  it('should let the request through and log when the store fails', async () => {
+    // Arrange
+    const error = new Error('Database error');
+    store.take.mockRejectedValue(error);
+    jest.spyOn(logger, 'error');
+
+    // Act
+    await rateLimit('auth', { store, limits: LIMITS })(req, res, next);
+
+    // Assert
+    expect(next).toHaveBeenCalledWith();
+    expect(logger.error).toHaveBeenCalledWith('Error checking rate limit', { group: 'auth', error });
+  });
+});
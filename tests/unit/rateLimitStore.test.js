@@ -0,0 +1,130 @@
+const { createRateLimitStore } = require('../../src/rateLimit');
+const { createMemoryStore } = require('../../src/rateLimit/memoryStore');
+const { createPostgresStore } = require('../../src/rateLimit/postgresStore');
+
+const pool = require('../../src/config/database');
+const { logger } = require('../../src/utils/logger');
+afterAll(async () => {
+  await pool.end();
+});
+
+const LIMIT = { capacity: 2, refillPerSecond: 0.5 };
+
+describe('Rate limit stores', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createRateLimitStore', () => {
+    it('should create the memory store by default', () => {
+      expect(createRateLimitStore()).toEqual({ take: expect.any(Function), sweep: expect.any(Function) });
+    });
+
+    it('should create the Postgres store', () => {
+      expect(createRateLimitStore('postgres')).toEqual({ take: expect.any(Function), prune: expect.any(Function) });
+    });
+
+    it('should reject an unknown store', () => {
+      expect(() => createRateLimitStore('redis'))
+        .toThrow('Unknown RATE_LIMIT_STORE "redis" (expected one of: memory, postgres)');
+    });
+  });
+
+  describe('memory store', () => {
+    let time, store;
+
+    beforeEach(() => {
+      time = 0;
+      store = createMemoryStore({ now: () => time });
+    });
+
+    it('should allow a burst up to the capacity and then deny', async () => {
+      expect(await store.take('a', LIMIT)).toEqual({ allowed: true, tokens: 1 });
+      expect(await store.take('a', LIMIT)).toEqual({ allowed: true, tokens: 0 });
+      expect(await store.take('a', LIMIT)).toEqual({ allowed: false, tokens: 0 });
+    });
+
+    it('should refill over time without going over the capacity', async () => {
+      await store.take('a', LIMIT);
+      await store.take('a', LIMIT);
+
+      time = 2000;
+      expect(await store.take('a', LIMIT)).toEqual({ allowed: true, tokens: 0 });
+
+      time = 60000;
+      expect(await store.take('a', LIMIT)).toEqual({ allowed: true, tokens: 1 });
+    });
+
+    it('should keep a bucket per key', async () => {
+      await store.take('a', LIMIT);
+      await store.take('a', LIMIT);
+
+      expect(await store.take('b', LIMIT)).toEqual({ allowed: true, tokens: 1 });
+    });
+
+    it('should drop buckets that have refilled completely', async () => {
+      await store.take('a', LIMIT);
+      await store.take('a', LIMIT);
+      await store.take('b', LIMIT);
+
+      time = 3000;
+      store.sweep();
+
+      // `a` is still partly empty, `b` starts over as a full bucket
+      expect(await store.take('a', LIMIT)).toEqual({ allowed: true, tokens: 0.5 });
+      expect(await store.take('b', LIMIT)).toEqual({ allowed: true, tokens: 1 });
+    });
+  });
+
+  describe('Postgres store', () => {
+    let db, store;
+
+    beforeEach(() => {
+      db = { query: jest.fn() };
+      store = createPostgresStore({ db });
+    });
+
+    it('should take a token with a single upsert', async () => {
+      // Arrange
+      db.query.mockResolvedValue({ rows: [{ tokens: 1, allowed: true }] });
+
+      // Act
+      const result = await store.take('auth:ip:1.2.3.4', LIMIT);
+
+      // Assert
+      expect(result).toEqual({ allowed: true, tokens: 1 });
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('ON CONFLICT (key) DO UPDATE'),
+        ['auth:ip:1.2.3.4', 2, 0.5]
+      );
+    });
+
+    it('should report a denied request', async () => {
+      db.query.mockResolvedValue({ rows: [{ tokens: 0.25, allowed: false }] });
+
+      expect(await store.take('a', LIMIT)).toEqual({ allowed: false, tokens: 0.25 });
+    });
+
+    it('should prune buckets idle for longer than the longest window', async () => {
+      db.query.mockResolvedValue({ rowCount: 3 });
+
+      await store.prune();
+
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM rate_limit_buckets'),
+        [3600]
+      );
+    });
+
+    it('should log pruning errors instead of throwing', async () => {
+      const error = new Error('Database error');
+      db.query.mockRejectedValue(error);
+      jest.spyOn(logger, 'error');
+
+      await expect(store.prune()).resolves.toBeUndefined();
+
+      expect(logger.error).toHaveBeenCalledWith('Error pruning rate limit buckets', { error });
+    });
+  });
+});
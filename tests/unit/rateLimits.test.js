@@ -0,0 +1,32 @@
+const { DEFAULT_RATE_LIMITS, loadRateLimits, parseRateLimit } = require('../../src/config/rateLimits');
+
+describe('Rate limit config', () => {
+  describe('parseRateLimit', () => {
+    it('should parse requests per seconds', () => {
+      expect(parseRateLimit('RATE_LIMIT_AUTH', '20/60')).toEqual({ requests: 20, perSeconds: 60 });
+    });
+
+    it('should turn a limit off', () => {
+      expect(parseRateLimit('RATE_LIMIT_AUTH', 'off')).toBeNull();
+    });
+
+    it.each(['20', '20/0', '0/60', '20/3601', '20 / 60', 'unlimited', ''])('should reject %p', (value) => {
+      expect(() => parseRateLimit('RATE_LIMIT_AUTH', value))
+        .toThrow('RATE_LIMIT_AUTH must be "<requests>/<seconds>" with a window of at most 3600 seconds, or "off"');
+    });
+  });
+
+  describe('loadRateLimits', () => {
+    it('should use the defaults without overrides', () => {
+      expect(loadRateLimits({})).toEqual(DEFAULT_RATE_LIMITS);
+    });
+
+    it('should apply overrides and keep what each group is keyed by', () => {
+      const limits = loadRateLimits({ RATE_LIMIT_API: '1000/3600', RATE_LIMIT_SHARED: 'off' });
+
+      expect(limits.api).toEqual({ requests: 1000, perSeconds: 3600, per: 'user' });
+      expect(limits.shared).toBeNull();
+      expect(limits.auth).toEqual(DEFAULT_RATE_LIMITS.auth);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const reminderController = require('../../src/controllers/reminderController');
+const Reminder = require('../../src/models/Reminder');
+const Note = require('../../src/models/Note');
+
+// Mock the Reminder and Note models
+jest.mock('../../src/models/Reminder');
+jest.mock('../../src/models/Note');
+
+const pool = require('../../src/config/database');
+const { appError, validationError } = require('../helpers/errors');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Reminder Controller', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    // Reset mocks before each test
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: 1 }
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('createReminder', () => {
+    it('should add a recurring reminder to a note', async () => {
+      // Arrange
+      const remindAt = new Date(Date.now() + 60 * 60 * 1000);
+      req.params.id = 5;
+      req.body = { remind_at: remindAt, recurrence: 'weekly' };
+      const mockReminder = { id: 1, note_id: 5, remind_at: remindAt, recurrence: 'weekly', status: 'pending' };
+      Reminder.create.mockResolvedValue(mockReminder);
+
+      // Act
+      await reminderController.createReminder(req, res, next);
+
+      // Assert
+      expect(Reminder.create).toHaveBeenCalledWith(1, 5, { remindAt, recurrence: 'weekly' });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(mockReminder);
+    });
+
+    it('should return 400 for a time in the past', async () => {
+      // Arrange
+      req.params.id = 5;
+      req.body = { remind_at: new Date('2020-01-01') };
+
+      // Act
+      await reminderController.createReminder(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(validationError({ field: 'remind_at', rule: 'future' }));
+      expect(Reminder.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if note not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      req.body = { remind_at: new Date(Date.now() + 60 * 1000) };
+      Reminder.create.mockResolvedValue(undefined);
+
+      // Act
+      await reminderController.createReminder(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Note not found'));
+    });
+  });
+
+  describe('listReminders', () => {
+    it('should list the reminders of a note', async () => {
+      // Arrange
+      req.params.id = 5;
+      const mockReminders = [{ id: 1, note_id: 5 }];
+      Note.findById.mockResolvedValue({ id: 5 });
+      Reminder.findAllForNote.mockResolvedValue(mockReminders);
+
+      // Act
+      await reminderController.listReminders(req, res, next);
+
+      // Assert
+      expect(Note.findById).toHaveBeenCalledWith(1, 5);
+      expect(Reminder.findAllForNote).toHaveBeenCalledWith(1, 5);
+      expect(res.json).toHaveBeenCalledWith({ data: mockReminders });
+    });
+
+    it('should return 404 if the note is not found', async () => {
+      // Arrange
+      req.params.id = 5;
+      Note.findById.mockResolvedValue(undefined);
+
+      // Act
+      await reminderController.listReminders(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Note not found'));
+      expect(Reminder.findAllForNote).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDueReminders', () => {
+    it('should return the fired reminders', async () => {
+      // Arrange
+      const mockReminders = [{ id: 1, note_id: 5, note_title: 'Plan', status: 'fired' }];
+      Reminder.findDue.mockResolvedValue(mockReminders);
+
+      // Act
+      await reminderController.getDueReminders(req, res, next);
+
+      // Assert
+      expect(Reminder.findDue).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenCalledWith({ data: mockReminders });
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      Reminder.findDue.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await reminderController.getDueReminders(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('snoozeReminder', () => {
+    it('should snooze a reminder for the given number of minutes', async () => {
+      // Arrange
+      jest.useFakeTimers({ now: new Date('2026-01-01T09:00:00.000Z') });
+      req.params.id = 3;
+      req.body = { minutes: 15 };
+      const mockReminder = { id: 3, status: 'pending' };
+      Reminder.snooze.mockResolvedValue(mockReminder);
+
+      // Act
+      await reminderController.snoozeReminder(req, res, next);
+      jest.useRealTimers();
+
+      // Assert
+      expect(Reminder.snooze).toHaveBeenCalledWith(1, 3, new Date('2026-01-01T09:15:00.000Z'));
+      expect(res.json).toHaveBeenCalledWith(mockReminder);
+    });
+
+    it('should return 404 unless the reminder is due', async () => {
+      // Arrange
+      req.params.id = 3;
+      req.body = { minutes: 10 };
+      Reminder.snooze.mockResolvedValue(undefined);
+
+      // Act
+      await reminderController.snoozeReminder(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Due reminder not found'));
+    });
+  });
+
+  describe('dismissReminder', () => {
+    it('should dismiss a reminder', async () => {
+      // Arrange
+      req.params.id = 3;
+      const mockReminder = { id: 3, status: 'dismissed' };
+      Reminder.dismiss.mockResolvedValue(mockReminder);
+
+      // Act
+      await reminderController.dismissReminder(req, res, next);
+
+      // Assert
+      expect(Reminder.dismiss).toHaveBeenCalledWith(1, 3);
+      expect(res.json).toHaveBeenCalledWith(mockReminder);
+    });
+
+    it('should return 404 unless the reminder is due', async () => {
+      // Arrange
+      req.params.id = 3;
+      Reminder.dismiss.mockResolvedValue(undefined);
+
+      // Act
+      await reminderController.dismissReminder(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Due reminder not found'));
+    });
+  });
+
+  describe('deleteReminder', () => {
+    it('should delete a reminder', async () => {
+      // Arrange
+      req.params.id = 3;
+      const mockReminder = { id: 3 };
+      Reminder.delete.mockResolvedValue(mockReminder);
+
+      // Act
+      await reminderController.deleteReminder(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({ message: 'Reminder deleted successfully', reminder: mockReminder });
+    });
+
+    it('should return 404 if reminder not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      Reminder.delete.mockResolvedValue(undefined);
+
+      // Act
+      await reminderController.deleteReminder(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Reminder not found'));
+    });
+  });
+});
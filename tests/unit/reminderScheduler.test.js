@@ -0,0 +1,95 @@
+const Reminder = require('../../src/models/Reminder');
+const { fireDueReminders, startReminderScheduler } = require('../../src/jobs/reminderScheduler');
+
+// Mock the Reminder model
+jest.mock('../../src/models/Reminder');
+
+const pool = require('../../src/config/database');
+const { logger } = require('../../src/utils/logger');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Reminder scheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(logger, 'info');
+    jest.spyOn(logger, 'error');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('fireDueReminders', () => {
+    it('should fire due reminders and return them', async () => {
+      // Arrange
+      const reminders = [{ id: 1, note_id: 4 }, { id: 2, note_id: 4 }];
+      Reminder.fireDue.mockResolvedValue(reminders);
+
+      // Act
+      const fired = await fireDueReminders();
+
+      // Assert
+      expect(Reminder.fireDue).toHaveBeenCalledWith(100);
+      expect(fired).toEqual(reminders);
+      expect(logger.info).toHaveBeenCalledWith('Fired reminders', { count: 2 });
+    });
+
+    it('should keep firing while batches come back full', async () => {
+      // Arrange
+      const fullBatch = Array.from({ length: 100 }, (_, i) => ({ id: i + 1 }));
+      Reminder.fireDue
+        .mockResolvedValueOnce(fullBatch)
+        .mockResolvedValueOnce([{ id: 101 }]);
+
+      // Act
+      const fired = await fireDueReminders();
+
+      // Assert
+      expect(Reminder.fireDue).toHaveBeenCalledTimes(2);
+      expect(fired).toHaveLength(101);
+    });
+
+    it('should stay quiet when nothing is due', async () => {
+      // Arrange
+      Reminder.fireDue.mockResolvedValue([]);
+
+      // Act
+      await fireDueReminders();
+
+      // Assert
+      expect(logger.info).not.toHaveBeenCalled();
+    });
+
+    it('should log and swallow database errors', async () => {
+      // Arrange
+      Reminder.fireDue.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      const fired = await fireDueReminders();
+
+      // Assert
+      expect(fired).toEqual([]);
+      expect(logger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('startReminderScheduler', () => {
+    it('should check immediately and then on every interval until stopped', async () => {
+      // Arrange
+      jest.useFakeTimers();
+      Reminder.fireDue.mockResolvedValue([]);
+
+      // Act
+      const stop = startReminderScheduler({ intervalSeconds: 30 });
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+      stop();
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+
+      // Assert
+      expect(Reminder.fireDue).toHaveBeenCalledTimes(3);
+    });
+  });
+});
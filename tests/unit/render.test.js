@@ -0,0 +1,48 @@
+const { renderNote } = require('../../src/utils/render');
+
+describe('renderNote', () => {
+  describe('markdown', () => {
+    const render = (content) => renderNote({ format: 'markdown', content });
+
+    it('should render Markdown to HTML', () => {
+      expect(render('# Plan\n\n**Ship** it')).toBe('<h1>Plan</h1>\n<p><strong>Ship</strong> it</p>\n');
+    });
+
+    it('should keep comparison operators as text', () => {
+      expect(render('a < b > c')).toBe('<p>a &lt; b &gt; c</p>\n');
+    });
+
+    it('should escape HTML inside code blocks', () => {
+      expect(render('```js\nif (a < b) {}\n```')).toBe(
+        '<pre><code class="language-js">if (a &lt; b) {}\n</code></pre>\n'
+      );
+    });
+
+    it('should drop scripts, event handlers and unknown tags', () => {
+      const html = render('<script>alert(1)</script><img src="https://x.test/a.png" onerror="alert(1)"><iframe src="https://x.test"></iframe>');
+
+      expect(html).not.toMatch(/script|onerror|iframe/);
+      expect(html).toContain('<img src="https://x.test/a.png" />');
+    });
+
+    it('should drop javascript: links and open others safely', () => {
+      const html = render('[bad](javascript:alert(1)) [good](https://example.com)');
+
+      expect(html).not.toContain('javascript:');
+      expect(html).toContain('<a href="https://example.com" rel="noopener noreferrer nofollow" target="_blank">good</a>');
+    });
+
+    it('should keep task list checkboxes but no other inputs', () => {
+      expect(render('- [x] done')).toContain('<input checked disabled type="checkbox" />');
+      expect(render('<input type="text" value="x">')).not.toContain('<input');
+    });
+  });
+
+  describe('plain', () => {
+    it('should escape HTML and keep paragraphs and line breaks', () => {
+      expect(renderNote({ format: 'plain', content: 'a < b\n<b>bold</b>\n\n"quoted" & \'single\'' })).toBe(
+        '<p>a &lt; b<br>\n&lt;b&gt;bold&lt;/b&gt;</p>\n<p>&quot;quoted&quot; &amp; &#39;single&#39;</p>'
+      );
+    });
+  });
+});
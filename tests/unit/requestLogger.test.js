@@ -0,0 +1,108 @@
+const express = require('express');
+const request = require('supertest');
+const requestLogger = require('../../src/middleware/requestLogger');
+const { logger, currentRequestId } = require('../../src/utils/logger');
+
+// A small app with a router mounted like the API's
+const createApp = () => {
+  const app = express();
+  const router = express.Router();
+
+  router.get('/notes/:id', (req, res) => res.json({ requestId: currentRequestId() }));
+  router.get('/broken/:id', (req, res, next) => next(new Error('Database error')));
+
+  app.use(requestLogger);
+  app.use('/api', router);
+  app.use((err, req, res, next) => res.status(500).json({ requestId: currentRequestId() }));
+  return app;
+};
+
+// The request is logged once the response closes, just after supertest
+// has it
+const logged = async (spy) => {
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  return spy.mock.calls.map(([msg, fields]) => ({ msg, ...fields }));
+};
+
+describe('Request logger middleware', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'info');
+    jest.spyOn(logger, 'error');
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should generate a request id and echo it back', async () => {
+    // Act
+    const response = await request(app).get('/api/notes/5').expect(200);
+
+    // Assert
+    const requestId = response.headers['x-request-id'];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(response.body.requestId).toBe(requestId);
+  });
+
+  it('should keep a request id passed in the header', async () => {
+    // Act
+    const response = await request(app)
+      .get('/api/notes/5')
+      .set('X-Request-Id', 'edge-42.a')
+      .expect(200);
+
+    // Assert
+    expect(response.headers['x-request-id']).toBe('edge-42.a');
+    expect(response.body.requestId).toBe('edge-42.a');
+  });
+
+  it('should replace a request id that does not look like one', async () => {
+    // Act
+    const response = await request(app)
+      .get('/api/notes/5')
+      .set('X-Request-Id', 'id" injected="yes')
+      .expect(200);
+
+    // Assert
+    expect(response.headers['x-request-id']).not.toBe('id" injected="yes');
+  });
+
+  it('should log the method, route pattern, status and duration', async () => {
+    // Act
+    const response = await request(app).get('/api/notes/5').expect(200);
+
+    // Assert
+    expect(await logged(logger.info)).toEqual([{
+      msg: 'Request completed',
+      request_id: response.headers['x-request-id'],
+      method: 'GET',
+      route: '/api/notes/:id',
+      status: 200,
+      duration_ms: expect.any(Number),
+      user_id: undefined
+    }]);
+  });
+
+  it('should log failed requests as errors with the route they matched', async () => {
+    // Act
+    await request(app).get('/api/broken/5').expect(500);
+
+    // Assert
+    expect(await logged(logger.error)).toEqual([
+      expect.objectContaining({ msg: 'Request failed', route: '/api/broken/:id', status: 500 })
+    ]);
+  });
+
+  it('should log requests that match no route without one', async () => {
+    // Act
+    await request(app).get('/api/shared/secret-token').expect(404);
+
+    // Assert
+    const [entry] = await logged(logger.info);
+    expect(entry).toMatchObject({ status: 404, route: undefined });
+    expect(JSON.stringify(entry)).not.toContain('secret-token');
+  });
+});
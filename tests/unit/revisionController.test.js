@@ -0,0 +1,249 @@
+const revisionController = require('../../src/controllers/revisionController');
+const Note = require('../../src/models/Note');
+const NoteRevision = require('../../src/models/NoteRevision');
+
+// Mock the models
+jest.mock('../../src/models/Note');
+jest.mock('../../src/models/NoteRevision');
+
+const pool = require('../../src/config/database');
+const { appError } = require('../helpers/errors');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Revision Controller', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    // Reset mocks before each test
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = {
+      body: {},
+      params: { id: 1 },
+      query: {},
+      user: { id: 1 }
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('listRevisions', () => {
+    it('should return the revisions of a note', async () => {
+      // Arrange
+      const mockRevisions = [
+        { revision: 2, title: 'Second', created_at: new Date() },
+        { revision: 1, title: 'First', created_at: new Date() }
+      ];
+
+      Note.findById.mockResolvedValue({ id: 1 });
+      NoteRevision.findAllForNote.mockResolvedValue(mockRevisions);
+
+      // Act
+      await revisionController.listRevisions(req, res, next);
+
+      // Assert
+      expect(NoteRevision.findAllForNote).toHaveBeenCalledWith(1, 1);
+      expect(res.json).toHaveBeenCalledWith(mockRevisions);
+    });
+
+    it('should return 404 if note not found', async () => {
+      // Arrange
+      Note.findById.mockResolvedValue(undefined);
+
+      // Act
+      await revisionController.listRevisions(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Note not found'));
+      expect(NoteRevision.findAllForNote).not.toHaveBeenCalled();
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      Note.findById.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await revisionController.listRevisions(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('getRevision', () => {
+    it('should return a single revision', async () => {
+      // Arrange
+      req.params.rev = 2;
+      const mockRevision = { revision: 2, title: 'Second', content: 'Body' };
+
+      NoteRevision.findOne.mockResolvedValue(mockRevision);
+
+      // Act
+      await revisionController.getRevision(req, res, next);
+
+      // Assert
+      expect(NoteRevision.findOne).toHaveBeenCalledWith(1, 1, 2);
+      expect(res.json).toHaveBeenCalledWith(mockRevision);
+    });
+
+    it('should return 404 if revision not found', async () => {
+      // Arrange
+      req.params.rev = 9;
+      NoteRevision.findOne.mockResolvedValue(undefined);
+
+      // Act
+      await revisionController.getRevision(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Revision not found'));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.params.rev = 1;
+      NoteRevision.findOne.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await revisionController.getRevision(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('diffRevision', () => {
+    it('should diff a revision against the current note', async () => {
+      // Arrange
+      req.params.rev = 1;
+      req.query.to = 'current';
+      NoteRevision.findOne.mockResolvedValue({ revision: 1, title: 'Plan', content: 'one\ntwo\n' });
+      Note.findById.mockResolvedValue({ id: 1, title: 'Plan v2', content: 'one\nthree\n' });
+
+      // Act
+      await revisionController.diffRevision(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({
+        from: 1,
+        to: 'current',
+        title: { from: 'Plan', to: 'Plan v2', changed: true },
+        changes: [
+          { type: 'unchanged', value: 'one\n' },
+          { type: 'removed', value: 'two\n' },
+          { type: 'added', value: 'three\n' }
+        ]
+      });
+    });
+
+    it('should diff two revisions', async () => {
+      // Arrange
+      req.params.rev = 1;
+      req.query.to = '2';
+      NoteRevision.findOne
+        .mockResolvedValueOnce({ revision: 1, title: 'Plan', content: 'same' })
+        .mockResolvedValueOnce({ revision: 2, title: 'Plan', content: 'same' });
+
+      // Act
+      await revisionController.diffRevision(req, res, next);
+
+      // Assert
+      expect(NoteRevision.findOne).toHaveBeenLastCalledWith(1, 1, 2);
+      expect(res.json).toHaveBeenCalledWith({
+        from: 1,
+        to: 2,
+        title: { from: 'Plan', to: 'Plan', changed: false },
+        changes: [{ type: 'unchanged', value: 'same' }]
+      });
+    });
+
+    it('should return 404 if a revision is missing', async () => {
+      // Arrange
+      req.params.rev = 1;
+      req.query.to = '5';
+      NoteRevision.findOne
+        .mockResolvedValueOnce({ revision: 1, title: 'Plan', content: 'same' })
+        .mockResolvedValueOnce(undefined);
+
+      // Act
+      await revisionController.diffRevision(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Revision not found'));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.params.rev = 1;
+      NoteRevision.findOne.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await revisionController.diffRevision(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('restoreRevision', () => {
+    it('should restore a revision through a normal update', async () => {
+      // Arrange
+      req.params.rev = 1;
+      const restored = { id: 1, title: 'Plan', content: 'Original' };
+
+      NoteRevision.findOne.mockResolvedValue({ revision: 1, title: 'Plan', content: 'Original' });
+      Note.update.mockResolvedValue(restored);
+
+      // Act
+      await revisionController.restoreRevision(req, res, next);
+
+      // Assert
+      expect(Note.update).toHaveBeenCalledWith(1, 1, { title: 'Plan', content: 'Original' });
+      expect(res.json).toHaveBeenCalledWith(restored);
+    });
+
+    it('should return 404 if revision not found', async () => {
+      // Arrange
+      req.params.rev = 3;
+      NoteRevision.findOne.mockResolvedValue(undefined);
+
+      // Act
+      await revisionController.restoreRevision(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404));
+      expect(Note.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if the note disappeared before the update', async () => {
+      // Arrange
+      req.params.rev = 1;
+      NoteRevision.findOne.mockResolvedValue({ revision: 1, title: 'Plan', content: 'Original' });
+      Note.update.mockResolvedValue(undefined);
+
+      // Act
+      await revisionController.restoreRevision(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Note not found'));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.params.rev = 1;
+      NoteRevision.findOne.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await revisionController.restoreRevision(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+});
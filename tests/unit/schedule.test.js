@@ -0,0 +1,72 @@
+const { startPeriodicJob } = require('../../src/jobs/schedule');
+
+describe('startPeriodicJob', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should run immediately and then on every interval until stopped', async () => {
+    // Arrange
+    jest.useFakeTimers();
+    const run = jest.fn().mockResolvedValue();
+
+    // Act
+    const stop = startPeriodicJob(run, 5000);
+    await jest.advanceTimersByTimeAsync(10 * 1000);
+    stop();
+    await jest.advanceTimersByTimeAsync(10 * 1000);
+
+    // Assert
+    expect(run).toHaveBeenCalledTimes(3);
+  });
+
+  it('should skip a tick while the last run is still going', async () => {
+    // Arrange
+    jest.useFakeTimers();
+    let finishRun;
+    const run = jest.fn(() => new Promise((resolve) => { finishRun = resolve; }));
+
+    // Act
+    const stop = startPeriodicJob(run, 5000);
+    await jest.advanceTimersByTimeAsync(20 * 1000);
+    const runsWhileBusy = run.mock.calls.length;
+    finishRun();
+    await jest.advanceTimersByTimeAsync(5 * 1000);
+    stop();
+
+    // Assert
+    expect(runsWhileBusy).toBe(1);
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  it('should resolve the stop once the run in progress is done', async () => {
+    // Arrange
+    let finishRun;
+    const stopped = jest.fn();
+    const stop = startPeriodicJob(() => new Promise((resolve) => { finishRun = resolve; }), 5000);
+
+    // Act
+    stop().then(stopped);
+    await new Promise(setImmediate);
+    const stoppedBeforeRunEnded = stopped.mock.calls.length;
+    finishRun();
+    await new Promise(setImmediate);
+
+    // Assert
+    expect(stoppedBeforeRunEnded).toBe(0);
+    expect(stopped).toHaveBeenCalled();
+  });
+
+  it('should not keep the process alive', () => {
+    // Arrange
+    const unref = jest.fn();
+    jest.spyOn(global, 'setInterval').mockReturnValue({ unref });
+
+    // Act
+    startPeriodicJob(jest.fn(), 5000);
+
+    // Assert
+    expect(unref).toHaveBeenCalled();
+    global.setInterval.mockRestore();
+  });
+});
@@ -0,0 +1,56 @@
+const { buildTsQuery, toHighlightHtml } = require('../../src/utils/searchQuery');
+
+describe('buildTsQuery', () => {
+  it('should AND plain terms together', () => {
+    expect(buildTsQuery('meeting notes')).toBe('meeting & notes');
+  });
+
+  it('should turn quoted phrases into adjacency queries', () => {
+    expect(buildTsQuery('"project kickoff" agenda')).toBe('(project <-> kickoff) & agenda');
+  });
+
+  it('should support prefix matching with a trailing asterisk', () => {
+    expect(buildTsQuery('meet*')).toBe('meet:*');
+  });
+
+  it('should negate terms and phrases prefixed with a minus', () => {
+    expect(buildTsQuery('budget -draft -"old version"')).toBe('budget & !(draft) & !(old <-> version)');
+  });
+
+  it('should treat punctuated terms as phrases', () => {
+    expect(buildTsQuery('e-mail')).toBe('(e <-> mail)');
+  });
+
+  it('should strip tsquery operators from user input', () => {
+    expect(buildTsQuery("a&b | c:* !d ('e')")).toBe('(a <-> b) & c:* & d & e');
+  });
+
+  it('should ignore empty phrases and bare operators', () => {
+    expect(buildTsQuery('"" - * notes')).toBe('notes');
+  });
+
+  it('should return null when there is no positive term', () => {
+    expect(buildTsQuery('-draft')).toBeNull();
+    expect(buildTsQuery('   ')).toBeNull();
+  });
+
+  it('should return null for non-string input', () => {
+    expect(buildTsQuery(['a', 'b'])).toBeNull();
+    expect(buildTsQuery(undefined)).toBeNull();
+  });
+});
+
+describe('toHighlightHtml', () => {
+  it('should wrap highlighted matches in mark tags', () => {
+    expect(toHighlightHtml('the \uE000weekly\uE001 \uE000sync\uE001')).toBe('the <mark>weekly</mark> <mark>sync</mark>');
+  });
+
+  it('should escape markup in the text', () => {
+    expect(toHighlightHtml('<img src=x onerror=alert(1)> \uE000weekly\uE001'))
+      .toBe('&lt;img src=x onerror=alert(1)&gt; <mark>weekly</mark>');
+  });
+
+  it('should drop markers that are not part of a highlight', () => {
+    expect(toHighlightHtml('a \uE001b\uE000 c')).toBe('a b c');
+  });
+});
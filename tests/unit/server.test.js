@@ -0,0 +1,196 @@
+const http = require('http');
+const { startServer } = require('../../src/server');
+const { pendingMigrations } = require('../../src/db/migrator');
+const { waitForDatabase } = require('../../src/db/waitForDatabase');
+const { noteEventHub } = require('../../src/events/noteEventHub');
+const { startTrashPurgeJob } = require('../../src/jobs/trashPurge');
+const { startReminderScheduler } = require('../../src/jobs/reminderScheduler');
+const { startNoteEventPruneJob } = require('../../src/jobs/noteEventPrune');
+const { startWebhookDispatcher } = require('../../src/jobs/webhookDispatcher');
+
+// Mock the database checks, the background jobs and the event hub
+jest.mock('../../src/db/migrator');
+jest.mock('../../src/db/waitForDatabase');
+jest.mock('../../src/events/noteEventHub');
+jest.mock('../../src/jobs/trashPurge');
+jest.mock('../../src/jobs/reminderScheduler');
+jest.mock('../../src/jobs/noteEventPrune');
+jest.mock('../../src/jobs/webhookDispatcher');
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+});
+
+// Readiness checks hold their response until the test answers the
+// database query they make
+const slowRequests = [];
+const holdDatabaseQueries = () => {
+  jest.spyOn(pool, 'query').mockImplementation(() => new Promise((resolve) => {
+    slowRequests.push(() => resolve({ rows: [] }));
+  }));
+};
+
+const get = (port, path) => new Promise((resolve, reject) => {
+  http.get({ port, path }, (res) => {
+    let body = '';
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body }));
+  }).on('error', reject);
+});
+
+const untilRequestArrives = async () => {
+  while (slowRequests.length === 0) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+describe('Server', () => {
+  let stops;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    slowRequests.length = 0;
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+    waitForDatabase.mockResolvedValue();
+    pendingMigrations.mockResolvedValue([]);
+    noteEventHub.close.mockResolvedValue();
+    jest.spyOn(pool, 'end').mockResolvedValue();
+
+    stops = [jest.fn(), jest.fn(), jest.fn(), jest.fn().mockResolvedValue()];
+    [startTrashPurgeJob, startReminderScheduler, startNoteEventPruneJob, startWebhookDispatcher]
+      .forEach((start, i) => start.mockReturnValue(stops[i]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('startServer', () => {
+    it('should wait for the database, start the jobs and listen', async () => {
+      // Act
+      const { server, shutdown } = await startServer({ port: 0 });
+
+      // Assert
+      expect(waitForDatabase).toHaveBeenCalled();
+      expect(startWebhookDispatcher).toHaveBeenCalled();
+      expect((await get(server.address().port, '/health/live')).status).toBe(200);
+
+      await shutdown();
+    });
+
+    it('should refuse to start with pending migrations', async () => {
+      // Arrange
+      pendingMigrations.mockResolvedValue(['010_add_rate_limit_buckets']);
+
+      // Act & Assert
+      await expect(startServer({ port: 0 })).rejects.toThrow(
+        'Database has pending migrations (010_add_rate_limit_buckets); run npm run migrate'
+      );
+      expect(startTrashPurgeJob).not.toHaveBeenCalled();
+    });
+
+    it('should fail when the database never comes up', async () => {
+      // Arrange
+      waitForDatabase.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      // Act & Assert
+      await expect(startServer({ port: 0 })).rejects.toThrow('connect ECONNREFUSED');
+    });
+
+    it('should start without a database when notes are kept in memory', async () => {
+      // Arrange
+      process.env.NOTE_REPOSITORY = 'memory';
+      let memory;
+      jest.isolateModules(() => {
+        memory = {
+          server: require('../../src/server'),
+          migrator: require('../../src/db/migrator'),
+          waitForDatabase: require('../../src/db/waitForDatabase'),
+          trashPurge: require('../../src/jobs/trashPurge'),
+          reminderScheduler: require('../../src/jobs/reminderScheduler'),
+          noteEventPrune: require('../../src/jobs/noteEventPrune'),
+          webhookDispatcher: require('../../src/jobs/webhookDispatcher'),
+          eventHub: require('../../src/events/noteEventHub')
+        };
+      });
+      delete process.env.NOTE_REPOSITORY;
+      memory.trashPurge.startTrashPurgeJob.mockReturnValue(jest.fn());
+      memory.eventHub.noteEventHub.close.mockResolvedValue();
+
+      // Act
+      const { server, shutdown } = await memory.server.startServer({ port: 0 });
+      const ready = await get(server.address().port, '/health/ready');
+      await shutdown();
+
+      // Assert
+      expect(memory.waitForDatabase.waitForDatabase).not.toHaveBeenCalled();
+      expect(memory.migrator.pendingMigrations).not.toHaveBeenCalled();
+      expect(memory.trashPurge.startTrashPurgeJob).toHaveBeenCalled();
+      expect(memory.reminderScheduler.startReminderScheduler).not.toHaveBeenCalled();
+      expect(memory.noteEventPrune.startNoteEventPruneJob).not.toHaveBeenCalled();
+      expect(memory.webhookDispatcher.startWebhookDispatcher).not.toHaveBeenCalled();
+      expect(ready).toEqual({ status: 200, body: JSON.stringify({ status: 'ok', checks: {} }) });
+    });
+
+    it('should require JWT_SECRET', async () => {
+      // Arrange
+      const secret = process.env.JWT_SECRET;
+      delete process.env.JWT_SECRET;
+
+      // Act & Assert
+      await expect(startServer({ port: 0 })).rejects.toThrow('JWT_SECRET must be set');
+      process.env.JWT_SECRET = secret;
+    });
+  });
+
+  describe('shutdown', () => {
+    it('should let requests in flight finish, then stop everything', async () => {
+      // Arrange
+      holdDatabaseQueries();
+      const { server, shutdown } = await startServer({ port: 0 });
+      const { port } = server.address();
+      const inFlight = get(port, '/health/ready');
+      await untilRequestArrives();
+
+      // Act
+      const stopping = shutdown();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      const poolEndedEarly = pool.end.mock.calls.length;
+      slowRequests[0]();
+      await stopping;
+
+      // Assert
+      expect((await inFlight).status).toBe(200);
+      expect(poolEndedEarly).toBe(0);
+      expect(pool.end).toHaveBeenCalled();
+      expect(noteEventHub.close).toHaveBeenCalled();
+      stops.forEach((stop) => expect(stop).toHaveBeenCalled());
+      expect(server.listening).toBe(false);
+    });
+
+    it('should only shut down once', async () => {
+      // Arrange
+      const { shutdown } = await startServer({ port: 0 });
+
+      // Act
+      await Promise.all([shutdown(), shutdown()]);
+
+      // Assert
+      expect(pool.end).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cut connections still open after the deadline', async () => {
+      // Arrange
+      holdDatabaseQueries();
+      const { server, shutdown } = await startServer({ port: 0, shutdownTimeoutSeconds: 0.05 });
+      const inFlight = get(server.address().port, '/health/ready');
+      await untilRequestArrives();
+
+      // Act & Assert
+      await expect(shutdown()).rejects.toThrow('Shutdown took longer than 0.05 seconds');
+      await expect(inFlight).rejects.toThrow();
+    });
+  });
+});
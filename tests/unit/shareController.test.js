@@ -0,0 +1,250 @@
+const bcrypt = require('bcryptjs');
+const shareController = require('../../src/controllers/shareController');
+const NoteShare = require('../../src/models/NoteShare');
+const Note = require('../../src/models/Note');
+const { hashShareToken } = require('../../src/utils/shareToken');
+
+// Mock the NoteShare and Note models
+jest.mock('../../src/models/NoteShare');
+jest.mock('../../src/models/Note');
+
+const pool = require('../../src/config/database');
+const { appError, validationError } = require('../helpers/errors');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Share Controller', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    // Reset mocks before each test
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      headers: {},
+      user: { id: 1 },
+      get: jest.fn((name) => req.headers[name.toLowerCase()])
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('createShare', () => {
+    it('should create a share and return its token once', async () => {
+      // Arrange
+      req.params.id = 5;
+      const mockShare = { id: 1, note_id: 5, has_password: false, access_count: 0 };
+      NoteShare.create.mockResolvedValue(mockShare);
+
+      // Act
+      await shareController.createShare(req, res, next);
+
+      // Assert
+      const [, , { tokenHash, passwordHash, expiresAt }] = NoteShare.create.mock.calls[0];
+      const body = res.json.mock.calls[0][0];
+
+      expect(NoteShare.create).toHaveBeenCalledWith(1, 5, expect.any(Object));
+      expect(passwordHash).toBeNull();
+      expect(expiresAt).toBeUndefined();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(body).toEqual({ ...mockShare, token: expect.any(String), url: `/api/shared/${body.token}` });
+      expect(hashShareToken(body.token)).toBe(tokenHash);
+    });
+
+    it('should store a hash of the password and the expiry', async () => {
+      // Arrange
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+      req.params.id = 5;
+      req.body = { password: 'open sesame', expires_at: expiresAt };
+      NoteShare.create.mockResolvedValue({ id: 1, has_password: true });
+
+      // Act
+      await shareController.createShare(req, res, next);
+
+      // Assert
+      const [, , options] = NoteShare.create.mock.calls[0];
+      expect(options.expiresAt).toBe(expiresAt);
+      expect(options.passwordHash).not.toBe('open sesame');
+      expect(await bcrypt.compare('open sesame', options.passwordHash)).toBe(true);
+    });
+
+    it('should return 400 for an expiry in the past', async () => {
+      // Arrange
+      req.params.id = 5;
+      req.body = { expires_at: new Date('2020-01-01') };
+
+      // Act
+      await shareController.createShare(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(validationError({ field: 'expires_at', rule: 'future' }));
+      expect(NoteShare.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if note not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      NoteShare.create.mockResolvedValue(undefined);
+
+      // Act
+      await shareController.createShare(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Note not found'));
+    });
+  });
+
+  describe('listShares', () => {
+    it('should list the shares of a note', async () => {
+      // Arrange
+      req.params.id = 5;
+      const mockShares = [{ id: 2, access_count: 3 }, { id: 1, access_count: 0 }];
+      Note.findById.mockResolvedValue({ id: 5 });
+      NoteShare.findAllForNote.mockResolvedValue(mockShares);
+
+      // Act
+      await shareController.listShares(req, res, next);
+
+      // Assert
+      expect(Note.findById).toHaveBeenCalledWith(1, 5);
+      expect(NoteShare.findAllForNote).toHaveBeenCalledWith(1, 5);
+      expect(res.json).toHaveBeenCalledWith({ data: mockShares });
+    });
+
+    it('should return 404 if the note is not found', async () => {
+      // Arrange
+      req.params.id = 5;
+      Note.findById.mockResolvedValue(undefined);
+
+      // Act
+      await shareController.listShares(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Note not found'));
+      expect(NoteShare.findAllForNote).not.toHaveBeenCalled();
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.params.id = 5;
+      Note.findById.mockResolvedValue({ id: 5 });
+      NoteShare.findAllForNote.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await shareController.listShares(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('revokeShare', () => {
+    it('should revoke a share', async () => {
+      // Arrange
+      req.params = { id: 5, shareId: 2 };
+      const mockShare = { id: 2, revoked_at: new Date() };
+      NoteShare.revoke.mockResolvedValue(mockShare);
+
+      // Act
+      await shareController.revokeShare(req, res, next);
+
+      // Assert
+      expect(NoteShare.revoke).toHaveBeenCalledWith(1, 5, 2);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Share revoked successfully', share: mockShare });
+    });
+
+    it('should return 404 if share not found or already revoked', async () => {
+      // Arrange
+      req.params = { id: 5, shareId: 2 };
+      NoteShare.revoke.mockResolvedValue(undefined);
+
+      // Act
+      await shareController.revokeShare(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Share not found'));
+    });
+  });
+
+  describe('getSharedNote', () => {
+    const sharedNote = { id: 3, password_hash: null, title: 'Plan', content: 'Body', updated_at: '2026-01-01' };
+
+    it('should return only the public fields and record the access', async () => {
+      // Arrange
+      req.params.token = 'abc';
+      NoteShare.findActiveByTokenHash.mockResolvedValue(sharedNote);
+
+      // Act
+      await shareController.getSharedNote(req, res, next);
+
+      // Assert
+      expect(NoteShare.findActiveByTokenHash).toHaveBeenCalledWith(hashShareToken('abc'));
+      expect(NoteShare.recordAccess).toHaveBeenCalledWith(3);
+      expect(res.json).toHaveBeenCalledWith({ title: 'Plan', content: 'Body', updated_at: '2026-01-01' });
+    });
+
+    it('should return 404 for unknown, revoked or expired tokens', async () => {
+      // Arrange
+      req.params.token = 'abc';
+      NoteShare.findActiveByTokenHash.mockResolvedValue(undefined);
+
+      // Act
+      await shareController.getSharedNote(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Shared note not found'));
+      expect(NoteShare.recordAccess).not.toHaveBeenCalled();
+    });
+
+    describe('with a password', () => {
+      beforeEach(() => {
+        req.params.token = 'abc';
+        NoteShare.findActiveByTokenHash.mockResolvedValue({
+          ...sharedNote,
+          password_hash: bcrypt.hashSync('open sesame', 4)
+        });
+      });
+
+      it('should return the note for the right password', async () => {
+        // Arrange
+        req.headers['x-share-password'] = 'open sesame';
+
+        // Act
+        await shareController.getSharedNote(req, res, next);
+
+        // Assert
+        expect(res.json).toHaveBeenCalledWith({ title: 'Plan', content: 'Body', updated_at: '2026-01-01' });
+      });
+
+      it('should return 401 without a password', async () => {
+        // Act
+        await shareController.getSharedNote(req, res, next);
+
+        // Assert
+        expect(next).toHaveBeenCalledWith(appError(401));
+        expect(NoteShare.recordAccess).not.toHaveBeenCalled();
+      });
+
+      it('should return 401 for the wrong password', async () => {
+        // Arrange
+        req.headers['x-share-password'] = 'guess';
+
+        // Act
+        await shareController.getSharedNote(req, res, next);
+
+        // Assert
+        expect(next).toHaveBeenCalledWith(appError(401, 'Invalid share password'));
+        expect(NoteShare.recordAccess).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
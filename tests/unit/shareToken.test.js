@@ -0,0 +1,20 @@
+const { generateShareToken, hashShareToken } = require('../../src/utils/shareToken');
+
+describe('generateShareToken', () => {
+  it('should generate a URL-safe token with 256 bits of randomness', () => {
+    const { token } = generateShareToken();
+
+    expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+  });
+
+  it('should return the hash of the token', () => {
+    const { token, tokenHash } = generateShareToken();
+
+    expect(tokenHash).toBe(hashShareToken(token));
+    expect(tokenHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('should generate a different token every time', () => {
+    expect(generateShareToken().token).not.toBe(generateShareToken().token);
+  });
+});
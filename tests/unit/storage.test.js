@@ -0,0 +1,44 @@
+const { storage, createStorage, deleteFiles } = require('../../src/storage');
+const { logger } = require('../../src/utils/logger');
+
+describe('Storage', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createStorage', () => {
+    it('should create the local driver by default', () => {
+      expect(createStorage()).toEqual({
+        save: expect.any(Function),
+        createReadStream: expect.any(Function),
+        delete: expect.any(Function)
+      });
+    });
+
+    it('should reject an unknown driver', () => {
+      expect(() => createStorage('ftp')).toThrow('Unknown STORAGE_DRIVER "ftp" (expected one of: local)');
+    });
+  });
+
+  describe('deleteFiles', () => {
+    it('should delete every file', async () => {
+      jest.spyOn(storage, 'delete').mockResolvedValue();
+
+      await deleteFiles(['1/a', '2/b']);
+
+      expect(storage.delete).toHaveBeenCalledWith('1/a');
+      expect(storage.delete).toHaveBeenCalledWith('2/b');
+    });
+
+    it('should log files that could not be deleted and carry on', async () => {
+      const error = new Error('EACCES');
+      jest.spyOn(storage, 'delete').mockRejectedValueOnce(error).mockResolvedValueOnce();
+      jest.spyOn(logger, 'error');
+
+      await expect(deleteFiles(['1/a', '2/b'])).resolves.toBeUndefined();
+
+      expect(storage.delete).toHaveBeenCalledTimes(2);
+      expect(logger.error).toHaveBeenCalledWith('Error deleting stored file', { key: '1/a', error });
+    });
+  });
+});
@@ -0,0 +1,253 @@
+const tagController = require('../../src/controllers/tagController');
+const Tag = require('../../src/models/Tag');
+
+// Mock the Tag model
+jest.mock('../../src/models/Tag');
+
+const pool = require('../../src/config/database');
+const { appError, validationError } = require('../helpers/errors');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Tag Controller', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    // Reset mocks before each test
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: 1 }
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('getAllTags', () => {
+    it('should return all tags with note counts', async () => {
+      // Arrange
+      const mockTags = [
+        { id: 1, name: 'ideas', note_count: 2 },
+        { id: 2, name: 'work', note_count: 5 }
+      ];
+
+      Tag.findAll.mockResolvedValue(mockTags);
+
+      // Act
+      await tagController.getAllTags(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith(mockTags);
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      Tag.findAll.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await tagController.getAllTags(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('renameTag', () => {
+    it('should rename a tag', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.body = { name: 'projects' };
+      const mockTag = { id: 1, name: 'projects', note_count: 3 };
+
+      Tag.findByName.mockResolvedValue(undefined);
+      Tag.rename.mockResolvedValue(mockTag);
+
+      // Act
+      await tagController.renameTag(req, res, next);
+
+      // Assert
+      expect(Tag.rename).toHaveBeenCalledWith(1, 1, 'projects');
+      expect(res.json).toHaveBeenCalledWith(mockTag);
+    });
+
+    it('should allow renaming a tag to its own name', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.body = { name: 'work' };
+
+      Tag.findByName.mockResolvedValue({ id: 1, name: 'work' });
+      Tag.rename.mockResolvedValue({ id: 1, name: 'work' });
+
+      // Act
+      await tagController.renameTag(req, res, next);
+
+      // Assert
+      expect(Tag.rename).toHaveBeenCalledWith(1, 1, 'work');
+    });
+
+    it('should return 409 if another tag already has the name', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.body = { name: 'work' };
+      Tag.findByName.mockResolvedValue({ id: 2, name: 'work' });
+
+      // Act
+      await tagController.renameTag(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(409));
+      expect(Tag.rename).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 if a concurrent rename takes the name first', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.body = { name: 'work' };
+      Tag.findByName.mockResolvedValue(undefined);
+      Tag.rename.mockRejectedValue(Object.assign(new Error('duplicate key value'), { code: '23505' }));
+
+      // Act
+      await tagController.renameTag(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(409, 'A tag with that name already exists; merge the tags instead'));
+    });
+
+    it('should return 404 if tag not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      req.body = { name: 'work' };
+      Tag.findByName.mockResolvedValue(undefined);
+      Tag.rename.mockResolvedValue(undefined);
+
+      // Act
+      await tagController.renameTag(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Tag not found'));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.body = { name: 'work' };
+      Tag.findByName.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await tagController.renameTag(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('mergeTag', () => {
+    it('should merge a tag into the target tag', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.body = { targetId: 2 };
+      const mockTag = { id: 2, name: 'work', note_count: 7 };
+
+      Tag.merge.mockResolvedValue(mockTag);
+
+      // Act
+      await tagController.mergeTag(req, res, next);
+
+      // Assert
+      expect(Tag.merge).toHaveBeenCalledWith(1, 1, 2);
+      expect(res.json).toHaveBeenCalledWith(mockTag);
+    });
+
+    it('should return 400 when merging a tag into itself', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.body = { targetId: 1 };
+
+      // Act
+      await tagController.mergeTag(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(validationError({ field: 'targetId', rule: 'notSelf', message: 'Cannot merge a tag into itself' }));
+      expect(Tag.merge).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if either tag is not found', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.body = { targetId: 999 };
+      Tag.merge.mockResolvedValue(undefined);
+
+      // Act
+      await tagController.mergeTag(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.params.id = 1;
+      req.body = { targetId: 2 };
+      Tag.merge.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await tagController.mergeTag(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('deleteTag', () => {
+    it('should delete a tag', async () => {
+      // Arrange
+      req.params.id = 1;
+      const mockTag = { id: 1, name: 'work' };
+
+      Tag.delete.mockResolvedValue(mockTag);
+
+      // Act
+      await tagController.deleteTag(req, res, next);
+
+      // Assert
+      expect(Tag.delete).toHaveBeenCalledWith(1, 1);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Tag deleted successfully',
+        tag: mockTag
+      });
+    });
+
+    it('should return 404 if tag not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      Tag.delete.mockResolvedValue(undefined);
+
+      // Act
+      await tagController.deleteTag(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.params.id = 1;
+      Tag.delete.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await tagController.deleteTag(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const pool = require('../../src/config/database');
+const { withTransaction } = require('../../src/db/transaction');
+
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn()
+}));
+
+describe('withTransaction', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  it('should commit and return the callback result', async () => {
+    // Act
+    const result = await withTransaction(async (db) => {
+      await db.query('SELECT 1');
+      return 'done';
+    });
+
+    // Assert
+    expect(result).toBe('done');
+    expect(client.query.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN', 'SELECT 1', 'COMMIT']);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should roll back and rethrow when the callback fails', async () => {
+    // Act & Assert
+    await expect(withTransaction(async () => {
+      throw new Error('Query failed');
+    })).rejects.toThrow('Query failed');
+
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should join an open transaction when given its client', async () => {
+    // Arrange
+    const outerClient = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    // Act
+    const result = await withTransaction(async (db) => {
+      await db.query('SELECT 1');
+      return 'done';
+    }, outerClient);
+
+    // Assert
+    expect(result).toBe('done');
+    expect(outerClient.query.mock.calls).toEqual([['SELECT 1']]);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
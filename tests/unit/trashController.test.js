@@ -0,0 +1,143 @@
+const trashController = require('../../src/controllers/trashController');
+const Note = require('../../src/models/Note');
+
+// Mock the Note model
+jest.mock('../../src/models/Note');
+
+const pool = require('../../src/config/database');
+const { appError } = require('../helpers/errors');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Trash Controller', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    // Reset mocks before each test
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: 1 }
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('getTrash', () => {
+    it('should return notes in the trash', async () => {
+      // Arrange
+      const mockNotes = [{ id: 3, title: 'Old', deleted_at: new Date() }];
+      Note.findDeleted.mockResolvedValue(mockNotes);
+
+      // Act
+      await trashController.getTrash(req, res, next);
+
+      // Assert
+      expect(Note.findDeleted).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenCalledWith(mockNotes);
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      Note.findDeleted.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await trashController.getTrash(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('restoreNote', () => {
+    it('should restore a note from the trash', async () => {
+      // Arrange
+      req.params.id = 3;
+      const mockNote = { id: 3, title: 'Old', deleted_at: null };
+      Note.restore.mockResolvedValue(mockNote);
+
+      // Act
+      await trashController.restoreNote(req, res, next);
+
+      // Assert
+      expect(Note.restore).toHaveBeenCalledWith(1, 3);
+      expect(res.json).toHaveBeenCalledWith(mockNote);
+    });
+
+    it('should return 404 if note is not in the trash', async () => {
+      // Arrange
+      req.params.id = 3;
+      Note.restore.mockResolvedValue(undefined);
+
+      // Act
+      await trashController.restoreNote(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Note not found in trash'));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.params.id = 3;
+      Note.restore.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await trashController.restoreNote(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('purgeNote', () => {
+    it('should permanently delete a note in the trash', async () => {
+      // Arrange
+      req.params.id = 3;
+      const mockNote = { id: 3, title: 'Old' };
+      Note.purge.mockResolvedValue(mockNote);
+
+      // Act
+      await trashController.purgeNote(req, res, next);
+
+      // Assert
+      expect(Note.purge).toHaveBeenCalledWith(1, 3);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Note permanently deleted',
+        note: mockNote
+      });
+    });
+
+    it('should return 404 if note is not in the trash', async () => {
+      // Arrange
+      req.params.id = 3;
+      Note.purge.mockResolvedValue(undefined);
+
+      // Act
+      await trashController.purgeNote(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404));
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      req.params.id = 3;
+      Note.purge.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await trashController.purgeNote(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+});
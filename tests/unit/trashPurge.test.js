@@ -0,0 +1,95 @@
+const Note = require('../../src/models/Note');
+const { purgeExpiredNotes, startTrashPurgeJob } = require('../../src/jobs/trashPurge');
+
+// Mock the Note model
+jest.mock('../../src/models/Note');
+
+const pool = require('../../src/config/database');
+const { logger } = require('../../src/utils/logger');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Trash purge job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(logger, 'info');
+    jest.spyOn(logger, 'error');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('purgeExpiredNotes', () => {
+    it('should purge notes older than the retention period', async () => {
+      // Arrange
+      Note.purgeExpired.mockResolvedValue(2);
+
+      // Act
+      const purged = await purgeExpiredNotes(30);
+
+      // Assert
+      expect(Note.purgeExpired).toHaveBeenCalledWith(30);
+      expect(purged).toBe(2);
+      expect(logger.info).toHaveBeenCalledWith('Purged notes from the trash', { count: 2 });
+    });
+
+    it('should stay quiet when nothing was purged', async () => {
+      // Arrange
+      Note.purgeExpired.mockResolvedValue(0);
+
+      // Act
+      await purgeExpiredNotes(30);
+
+      // Assert
+      expect(logger.info).not.toHaveBeenCalled();
+    });
+
+    it('should log and swallow database errors', async () => {
+      // Arrange
+      Note.purgeExpired.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      const purged = await purgeExpiredNotes(30);
+
+      // Assert
+      expect(purged).toBe(0);
+      expect(logger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('startTrashPurgeJob', () => {
+    it('should purge immediately and then on every interval until stopped', async () => {
+      // Arrange
+      jest.useFakeTimers();
+      Note.purgeExpired.mockResolvedValue(0);
+
+      // Act
+      const stop = startTrashPurgeJob({ retentionDays: 7, intervalMinutes: 5 });
+      await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+      stop();
+      await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+
+      // Assert
+      expect(Note.purgeExpired).toHaveBeenCalledTimes(3);
+      expect(Note.purgeExpired).toHaveBeenCalledWith(7);
+    });
+
+    it('should read the retention period from the environment', () => {
+      // Arrange
+      jest.useFakeTimers();
+      process.env.TRASH_RETENTION_DAYS = '14';
+      Note.purgeExpired.mockResolvedValue(0);
+
+      // Act
+      const stop = startTrashPurgeJob();
+      stop();
+      delete process.env.TRASH_RETENTION_DAYS;
+
+      // Assert
+      expect(Note.purgeExpired).toHaveBeenCalledWith(14);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const { createUserRepository } = require('../../src/repositories');
+const { createMemoryUserRepository } = require('../../src/repositories/memoryUserRepository');
+const { USER_METHODS } = require('../../src/repositories/postgresUserRepository');
+const User = require('../../src/models/User');
+
+jest.mock('../../src/models/User');
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('User repositories', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createUserRepository', () => {
+    it('should create either repository with the same methods', () => {
+      expect(Object.keys(createUserRepository('postgres')).sort()).toEqual([...USER_METHODS].sort());
+      expect(Object.keys(createUserRepository('memory')).sort()).toEqual([...USER_METHODS].sort());
+    });
+
+    it('should reject an unknown repository', () => {
+      expect(() => createUserRepository('mongo'))
+        .toThrow('Unknown NOTE_REPOSITORY "mongo" (expected one of: postgres, memory)');
+    });
+  });
+
+  describe('Postgres repository', () => {
+    it('should pass calls through to the User model', async () => {
+      // Arrange
+      const repository = createUserRepository('postgres');
+      User.findByEmail.mockResolvedValue({ id: 5 });
+
+      // Act
+      const user = await repository.findByEmail('a@example.com');
+
+      // Assert
+      expect(user).toEqual({ id: 5 });
+      expect(User.findByEmail).toHaveBeenCalledWith('a@example.com');
+    });
+  });
+
+  describe('in-memory repository', () => {
+    const createdAt = new Date('2026-06-01T00:00:00.000Z');
+    let repository;
+
+    beforeEach(() => {
+      repository = createMemoryUserRepository({ now: () => createdAt });
+    });
+
+    it('should create users with increasing ids and without their password hash', async () => {
+      // Act
+      const first = await repository.create('a@example.com', 'hash-a');
+      const second = await repository.create('b@example.com', 'hash-b');
+
+      // Assert
+      expect(first).toEqual({ id: 1, email: 'a@example.com', created_at: createdAt });
+      expect(second.id).toBe(2);
+    });
+
+    it('should find a user by email with their password hash', async () => {
+      // Arrange
+      await repository.create('a@example.com', 'hash-a');
+
+      // Act & Assert
+      expect(await repository.findByEmail('a@example.com'))
+        .toEqual({ id: 1, email: 'a@example.com', created_at: createdAt, password_hash: 'hash-a' });
+      expect(await repository.findByEmail('b@example.com')).toBeUndefined();
+    });
+
+    it('should reject a taken email with the code Postgres uses', async () => {
+      // Arrange
+      await repository.create('a@example.com', 'hash-a');
+
+      // Act & Assert
+      await expect(repository.create('a@example.com', 'hash-b')).rejects.toMatchObject({ code: '23505' });
+    });
+
+    it('should not let callers change stored users', async () => {
+      // Arrange
+      const user = await repository.create('a@example.com', 'hash-a');
+
+      // Act
+      user.email = 'changed@example.com';
+      (await repository.findByEmail('a@example.com')).created_at.setFullYear(2000);
+
+      // Assert
+      expect(await repository.findByEmail('a@example.com'))
+        .toMatchObject({ email: 'a@example.com', created_at: createdAt });
+    });
+  });
+});
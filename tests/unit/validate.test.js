@@ -0,0 +1,354 @@
+const validate = require('../../src/middleware/validate');
+const noteSchemas = require('../../src/schemas/noteSchemas');
+const tagSchemas = require('../../src/schemas/tagSchemas');
+const { checkSchema } = require('../../src/utils/validation');
+const { ValidationError } = require('../../src/errors');
+
+describe('validate middleware', () => {
+  let next;
+
+  // Runs a request through validate() and returns the request and the
+  // details of the ValidationError, if any
+  const run = (schemas, { params = {}, query = {}, body } = {}) => {
+    const req = { params, query, body };
+    validate(schemas)(req, {}, next);
+
+    const [error] = next.mock.calls[0];
+    return { req, error, details: error ? error.details : [] };
+  };
+
+  const rules = (details) => details.map(({ field, rule }) => ({ field, rule }));
+
+  beforeEach(() => {
+    next = jest.fn();
+  });
+
+  describe('request handling', () => {
+    it('should collect the errors from params, query and body in one ValidationError', () => {
+      // Act
+      const { error, details } = run(noteSchemas.replaceNote, {
+        params: { id: 'abc' },
+        body: { title: '', content: 42, format: 'rtf' }
+      });
+
+      // Assert
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.statusCode).toBe(400);
+      expect(error.code).toBe('VALIDATION_FAILED');
+      expect(details).toEqual([
+        { field: 'id', location: 'params', rule: 'type', message: 'id must be a positive integer' },
+        { field: 'title', location: 'body', rule: 'notEmpty', message: 'Title cannot be empty' },
+        { field: 'content', location: 'body', rule: 'type', message: 'Content must be a string' },
+        { field: 'format', location: 'body', rule: 'enum', message: 'Format must be one of: plain, markdown' }
+      ]);
+    });
+
+    it('should replace each part with its cleaned-up values and drop unknown fields', () => {
+      // Act
+      const { req, error } = run(noteSchemas.replaceNote, {
+        params: { id: '12' },
+        body: { title: '  Plan  ', content: ' Body ', user_id: 7 }
+      });
+
+      // Assert
+      expect(error).toBeUndefined();
+      expect(next).toHaveBeenCalledWith();
+      expect(req.params).toEqual({ id: 12 });
+      expect(req.body).toEqual({ title: 'Plan', content: 'Body' });
+    });
+
+    it('should report a missing body as missing fields', () => {
+      // Act
+      const { details } = run(noteSchemas.createNote, {});
+
+      // Assert
+      expect(rules(details)).toEqual([
+        { field: 'title', rule: 'required' },
+        { field: 'content', rule: 'required' }
+      ]);
+    });
+
+    it('should reject a body that is not an object', () => {
+      // Act
+      const { details } = run(noteSchemas.createNote, { body: ['title'] });
+
+      // Assert
+      expect(details).toEqual([
+        { field: 'body', location: 'body', rule: 'type', message: 'body must be an object' }
+      ]);
+    });
+
+    it('should not convert body values from text', () => {
+      // Act
+      const { details } = run(tagSchemas.mergeTag, { params: { id: '1' }, body: { targetId: '2' } });
+
+      // Assert
+      expect(rules(details)).toEqual([{ field: 'targetId', rule: 'type' }]);
+    });
+  });
+
+  describe('ids', () => {
+    it.each(['abc', '0', '-1', '1.5', ''])('should reject %p as an id', (id) => {
+      // Act
+      const { details } = run(noteSchemas.getNote, { params: { id } });
+
+      // Assert
+      expect(details[0]).toEqual(expect.objectContaining({ field: 'id', location: 'params' }));
+    });
+
+    it('should reject ids too large for the database', () => {
+      // Act
+      const { details } = run(noteSchemas.getNote, { params: { id: '2147483648' } });
+
+      // Assert
+      expect(rules(details)).toEqual([{ field: 'id', rule: 'max' }]);
+    });
+
+    it('should check revision numbers too', () => {
+      // Act
+      const { details } = run(noteSchemas.getRevision, { params: { id: '1', rev: 'latest' } });
+
+      // Assert
+      expect(details).toEqual([expect.objectContaining({
+        field: 'rev',
+        rule: 'type',
+        message: 'Revision must be a positive integer'
+      })]);
+    });
+  });
+
+  describe('note bodies', () => {
+    it('should trim both fields but only sanitize the title', () => {
+      // Act
+      const { req } = run(noteSchemas.createNote, {
+        body: { title: '  <script>x</script>a < b > c  ', content: '  <b>Body</b>  ' }
+      });
+
+      // Assert
+      expect(req.body).toEqual({ title: 'xa < b > c', content: '<b>Body</b>' });
+    });
+
+    it('should reject a title that is empty after trimming or sanitizing', () => {
+      // Act
+      const trimmed = run(noteSchemas.createNote, { body: { title: '   ', content: 'Body' } });
+      next.mockClear();
+      const sanitized = run(noteSchemas.createNote, { body: { title: '<br>', content: 'Body' } });
+
+      // Assert
+      expect(rules(trimmed.details)).toEqual([{ field: 'title', rule: 'notEmpty' }]);
+      expect(rules(sanitized.details)).toEqual([{ field: 'title', rule: 'notEmpty' }]);
+    });
+
+    it('should enforce maximum lengths', () => {
+      // Act
+      const { details } = run(noteSchemas.createNote, {
+        body: { title: 'a'.repeat(256), content: 'a'.repeat(501) }
+      });
+
+      // Assert
+      expect(details.map(({ message }) => message)).toEqual([
+        'Title must be 255 characters or less',
+        'Content must be 500 characters or less'
+      ]);
+    });
+
+    it('should trim, sanitize and de-duplicate tags', () => {
+      // Act
+      const { req } = run(noteSchemas.createNote, {
+        body: { title: 'Plan', content: 'Body', tags: [' work ', '<i>work</i>', 'ideas'] }
+      });
+
+      // Assert
+      expect(req.body.tags).toEqual(['work', 'ideas']);
+    });
+
+    it('should report every invalid tag by position', () => {
+      // Act
+      const { details } = run(noteSchemas.createNote, {
+        body: { title: 'Plan', content: 'Body', tags: ['ok', '  ', 7, '<br>', 'a'.repeat(256)] }
+      });
+
+      // Assert
+      expect(rules(details)).toEqual([
+        { field: 'tags[1]', rule: 'notEmpty' },
+        { field: 'tags[2]', rule: 'type' },
+        { field: 'tags[3]', rule: 'notEmpty' },
+        { field: 'tags[4]', rule: 'maxLength' }
+      ]);
+    });
+
+    it('should reject tags that are not an array', () => {
+      // Act
+      const { details } = run(noteSchemas.createNote, { body: { title: 'Plan', content: 'Body', tags: 'work' } });
+
+      // Assert
+      expect(details[0].message).toBe('Tags must be an array');
+    });
+
+    it('should accept any subset of fields for a patch', () => {
+      // Act
+      const { req, error } = run(noteSchemas.patchNote, { params: { id: '1' }, body: { format: 'markdown' } });
+
+      // Assert
+      expect(error).toBeUndefined();
+      expect(req.body).toEqual({ format: 'markdown' });
+    });
+
+    it('should keep an explicit null for a nullable field', () => {
+      // Act
+      const { req, error } = run(noteSchemas.patchNote, { params: { id: '1' }, body: { notebook_id: null } });
+
+      // Assert
+      expect(error).toBeUndefined();
+      expect(req.body).toEqual({ notebook_id: null });
+    });
+
+    it('should only accept colors from the palette', () => {
+      // Act
+      const { details } = run(noteSchemas.patchNote, { params: { id: '1' }, body: { color: 'teal' } });
+
+      // Assert
+      expect(details[0].message).toBe('Color must be one of: red, orange, yellow, green, blue, purple, pink, gray');
+    });
+
+    it('should treat null as missing for other fields', () => {
+      // Act
+      const { details } = run(noteSchemas.patchNote, { params: { id: '1' }, body: { title: null } });
+
+      // Assert
+      expect(rules(details)).toEqual([{ field: 'title, content, format, tags, notebook_id, color', rule: 'atLeastOne' }]);
+    });
+
+    it('should require at least one field for a patch', () => {
+      // Act
+      const { details } = run(noteSchemas.patchNote, { params: { id: '1' }, body: {} });
+
+      // Assert
+      expect(details).toEqual([{
+        field: 'title, content, format, tags, notebook_id, color',
+        location: 'body',
+        rule: 'atLeastOne',
+        message: 'At least one of title, content, format, tags, notebook_id, color is required'
+      }]);
+    });
+  });
+
+  describe('list queries', () => {
+    it('should fill in defaults', () => {
+      // Act
+      const { req } = run(noteSchemas.listNotes);
+
+      // Assert
+      expect(req.query).toEqual({
+        limit: 20,
+        sort: 'created_at',
+        order: 'desc',
+        includeDeleted: false,
+        archived: false,
+        tagMatch: 'any',
+        recursive: false
+      });
+    });
+
+    it('should convert query values to their types', () => {
+      // Act
+      const { req } = run(noteSchemas.listNotes, {
+        query: { limit: '5', includeDeleted: 'true', createdAfter: '2026-01-01', tag: ' work ' }
+      });
+
+      // Assert
+      expect(req.query).toEqual(expect.objectContaining({
+        limit: 5,
+        includeDeleted: true,
+        createdAfter: new Date('2026-01-01'),
+        tag: ['work']
+      }));
+    });
+
+    it('should report every invalid parameter', () => {
+      // Act
+      const { details } = run(noteSchemas.listNotes, {
+        query: {
+          limit: '500',
+          sort: 'author',
+          order: 'up',
+          includeDeleted: 'yes',
+          createdBefore: 'yesterday',
+          tag: ['work', ' '],
+          tagMatch: 'some'
+        }
+      });
+
+      // Assert
+      expect(rules(details)).toEqual([
+        { field: 'limit', rule: 'max' },
+        { field: 'sort', rule: 'enum' },
+        { field: 'order', rule: 'enum' },
+        { field: 'includeDeleted', rule: 'type' },
+        { field: 'createdBefore', rule: 'type' },
+        { field: 'tag[1]', rule: 'notEmpty' },
+        { field: 'tagMatch', rule: 'enum' }
+      ]);
+    });
+
+    it('should reject a repeated parameter that takes one value', () => {
+      // Act
+      const { details } = run(noteSchemas.listNotes, { query: { limit: ['5', '10'] } });
+
+      // Assert
+      expect(rules(details)).toEqual([{ field: 'limit', rule: 'type' }]);
+    });
+
+    it('should require a search query within the length limit', () => {
+      // Act
+      const missing = run(noteSchemas.searchNotes, { query: { limit: '0' } });
+      next.mockClear();
+      const tooLong = run(noteSchemas.searchNotes, { query: { q: 'a'.repeat(256) } });
+
+      // Assert
+      expect(rules(missing.details)).toEqual([
+        { field: 'q', rule: 'required' },
+        { field: 'limit', rule: 'min' }
+      ]);
+      expect(tooLong.details[0].message).toBe('Search query must be 255 characters or less');
+    });
+
+    it("should accept a revision number or 'current' as a diff target", () => {
+      // Act
+      const params = { id: '1', rev: '2' };
+      const current = run(noteSchemas.diffRevision, { params });
+      next.mockClear();
+      const invalid = run(noteSchemas.diffRevision, { params, query: { to: '-3' } });
+
+      // Assert
+      expect(current.req.query).toEqual({ to: 'current' });
+      expect(invalid.details[0].message).toBe("to must be a revision number or 'current'");
+    });
+  });
+});
+
+describe('checkSchema', () => {
+  it('should prefix field names for nested objects', () => {
+    // Act
+    const { details } = checkSchema(noteSchemas.batchOperations.update, { op: 'update', id: 1 }, {
+      prefix: 'operations[2].'
+    });
+
+    // Assert
+    expect(details).toEqual([expect.objectContaining({
+      field: 'operations[2].title, operations[2].content, operations[2].format, operations[2].tags, '
+        + 'operations[2].notebook_id, operations[2].color',
+      rule: 'atLeastOne'
+    })]);
+  });
+
+  it('should name a nested value that is not an object after its position', () => {
+    // Act
+    const { details } = checkSchema(noteSchemas.batchOperation, null, { prefix: 'operations[0].' });
+
+    // Assert
+    expect(details).toEqual([
+      { field: 'operations[0]', location: 'body', rule: 'type', message: 'operations[0] must be an object' }
+    ]);
+  });
+});
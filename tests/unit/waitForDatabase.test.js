@@ -0,0 +1,67 @@
+const { waitForDatabase } = require('../../src/db/waitForDatabase');
+const { logger } = require('../../src/utils/logger');
+
+const pool = require('../../src/config/database');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('waitForDatabase', () => {
+  let db;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(logger, 'warn');
+    db = { query: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should resolve as soon as the database answers', async () => {
+    // Arrange
+    db.query.mockResolvedValue({ rows: [] });
+
+    // Act
+    await waitForDatabase({ db });
+
+    // Assert
+    expect(db.query).toHaveBeenCalledWith('SELECT 1');
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('should retry with exponential backoff until the database is up', async () => {
+    // Arrange
+    const refused = new Error('connect ECONNREFUSED');
+    db.query
+      .mockRejectedValueOnce(refused)
+      .mockRejectedValueOnce(refused)
+      .mockRejectedValueOnce(refused)
+      .mockResolvedValue({ rows: [] });
+
+    // Act
+    const waiting = waitForDatabase({ db, retries: 5, initialDelayMs: 100, maxDelayMs: 300 });
+    await jest.advanceTimersByTimeAsync(100 + 200 + 300);
+    await waiting;
+
+    // Assert
+    expect(db.query).toHaveBeenCalledTimes(4);
+    expect(logger.warn.mock.calls.map(([, { retry_in_ms }]) => retry_in_ms)).toEqual([100, 200, 300]);
+  });
+
+  it('should give up with the last error after the retries', async () => {
+    // Arrange
+    db.query.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    // Act
+    const waiting = waitForDatabase({ db, retries: 2, initialDelayMs: 100 });
+    const result = expect(waiting).rejects.toThrow('connect ECONNREFUSED');
+    await jest.advanceTimersByTimeAsync(100 + 200);
+    await result;
+
+    // Assert
+    expect(db.query).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,238 @@
+const webhookController = require('../../src/controllers/webhookController');
+const Webhook = require('../../src/models/Webhook');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+
+// Mock the webhook models
+jest.mock('../../src/models/Webhook');
+jest.mock('../../src/models/WebhookDelivery');
+
+const pool = require('../../src/config/database');
+const { appError } = require('../helpers/errors');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Webhook Controller', () => {
+  let req, res, next;
+
+  const mockWebhook = { id: 4, url: 'https://example.com/hook', events: ['note.created'], active: true };
+
+  beforeEach(() => {
+    // Reset mocks before each test
+    jest.clearAllMocks();
+
+    // Create mock request and response objects
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: 1 }
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('getAllWebhooks', () => {
+    it('should list the user\'s webhooks', async () => {
+      // Arrange
+      Webhook.findAll.mockResolvedValue([mockWebhook]);
+
+      // Act
+      await webhookController.getAllWebhooks(req, res, next);
+
+      // Assert
+      expect(Webhook.findAll).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenCalledWith({ data: [mockWebhook] });
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      Webhook.findAll.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await webhookController.getAllWebhooks(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('getWebhookById', () => {
+    it('should return a webhook', async () => {
+      // Arrange
+      req.params.id = 4;
+      Webhook.findById.mockResolvedValue(mockWebhook);
+
+      // Act
+      await webhookController.getWebhookById(req, res, next);
+
+      // Assert
+      expect(Webhook.findById).toHaveBeenCalledWith(1, 4);
+      expect(res.json).toHaveBeenCalledWith(mockWebhook);
+    });
+
+    it('should return 404 if webhook not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      Webhook.findById.mockResolvedValue(undefined);
+
+      // Act
+      await webhookController.getWebhookById(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Webhook not found'));
+    });
+  });
+
+  describe('createWebhook', () => {
+    it('should create a webhook with a new signing secret', async () => {
+      // Arrange
+      req.body = { url: 'https://example.com/hook', events: ['note.created'] };
+      Webhook.create.mockImplementation(async (userId, { secret }) => ({ ...mockWebhook, secret }));
+
+      // Act
+      await webhookController.createWebhook(req, res, next);
+
+      // Assert
+      const [, { secret }] = Webhook.create.mock.calls[0];
+      expect(Webhook.create).toHaveBeenCalledWith(1, {
+        url: 'https://example.com/hook',
+        events: ['note.created'],
+        active: undefined,
+        secret: expect.stringMatching(/^whsec_/)
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ ...mockWebhook, secret });
+    });
+
+    it('should pass database errors to the error handler', async () => {
+      // Arrange
+      Webhook.create.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await webhookController.createWebhook(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(new Error('Database error'));
+    });
+  });
+
+  describe('updateWebhook', () => {
+    it('should update the fields sent', async () => {
+      // Arrange
+      req.params.id = 4;
+      req.body = { active: false };
+      Webhook.update.mockResolvedValue({ ...mockWebhook, active: false });
+
+      // Act
+      await webhookController.updateWebhook(req, res, next);
+
+      // Assert
+      expect(Webhook.update).toHaveBeenCalledWith(1, 4, { url: undefined, events: undefined, active: false });
+      expect(res.json).toHaveBeenCalledWith({ ...mockWebhook, active: false });
+    });
+
+    it('should return 404 if webhook not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      req.body = { active: false };
+      Webhook.update.mockResolvedValue(undefined);
+
+      // Act
+      await webhookController.updateWebhook(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Webhook not found'));
+    });
+  });
+
+  describe('deleteWebhook', () => {
+    it('should delete a webhook', async () => {
+      // Arrange
+      req.params.id = 4;
+      Webhook.delete.mockResolvedValue(mockWebhook);
+
+      // Act
+      await webhookController.deleteWebhook(req, res, next);
+
+      // Assert
+      expect(Webhook.delete).toHaveBeenCalledWith(1, 4);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Webhook deleted successfully', webhook: mockWebhook });
+    });
+
+    it('should return 404 if webhook not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      Webhook.delete.mockResolvedValue(undefined);
+
+      // Act
+      await webhookController.deleteWebhook(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Webhook not found'));
+    });
+  });
+
+  describe('listDeliveries', () => {
+    it('should list a webhook\'s deliveries with the given status', async () => {
+      // Arrange
+      req.params.id = 4;
+      req.query = { status: 'dead', limit: 20 };
+      const mockDeliveries = [{ id: 9, status: 'dead', attempts: 8 }];
+      Webhook.findById.mockResolvedValue(mockWebhook);
+      WebhookDelivery.findAllForWebhook.mockResolvedValue(mockDeliveries);
+
+      // Act
+      await webhookController.listDeliveries(req, res, next);
+
+      // Assert
+      expect(WebhookDelivery.findAllForWebhook).toHaveBeenCalledWith(1, 4, { status: 'dead', limit: 20 });
+      expect(res.json).toHaveBeenCalledWith({ data: mockDeliveries });
+    });
+
+    it('should return 404 if webhook not found', async () => {
+      // Arrange
+      req.params.id = 999;
+      Webhook.findById.mockResolvedValue(undefined);
+
+      // Act
+      await webhookController.listDeliveries(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Webhook not found'));
+      expect(WebhookDelivery.findAllForWebhook).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('replayDelivery', () => {
+    it('should queue a dead delivery again', async () => {
+      // Arrange
+      req.params = { id: 4, deliveryId: 9 };
+      const mockDelivery = { id: 9, status: 'pending', attempts: 0 };
+      WebhookDelivery.replay.mockResolvedValue(mockDelivery);
+
+      // Act
+      await webhookController.replayDelivery(req, res, next);
+
+      // Assert
+      expect(WebhookDelivery.replay).toHaveBeenCalledWith(1, 4, 9);
+      expect(res.json).toHaveBeenCalledWith(mockDelivery);
+    });
+
+    it('should return 404 if the delivery is not dead', async () => {
+      // Arrange
+      req.params = { id: 4, deliveryId: 9 };
+      WebhookDelivery.replay.mockResolvedValue(undefined);
+
+      // Act
+      await webhookController.replayDelivery(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(appError(404, 'Dead delivery not found'));
+    });
+  });
+});
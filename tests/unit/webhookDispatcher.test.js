@@ -0,0 +1,339 @@
+const dns = require('dns');
+const http = require('http');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const { deliverDueWebhooks, startWebhookDispatcher } = require('../../src/jobs/webhookDispatcher');
+const { signWebhookPayload } = require('../../src/utils/webhookSignature');
+
+// Mock the WebhookDelivery model
+jest.mock('../../src/models/WebhookDelivery');
+
+const pool = require('../../src/config/database');
+const { logger } = require('../../src/utils/logger');
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('Webhook dispatcher', () => {
+  let receiver, url, received, respondWith;
+
+  // A local HTTP receiver that records each request and answers with
+  // `respondWith`. It is on a private address, so sending to it has to be
+  // allowed.
+  beforeAll(async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES = 'true';
+
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        res.writeHead(respondWith(req)).end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}`;
+  });
+
+  afterAll(async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES;
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  const delivery = (overrides = {}) => ({
+    id: 9,
+    event: 'note.updated',
+    payload: { event: 'note.updated', data: { id: 3, title: 'Plan' } },
+    attempts: 1,
+    url: `${url}/hook`,
+    secret: 'whsec_test',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(logger, 'info');
+    jest.spyOn(logger, 'error');
+    received = [];
+    respondWith = () => 204;
+    WebhookDelivery.claimDue.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('deliverDueWebhooks', () => {
+    it('should POST the payload signed with the webhook secret', async () => {
+      // Arrange
+      WebhookDelivery.claimDue.mockResolvedValueOnce([delivery()]);
+
+      // Act
+      const result = await deliverDueWebhooks();
+
+      // Assert
+      const [{ path, headers, body }] = received;
+      expect(WebhookDelivery.claimDue).toHaveBeenCalledWith(20, 60);
+      expect(path).toBe('/hook');
+      expect(JSON.parse(body)).toEqual(delivery().payload);
+      expect(headers['content-type']).toBe('application/json');
+      expect(headers['x-webhook-id']).toBe('9');
+      expect(headers['x-webhook-event']).toBe('note.updated');
+      expect(headers['x-webhook-signature']).toBe(
+        `sha256=${signWebhookPayload('whsec_test', headers['x-webhook-timestamp'], body)}`
+      );
+      expect(Number(headers['x-webhook-timestamp'])).toBeCloseTo(Date.now() / 1000, -1);
+      expect(WebhookDelivery.markDelivered).toHaveBeenCalledWith(9, 204);
+      expect(result).toEqual({ delivered: 1, failed: 0 });
+    });
+
+    it('should retry with exponential backoff when the receiver fails', async () => {
+      // Arrange
+      respondWith = () => 500;
+      WebhookDelivery.claimDue.mockResolvedValueOnce([delivery({ attempts: 1 }), delivery({ id: 10, attempts: 3 })]);
+
+      // Act
+      const result = await deliverDueWebhooks();
+
+      // Assert
+      expect(WebhookDelivery.recordFailure).toHaveBeenCalledWith(9, {
+        statusCode: 500,
+        error: 'Received HTTP 500',
+        retryInSeconds: 30
+      });
+      expect(WebhookDelivery.recordFailure).toHaveBeenCalledWith(10, expect.objectContaining({ retryInSeconds: 120 }));
+      expect(WebhookDelivery.markDelivered).not.toHaveBeenCalled();
+      expect(result).toEqual({ delivered: 0, failed: 2 });
+    });
+
+    it('should cap the backoff', async () => {
+      // Arrange
+      respondWith = () => 503;
+      WebhookDelivery.claimDue.mockResolvedValueOnce([delivery({ attempts: 15 })]);
+
+      // Act
+      await deliverDueWebhooks({ maxAttempts: 20 });
+
+      // Assert
+      expect(WebhookDelivery.recordFailure).toHaveBeenCalledWith(9, expect.objectContaining({ retryInSeconds: 6 * 60 * 60 }));
+    });
+
+    it('should treat redirects as failures', async () => {
+      // Arrange
+      respondWith = () => 302;
+      WebhookDelivery.claimDue.mockResolvedValueOnce([delivery()]);
+
+      // Act
+      await deliverDueWebhooks();
+
+      // Assert
+      expect(WebhookDelivery.recordFailure).toHaveBeenCalledWith(9, expect.objectContaining({ statusCode: 302 }));
+    });
+
+    it('should record connection errors', async () => {
+      // Arrange
+      WebhookDelivery.claimDue.mockResolvedValueOnce([delivery({ url: 'http://127.0.0.1:1/hook' })]);
+
+      // Act
+      await deliverDueWebhooks();
+
+      // Assert
+      expect(WebhookDelivery.recordFailure).toHaveBeenCalledWith(9, {
+        statusCode: null,
+        error: 'connect ECONNREFUSED 127.0.0.1:1',
+        retryInSeconds: 30
+      });
+    });
+
+    it('should move a delivery to the dead-letter list after the last attempt', async () => {
+      // Arrange
+      respondWith = () => 410;
+      WebhookDelivery.claimDue.mockResolvedValueOnce([delivery({ attempts: 8 })]);
+
+      // Act
+      await deliverDueWebhooks();
+
+      // Assert
+      expect(WebhookDelivery.recordFailure).toHaveBeenCalledWith(9, expect.objectContaining({ retryInSeconds: null }));
+    });
+
+    it('should read the attempt limit from the environment', async () => {
+      // Arrange
+      process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+      respondWith = () => 500;
+      WebhookDelivery.claimDue.mockResolvedValueOnce([delivery({ attempts: 2 })]);
+
+      // Act
+      await deliverDueWebhooks();
+      delete process.env.WEBHOOK_MAX_ATTEMPTS;
+
+      // Assert
+      expect(WebhookDelivery.recordFailure).toHaveBeenCalledWith(9, expect.objectContaining({ retryInSeconds: null }));
+    });
+
+    it('should keep claiming while batches are full', async () => {
+      // Arrange
+      const fullBatch = Array.from({ length: 20 }, (_, i) => delivery({ id: i + 1 }));
+      WebhookDelivery.claimDue.mockResolvedValueOnce(fullBatch).mockResolvedValueOnce([delivery({ id: 21 })]);
+
+      // Act
+      const result = await deliverDueWebhooks();
+
+      // Assert
+      expect(WebhookDelivery.claimDue).toHaveBeenCalledTimes(2);
+      expect(received).toHaveLength(21);
+      expect(result).toEqual({ delivered: 21, failed: 0 });
+      expect(logger.info).toHaveBeenCalledWith('Delivered webhooks', { delivered: 21, failed: 0 });
+    });
+
+    it('should stay quiet when nothing is due', async () => {
+      // Act
+      await deliverDueWebhooks();
+
+      // Assert
+      expect(logger.info).not.toHaveBeenCalled();
+    });
+
+    it('should log and swallow database errors', async () => {
+      // Arrange
+      WebhookDelivery.claimDue.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      const result = await deliverDueWebhooks();
+
+      // Assert
+      expect(result).toEqual({ delivered: 0, failed: 0 });
+      expect(logger.error).toHaveBeenCalledWith('Error delivering webhooks', { error: new Error('Database error') });
+    });
+  });
+
+  describe('private addresses', () => {
+    beforeEach(() => {
+      delete process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES;
+    });
+
+    afterEach(() => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES = 'true';
+    });
+
+    it.each([
+      ['a loopback address', 'http://127.0.0.1:{port}/hook', '127.0.0.1'],
+      ['the cloud metadata address', 'http://169.254.169.254/latest/meta-data', '169.254.169.254'],
+      ['a private network address', 'https://10.1.2.3/hook', '10.1.2.3'],
+      ['an IPv6 loopback address', 'http://[::1]:{port}/hook', '::1'],
+      ['an IPv4-mapped IPv6 address', 'http://[::ffff:127.0.0.1]:{port}/hook', '::ffff:7f00:1']
+    ])('should refuse to send to %s', async (_, target, address) => {
+      // Arrange
+      WebhookDelivery.claimDue.mockResolvedValueOnce([
+        delivery({ url: target.replace('{port}', receiver.address().port) })
+      ]);
+
+      // Act
+      const result = await deliverDueWebhooks();
+
+      // Assert
+      expect(received).toEqual([]);
+      expect(WebhookDelivery.recordFailure).toHaveBeenCalledWith(9, {
+        statusCode: null,
+        error: `Refusing to send to private address ${address}`,
+        retryInSeconds: 30
+      });
+      expect(result).toEqual({ delivered: 0, failed: 1 });
+    });
+
+    it('should refuse a host name that resolves to a private address', async () => {
+      // Arrange
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: '93.184.216.34', family: 4 }, { address: '127.0.0.1', family: 4 }]);
+      });
+      WebhookDelivery.claimDue.mockResolvedValueOnce([
+        delivery({ url: `http://hooks.example.com:${receiver.address().port}/hook` })
+      ]);
+
+      // Act
+      await deliverDueWebhooks();
+
+      // Assert
+      expect(dns.lookup).toHaveBeenCalledWith('hooks.example.com', expect.objectContaining({ all: true }), expect.any(Function));
+      expect(received).toEqual([]);
+      expect(WebhookDelivery.recordFailure).toHaveBeenCalledWith(9, expect.objectContaining({
+        error: 'Refusing to send to private address 127.0.0.1'
+      }));
+    });
+
+    it('should connect to the address a public host name resolves to', async () => {
+      // Arrange
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: '93.184.216.34', family: 4 }]);
+      });
+      // Stands in for the connection, which looks the host up and answers
+      let connectedTo;
+      jest.spyOn(http, 'request').mockImplementation((target, { lookup }, onResponse) => {
+        lookup('hooks.example.com', {}, (error, address) => {
+          connectedTo = address;
+          onResponse({ statusCode: 204, destroy: jest.fn() });
+        });
+        return { on: jest.fn(), end: jest.fn() };
+      });
+      WebhookDelivery.claimDue.mockResolvedValueOnce([delivery({ url: 'http://hooks.example.com/hook' })]);
+
+      // Act
+      const result = await deliverDueWebhooks();
+
+      // Assert
+      expect(connectedTo).toBe('93.184.216.34');
+      expect(WebhookDelivery.markDelivered).toHaveBeenCalledWith(9, 204);
+      expect(result).toEqual({ delivered: 1, failed: 0 });
+    });
+  });
+
+  describe('startWebhookDispatcher', () => {
+    it('should deliver immediately and then on every interval until stopped', async () => {
+      // Arrange
+      jest.useFakeTimers();
+
+      // Act
+      const stop = startWebhookDispatcher({ intervalSeconds: 5 });
+      await Promise.resolve();
+      await jest.advanceTimersByTimeAsync(10 * 1000);
+      stop();
+      await jest.advanceTimersByTimeAsync(10 * 1000);
+
+      // Assert
+      expect(WebhookDelivery.claimDue).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not start a run while the last one is still going', async () => {
+      // Arrange
+      jest.useFakeTimers();
+      WebhookDelivery.claimDue.mockReturnValue(new Promise(() => {}));
+
+      // Act
+      const stop = startWebhookDispatcher({ intervalSeconds: 5 });
+      await jest.advanceTimersByTimeAsync(20 * 1000);
+      stop();
+
+      // Assert
+      expect(WebhookDelivery.claimDue).toHaveBeenCalledTimes(1);
+    });
+
+    it('should resolve the stop once the run in progress is done', async () => {
+      // Arrange
+      let finishRun;
+      WebhookDelivery.claimDue.mockReturnValue(new Promise((resolve) => { finishRun = resolve; }));
+      const stopped = jest.fn();
+
+      // Act
+      const stop = startWebhookDispatcher({ intervalSeconds: 5 });
+      stop().then(stopped);
+      await new Promise(setImmediate);
+      const stoppedBeforeRunEnded = stopped.mock.calls.length;
+      finishRun([]);
+      await new Promise(setImmediate);
+
+      // Assert
+      expect(stoppedBeforeRunEnded).toBe(0);
+      expect(stopped).toHaveBeenCalled();
+    });
+  });
+});
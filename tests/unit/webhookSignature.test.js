@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+const { generateWebhookSecret, signWebhookPayload } = require('../../src/utils/webhookSignature');
+
+describe('generateWebhookSecret', () => {
+  it('should generate a prefixed secret with 256 bits of randomness', () => {
+    expect(generateWebhookSecret()).toMatch(/^whsec_[A-Za-z0-9_-]{43}$/);
+  });
+
+  it('should generate a different secret every time', () => {
+    expect(generateWebhookSecret()).not.toBe(generateWebhookSecret());
+  });
+});
+
+describe('signWebhookPayload', () => {
+  it('should sign the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+
+    expect(signWebhookPayload('whsec_test', 1700000000, '{"a":1}')).toBe(expected);
+  });
+
+  it('should change with the timestamp', () => {
+    expect(signWebhookPayload('whsec_test', 1, '{}')).not.toBe(signWebhookPayload('whsec_test', 2, '{}'));
+  });
+});